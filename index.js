@@ -52,7 +52,12 @@ app.use(cors({
 }));
 
 // Middleware for JSON
-app.use(express.json());
+// Keep the raw bytes too: Stripe webhook signatures are computed over the exact body.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // --- Simple Test & Health Check Routes ---
 app.get('/', (req, res) => {
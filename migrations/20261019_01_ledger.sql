@@ -0,0 +1,244 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Double-entry ledger
+-- Every money movement is posted as a balanced journal (entries sum to 0) in a
+-- single database transaction via post_ledger_journal(). wallets.balance stays
+-- as the materialised balance and is only ever changed by that function.
+--
+-- Sign convention: a positive entry increases the account's balance,
+-- a negative entry decreases it.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- System (non-wallet) accounts
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  code            TEXT PRIMARY KEY,
+  description     TEXT,
+  balance         NUMERIC(14,2) NOT NULL DEFAULT 0,
+  allow_negative  BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at      TIMESTAMPTZ DEFAULT now()
+);
+
+INSERT INTO ledger_accounts (code, description, allow_negative) VALUES
+  ('escrow',           'Client funds held for open bookings',               FALSE),
+  ('platform_revenue', 'Commission and purchases earned by the platform',  TRUE),
+  ('stripe_clearing',  'Mirror of money moved in/out through Stripe',       TRUE),
+  ('opening_equity',   'Counterpart of balances that pre-date the ledger',   TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS ledger_journals (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind             TEXT NOT NULL
+                     CHECK (kind IN ('opening_balance','deposit','hold','release','refund',
+                                     'commission','purchase','withdrawal','reversal','adjustment')),
+  idempotency_key  TEXT CONSTRAINT ledger_journals_idempotency_key_key UNIQUE,
+  reference_type   TEXT,
+  reference_id     TEXT,
+  description      TEXT,
+  created_at       TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  journal_id    UUID NOT NULL REFERENCES ledger_journals(id) ON DELETE RESTRICT,
+  wallet_id     UUID REFERENCES wallets(id) ON DELETE RESTRICT,
+  account_code  TEXT REFERENCES ledger_accounts(code) ON DELETE RESTRICT,
+  amount        NUMERIC(14,2) NOT NULL CHECK (amount <> 0),
+  created_at    TIMESTAMPTZ DEFAULT now(),
+  CHECK ((wallet_id IS NULL) <> (account_code IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal   ON ledger_entries(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_wallet    ON ledger_entries(wallet_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account   ON ledger_entries(account_code);
+CREATE INDEX IF NOT EXISTS idx_ledger_journals_reference ON ledger_journals(reference_type, reference_id);
+
+-- User-facing transaction rows point back at the journal that produced them
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS journal_id UUID REFERENCES ledger_journals(id);
+CREATE INDEX IF NOT EXISTS idx_transactions_journal ON transactions(journal_id);
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- Opening balances: bring existing wallet balances into the ledger once so
+-- that wallets.balance == SUM(ledger_entries.amount) for every wallet.
+-- ───────────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  v_journal_id UUID;
+  v_total      NUMERIC(14,2);
+BEGIN
+  IF EXISTS (SELECT 1 FROM ledger_journals WHERE idempotency_key = 'opening_balance') THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO ledger_journals (kind, idempotency_key, description)
+  VALUES ('opening_balance', 'opening_balance', 'Wallet balances carried into the ledger')
+  RETURNING id INTO v_journal_id;
+
+  INSERT INTO ledger_entries (journal_id, wallet_id, amount)
+  SELECT v_journal_id, id, balance FROM wallets WHERE balance <> 0;
+
+  SELECT COALESCE(SUM(balance), 0) INTO v_total FROM wallets;
+
+  IF v_total <> 0 THEN
+    INSERT INTO ledger_entries (journal_id, account_code, amount)
+    VALUES (v_journal_id, 'opening_equity', -v_total);
+    UPDATE ledger_accounts SET balance = balance - v_total WHERE code = 'opening_equity';
+  END IF;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- Opening escrow: the price of bookings that are still open was taken from
+-- the client's wallet before the ledger existed. Carry it into escrow, one
+-- journal per booking so refunds and releases (and the escrow check in
+-- reconciliation) find it under the booking's reference.
+-- ───────────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  v_booking    RECORD;
+  v_journal_id UUID;
+  v_total      NUMERIC(14,2) := 0;
+BEGIN
+  FOR v_booking IN
+    SELECT b.id, b.total_price
+    FROM bookings b
+    WHERE LOWER(b.status) IN ('pending','confirmed','disputed')
+      AND b.total_price > 0
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_journals j WHERE j.idempotency_key = 'opening_escrow:' || b.id
+      )
+  LOOP
+    INSERT INTO ledger_journals (kind, idempotency_key, reference_type, reference_id, description)
+    VALUES ('opening_balance', 'opening_escrow:' || v_booking.id, 'booking', v_booking.id::TEXT,
+            'Booking escrow carried into the ledger')
+    RETURNING id INTO v_journal_id;
+
+    INSERT INTO ledger_entries (journal_id, account_code, amount) VALUES
+      (v_journal_id, 'escrow',          v_booking.total_price),
+      (v_journal_id, 'opening_equity', -v_booking.total_price);
+
+    v_total := v_total + v_booking.total_price;
+  END LOOP;
+
+  IF v_total <> 0 THEN
+    UPDATE ledger_accounts SET balance = balance + v_total WHERE code = 'escrow';
+    UPDATE ledger_accounts SET balance = balance - v_total WHERE code = 'opening_equity';
+  END IF;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- post_ledger_journal
+--   p_entries      : [{ "wallet_id": uuid, "amount": n } | { "account_code": text, "amount": n }]
+--   p_transactions : [{ "wallet_id", "type", "amount", "description", "stripe_payment_id"? }]
+--                    user-facing rows written in the same transaction
+-- Returns { journal_id, duplicate, balances: { <wallet_id>: new_balance } }
+-- ───────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION post_ledger_journal(
+  p_kind            TEXT,
+  p_entries         JSONB,
+  p_transactions    JSONB DEFAULT '[]'::jsonb,
+  p_reference_type  TEXT  DEFAULT NULL,
+  p_reference_id    TEXT  DEFAULT NULL,
+  p_description     TEXT  DEFAULT NULL,
+  p_idempotency_key TEXT  DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_journal_id UUID;
+  v_total      NUMERIC(14,2);
+  v_entry      JSONB;
+  v_amount     NUMERIC(14,2);
+  v_balance    NUMERIC(14,2);
+  v_allow_neg  BOOLEAN;
+  v_balances   JSONB := '{}'::jsonb;
+BEGIN
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT id INTO v_journal_id FROM ledger_journals WHERE idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN jsonb_build_object('journal_id', v_journal_id, 'duplicate', TRUE, 'balances', v_balances);
+    END IF;
+  END IF;
+
+  IF jsonb_array_length(p_entries) < 2 THEN
+    RAISE EXCEPTION 'LEDGER_TOO_FEW_ENTRIES';
+  END IF;
+
+  SELECT COALESCE(SUM((e->>'amount')::NUMERIC(14,2)), 0) INTO v_total
+  FROM jsonb_array_elements(p_entries) e;
+
+  IF v_total <> 0 THEN
+    RAISE EXCEPTION 'LEDGER_UNBALANCED: entries sum to %', v_total;
+  END IF;
+
+  -- Lock every touched row in a fixed order so concurrent journals on the
+  -- same wallets serialise instead of deadlocking or losing updates.
+  PERFORM 1 FROM wallets
+  WHERE id IN (SELECT (e->>'wallet_id')::UUID FROM jsonb_array_elements(p_entries) e WHERE e ? 'wallet_id')
+  ORDER BY id FOR UPDATE;
+
+  PERFORM 1 FROM ledger_accounts
+  WHERE code IN (SELECT e->>'account_code' FROM jsonb_array_elements(p_entries) e WHERE e ? 'account_code')
+  ORDER BY code FOR UPDATE;
+
+  INSERT INTO ledger_journals (kind, idempotency_key, reference_type, reference_id, description)
+  VALUES (p_kind, p_idempotency_key, p_reference_type, p_reference_id, p_description)
+  RETURNING id INTO v_journal_id;
+
+  FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+    v_amount := (v_entry->>'amount')::NUMERIC(14,2);
+    IF v_amount = 0 THEN
+      CONTINUE;
+    END IF;
+
+    IF v_entry ? 'wallet_id' THEN
+      UPDATE wallets SET balance = balance + v_amount
+      WHERE id = (v_entry->>'wallet_id')::UUID
+      RETURNING balance INTO v_balance;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'LEDGER_WALLET_NOT_FOUND: %', v_entry->>'wallet_id';
+      END IF;
+      IF v_balance < 0 THEN
+        RAISE EXCEPTION 'LEDGER_INSUFFICIENT_FUNDS: wallet %', v_entry->>'wallet_id';
+      END IF;
+
+      INSERT INTO ledger_entries (journal_id, wallet_id, amount)
+      VALUES (v_journal_id, (v_entry->>'wallet_id')::UUID, v_amount);
+
+      v_balances := v_balances || jsonb_build_object(v_entry->>'wallet_id', v_balance);
+    ELSE
+      UPDATE ledger_accounts SET balance = balance + v_amount
+      WHERE code = v_entry->>'account_code'
+      RETURNING balance, allow_negative INTO v_balance, v_allow_neg;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'LEDGER_ACCOUNT_NOT_FOUND: %', v_entry->>'account_code';
+      END IF;
+      IF v_balance < 0 AND NOT v_allow_neg THEN
+        RAISE EXCEPTION 'LEDGER_INSUFFICIENT_FUNDS: account %', v_entry->>'account_code';
+      END IF;
+
+      INSERT INTO ledger_entries (journal_id, account_code, amount)
+      VALUES (v_journal_id, v_entry->>'account_code', v_amount);
+    END IF;
+  END LOOP;
+
+  INSERT INTO transactions (wallet_id, type, amount, status, description, stripe_payment_id, journal_id)
+  SELECT t.wallet_id, t.type, t.amount, 'success', t.description, t.stripe_payment_id, v_journal_id
+  FROM jsonb_to_recordset(p_transactions)
+    AS t(wallet_id UUID, type TEXT, amount NUMERIC, description TEXT, stripe_payment_id TEXT);
+
+  RETURN jsonb_build_object('journal_id', v_journal_id, 'duplicate', FALSE, 'balances', v_balances);
+END;
+$$;
+
+-- Wallet balance vs. ledger: any non-zero drift means something wrote to
+-- wallets.balance outside post_ledger_journal().
+CREATE OR REPLACE VIEW ledger_wallet_drift AS
+SELECT
+  w.id                              AS wallet_id,
+  w.user_id,
+  w.balance                         AS stored_balance,
+  COALESCE(SUM(e.amount), 0)        AS ledger_balance,
+  w.balance - COALESCE(SUM(e.amount), 0) AS drift
+FROM wallets w
+LEFT JOIN ledger_entries e ON e.wallet_id = w.id
+GROUP BY w.id, w.user_id, w.balance;
@@ -0,0 +1,74 @@
+-- Stripe webhook support
+-- Connect account readiness as last reported by account.updated
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS stripe_charges_enabled   BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS stripe_payouts_enabled   BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Card refunds on deposits the user already spent leave a balance owed to the
+-- platform instead of pushing the wallet negative.
+INSERT INTO ledger_accounts (code, description, allow_negative) VALUES
+  ('customer_receivables', 'Refunded deposits not covered by the wallet balance', TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_stripe_payment_id ON transactions(stripe_payment_id);
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- post_deposit_refund
+-- Takes a refunded card deposit back out of a wallet. The wallet row is
+-- locked before its balance is read, so a spend running at the same time
+-- cannot leave the split stale: the wallet gives what it holds and the rest
+-- is booked in customer_receivables. Returns post_ledger_journal()'s result
+-- plus { from_wallet, owed }.
+-- ───────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION post_deposit_refund(
+  p_wallet_id         UUID,
+  p_amount            NUMERIC,
+  p_stripe_payment_id TEXT,
+  p_refund_key        TEXT,
+  p_description       TEXT DEFAULT 'Card deposit refunded'
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_total       NUMERIC(14,2) := ROUND(p_amount, 2);
+  v_balance     NUMERIC(14,2);
+  v_currency    TEXT;
+  v_from_wallet NUMERIC(14,2);
+  v_owed        NUMERIC(14,2);
+  v_result      JSONB;
+BEGIN
+  SELECT balance, UPPER(COALESCE(currency, 'USD')) INTO v_balance, v_currency
+  FROM wallets WHERE id = p_wallet_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'LEDGER_WALLET_NOT_FOUND: %', p_wallet_id;
+  END IF;
+
+  v_from_wallet := LEAST(v_total, GREATEST(v_balance, 0));
+  v_owed := v_total - v_from_wallet;
+
+  v_result := post_ledger_journal(
+    'reversal',
+    jsonb_build_array(
+      jsonb_build_object('wallet_id', p_wallet_id, 'amount', -v_from_wallet),
+      jsonb_build_object('account_code', 'customer_receivables', 'amount', -v_owed, 'currency', v_currency),
+      jsonb_build_object('account_code', 'stripe_clearing', 'amount', v_total, 'currency', v_currency)
+    ),
+    CASE WHEN v_from_wallet > 0
+      THEN jsonb_build_array(jsonb_build_object(
+        'wallet_id', p_wallet_id, 'type', 'deposit_refund', 'amount', -v_from_wallet,
+        'description', p_description, 'currency', v_currency
+      ))
+      ELSE '[]'::jsonb
+    END,
+    'stripe_payment_intent',
+    p_stripe_payment_id,
+    p_description,
+    'deposit_refund:' || p_stripe_payment_id || ':' || p_refund_key
+  );
+
+  RETURN v_result || jsonb_build_object('from_wallet', v_from_wallet, 'owed', v_owed);
+END;
+$$;
@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Booking lifecycle audit trail
+-- One row per booking state change, written by src/utils/bookingLifecycle.js.
+-- `event` is the transition name (created, confirm, cancel, dispute, complete,
+-- auto_release, resolve_refund, resolve_release).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS booking_events (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id   UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  event        TEXT NOT NULL,
+  from_status  TEXT,
+  to_status    TEXT NOT NULL,
+
+  -- Who triggered it; actor_id is null for system jobs
+  actor_id     UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  actor_role   TEXT NOT NULL CHECK (actor_role IN ('client','provider','admin','system')),
+
+  metadata     JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at   TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_events_booking ON booking_events(booking_id, created_at);
+
+-- Only the known lifecycle states may be stored
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('pending','confirmed','completed','cancelled','disputed')) NOT VALID;
@@ -0,0 +1,21 @@
+-- Provider-chosen refund policy for client cancellations
+-- (tiers live in src/utils/cancellationPolicy.js)
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS cancellation_policy TEXT NOT NULL DEFAULT 'flexible'
+    CHECK (cancellation_policy IN ('flexible','moderate','strict'));
+
+-- Each booking keeps the policy in force when it was made, so a provider who
+-- later switches to a stricter policy cannot apply it to existing bookings.
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS cancellation_policy TEXT
+    CHECK (cancellation_policy IN ('flexible','moderate','strict'));
+
+UPDATE bookings b
+SET cancellation_policy = p.cancellation_policy
+FROM profiles p
+WHERE p.id = b.provider_id AND b.cancellation_policy IS NULL;
+
+UPDATE bookings SET cancellation_policy = 'flexible' WHERE cancellation_policy IS NULL;
+
+ALTER TABLE bookings ALTER COLUMN cancellation_policy SET DEFAULT 'flexible';
+ALTER TABLE bookings ALTER COLUMN cancellation_policy SET NOT NULL;
@@ -0,0 +1,45 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Provider availability engine (src/utils/availability.js)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Zone the weekly hours and overrides are expressed in, and the gap kept free
+-- around each booking
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS timezone               TEXT NOT NULL DEFAULT 'UTC',
+  ADD COLUMN IF NOT EXISTS booking_buffer_minutes INTEGER NOT NULL DEFAULT 0
+    CHECK (booking_buffer_minutes BETWEEN 0 AND 240);
+
+-- Per-date exceptions to the weekly schedule:
+--   is_available = TRUE  + times → custom hours for that date
+--   is_available = FALSE + times → time off inside the day
+--   is_available = FALSE, no times → whole day off
+CREATE TABLE IF NOT EXISTS provider_availability_overrides (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider_id   UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  date          DATE NOT NULL,
+  is_available  BOOLEAN NOT NULL DEFAULT FALSE,
+  start_time    TIME,
+  end_time      TIME,
+  reason        TEXT,
+  created_at    TIMESTAMPTZ DEFAULT now(),
+  CHECK ((start_time IS NULL) = (end_time IS NULL)),
+  CHECK (is_available = FALSE OR start_time IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_overrides_provider_date
+  ON provider_availability_overrides(provider_id, date);
+
+-- What a booking occupies; ends_at is set by POST /bookings
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS pricing_type   TEXT,
+  ADD COLUMN IF NOT EXISTS duration_hours NUMERIC(5,2),
+  ADD COLUMN IF NOT EXISTS ends_at        TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_provider_schedule ON bookings(provider_id, scheduled_time);
+
+-- Backstop for two requests racing past the availability check
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_provider_overlap;
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_provider_overlap
+  EXCLUDE USING gist (provider_id WITH =, tstzrange(scheduled_time, ends_at) WITH &&)
+  WHERE (ends_at IS NOT NULL AND status IN ('pending','confirmed','disputed'));
@@ -0,0 +1,7 @@
+-- Server-side pricing: what the quote a booking was created from contained
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS currency          TEXT NOT NULL DEFAULT 'USD',
+  ADD COLUMN IF NOT EXISTS price_breakdown   JSONB,
+  ADD COLUMN IF NOT EXISTS platform_fee      NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS discount_amount   NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promo_code        TEXT;
@@ -0,0 +1,34 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Recurring bookings
+-- A series owns N ordinary bookings (one per occurrence); each occurrence has
+-- its own status and escrow, so it can be cancelled or moved on its own.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS booking_series (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  provider_id       UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  service_id        UUID REFERENCES services(id) ON DELETE SET NULL,
+
+  -- Recurrence rule (see src/utils/recurrence.js)
+  frequency         TEXT NOT NULL CHECK (frequency IN ('weekly','biweekly','monthly')),
+  occurrence_count  INTEGER,
+  until_date        DATE,
+  timezone          TEXT NOT NULL DEFAULT 'UTC',
+
+  occurrence_price  NUMERIC(10,2) NOT NULL DEFAULT 0,
+  status            TEXT NOT NULL DEFAULT 'active'
+                      CHECK (status IN ('active','cancelled')),
+
+  created_at        TIMESTAMPTZ DEFAULT now(),
+  updated_at        TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_series_client   ON booking_series(client_id);
+CREATE INDEX IF NOT EXISTS idx_booking_series_provider ON booking_series(provider_id);
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS series_id        UUID REFERENCES booking_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS occurrence_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id, occurrence_index);
@@ -0,0 +1,33 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Reschedule proposals
+-- One party proposes new times for a booking, the other accepts one of them
+-- or declines. At most one proposal per booking can be pending.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS booking_reschedule_proposals (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id        UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  proposed_by       UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  proposer_role     TEXT NOT NULL CHECK (proposer_role IN ('client','provider')),
+  proposed_times    TIMESTAMPTZ[] NOT NULL,
+  previous_time     TIMESTAMPTZ,
+  message           TEXT,
+
+  status            TEXT NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending','accepted','declined','withdrawn','expired')),
+  accepted_time     TIMESTAMPTZ,
+  responded_by      UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  responded_at      TIMESTAMPTZ,
+  response_message  TEXT,
+  expires_at        TIMESTAMPTZ NOT NULL,
+
+  created_at        TIMESTAMPTZ DEFAULT now(),
+  updated_at        TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reschedule_proposals_booking
+  ON booking_reschedule_proposals(booking_id, created_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_reschedule_proposals_pending
+  ON booking_reschedule_proposals(booking_id)
+  WHERE status = 'pending';
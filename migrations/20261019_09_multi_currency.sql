@@ -0,0 +1,202 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Multi-currency wallets
+-- A user has one wallet per currency. Ledger entries carry their currency and
+-- a journal must balance per currency; conversions go through fx_clearing.
+-- Transactions record the settled currency (the wallet's) and the original
+-- amount/currency and rate when money was converted.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ── Wallets: one row per (user, currency) ──────────────────────────────────
+UPDATE wallets SET currency = UPPER(COALESCE(currency, 'USD'));
+ALTER TABLE wallets ALTER COLUMN currency SET DEFAULT 'USD';
+ALTER TABLE wallets ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_wallets_user_currency ON wallets(user_id, currency);
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS preferred_currency TEXT DEFAULT 'USD';
+
+-- ── Ledger: currency per entry, system balances per currency ──────────────
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+
+CREATE TABLE IF NOT EXISTS ledger_account_balances (
+  account_code  TEXT NOT NULL REFERENCES ledger_accounts(code) ON DELETE RESTRICT,
+  currency      TEXT NOT NULL,
+  balance       NUMERIC(14,2) NOT NULL DEFAULT 0,
+  PRIMARY KEY (account_code, currency)
+);
+
+-- Everything before this migration was USD
+INSERT INTO ledger_account_balances (account_code, currency, balance)
+SELECT code, 'USD', balance FROM ledger_accounts
+ON CONFLICT (account_code, currency) DO NOTHING;
+
+INSERT INTO ledger_accounts (code, description, allow_negative) VALUES
+  ('fx_clearing', 'Counterpart of currency conversions', TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+-- ── Transactions: settled vs original currency ─────────────────────────────
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS currency          TEXT NOT NULL DEFAULT 'USD',
+  ADD COLUMN IF NOT EXISTS original_amount   NUMERIC(14,2),
+  ADD COLUMN IF NOT EXISTS original_currency TEXT,
+  ADD COLUMN IF NOT EXISTS fx_rate           NUMERIC(18,8);
+
+UPDATE transactions SET original_amount = amount, original_currency = currency
+WHERE original_amount IS NULL;
+
+-- ── Bookings: what the client paid when it differs from the booking currency
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS payment_currency TEXT,
+  ADD COLUMN IF NOT EXISTS payment_amount   NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS fx_rate          NUMERIC(18,8);
+
+UPDATE bookings SET currency = UPPER(COALESCE(currency, 'USD'));
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- post_ledger_journal (currency aware)
+--   p_entries      : [{ "wallet_id": uuid, "amount": n, "currency"? }
+--                     | { "account_code": text, "amount": n, "currency": text, "no_overdraft"? }]
+--                    wallet entries are in the wallet's currency; a given
+--                    currency must match it. "no_overdraft": true keeps an
+--                    account that may go negative from doing so in this entry.
+--   p_transactions : [{ "wallet_id", "type", "amount", "description", "stripe_payment_id"?,
+--                       "currency"?, "original_amount"?, "original_currency"?, "fx_rate"? }]
+-- Returns { journal_id, duplicate, balances: { <wallet_id>: new_balance } }
+-- ───────────────────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION post_ledger_journal(
+  p_kind            TEXT,
+  p_entries         JSONB,
+  p_transactions    JSONB DEFAULT '[]'::jsonb,
+  p_reference_type  TEXT  DEFAULT NULL,
+  p_reference_id    TEXT  DEFAULT NULL,
+  p_description     TEXT  DEFAULT NULL,
+  p_idempotency_key TEXT  DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_journal_id UUID;
+  v_unbalanced TEXT;
+  v_entry      JSONB;
+  v_amount     NUMERIC(14,2);
+  v_currency   TEXT;
+  v_balance    NUMERIC(14,2);
+  v_allow_neg  BOOLEAN;
+  v_balances   JSONB := '{}'::jsonb;
+BEGIN
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT id INTO v_journal_id FROM ledger_journals WHERE idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN jsonb_build_object('journal_id', v_journal_id, 'duplicate', TRUE, 'balances', v_balances);
+    END IF;
+  END IF;
+
+  IF jsonb_array_length(p_entries) < 2 THEN
+    RAISE EXCEPTION 'LEDGER_TOO_FEW_ENTRIES';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(p_entries) e
+    JOIN wallets w ON w.id = (e->>'wallet_id')::UUID
+    WHERE e ? 'wallet_id' AND e ? 'currency' AND UPPER(e->>'currency') <> w.currency
+  ) THEN
+    RAISE EXCEPTION 'LEDGER_CURRENCY_MISMATCH';
+  END IF;
+
+  SELECT string_agg(cur || ' ' || total, ', ') INTO v_unbalanced
+  FROM (
+    SELECT
+      CASE WHEN e ? 'wallet_id' THEN w.currency ELSE UPPER(COALESCE(e->>'currency', 'USD')) END AS cur,
+      SUM((e->>'amount')::NUMERIC(14,2)) AS total
+    FROM jsonb_array_elements(p_entries) e
+    LEFT JOIN wallets w ON e ? 'wallet_id' AND w.id = (e->>'wallet_id')::UUID
+    GROUP BY 1
+  ) sums
+  WHERE total <> 0;
+
+  IF v_unbalanced IS NOT NULL THEN
+    RAISE EXCEPTION 'LEDGER_UNBALANCED: %', v_unbalanced;
+  END IF;
+
+  -- Lock every touched row in a fixed order so concurrent journals on the
+  -- same wallets serialise instead of deadlocking or losing updates.
+  PERFORM 1 FROM wallets
+  WHERE id IN (SELECT (e->>'wallet_id')::UUID FROM jsonb_array_elements(p_entries) e WHERE e ? 'wallet_id')
+  ORDER BY id FOR UPDATE;
+
+  PERFORM 1 FROM ledger_accounts
+  WHERE code IN (SELECT e->>'account_code' FROM jsonb_array_elements(p_entries) e WHERE e ? 'account_code')
+  ORDER BY code FOR UPDATE;
+
+  INSERT INTO ledger_journals (kind, idempotency_key, reference_type, reference_id, description)
+  VALUES (p_kind, p_idempotency_key, p_reference_type, p_reference_id, p_description)
+  RETURNING id INTO v_journal_id;
+
+  FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+    v_amount := (v_entry->>'amount')::NUMERIC(14,2);
+    IF v_amount = 0 THEN
+      CONTINUE;
+    END IF;
+
+    IF v_entry ? 'wallet_id' THEN
+      UPDATE wallets SET balance = balance + v_amount
+      WHERE id = (v_entry->>'wallet_id')::UUID
+      RETURNING balance, currency INTO v_balance, v_currency;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'LEDGER_WALLET_NOT_FOUND: %', v_entry->>'wallet_id';
+      END IF;
+      IF v_balance < 0 THEN
+        RAISE EXCEPTION 'LEDGER_INSUFFICIENT_FUNDS: wallet %', v_entry->>'wallet_id';
+      END IF;
+
+      INSERT INTO ledger_entries (journal_id, wallet_id, amount, currency)
+      VALUES (v_journal_id, (v_entry->>'wallet_id')::UUID, v_amount, v_currency);
+
+      v_balances := v_balances || jsonb_build_object(v_entry->>'wallet_id', v_balance);
+    ELSE
+      v_currency := UPPER(COALESCE(v_entry->>'currency', 'USD'));
+
+      SELECT allow_negative INTO v_allow_neg FROM ledger_accounts WHERE code = v_entry->>'account_code';
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'LEDGER_ACCOUNT_NOT_FOUND: %', v_entry->>'account_code';
+      END IF;
+
+      INSERT INTO ledger_account_balances (account_code, currency, balance)
+      VALUES (v_entry->>'account_code', v_currency, v_amount)
+      ON CONFLICT (account_code, currency)
+      DO UPDATE SET balance = ledger_account_balances.balance + EXCLUDED.balance
+      RETURNING balance INTO v_balance;
+
+      IF v_balance < 0 AND (NOT v_allow_neg OR COALESCE((v_entry->>'no_overdraft')::BOOLEAN, FALSE)) THEN
+        RAISE EXCEPTION 'LEDGER_INSUFFICIENT_FUNDS: account % (%)', v_entry->>'account_code', v_currency;
+      END IF;
+
+      -- ledger_accounts.balance stays the USD figure for older reports
+      IF v_currency = 'USD' THEN
+        UPDATE ledger_accounts SET balance = balance + v_amount WHERE code = v_entry->>'account_code';
+      END IF;
+
+      INSERT INTO ledger_entries (journal_id, account_code, amount, currency)
+      VALUES (v_journal_id, v_entry->>'account_code', v_amount, v_currency);
+    END IF;
+  END LOOP;
+
+  INSERT INTO transactions (
+    wallet_id, type, amount, currency, original_amount, original_currency, fx_rate,
+    status, description, stripe_payment_id, journal_id
+  )
+  SELECT
+    t.wallet_id, t.type, t.amount, w.currency,
+    COALESCE(t.original_amount, t.amount),
+    UPPER(COALESCE(t.original_currency, w.currency)),
+    COALESCE(t.fx_rate, 1),
+    'success', t.description, t.stripe_payment_id, v_journal_id
+  FROM jsonb_to_recordset(p_transactions)
+    AS t(wallet_id UUID, type TEXT, amount NUMERIC, description TEXT, stripe_payment_id TEXT,
+         currency TEXT, original_amount NUMERIC, original_currency TEXT, fx_rate NUMERIC)
+  JOIN wallets w ON w.id = t.wallet_id;
+
+  RETURN jsonb_build_object('journal_id', v_journal_id, 'duplicate', FALSE, 'balances', v_balances);
+END;
+$$;
@@ -0,0 +1,47 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Commission rules
+-- Admin-editable platform commission (see src/utils/commission.js). Null
+-- criteria match any provider; the highest priority matching rule wins.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS commission_rules (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name               TEXT NOT NULL,
+  rate               NUMERIC(5,4) NOT NULL CHECK (rate >= 0 AND rate <= 0.5),
+  priority           INTEGER NOT NULL DEFAULT 0,
+
+  -- Criteria
+  subscription_tier  TEXT,
+  category_id        UUID REFERENCES service_categories(id) ON DELETE CASCADE,
+  founding_member    BOOLEAN,
+  on_trial           BOOLEAN,
+
+  -- Promotional window
+  starts_at          TIMESTAMPTZ,
+  ends_at            TIMESTAMPTZ,
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at),
+
+  is_active          BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by         UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at         TIMESTAMPTZ DEFAULT now(),
+  updated_at         TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_rules_active ON commission_rules(is_active, priority DESC);
+
+-- The rates that used to be hardcoded: 3% during the provider trial, 8% otherwise
+INSERT INTO commission_rules (name, rate, priority, on_trial)
+SELECT 'Standard', 0.08, 0, NULL
+WHERE NOT EXISTS (SELECT 1 FROM commission_rules);
+
+INSERT INTO commission_rules (name, rate, priority, on_trial)
+SELECT 'Provider trial', 0.03, 10, TRUE
+WHERE NOT EXISTS (SELECT 1 FROM commission_rules WHERE name = 'Provider trial');
+
+-- What the platform kept on each payout
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS commission_rate    NUMERIC(5,4),
+  ADD COLUMN IF NOT EXISTS commission_amount  NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS commission_rule_id UUID REFERENCES commission_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type, created_at);
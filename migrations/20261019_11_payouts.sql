@@ -0,0 +1,48 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Payouts
+-- Withdrawals to a Stripe Connect account as a lifecycle:
+-- requested → processing → paid / failed / reversed. The wallet debit and
+-- any restore are ledger journals keyed on the payout id.
+-- Providers can opt into automatic weekly or monthly payouts.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS payouts (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id             UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  wallet_id           UUID NOT NULL REFERENCES wallets(id),
+  amount              NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  currency            TEXT NOT NULL,
+  source              TEXT NOT NULL DEFAULT 'manual'
+                        CHECK (source IN ('manual','scheduled')),
+  destination         TEXT NOT NULL,
+
+  status              TEXT NOT NULL DEFAULT 'requested'
+                        CHECK (status IN ('requested','processing','paid','failed','reversed')),
+  stripe_transfer_id  TEXT UNIQUE,
+  reversed_amount     NUMERIC(12,2) NOT NULL DEFAULT 0,
+  failure_reason      TEXT,
+
+  requested_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processing_at       TIMESTAMPTZ,
+  paid_at             TIMESTAMPTZ,
+  failed_at           TIMESTAMPTZ,
+  reversed_at         TIMESTAMPTZ,
+  updated_at          TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_user
+  ON payouts(user_id, requested_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_open
+  ON payouts(status, processing_at)
+  WHERE status IN ('requested','processing');
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS payout_schedule  TEXT NOT NULL DEFAULT 'manual'
+                                              CHECK (payout_schedule IN ('manual','weekly','monthly')),
+  ADD COLUMN IF NOT EXISTS payout_threshold NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payout_currency  TEXT;
+
+-- The hold period sums recent earnings per wallet
+CREATE INDEX IF NOT EXISTS idx_transactions_wallet_type_created
+  ON transactions(wallet_id, type, created_at DESC);
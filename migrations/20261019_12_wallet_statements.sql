@@ -0,0 +1,45 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Wallet statements
+-- Transaction history with the wallet balance after each row. The running
+-- balance is anchored on wallets.balance and walks back through newer
+-- successful rows, so it always ends at the real balance. Failed rows keep
+-- the balance of the row before them.
+--
+-- `hold` and `payment` rows store the amount taken from the wallet as a
+-- positive number; signed_amount is the effect on the balance for every type.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE OR REPLACE VIEW wallet_transaction_history AS
+SELECT
+  t.id,
+  t.wallet_id,
+  w.user_id,
+  t.type,
+  t.amount,
+  CASE WHEN t.type IN ('hold','payment') THEN -ABS(t.amount) ELSE t.amount END AS signed_amount,
+  COALESCE(t.currency, w.currency)  AS currency,
+  t.original_amount,
+  t.original_currency,
+  t.fx_rate,
+  t.status,
+  t.description,
+  t.stripe_payment_id,
+  t.journal_id,
+  j.reference_type,
+  j.reference_id,
+  t.created_at,
+  w.balance - COALESCE(SUM(CASE
+    WHEN t.status <> 'success'             THEN 0
+    WHEN t.type IN ('hold','payment')      THEN -ABS(t.amount)
+    ELSE t.amount
+  END) OVER (
+    PARTITION BY t.wallet_id
+    ORDER BY t.created_at DESC, t.id DESC
+    ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+  ), 0)                              AS balance_after
+FROM transactions t
+JOIN wallets w ON w.id = t.wallet_id
+LEFT JOIN ledger_journals j ON j.id = t.journal_id;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_wallet_created
+  ON transactions(wallet_id, created_at DESC);
@@ -0,0 +1,98 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Treasury & reconciliation
+-- Platform withdrawals are ledger journals against platform_revenue (the
+-- platform's own account) instead of wallet-less transactions. A nightly job
+-- compares wallets, escrow, platform revenue and the Stripe balance and
+-- stores what does not add up.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trigger            TEXT NOT NULL DEFAULT 'cron' CHECK (trigger IN ('cron','manual')),
+  status             TEXT NOT NULL DEFAULT 'running'
+                       CHECK (status IN ('running','ok','discrepancies','failed')),
+  summary            JSONB,
+  discrepancy_count  INTEGER NOT NULL DEFAULT 0,
+  error              TEXT,
+  started_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started
+  ON reconciliation_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id      UUID NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+  kind        TEXT NOT NULL
+                CHECK (kind IN ('ledger_identity','account_drift','wallet_drift','escrow','stripe_balance')),
+  currency    TEXT,
+  expected    NUMERIC(14,2),
+  actual      NUMERIC(14,2),
+  difference  NUMERIC(14,2),
+  details     JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at  TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_run
+  ON reconciliation_discrepancies(run_id);
+
+-- System account balance vs. ledger, per currency
+CREATE OR REPLACE VIEW ledger_account_drift AS
+SELECT
+  b.account_code,
+  b.currency,
+  b.balance                          AS stored_balance,
+  COALESCE(e.total, 0)               AS ledger_balance,
+  b.balance - COALESCE(e.total, 0)   AS drift
+FROM ledger_account_balances b
+LEFT JOIN (
+  SELECT account_code, currency, SUM(amount) AS total
+  FROM ledger_entries
+  WHERE account_code IS NOT NULL
+  GROUP BY account_code, currency
+) e ON e.account_code = b.account_code AND e.currency = b.currency;
+
+-- Wallet drift now reports the wallet's currency too
+CREATE OR REPLACE VIEW ledger_wallet_drift AS
+SELECT
+  w.id                              AS wallet_id,
+  w.user_id,
+  w.balance                         AS stored_balance,
+  COALESCE(SUM(e.amount), 0)        AS ledger_balance,
+  w.balance - COALESCE(SUM(e.amount), 0) AS drift,
+  w.currency
+FROM wallets w
+LEFT JOIN ledger_entries e ON e.wallet_id = w.id
+GROUP BY w.id, w.user_id, w.balance, w.currency;
+
+-- ───────────────────────────────────────────────────────────────────────────
+-- Company withdrawals recorded before this migration were transactions with
+-- no wallet. They were paid out of revenue earned before the ledger, which
+-- was never carried into platform_revenue, so book them against
+-- opening_equity: platform_revenue keeps only what the ledger credited it
+-- and stays what can still be withdrawn.
+-- ───────────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  v_total NUMERIC(14,2);
+BEGIN
+  SELECT COALESCE(SUM(ABS(amount)), 0) INTO v_total
+  FROM transactions
+  WHERE type = 'admin_withdrawal' AND wallet_id IS NULL AND journal_id IS NULL;
+
+  IF v_total > 0 THEN
+    PERFORM post_ledger_journal(
+      'withdrawal',
+      jsonb_build_array(
+        jsonb_build_object('account_code', 'opening_equity',  'amount', -v_total, 'currency', 'USD'),
+        jsonb_build_object('account_code', 'stripe_clearing', 'amount',  v_total, 'currency', 'USD')
+      ),
+      '[]'::jsonb,
+      'platform_withdrawal',
+      NULL,
+      'Company withdrawals recorded before the ledger',
+      'platform_withdrawal:legacy'
+    );
+  END IF;
+END $$;
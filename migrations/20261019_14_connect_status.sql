@@ -0,0 +1,18 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Stripe Connect status
+-- What Stripe still needs from a connected account, kept current from
+-- account.updated. Withdrawals require details submitted, payouts enabled
+-- and nothing past due.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS stripe_requirements_currently_due  TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS stripe_requirements_past_due       TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS stripe_requirements_eventually_due TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS stripe_disabled_reason             TEXT,
+  ADD COLUMN IF NOT EXISTS stripe_requirements_deadline       TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS stripe_account_updated_at          TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_stripe_connect_id
+  ON profiles(stripe_connect_id)
+  WHERE stripe_connect_id IS NOT NULL;
@@ -0,0 +1,91 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Subscriptions
+-- Recurring plus/pro/business plans, billed monthly or yearly from the wallet
+-- or a saved card. A user has at most one live subscription:
+--   active ──renewal fails──▶ past_due ──grace ends──▶ expired
+--     │                        └──paid──▶ active
+--     └──cancel──▶ cancelled_at_period_end ──period ends──▶ cancelled
+-- profiles.subscription_tier / subscription_expiry mirror the live row.
+-- A new plan or plan change whose card charge had an unclear outcome waits
+-- in `pending` until the cron finds the payment intent on Stripe.
+-- Every charge, failed renewal and proration credit is kept in
+-- subscription_charges; the money itself moves through the ledger.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id                        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id                   UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  tier                      TEXT NOT NULL CHECK (tier IN ('plus','pro','business')),
+  interval                  TEXT NOT NULL CHECK (interval IN ('month','year')),
+  -- What the current period cost, in `currency` (proration credits use it)
+  price                     NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+  currency                  TEXT NOT NULL DEFAULT 'USD',
+
+  status                    TEXT NOT NULL DEFAULT 'active'
+                              CHECK (status IN ('active','past_due','cancelled_at_period_end','cancelled','expired','pending')),
+  payment_method            TEXT NOT NULL DEFAULT 'wallet'
+                              CHECK (payment_method IN ('wallet','card')),
+  stripe_payment_method_id  TEXT,
+  pay_currency              TEXT NOT NULL,
+
+  current_period_start      TIMESTAMPTZ NOT NULL,
+  current_period_end        TIMESTAMPTZ NOT NULL,
+  grace_until               TIMESTAMPTZ,
+  renewal_attempts          INT NOT NULL DEFAULT 0,
+  last_renewal_error        TEXT,
+
+  -- Plan change scheduled for the next renewal
+  pending_tier              TEXT CHECK (pending_tier IN ('plus','pro','business')),
+  pending_interval          TEXT CHECK (pending_interval IN ('month','year')),
+
+  cancel_requested_at       TIMESTAMPTZ,
+  ended_at                  TIMESTAMPTZ,
+  created_at                TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at                TIMESTAMPTZ DEFAULT now(),
+
+  CHECK (payment_method = 'wallet' OR stripe_payment_method_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_one_live
+  ON subscriptions(user_id)
+  WHERE status IN ('active','past_due','cancelled_at_period_end','pending');
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due
+  ON subscriptions(status, current_period_end)
+  WHERE status IN ('active','past_due','cancelled_at_period_end');
+
+CREATE TABLE IF NOT EXISTS subscription_charges (
+  id                        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id           UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  user_id                   UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind                      TEXT NOT NULL CHECK (kind IN ('initial','renewal','proration','credit')),
+  tier                      TEXT NOT NULL,
+  interval                  TEXT NOT NULL,
+  -- Plan currency; paid_* is what left (or went back to) the wallet or card
+  amount                    NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+  currency                  TEXT NOT NULL,
+  paid_amount               NUMERIC(12,2),
+  paid_currency             TEXT,
+  payment_method            TEXT NOT NULL CHECK (payment_method IN ('wallet','card')),
+  status                    TEXT NOT NULL CHECK (status IN ('succeeded','failed','pending')),
+  failure_reason            TEXT,
+  period_start              TIMESTAMPTZ,
+  period_end                TIMESTAMPTZ,
+  journal_id                UUID REFERENCES ledger_journals(id),
+  stripe_payment_intent_id  TEXT,
+  -- Idempotency key of a card charge, also in the intent's metadata
+  charge_key                TEXT,
+  created_at                TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_charges_subscription
+  ON subscription_charges(subscription_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_charges_pending
+  ON subscription_charges(created_at)
+  WHERE status = 'pending';
+
+-- Legacy one-off purchases are downgraded by the cron once they expire
+CREATE INDEX IF NOT EXISTS idx_profiles_subscription_expiry
+  ON profiles(subscription_expiry)
+  WHERE subscription_tier IN ('plus','pro','business');
@@ -0,0 +1,42 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Boost stats
+-- Unexpired boosts are placed in listings as "Sponsored". Each placement
+-- counts an impression and opening the service from it counts a click,
+-- aggregated per boost, day and listing. Profile boosts now record which
+-- profile they promote (older rows promote the buyer).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE active_boosts
+  ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE;
+
+CREATE TABLE IF NOT EXISTS boost_stats (
+  boost_id     UUID NOT NULL REFERENCES active_boosts(id) ON DELETE CASCADE,
+  day          DATE NOT NULL,
+  placement    TEXT NOT NULL,
+  impressions  INT NOT NULL DEFAULT 0,
+  clicks       INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (boost_id, day, placement)
+);
+
+-- p_events: [{ boost_id, placement, impressions?, clicks? }]
+CREATE OR REPLACE FUNCTION record_boost_events(p_events JSONB)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  INSERT INTO boost_stats (boost_id, day, placement, impressions, clicks)
+  SELECT (e->>'boost_id')::uuid,
+         (now() AT TIME ZONE 'UTC')::date,
+         e->>'placement',
+         COALESCE((e->>'impressions')::int, 0),
+         COALESCE((e->>'clicks')::int, 0)
+  FROM jsonb_array_elements(p_events) AS e
+  ON CONFLICT (boost_id, day, placement) DO UPDATE
+    SET impressions = boost_stats.impressions + EXCLUDED.impressions,
+        clicks      = boost_stats.clicks + EXCLUDED.clicks;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_service_created
+  ON bookings(service_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_provider_created
+  ON bookings(provider_id, created_at);
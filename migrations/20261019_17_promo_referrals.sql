@@ -0,0 +1,170 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Promo codes and referrals
+-- Admins create promo codes: a percentage or fixed amount off bookings,
+-- subscriptions or boosts, with an optional window, a total redemption cap
+-- and a per-user cap. Each use is a promo_redemptions row; redeeming goes
+-- through redeem_promo_code() so the caps hold under concurrent checkouts.
+-- Redemptions of cancelled purchases are released and stop counting.
+--
+-- Every profile can share a referral code. A user who signs up with one is
+-- linked to the referrer (referrals, pending); their first completed paid
+-- booking credits both wallets and marks the referral rewarded.
+--
+-- Discounts on bookings and referral rewards are paid by the platform from
+-- the `promotions` ledger account.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+INSERT INTO ledger_accounts (code, description, allow_negative) VALUES
+  ('promotions', 'Promo discounts and referral rewards paid by the platform', TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+-- ── Promo codes ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code             TEXT NOT NULL UNIQUE CHECK (code = UPPER(code) AND code <> ''),
+  description      TEXT,
+  discount_type    TEXT NOT NULL CHECK (discount_type IN ('percent','fixed')),
+  discount_value   NUMERIC(12,2) NOT NULL CHECK (discount_value > 0),
+  -- Currency of a fixed discount and of max_discount
+  currency         TEXT NOT NULL DEFAULT 'USD',
+  max_discount     NUMERIC(12,2) CHECK (max_discount > 0),
+  applies_to       TEXT[] NOT NULL DEFAULT ARRAY['booking','subscription','boost']
+                     CHECK (applies_to <@ ARRAY['booking','subscription','boost'] AND cardinality(applies_to) > 0),
+  starts_at        TIMESTAMPTZ,
+  expires_at       TIMESTAMPTZ,
+  max_redemptions  INT CHECK (max_redemptions > 0),
+  per_user_limit   INT DEFAULT 1 CHECK (per_user_limit > 0),
+  redemption_count INT NOT NULL DEFAULT 0,
+  is_active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by       UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at       TIMESTAMPTZ DEFAULT now(),
+  updated_at       TIMESTAMPTZ DEFAULT now(),
+  CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_id         UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  user_id          UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  target_type      TEXT NOT NULL CHECK (target_type IN ('booking','subscription','boost')),
+  target_id        TEXT NOT NULL,
+  discount_amount  NUMERIC(12,2) NOT NULL CHECK (discount_amount >= 0),
+  currency         TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','released')),
+  created_at       TIMESTAMPTZ DEFAULT now(),
+  released_at      TIMESTAMPTZ,
+  UNIQUE (promo_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user
+  ON promo_redemptions(promo_id, user_id) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_target
+  ON promo_redemptions(target_type, target_id);
+
+-- Record one use of a code, re-checking every limit under a row lock.
+-- Raises PROMO_INVALID, PROMO_NOT_STARTED, PROMO_EXPIRED, PROMO_NOT_APPLICABLE,
+-- PROMO_EXHAUSTED or PROMO_USER_LIMIT.
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_code            TEXT,
+  p_user_id         UUID,
+  p_target_type     TEXT,
+  p_target_id       TEXT,
+  p_discount_amount NUMERIC,
+  p_currency        TEXT
+)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_promo  promo_codes;
+  v_used   INT;
+  v_row    promo_redemptions;
+BEGIN
+  SELECT * INTO v_promo FROM promo_codes WHERE code = UPPER(TRIM(p_code)) FOR UPDATE;
+  IF NOT FOUND OR NOT v_promo.is_active THEN
+    RAISE EXCEPTION 'PROMO_INVALID';
+  END IF;
+  IF v_promo.starts_at IS NOT NULL AND v_promo.starts_at > now() THEN
+    RAISE EXCEPTION 'PROMO_NOT_STARTED';
+  END IF;
+  IF v_promo.expires_at IS NOT NULL AND v_promo.expires_at <= now() THEN
+    RAISE EXCEPTION 'PROMO_EXPIRED';
+  END IF;
+  IF NOT (p_target_type = ANY (v_promo.applies_to)) THEN
+    RAISE EXCEPTION 'PROMO_NOT_APPLICABLE';
+  END IF;
+  IF v_promo.max_redemptions IS NOT NULL AND v_promo.redemption_count >= v_promo.max_redemptions THEN
+    RAISE EXCEPTION 'PROMO_EXHAUSTED';
+  END IF;
+
+  IF v_promo.per_user_limit IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used FROM promo_redemptions
+    WHERE promo_id = v_promo.id AND user_id = p_user_id AND status = 'active';
+    IF v_used >= v_promo.per_user_limit THEN
+      RAISE EXCEPTION 'PROMO_USER_LIMIT';
+    END IF;
+  END IF;
+
+  INSERT INTO promo_redemptions (promo_id, user_id, target_type, target_id, discount_amount, currency)
+  VALUES (v_promo.id, p_user_id, p_target_type, p_target_id, p_discount_amount, UPPER(p_currency))
+  RETURNING * INTO v_row;
+
+  UPDATE promo_codes
+  SET redemption_count = redemption_count + 1, updated_at = now()
+  WHERE id = v_promo.id;
+
+  RETURN v_row;
+END;
+$$;
+
+-- Give back the uses recorded for a purchase that did not go through.
+-- Returns how many were released.
+CREATE OR REPLACE FUNCTION release_promo_redemption(p_target_type TEXT, p_target_id TEXT)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row    promo_redemptions;
+  v_count  INT := 0;
+BEGIN
+  FOR v_row IN
+    UPDATE promo_redemptions
+    SET status = 'released', released_at = now()
+    WHERE target_type = p_target_type AND target_id = p_target_id AND status = 'active'
+    RETURNING *
+  LOOP
+    UPDATE promo_codes
+    SET redemption_count = GREATEST(redemption_count - 1, 0), updated_at = now()
+    WHERE id = v_row.promo_id;
+    v_count := v_count + 1;
+  END LOOP;
+  RETURN v_count;
+END;
+$$;
+
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS promo_code TEXT;
+
+-- ── Referrals ──────────────────────────────────────────────────────────────
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS referral_code TEXT UNIQUE,
+  ADD COLUMN IF NOT EXISTS referred_by   UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS referrals (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id      UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  -- A user can be referred once
+  referee_id       UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE,
+  code             TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','rewarded')),
+  booking_id       UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  reward_amount    NUMERIC(12,2),
+  reward_currency  TEXT,
+  created_at       TIMESTAMPTZ DEFAULT now(),
+  rewarded_at      TIMESTAMPTZ,
+  CHECK (referrer_id <> referee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer
+  ON referrals(referrer_id, created_at DESC);
@@ -0,0 +1,33 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Tips
+-- After a booking completes the client can add one tip within a window
+-- (TIP_WINDOW_DAYS). It moves straight from the client's wallet to the
+-- provider's, commission-free, as one `tip` journal with a `tip_sent` and a
+-- `tip_received` transaction. booking_tips keeps the amounts for stats.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE ledger_journals DROP CONSTRAINT IF EXISTS ledger_journals_kind_check;
+ALTER TABLE ledger_journals ADD CONSTRAINT ledger_journals_kind_check
+  CHECK (kind IN ('opening_balance','deposit','hold','release','refund',
+                  'commission','purchase','withdrawal','reversal','adjustment','tip'));
+
+CREATE TABLE IF NOT EXISTS booking_tips (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- One tip per booking
+  booking_id     UUID NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+  client_id      UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  provider_id    UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  -- What the provider received, in the booking currency
+  amount         NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  currency       TEXT NOT NULL,
+  -- What left the client's wallet
+  paid_amount    NUMERIC(12,2) NOT NULL,
+  paid_currency  TEXT NOT NULL,
+  fx_rate        NUMERIC(18,6) NOT NULL DEFAULT 1,
+  message        TEXT,
+  journal_id     UUID REFERENCES ledger_journals(id),
+  created_at     TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_tips_provider
+  ON booking_tips(provider_id, created_at DESC);
@@ -0,0 +1,71 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Invoices and receipts
+-- One numbered document per completed paid booking (seller: the provider,
+-- buyer: the client) and per platform purchase journal: event tickets,
+-- subscription charges, boosts and AI tools (seller: the platform).
+--
+-- Seller and buyer details, line items and amounts are copied in when the
+-- document is issued, so later profile or price changes do not alter it.
+-- Numbers come from one sequence: LK-<year>-<000001>.
+--
+-- Profiles get optional billing details that override the name on documents
+-- and carry a tax ID. The tax rate is server configuration (INVOICE_TAX_RATE),
+-- copied onto each document.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS billing_name    TEXT,
+  ADD COLUMN IF NOT EXISTS billing_address TEXT,
+  ADD COLUMN IF NOT EXISTS tax_id          TEXT;
+
+CREATE SEQUENCE IF NOT EXISTS invoice_number_seq;
+
+CREATE OR REPLACE FUNCTION next_invoice_number()
+RETURNS TEXT
+LANGUAGE sql
+AS $$
+  SELECT 'LK-' || to_char(now(), 'YYYY') || '-' || lpad(nextval('invoice_number_seq')::TEXT, 6, '0');
+$$;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  number             TEXT NOT NULL UNIQUE DEFAULT next_invoice_number(),
+  -- booking: source_id is the booking; purchase: source_id is the journal
+  source_type        TEXT NOT NULL CHECK (source_type IN ('booking','purchase')),
+  source_id          TEXT NOT NULL,
+  -- What was bought (journal reference for purchases)
+  reference_type     TEXT,
+  reference_id       TEXT,
+  journal_id         UUID REFERENCES ledger_journals(id),
+  -- NULL seller: the platform
+  seller_id          UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  buyer_id           UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  seller             JSONB NOT NULL,
+  buyer              JSONB NOT NULL,
+  line_items         JSONB NOT NULL DEFAULT '[]',
+  currency           TEXT NOT NULL,
+  subtotal           NUMERIC(12,2) NOT NULL,
+  discount           NUMERIC(12,2) NOT NULL DEFAULT 0,
+  fees               NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total              NUMERIC(12,2) NOT NULL,
+  -- Tax included in the total
+  tax_rate           NUMERIC(5,4) NOT NULL DEFAULT 0,
+  tax_amount         NUMERIC(12,2) NOT NULL DEFAULT 0,
+  -- Bookings only: what the platform kept from the seller
+  commission_rate    NUMERIC(5,4),
+  commission_amount  NUMERIC(12,2),
+  promo_code         TEXT,
+  -- What left the buyer's wallet or card
+  paid_amount        NUMERIC(12,2),
+  paid_currency      TEXT,
+  fx_rate            NUMERIC(18,8),
+  supplied_at        TIMESTAMPTZ,
+  issued_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_buyer
+  ON invoices(buyer_id, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_seller
+  ON invoices(seller_id, issued_at DESC) WHERE seller_id IS NOT NULL;
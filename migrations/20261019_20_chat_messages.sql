@@ -0,0 +1,75 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Rich chat messages
+-- Every message has a type: text, image, file, location, offer (a price quote
+-- from the provider) or system (status pills, sender_id NULL). Images and
+-- files live in the private `lifekit_chat` storage bucket under
+-- chats/<booking_id>/<sender_id>/ and are listed in `attachments`; location
+-- and offer details are in `metadata`.
+--
+-- Each upload is recorded in chat_attachments; a message can only carry
+-- recorded files, and their name, type and size come from that record.
+--
+-- Senders can edit their text and captions and delete their messages. A
+-- deleted message stays as a tombstone (deleted_at set, content cleared) so
+-- the conversation keeps its shape. The previous version of every edited or
+-- deleted message is kept in message_revisions for dispute review.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('lifekit_chat', 'lifekit_chat', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS type        TEXT,
+  ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS metadata    JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS edited_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_at  TIMESTAMPTZ;
+
+-- Image, file and location messages need no text; tombstones have none
+ALTER TABLE messages ALTER COLUMN content DROP NOT NULL;
+
+UPDATE messages
+SET type = CASE WHEN sender_id IS NULL THEN 'system' ELSE 'text' END
+WHERE type IS NULL OR type NOT IN ('text','image','file','location','offer','system');
+
+ALTER TABLE messages ALTER COLUMN type SET DEFAULT 'text';
+ALTER TABLE messages ALTER COLUMN type SET NOT NULL;
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_type_check;
+ALTER TABLE messages ADD CONSTRAINT messages_type_check
+  CHECK (type IN ('text','image','file','location','offer','system'));
+
+-- Cursor pagination walks (created_at, id) backwards
+CREATE INDEX IF NOT EXISTS idx_messages_booking_created
+  ON messages(booking_id, created_at DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS message_revisions (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id   UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  action       TEXT NOT NULL CHECK (action IN ('edit','delete')),
+  -- The message as it was before the action
+  content      TEXT,
+  attachments  JSONB NOT NULL DEFAULT '[]',
+  metadata     JSONB NOT NULL DEFAULT '{}',
+  created_at   TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_revisions_message
+  ON message_revisions(message_id, created_at);
+
+-- Revisions keep what senders deleted: no policies, so only the service role
+-- (the API's admin transcripts) can read them
+ALTER TABLE message_revisions ENABLE ROW LEVEL SECURITY;
+
+-- What the API stored for each chat upload. Messages copy name, mime_type
+-- and size from here instead of trusting the client.
+CREATE TABLE IF NOT EXISTS chat_attachments (
+  path         TEXT PRIMARY KEY,
+  uploader_id  UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  name         TEXT NOT NULL,
+  mime_type    TEXT NOT NULL,
+  size         BIGINT NOT NULL,
+  created_at   TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE chat_attachments ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Pre-booking inquiries
+-- A client can message a provider about a service (or the provider in
+-- general) before booking. An inquiry is a conversation of its own: its
+-- messages carry inquiry_id instead of booking_id. A client has at most one
+-- open inquiry per provider and service.
+--
+-- Booking with `inquiry_id` converts the inquiry: its messages get the new
+-- booking_id, so the booking chat starts with the whole history, and the
+-- inquiry stops taking messages. Either party can close an open inquiry.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS inquiries (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id     UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  provider_id   UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  service_id    UUID REFERENCES services(id) ON DELETE SET NULL,
+  status        TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','converted','closed')),
+  booking_id    UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  closed_by     UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ DEFAULT now(),
+  updated_at    TIMESTAMPTZ DEFAULT now(),
+  CHECK (client_id <> provider_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inquiries_one_open
+  ON inquiries(client_id, provider_id, COALESCE(service_id, '00000000-0000-0000-0000-000000000000'::UUID))
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_inquiries_client   ON inquiries(client_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inquiries_provider ON inquiries(provider_id, updated_at DESC);
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS inquiry_id UUID REFERENCES inquiries(id) ON DELETE CASCADE;
+
+ALTER TABLE messages ALTER COLUMN booking_id DROP NOT NULL;
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_conversation_check;
+ALTER TABLE messages ADD CONSTRAINT messages_conversation_check
+  CHECK (booking_id IS NOT NULL OR inquiry_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_messages_inquiry_created
+  ON messages(inquiry_id, created_at DESC, id DESC) WHERE inquiry_id IS NOT NULL;
@@ -0,0 +1,58 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Chat moderation
+-- Every message a participant sends or edits is screened for phone numbers,
+-- email addresses, payment handles, messenger contacts and abusive language
+-- (see src/utils/moderation.js). What happens to each category is admin
+-- policy: 'off' (ignored), 'flag' (delivered as written, case opened) or
+-- 'mask' (the matches are replaced before delivery, case opened).
+--
+-- A moderation case keeps what the sender actually wrote. Row level security
+-- with no policies keeps cases (and the masked details in them) away from
+-- clients; only the service role behind the admin API reads them.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS chat_moderation_policies (
+  category    TEXT PRIMARY KEY,
+  action      TEXT NOT NULL DEFAULT 'flag' CHECK (action IN ('off','flag','mask')),
+  updated_by  UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  updated_at  TIMESTAMPTZ DEFAULT now()
+);
+
+INSERT INTO chat_moderation_policies (category, action) VALUES
+  ('phone',     'mask'),
+  ('email',     'mask'),
+  ('payment',   'mask'),
+  ('messenger', 'flag'),
+  ('abuse',     'flag')
+ON CONFLICT (category) DO NOTHING;
+
+-- Categories found in the message as delivered ('{}' when clean)
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS moderation_flags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS moderation_cases (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id       UUID REFERENCES messages(id) ON DELETE SET NULL,
+  booking_id       UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  inquiry_id       UUID REFERENCES inquiries(id) ON DELETE SET NULL,
+  sender_id        UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  source           TEXT NOT NULL CHECK (source IN ('send','edit')),
+  categories       TEXT[] NOT NULL,
+  -- 'mask' if anything was masked, else 'flag'
+  action           TEXT NOT NULL CHECK (action IN ('flag','mask')),
+  -- [{ category, detector, field, match }]
+  findings         JSONB NOT NULL DEFAULT '[]',
+  -- The message fields as the sender wrote them: { content, metadata }
+  original         JSONB NOT NULL DEFAULT '{}',
+  status           TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','dismissed','actioned')),
+  resolution_note  TEXT,
+  resolved_by      UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  resolved_at      TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_cases_status ON moderation_cases(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_cases_sender ON moderation_cases(sender_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_cases_booking ON moderation_cases(booking_id) WHERE booking_id IS NOT NULL;
+
+ALTER TABLE moderation_cases ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,63 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Read receipts, typing and last seen
+-- Each message records when it reached the recipient's app (delivered_at)
+-- and when they read it (read_at). Both changes go out on the realtime
+-- publication with the rest of `messages`.
+--
+-- chat_activity holds one row per participant and conversation (a booking
+-- or an inquiry id). A participant is typing while typing_until is in the
+-- future; apps subscribe to the table filtered by conversation_id.
+--
+-- profiles.last_seen_at is refreshed by API activity. Users who turn
+-- show_last_seen off neither show nor see last seen and online status.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS read_at      TIMESTAMPTZ;
+
+-- Messages read before receipts existed: the best we know is when they were sent
+UPDATE messages
+SET delivered_at = created_at, read_at = created_at
+WHERE is_read = TRUE AND sender_id IS NOT NULL AND read_at IS NULL;
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS last_seen_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS show_last_seen BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS chat_activity (
+  -- bookings.id or inquiries.id
+  conversation_id  UUID NOT NULL,
+  user_id          UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  typing_until     TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+-- Realtime delivers rows only to the participants of the conversation
+ALTER TABLE chat_activity ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS chat_activity_participants ON chat_activity;
+CREATE POLICY chat_activity_participants ON chat_activity
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.id = conversation_id AND auth.uid() IN (b.client_id, b.provider_id)
+    )
+    OR EXISTS (
+      SELECT 1 FROM inquiries i
+      WHERE i.id = conversation_id AND auth.uid() IN (i.client_id, i.provider_id)
+    )
+  );
+
+-- ADD TABLE fails if the table is already published, so check first to keep
+-- the migration re-runnable
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'chat_activity'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_activity;
+  END IF;
+END $$;
@@ -0,0 +1,119 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder');
+
+// Sends a locally signed Stripe event to the running server, so the webhook
+// can be exercised without the Stripe CLI.
+//
+// Usage:
+//   node scripts/send_test_stripe_webhook.js <event_type> [json_overrides]
+//
+// Examples:
+//   node scripts/send_test_stripe_webhook.js payment_intent.succeeded '{"id":"pi_test_1","amount":2500,"metadata":{"walletId":"<wallet uuid>","type":"wallet_deposit"}}'
+//   node scripts/send_test_stripe_webhook.js charge.refunded '{"payment_intent":"pi_test_1","amount_refunded":1000}'
+//   node scripts/send_test_stripe_webhook.js account.updated '{"id":"acct_123","payouts_enabled":true}'
+//   STRIPE_ACCOUNT=acct_123 node scripts/send_test_stripe_webhook.js payout.failed
+
+const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const url = process.env.WEBHOOK_URL || `http://localhost:${PORT}/wallet/webhooks/stripe`;
+
+if (!webhookSecret) {
+  console.error('Missing STRIPE_WEBHOOK_SECRET in .env');
+  process.exit(1);
+}
+
+const DEFAULT_OBJECTS = {
+  'payment_intent.succeeded': {
+    id: 'pi_test_local',
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: 1000,
+    amount_received: 1000,
+    currency: 'usd',
+    metadata: { type: 'wallet_deposit', walletId: '', userId: '' }
+  },
+  'payment_intent.payment_failed': {
+    id: 'pi_test_local',
+    object: 'payment_intent',
+    status: 'requires_payment_method',
+    amount: 1000,
+    currency: 'usd',
+    last_payment_error: { message: 'Your card was declined.' },
+    metadata: { type: 'wallet_deposit', walletId: '', userId: '' }
+  },
+  'charge.refunded': {
+    id: 'ch_test_local',
+    object: 'charge',
+    payment_intent: 'pi_test_local',
+    amount: 1000,
+    amount_refunded: 1000,
+    refunded: true
+  },
+  'transfer.reversed': {
+    id: 'tr_test_local',
+    object: 'transfer',
+    amount: 1000,
+    amount_reversed: 1000,
+    metadata: { walletId: '', withdrawalReference: '' }
+  },
+  'payout.failed': {
+    id: 'po_test_local',
+    object: 'payout',
+    amount: 1000,
+    currency: 'usd',
+    status: 'failed',
+    failure_code: 'account_closed',
+    failure_message: 'The bank account has been closed.'
+  },
+  'account.updated': {
+    id: 'acct_test_local',
+    object: 'account',
+    charges_enabled: true,
+    payouts_enabled: true,
+    details_submitted: true
+  }
+};
+
+async function main() {
+  const [type, overridesJson] = process.argv.slice(2);
+
+  if (!DEFAULT_OBJECTS[type]) {
+    console.error(`Usage: node scripts/send_test_stripe_webhook.js <${Object.keys(DEFAULT_OBJECTS).join('|')}> [json_overrides]`);
+    process.exit(1);
+  }
+
+  const overrides = overridesJson ? JSON.parse(overridesJson) : {};
+  const base = DEFAULT_OBJECTS[type];
+  const object = {
+    ...base,
+    ...overrides,
+    metadata: { ...(base.metadata || {}), ...(overrides.metadata || {}) }
+  };
+
+  const payload = JSON.stringify({
+    id: `evt_test_${Date.now()}`,
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    ...(process.env.STRIPE_ACCOUNT && { account: process.env.STRIPE_ACCOUNT }),
+    data: { object }
+  });
+
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+
+  console.log(`Sending ${type} to ${url}...`);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+
+  console.log(`Status: ${response.status}`);
+  console.log(await response.text());
+}
+
+main().catch((error) => {
+  console.error('Webhook test failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+// src/middleware/entitlementMiddleware.js
+const entitlements = require('../utils/entitlements');
+
+// Gate a route on a plan feature, e.g. requireEntitlement('ai.chat').
+// Must run after authenticateToken; leaves the result on req.entitlements.
+function requireEntitlement(feature) {
+  return async function checkEntitlement(req, res, next) {
+    try {
+      const resolved = await entitlements.forRequest(req);
+      if (resolved.features[feature]?.allowed) return next();
+      return res.status(403).json(entitlements.deniedBody(resolved, feature));
+    } catch (err) {
+      console.error(`requireEntitlement(${feature}) error:`, err);
+      return res.status(500).json({ error: 'Failed to verify subscription.' });
+    }
+  };
+}
+
+module.exports = requireEntitlement;
@@ -1,12 +1,20 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 // CRITICAL: Import supabaseAdmin to bypass RLS for Admin views
 const { supabaseAdmin } = require('../config/supabase'); 
 const authenticateAdmin = require('../middleware/adminMiddleware');
-const chatRoutes = require('./chatRoutes');
 // ADDED: subMonths and format are needed for the charts
 const { startOfMonth, startOfWeek, startOfYear, subMonths, format } = require('date-fns');
 const { translateText } = require('../utils/autoTranslate');
+const ledger = require('../utils/ledger');
+const bookingLifecycle = require('../utils/bookingLifecycle');
+const commission = require('../utils/commission');
+const promos = require('../utils/promos');
+const moderation = require('../utils/moderation');
+const chatArchive = require('../utils/chatArchive');
+const fx = require('../utils/fx');
+const reconciliation = require('../utils/reconciliation');
 
 // ── i18n helpers ──────────────────────────────────────────────────────────────
 function getLang(req) {
@@ -32,7 +40,45 @@ function localiseService(svc, lang) {
 // Apply Admin Security to all routes
 router.use(authenticateAdmin);
 
-const COMMISSION_RATE = 0.08; // 8% commission
+// Platform revenue straight from the ledger (commission, booking fees and
+// purchases), each entry converted to USD for the dashboard. Company
+// withdrawals debit the same account and are left out here.
+const REPORTING_CURRENCY = 'USD';
+
+const loadPlatformRevenue = async () => {
+  const entries = await ledger.readAll(() => supabaseAdmin
+    .from('ledger_entries')
+    .select('amount, currency, created_at, ledger_journals!inner(kind)')
+    .eq('account_code', ledger.ACCOUNTS.PLATFORM_REVENUE)
+    .neq('ledger_journals.kind', 'withdrawal')
+    .order('id', { ascending: true }));
+
+  const rates = {};
+  for (const currency of new Set((entries || []).map((e) => e.currency || REPORTING_CURRENCY))) {
+    rates[currency] = (await fx.getRate(currency, REPORTING_CURRENCY)).rate;
+  }
+  const toReporting = (amount, currency) => Number(amount) * rates[currency || REPORTING_CURRENCY];
+
+  return {
+    rows: (entries || []).map((e) => ({
+      amount: toReporting(e.amount, e.currency),
+      kind: e.ledger_journals?.kind,
+      created_at: e.created_at
+    })),
+    rates,
+    toReporting
+  };
+};
+
+// Sum of { currency: amount } in the reporting currency
+const toReportingTotal = async (byCurrency = {}) => {
+  let total = 0;
+  for (const [currency, amount] of Object.entries(byCurrency)) {
+    total += (await fx.convert(amount, currency, REPORTING_CURRENCY)).amount;
+  }
+  return ledger.roundMoney(total);
+};
+
 const isOverdueBooking = (booking, now = new Date()) => {
   const normalizedStatus = String(booking?.status || '').toLowerCase();
   if (normalizedStatus !== 'confirmed' || !booking?.scheduled_time) return false;
@@ -53,33 +99,45 @@ router.get('/analytics', async (req, res) => {
     const sixMonthsAgo = subMonths(today, 6).toISOString();
 
     // 1. FETCH RAW DATA (Parallel requests for speed)
-    const [transactionsRes, bookingsRes, profilesRes, servicesRes, withdrawalsRes] = await Promise.all([
-      // A. All successful payments (Income)
-      supabaseAdmin.from('transactions').select('amount, created_at').eq('type', 'payment').eq('status', 'success'),
+    const [revenue, commissionRows, bookingsRes, profilesRes, servicesRes, accountBalances] = await Promise.all([
+      // A. Everything credited to platform revenue in the ledger
+      loadPlatformRevenue(),
+
+      // B. Commission kept on provider payouts (recorded as its own transaction)
+      ledger.readAll(() => supabaseAdmin
+        .from('transactions')
+        .select('amount, currency')
+        .eq('type', 'commission')
+        .eq('status', 'success')
+        .order('id', { ascending: true })),
       
-      // B. All bookings (for counts & chart)
+      // C. All bookings (for counts & chart)
       supabaseAdmin.from('bookings').select('created_at').gte('created_at', sixMonthsAgo),
       
-      // C. All profiles (for Demographics/Devices)
+      // D. All profiles (for Demographics/Devices)
       supabaseAdmin.from('profiles').select('country, signup_platform'), 
       
-      // D. Services (for Category breakdown)
+      // E. Services (for Category breakdown)
       supabaseAdmin.from('services').select('price, service_categories(name)'),
 
-      // E. Admin Withdrawals (To calculate available balance)
-      supabaseAdmin.from('transactions').select('amount').eq('type', 'admin_withdrawal')
+      // F. Platform account balances (what is left after company withdrawals)
+      ledger.getAccountBalances()
     ]);
 
-    if (transactionsRes.error) throw transactionsRes.error;
-
     // 2. CALCULATE TOP CARDS
-    const totalRevenue = transactionsRes.data.reduce((sum, t) => sum + Number(t.amount), 0);
-    const totalWithdrawals = withdrawalsRes.data.reduce((sum, t) => sum + Math.abs(Number(t.amount)), 0);
+    const sumOf = (rows) => rows.reduce((sum, r) => sum + r.amount, 0);
+    const totalRevenue = sumOf(revenue.rows);
+    const purchaseRevenue = sumOf(revenue.rows.filter((r) => r.kind === 'purchase'));
+    // Commission rows are negative on the provider's side
+    const commissionRevenue = commissionRows.reduce(
+      (sum, t) => sum + Math.abs(revenue.toReporting(t.amount, t.currency) || 0), 0
+    );
+    const bookingFeeRevenue = sumOf(revenue.rows.filter((r) => r.kind === 'release' || r.kind === 'refund')) - commissionRevenue;
     
-    // Logic: Your profit is 8% of total revenue
-    const grossProfit = totalRevenue * COMMISSION_RATE; 
-    // Available to withdraw = Profit - What you already took out
-    const availableBalance = grossProfit - totalWithdrawals;
+    // The platform's revenue is what the ledger credited to it, no estimate
+    const grossProfit = totalRevenue;
+    // Available to withdraw = the platform account's balance
+    const availableBalance = await toReportingTotal(accountBalances[ledger.ACCOUNTS.PLATFORM_REVENUE]);
 
     // 3. CALCULATE MAIN CHART DATA (Revenue vs Bookings per Month)
     const chartMap = {};
@@ -92,10 +150,10 @@ router.get('/analytics', async (req, res) => {
     }
 
     // Fill Revenue
-    transactionsRes.data.forEach(t => {
-        const key = format(new Date(t.created_at), 'MMM');
+    revenue.rows.forEach(r => {
+        const key = format(new Date(r.created_at), 'MMM');
         if (chartMap[key]) {
-            chartMap[key].revenue += (Number(t.amount) * COMMISSION_RATE); 
+            chartMap[key].revenue += r.amount; 
         }
     });
 
@@ -150,9 +208,15 @@ router.get('/analytics', async (req, res) => {
             total_revenue: totalRevenue,
             net_profit: grossProfit,
             available_balance: availableBalance,
+            currency: REPORTING_CURRENCY,
             total_bookings: bookingsRes.data.length,
             total_users: profilesRes.data.length
         },
+        revenue_breakdown: {
+            commission: commissionRevenue,
+            booking_fees: bookingFeeRevenue,
+            purchases: purchaseRevenue
+        },
         chart: chartData,
         demographics: countryData,
         categories: categoryData,
@@ -167,37 +231,400 @@ router.get('/analytics', async (req, res) => {
 
 /**
  * =========================================================================
- * 2. NEW: POST /admin/withdraw
- * Records a withdrawal of company profits.
+ * 2. POST /admin/withdraw
+ * Takes company profits out of the platform account (platform_revenue).
+ * Body: amount, idempotency_key?, currency? (default USD), destination?
+ * A retry with the same idempotency_key records nothing new. Without one the
+ * server makes a key up, so only that exact request is recorded once.
  * =========================================================================
  */
 router.post('/withdraw', async (req, res) => {
     const { amount, destination } = req.body; 
+    const idempotency_key = req.body.idempotency_key ?? crypto.randomUUID();
 
     try {
         if (!amount || amount <= 0) return res.status(400).json({ error: "Invalid amount" });
+        if (typeof idempotency_key !== 'string' || idempotency_key.length < 8 || idempotency_key.length > 100) {
+            return res.status(400).json({ error: "idempotency_key must be 8-100 characters" });
+        }
+
+        const currency = fx.normalizeCurrency(req.body.currency);
 
-        // Insert Withdrawal Record
-        const { data, error } = await supabaseAdmin
-            .from('transactions')
-            .insert({
-                wallet_id: null, // Null because it's the System/Admin wallet
-                type: 'admin_withdrawal',
-                amount: -amount, // Negative because money is leaving
-                status: 'success',
+        // The journal itself refuses to take platform_revenue below zero, so
+        // two withdrawals at once can't both spend the same balance.
+        let journal;
+        try {
+            journal = await ledger.withdrawPlatformFunds({
+                amount: Number(amount),
+                currency,
+                reference: idempotency_key,
                 description: `Admin Payout to ${destination || 'Bank'}`
-            })
-            .select()
-            .single();
+            });
+        } catch (err) {
+            if (!ledger.isInsufficientFunds(err)) throw err;
+            const balances = await ledger.getAccountBalances();
+            const available = balances[ledger.ACCOUNTS.PLATFORM_REVENUE]?.[currency] || 0;
+            return res.status(400).json({ error: "Insufficient platform funds", available, currency });
+        }
 
-        if (error) throw error;
-        res.json({ message: "Withdrawal recorded successfully", transaction: data });
+        const [transaction, balances] = await Promise.all([
+            ledger.getPlatformWithdrawal(idempotency_key),
+            ledger.getAccountBalances()
+        ]);
+        res.json({
+            message: journal.duplicate ? "Withdrawal already recorded" : "Withdrawal recorded successfully",
+            transaction,
+            journal_id: transaction?.id || journal.journal_id,
+            duplicate: journal.duplicate,
+            idempotency_key,
+            available: balances[ledger.ACCOUNTS.PLATFORM_REVENUE]?.[currency] || 0,
+            currency
+        });
 
     } catch (error) {
+        if (fx.isFxError(error)) return res.status(error.status).json({ error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
 
+// GET /admin/treasury
+// The platform account per currency plus its latest movements.
+router.get('/treasury', async (req, res) => {
+  try {
+    const balances = await ledger.getAccountBalances();
+    const platform = balances[ledger.ACCOUNTS.PLATFORM_REVENUE] || {};
+
+    const { data: movements, error } = await supabaseAdmin
+      .from('ledger_entries')
+      .select('amount, currency, created_at, ledger_journals(kind, description, reference_type, reference_id)')
+      .eq('account_code', ledger.ACCOUNTS.PLATFORM_REVENUE)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+    res.json({
+      balances: platform,
+      total: await toReportingTotal(platform),
+      currency: REPORTING_CURRENCY,
+      accounts: balances,
+      movements: movements || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/reconciliation
+// Latest reconciliation runs (nightly via /cron/reconcile).
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const runs = await reconciliation.listRuns({ limit: req.query.limit });
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/reconciliation/run
+// Runs the reconciliation now.
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const run = await reconciliation.runReconciliation({ trigger: 'manual' });
+    res.status(201).json(await reconciliation.getRun(run.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/reconciliation/:id
+// One run with its discrepancies and their drill-down details.
+router.get('/reconciliation/:id', async (req, res) => {
+  try {
+    const run = await reconciliation.getRun(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/ledger/drift
+// Wallets and system accounts whose stored balance disagrees with the sum of
+// their ledger entries. Empty lists mean everything is explained by the ledger.
+router.get('/ledger/drift', async (req, res) => {
+  try {
+    const [drift, accounts] = await Promise.all([ledger.getWalletDrift(), ledger.getAccountDrift()]);
+    res.json({ ok: drift.length === 0 && accounts.length === 0, wallets: drift, accounts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+
+// GET /admin/commission-rules
+router.get('/commission-rules', async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('commission_rules')
+      .select('*, service_categories(name)')
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    res.json({ default_rate: commission.DEFAULT_RATE, rules: data || [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/commission-rules/preview?provider_id=&category_id=
+// Which rule and rate a provider's next payout would get.
+router.get('/commission-rules/preview', async (req, res) => {
+  const { provider_id, category_id } = req.query;
+  if (!provider_id) return res.status(400).json({ error: 'provider_id is required.' });
+
+  try {
+    const result = await commission.resolveCommission({ providerId: provider_id, categoryId: category_id || null });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/commission-rules
+router.post('/commission-rules', async (req, res) => {
+  try {
+    const rule = commission.sanitizeRule(req.body);
+    const { data, error } = await supabaseAdmin
+      .from('commission_rules')
+      .insert({ ...rule, updated_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.status(201).json({ message: 'Commission rule created', rule: data });
+  } catch (error) {
+    if (commission.isCommissionError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /admin/commission-rules/:id
+router.put('/commission-rules/:id', async (req, res) => {
+  try {
+    const changes = commission.sanitizeRule(req.body, { partial: true });
+    const { data, error } = await supabaseAdmin
+      .from('commission_rules')
+      .update({ ...changes, updated_by: req.user.id, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Rule not found.' });
+    res.json({ message: 'Commission rule updated', rule: data });
+  } catch (error) {
+    if (commission.isCommissionError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/commission-rules/:id
+// Deactivates rather than deletes: past payouts keep pointing at the rule.
+router.delete('/commission-rules/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('commission_rules')
+      .update({ is_active: false, updated_by: req.user.id, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Rule not found.' });
+    res.json({ message: 'Commission rule deactivated', rule: data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/promo-codes?active=true
+router.get('/promo-codes', async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('promo_codes')
+      .select('*')
+      .order('created_at', { ascending: false });
+    if (req.query.active !== undefined) query = query.eq('is_active', req.query.active === 'true');
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ promo_codes: data || [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/promo-codes/:id/redemptions
+router.get('/promo-codes/:id/redemptions', async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('promo_redemptions')
+      .select('*, profiles(full_name, email)')
+      .eq('promo_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) throw error;
+    res.json({ redemptions: data || [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/promo-codes
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const promo = promos.sanitizePromo(req.body);
+    const { data, error } = await supabaseAdmin
+      .from('promo_codes')
+      .insert({ ...promo, created_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'A promo code with this code already exists.' });
+      throw error;
+    }
+    res.status(201).json({ message: 'Promo code created', promo_code: data });
+  } catch (error) {
+    if (promos.isPromoError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /admin/promo-codes/:id
+router.put('/promo-codes/:id', async (req, res) => {
+  try {
+    const changes = promos.sanitizePromo(req.body, { partial: true });
+    const { data, error } = await supabaseAdmin
+      .from('promo_codes')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'A promo code with this code already exists.' });
+      throw error;
+    }
+    if (!data) return res.status(404).json({ error: 'Promo code not found.' });
+    res.json({ message: 'Promo code updated', promo_code: data });
+  } catch (error) {
+    if (promos.isPromoError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/promo-codes/:id
+// Deactivates rather than deletes: redemptions keep pointing at the code.
+router.delete('/promo-codes/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('promo_codes')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Promo code not found.' });
+    res.json({ message: 'Promo code deactivated', promo_code: data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/moderation/policies
+router.get('/moderation/policies', async (req, res) => {
+  try {
+    res.json({ actions: moderation.ACTIONS, policies: await moderation.listPolicies() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /admin/moderation/policies/:category
+// Body: action ('off' | 'flag' | 'mask'). Applies to messages sent from now on.
+router.put('/moderation/policies/:category', async (req, res) => {
+  try {
+    const policy = await moderation.updatePolicy(req.params.category, req.body.action, req.user.id);
+    res.json({ message: 'Moderation policy updated', policy });
+  } catch (error) {
+    if (moderation.isModerationError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/moderation/cases?status=open|dismissed|actioned|all&category=&sender_id=&booking_id=&limit=&offset=
+router.get('/moderation/cases', async (req, res) => {
+  const { status, category, sender_id, booking_id, limit, offset } = req.query;
+
+  try {
+    const page = await moderation.listCases({
+      status: status || 'open',
+      category,
+      senderId: sender_id,
+      bookingId: booking_id,
+      limit,
+      offset
+    });
+    res.json(page);
+  } catch (error) {
+    if (moderation.isModerationError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/moderation/cases/:id
+// The original text, the message as delivered and the conversation leading up to it.
+router.get('/moderation/cases/:id', async (req, res) => {
+  try {
+    res.json({ case: await moderation.getCase(req.params.id) });
+  } catch (error) {
+    if (moderation.isModerationError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /admin/moderation/cases/:id/resolve
+// Body: status ('dismissed' | 'actioned'), note?
+// Suspending the sender is separate (PUT /admin/users/:id/status).
+router.put('/moderation/cases/:id/resolve', async (req, res) => {
+  try {
+    const resolved = await moderation.resolveCase(req.params.id, req.body, req.user.id);
+    res.json({ message: `Case ${resolved.status}`, case: resolved });
+  } catch (error) {
+    if (moderation.isModerationError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
 
 /**
  * =========================================================================
@@ -208,20 +635,22 @@ router.post('/withdraw', async (req, res) => {
 // GET /admin/stats (Simplified version used by Dashboard)
 router.get('/stats', async (req, res) => {
   try {
-    const [revenue, bookings, pendingServices, users] = await Promise.all([
-      supabaseAdmin.from('transactions').select('amount').eq('type', 'payment'), 
+    const [revenue, bookings, pendingServices, users, moderationCases] = await Promise.all([
+      loadPlatformRevenue(),
       supabaseAdmin.from('bookings').select('*', { count: 'exact', head: true }),
       supabaseAdmin.from('services').select('*', { count: 'exact', head: true }).eq('status', 'pending'),
-      supabaseAdmin.from('profiles').select('*', { count: 'exact', head: true })
+      supabaseAdmin.from('profiles').select('*', { count: 'exact', head: true }),
+      supabaseAdmin.from('moderation_cases').select('*', { count: 'exact', head: true }).eq('status', 'open')
     ]);
 
-    const totalMoney = revenue.data?.reduce((acc, curr) => acc + Math.abs(Number(curr.amount)), 0) || 0;
+    const totalMoney = revenue.rows.reduce((acc, curr) => acc + curr.amount, 0);
 
     res.json({
       total_revenue: totalMoney,
       total_bookings: bookings.count || 0,
       pending_reviews: pendingServices.count || 0,
-      total_users: users.count || 0
+      total_users: users.count || 0,
+      open_moderation_cases: moderationCases.count || 0
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -650,6 +1079,7 @@ router.get('/disputes', async (req, res) => {
         dispute_status: dispute?.status || 'open',
         initiator:      dispute?.initiator || null,
         created_at:     dispute?.created_at || booking.updated_at,
+        transcript_url: `/admin/disputes/${booking.id}/transcript?format=pdf`,
         bookings:       booking,
       };
     });
@@ -660,6 +1090,30 @@ router.get('/disputes', async (req, res) => {
   }
 });
 
+// GET /admin/disputes/:bookingId/transcript
+// The booking's whole chat, including edit history, deleted messages and text
+// masked by moderation. Query: format? ('json' | 'pdf', default json)
+router.get('/disputes/:bookingId/transcript', async (req, res) => {
+  const exportFormat = String(req.query.format || 'json').toLowerCase();
+
+  try {
+    if (!['json', 'pdf'].includes(exportFormat)) {
+      return res.status(400).json({ error: 'format must be json or pdf.' });
+    }
+
+    const transcript = await chatArchive.buildTranscript(req.params.bookingId, { admin: true });
+    if (exportFormat === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="chat-${transcript.booking.id}-admin.pdf"`);
+      return res.status(200).send(chatArchive.toPdf(transcript));
+    }
+    res.status(200).json(transcript);
+  } catch (error) {
+    if (chatArchive.isArchiveError(error)) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /admin/disputes/:bookingId/resolve
 // Resolves a disputed booking by booking_id. Works whether or not a dispute
 // record exists in the disputes table.
@@ -693,35 +1147,11 @@ router.post('/disputes/:bookingId/resolve', async (req, res) => {
       return res.status(400).json({ error: 'Dispute already resolved.' });
     }
 
-    if (verdict === 'refund_client') {
-      await supabaseAdmin.from('bookings').update({ status: 'cancelled' }).eq('id', bookingId);
-      await chatRoutes.insertSystemStatusMessage(bookingId, 'cancelled');
-
-      if (booking.total_price > 0) {
-        const { data: clientWallet } = await supabaseAdmin
-          .from('wallets').select('*').eq('user_id', booking.client_id).single();
-        const refundBalance = parseFloat(clientWallet.balance) + parseFloat(booking.total_price);
-        await supabaseAdmin.from('wallets').update({ balance: refundBalance }).eq('id', clientWallet.id);
-        await supabaseAdmin.from('transactions').insert({
-          wallet_id: clientWallet.id, type: 'refund', amount: booking.total_price,
-          status: 'success', description: `Admin refund for Booking #${bookingId}`
-        });
-      }
-    } else {
-      await supabaseAdmin.from('bookings').update({ status: 'completed' }).eq('id', bookingId);
-      await chatRoutes.insertSystemStatusMessage(bookingId, 'completed');
-
-      if (booking.total_price > 0) {
-        const { data: providerWallet } = await supabaseAdmin
-          .from('wallets').select('*').eq('user_id', booking.provider_id).single();
-        const newBalance = parseFloat(providerWallet.balance) + parseFloat(booking.total_price);
-        await supabaseAdmin.from('wallets').update({ balance: newBalance }).eq('id', providerWallet.id);
-        await supabaseAdmin.from('transactions').insert({
-          wallet_id: providerWallet.id, type: 'earning', amount: booking.total_price,
-          status: 'success', description: `Admin payout for Booking #${bookingId}`
-        });
-      }
-    }
+    await bookingLifecycle.transitionBooking(
+      booking,
+      verdict === 'refund_client' ? 'resolve_refund' : 'resolve_release',
+      { actorId: req.user.id, actorRole: 'admin', metadata: { verdict, dispute_id: dispute?.id || null } }
+    );
 
     // Mark the dispute record as resolved if one exists
     if (dispute) {
@@ -731,28 +1161,11 @@ router.post('/disputes/:bookingId/resolve', async (req, res) => {
         .eq('id', dispute.id);
     }
 
-    // Notify both parties
-    await supabaseAdmin.from('notifications').insert([
-      {
-        user_id: booking.client_id,
-        title: verdict === 'refund_client' ? 'Dispute Resolved: Refunded 💸' : 'Dispute Resolved',
-        message: verdict === 'refund_client'
-          ? 'Admin resolved the dispute. Your funds have been refunded to your wallet.'
-          : 'Admin resolved the dispute in favor of the provider.',
-        type: 'dispute_resolved', reference_id: bookingId, is_read: false,
-      },
-      {
-        user_id: booking.provider_id,
-        title: verdict === 'pay_provider' ? 'Dispute Resolved: Paid 💰' : 'Dispute Resolved',
-        message: verdict === 'pay_provider'
-          ? 'Admin resolved the dispute. Funds have been released to your wallet.'
-          : 'Admin resolved the dispute in favor of the client.',
-        type: 'dispute_resolved', reference_id: bookingId, is_read: false,
-      },
-    ]);
-
     res.json({ message: `Dispute resolved: ${verdict}`, booking_id: bookingId });
   } catch (error) {
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Dispute resolve error:', error.message);
     res.status(500).json({ error: error.message });
   }
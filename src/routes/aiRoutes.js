@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const authenticateToken = require('../middleware/authMiddleware');
+const requireEntitlement = require('../middleware/entitlementMiddleware');
 const { supabaseAdmin } = require('../config/supabase');
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -52,42 +53,6 @@ DO NOT translate JSON keys or enum/category values — keep those exactly as spe
 Use proper ${name} grammar, punctuation, and native phrasing. Do not mix languages inside the same sentence.`;
 }
 
-// ── Middleware: Premium AI gate ─────────────────────────────────────────────
-// Allows: pro, business, OR any tier with an active trial_end_date.
-// Must run after authenticateToken.
-async function requirePremiumAI(req, res, next) {
-  try {
-    const { data: profile, error } = await supabaseAdmin
-      .from('profiles')
-      .select('subscription_tier, trial_end_date')
-      .eq('id', req.user.id)
-      .single();
-
-    if (error || !profile) {
-      return res.status(403).json({
-        error: 'Could not verify subscription.',
-        requires_upgrade: true,
-      });
-    }
-
-    const tier = (profile.subscription_tier || '').toLowerCase();
-    const isTrialActive =
-      profile.trial_end_date && new Date(profile.trial_end_date) > new Date();
-
-    if (tier === 'pro' || tier === 'business' || isTrialActive) {
-      return next();
-    }
-
-    return res.status(403).json({
-      error: 'AI features require a Pro or Business subscription.',
-      requires_upgrade: true,
-    });
-  } catch (err) {
-    console.error('requirePremiumAI error:', err);
-    return res.status(500).json({ error: 'Failed to verify subscription.' });
-  }
-}
-
 // Fallback model cascade — tried in order until one succeeds
 const FALLBACK_MODELS = [
   'gemini-flash-latest',
@@ -132,7 +97,7 @@ Do not include any explanation, markdown, or extra text outside the JSON object.
 
 // POST /ai/generate-service
 // Protected: requires Pro or Business subscription
-router.post('/generate-service', authenticateToken, requirePremiumAI, async (req, res) => {
+router.post('/generate-service', authenticateToken, requireEntitlement('ai.generate_service'), async (req, res) => {
   const { prompt } = req.body;
 
   if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -258,7 +223,7 @@ async function generateWithFallback(systemInstruction, userPrompt, history = [])
 // ── POST /ai/chat ──────────────────────────────────────────────────────────
 // Module 2.1 — LifeKit AI Assistant (core chat engine)
 // Body: { message: string, history?: Array<{ role: 'user'|'model', text: string }> }
-router.post('/chat', authenticateToken, requirePremiumAI, async (req, res) => {
+router.post('/chat', authenticateToken, requireEntitlement('ai.chat'), async (req, res) => {
   const { message, history } = req.body;
 
   if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -490,7 +455,7 @@ Do not include any explanation, markdown, or extra text outside the JSON object.
 // ── GET /ai/opportunities ──────────────────────────────────────────────────
 // Module 2.3 — AI Opportunity Engine
 // Returns AI-identified market gaps based on the user's skills vs. platform trends.
-router.get('/opportunities', authenticateToken, requirePremiumAI, async (req, res) => {
+router.get('/opportunities', authenticateToken, requireEntitlement('ai.opportunities'), async (req, res) => {
   const userId = req.user.id; // set by authenticateToken middleware
 
   try {
@@ -585,7 +550,7 @@ ${languageInstruction(lang)}`;
 // ── GET /ai/discovery ──────────────────────────────────────────────────────
 // Module 2.5 & 2.6 — Daily Discovery & Personalised Recommendations
 // Returns 3 AI-curated items (event, service, or community) tailored to the user.
-router.get('/discovery', authenticateToken, requirePremiumAI, async (req, res) => {
+router.get('/discovery', authenticateToken, requireEntitlement('ai.discovery'), async (req, res) => {
   const userId = req.user.id;
 
   try {
@@ -765,7 +730,7 @@ ${languageInstruction(lang)}`;
 // AI Bi-directional Skill Swap Matcher
 // Body: { my_service_id, target_category_id }
 // Returns candidates ranked by AI with a match_reason and match_score (0-100)
-router.post('/skill-swap-matches', authenticateToken, requirePremiumAI, async (req, res) => {
+router.post('/skill-swap-matches', authenticateToken, requireEntitlement('ai.skill_swap'), async (req, res) => {
   const userId = req.user.id;
   const { my_service_id, target_category_id } = req.body;
 
@@ -867,7 +832,7 @@ Rank all candidates from most to least suitable for a skill swap.`;
 // ── POST /ai/generate-swap-proposal ──────────────────────────────────────
 // AI Swap Proposal Generator — Pro/Business only
 // Body: { my_service_title, target_service_title, target_user_name }
-router.post('/generate-swap-proposal', authenticateToken, requirePremiumAI, async (req, res) => {
+router.post('/generate-swap-proposal', authenticateToken, requireEntitlement('ai.skill_swap'), async (req, res) => {
   const { my_service_title, target_service_title, target_user_name } = req.body;
 
   if (
@@ -4,6 +4,19 @@ const router = express.Router();
 // Import the Supabase client initialized in config/supabase.js
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
+const referrals = require('../utils/referrals');
+
+// Link a new user to a referrer; returns false (and logs) if the code is refused
+const applySignupReferral = async (userId, code) => {
+  try {
+    await referrals.applyReferral(userId, code);
+    return true;
+  } catch (error) {
+    console.warn(`Signup referral not applied (${userId}):`, error.message);
+    return false;
+  }
+};
+
 // --- Authentication Endpoints ---
 
 /**
@@ -28,10 +41,11 @@ const authenticateToken = require('../middleware/authMiddleware');
 /**
  * POST /auth/signup
  * Handles user registration with a pre-signup duplicate email check.
+ * An optional referral_code links the new user to the friend who invited them.
  */
 router.post('/signup', async (req, res) => {
   // 1. Deconstruct inputs
-  let { email, password, confirm_password, full_name, is_provider_signup, is_web_signup } = req.body;
+  let { email, password, confirm_password, full_name, is_provider_signup, is_web_signup, referral_code } = req.body;
 
   // --- SANITIZATION ---
   if (email) {
@@ -133,10 +147,16 @@ router.post('/signup', async (req, res) => {
         }
     }
 
+    // A bad referral code never blocks the signup itself
+    const referralApplied = referral_code && data.user
+      ? await applySignupReferral(data.user.id, referral_code)
+      : false;
+
     res.status(200).json({
       message: 'Registration successful! Please check your email for confirmation.',
       user_id: data.user?.id,
       email: email,
+      ...(referral_code && { referral_applied: referralApplied }),
     });
 
   } catch (error) {
@@ -491,6 +511,7 @@ router.put('/update-password', authenticateToken, async (req, res) => {
  * POST /auth/ensure-social-profile
  * Called after OAuth sign-in to upsert a profile row for social users.
  * Requires a valid Supabase access token in the Authorization header.
+ * Body: referral_code? - applied on the first call (new users only)
  */
 router.post('/ensure-social-profile', async (req, res) => {
   const authHeader = req.headers['authorization'];
@@ -534,7 +555,14 @@ router.post('/ensure-social-profile', async (req, res) => {
     console.error('Social profile upsert error:', profileError.message);
   }
 
-  return res.status(200).json({ success: true, user_id: user.id });
+  const referralCode = req.body?.referral_code;
+  const referralApplied = referralCode ? await applySignupReferral(user.id, referralCode) : false;
+
+  return res.status(200).json({
+    success: true,
+    user_id: user.id,
+    ...(referralCode && { referral_applied: referralApplied }),
+  });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,24 @@ const express = require('express');
 const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
-const chatRoutes = require('./chatRoutes');
+const ledger = require('../utils/ledger');
+const bookingLifecycle = require('../utils/bookingLifecycle');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const availability = require('../utils/availability');
+const pricing = require('../utils/pricing');
+const promos = require('../utils/promos');
+const inquiries = require('../utils/inquiries');
+const tips = require('../utils/tips');
+const invoices = require('../utils/invoices');
+const bookingSeries = require('../utils/bookingSeries');
+const rescheduleProposals = require('../utils/rescheduleProposals');
+
+// Invoice language: ?lang= or the Accept-Language header
+function getLang(req) {
+  const raw = req.query.lang || req.headers['accept-language'] || 'en';
+  const code = String(raw).split(',')[0].split('-')[0].toLowerCase().trim();
+  return ['en', 'ka', 'ru'].includes(code) ? code : 'en';
+}
 
 const isBookingOverdue = (booking, now = new Date()) => {
   const normalizedStatus = String(booking?.status || '').toLowerCase();
@@ -82,74 +99,129 @@ const sendOverdueNudgesIfNeeded = async (bookings = []) => {
   }
 };
 
+const sendProposalError = (res, error, label) => {
+  if (rescheduleProposals.isProposalError(error)) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  if (bookingLifecycle.isLifecycleError(error)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error.message);
+  res.status(500).json({ error: 'Internal server error.' });
+};
+
 // Base route: /bookings
 
+/**
+ * 0. POST /bookings/quote - Price a booking before checkout
+ * Body: service_id, scheduled_time, duration_hours?, options?, promo_code?, skill_swap?, pay_currency?
+ * Returns the breakdown and a signed quote token that POST /bookings requires.
+ * The exchange rate to pay_currency is locked for the life of the quote.
+ */
+router.post('/quote', authenticateToken, async (req, res) => {
+  const { service_id, scheduled_time, duration_hours, options, promo_code, skill_swap, pay_currency } = req.body;
+
+  try {
+    const { quote, token } = await pricing.createQuote({
+      clientId: req.user.id,
+      serviceId: service_id,
+      scheduledTime: scheduled_time,
+      durationHours: duration_hours,
+      options,
+      promoCode: promo_code,
+      skillSwap: !!skill_swap,
+      payCurrency: pay_currency
+    });
+
+    res.status(200).json({ quote, quote_token: token });
+  } catch (error) {
+    if (pricing.isPricingError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Quote error:', error.message);
+    res.status(500).json({ error: 'Failed to price booking.' });
+  }
+});
+
 /**
  * 1. POST /bookings - Client creates a new booking request
- * Logic: Check Balance -> Deduct Money (Hold) -> Create Booking -> Notify Provider
+ * Logic: Verify Quote -> Check Availability -> Check Balance -> Create Booking -> Redeem Promo Code -> Hold Funds in Escrow (atomic) -> Notify Provider
+ * The price comes only from the signed quote; any total_price in the body is ignored.
+ * With inquiry_id, the booking continues that inquiry's chat.
  */
 router.post('/', authenticateToken, async (req, res) => {
-  const { service_id, scheduled_time, location_details, total_price, service_type, comments } = req.body;
+  const { quote_token, location_details, service_type, comments, inquiry_id } = req.body;
   const clientId = req.user.id;
 
-  if (!service_id || !scheduled_time || total_price === undefined) {
-    return res.status(400).json({ error: 'Service ID, scheduled time, and price are required.' });
+  let quote;
+  try {
+    quote = pricing.verifyQuote(quote_token, clientId);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
   }
 
-  let walletId = null;
-  let deducted = false;
+  const price = ledger.roundMoney(quote.total);
+  let booking = null;
 
   try {
     const { data: service, error: serviceError } = await supabaseAdmin 
       .from('services')
-      .select('provider_id, price, title') 
-      .eq('id', service_id)
+      .select('provider_id, title') 
+      .eq('id', quote.service_id)
       .single();
 
     if (serviceError || !service) {
       return res.status(404).json({ error: 'Service not found.' });
     }
 
-    const { data: clientWallet, error: walletFetchError } = await supabaseAdmin
-      .from('wallets')
-      .select('id, balance')
-      .eq('user_id', clientId)
-      .single();
-
-    if (walletFetchError || !clientWallet || parseFloat(clientWallet.balance) < parseFloat(total_price)) {
-      return res.status(402).json({ error: 'Insufficient wallet balance.' });
+    if (inquiry_id) {
+      await inquiries.checkConvertible(inquiry_id, { clientId, providerId: service.provider_id });
     }
 
-    walletId = clientWallet.id;
-    const newBalance = parseFloat(clientWallet.balance) - parseFloat(total_price);
-    
-    const { error: walletUpdateError } = await supabaseAdmin
-      .from('wallets')
-      .update({ balance: newBalance })
-      .eq('id', walletId);
+    const slot = await availability.checkBookingSlot(service.provider_id, {
+      scheduledTime: quote.scheduled_time,
+      pricingType: quote.pricing_type,
+      durationHours: quote.duration_hours
+    });
 
-    if (walletUpdateError) throw new Error('Failed to deduct funds.');
-    deducted = true;
+    if (!slot.available) {
+      const statusCode = slot.reason === 'conflict' ? 409 : 400;
+      return res.status(statusCode).json({ error: slot.message, reason: slot.reason });
+    }
 
-    await supabaseAdmin.from('transactions').insert({
-      wallet_id: walletId,
-      type: 'hold',
-      amount: total_price,
-      status: 'success',
-      description: `Funds held for booking service: ${service.title}`
-    });
+    const [clientWallet, policy] = await Promise.all([
+      ledger.ensureWallet(clientId, quote.payment.currency),
+      cancellationPolicy.getProviderPolicy(service.provider_id)
+    ]);
 
-    const { data: booking, error: bookingError } = await supabaseAdmin
+    // Fast-path check only; the ledger re-checks under a row lock when holding.
+    if (parseFloat(clientWallet.balance) < quote.payment.amount) {
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
+    }
+
+    const { data: createdBooking, error: bookingError } = await supabaseAdmin
       .from('bookings')
       .insert({
         client_id: clientId,
         provider_id: service.provider_id,
-        service_id,
-        scheduled_time,
+        service_id: quote.service_id,
+        scheduled_time: quote.scheduled_time,
         location_details,
-        total_price,
+        total_price: price,
+        currency: quote.currency,
+        payment_currency: quote.payment.currency,
+        payment_amount: quote.payment.amount,
+        fx_rate: quote.payment.fx_rate,
+        price_breakdown: quote.breakdown,
+        platform_fee: quote.breakdown.platform_fee,
+        discount_amount: quote.breakdown.discount,
+        promo_code: quote.breakdown.promo_code,
         service_type,
         comments,
+        pricing_type: quote.pricing_type,
+        duration_hours: quote.duration_hours,
+        ends_at: slot.ends_at,
+        cancellation_policy: policy,
         status: 'pending',
         client_confirmed: false, 
         provider_confirmed: false 
@@ -158,13 +230,48 @@ router.post('/', authenticateToken, async (req, res) => {
       .single();
 
     if (bookingError) {
+      // 23P01 = exclusion_violation: another booking took the slot meanwhile
+      if (bookingError.code === '23P01') {
+        return res.status(409).json({ error: 'That time is already booked.', reason: 'conflict' });
+      }
       console.error('Booking insert failed:', bookingError);
       throw new Error('Failed to create booking record.');
     }
+    booking = createdBooking;
+
+    if (quote.breakdown.promo_code) {
+      await promos.redeem({
+        code: quote.breakdown.promo_code,
+        userId: clientId,
+        target: 'booking',
+        targetId: booking.id,
+        discount: quote.breakdown.discount,
+        currency: quote.currency
+      });
+    }
+
+    if (price > 0) {
+      await ledger.holdBookingFunds({
+        bookingId: booking.id,
+        clientWalletId: clientWallet.id,
+        amount: price,
+        currency: quote.currency,
+        payment: { currency: quote.payment.currency, rate: quote.payment.fx_rate },
+        description: `Funds held for booking service: ${service.title}`
+      });
+    }
+
+    await bookingLifecycle.recordCreated(booking, { actorId: clientId, actorRole: 'client' });
+
+    if (inquiry_id) {
+      // The booking stands even if its inquiry's history can't be moved
+      await inquiries.convertToBooking(inquiry_id, booking)
+        .catch((err) => console.error(`Inquiry conversion failed (${inquiry_id}):`, err.message));
+    }
 
     await supabaseAdmin.from('notifications').insert({
       user_id: service.provider_id,
-      title: parseFloat(total_price) === 0 ? 'New Skill Swap Request 🔄' : 'New Booking Request 📅',
+      title: price === 0 ? 'New Skill Swap Request 🔄' : 'New Booking Request 📅',
       message: `Someone wants to book "${service.title}".`,
       type: 'booking_request', 
       reference_id: booking.id,
@@ -175,22 +282,128 @@ router.post('/', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Booking flow error:', error.message);
-    
-    if (deducted && walletId) {
-      try {
-        const { data: w } = await supabaseAdmin.from('wallets').select('balance').eq('id', walletId).single();
-        await supabaseAdmin.from('wallets').update({ balance: parseFloat(w.balance) + parseFloat(total_price) }).eq('id', walletId);
-        await supabaseAdmin.from('transactions').insert({
-          wallet_id: walletId,
-          type: 'refund',
-          amount: total_price,
-          status: 'success',
-          description: 'Automatic rollback refund'
-        });
-      } catch (rollbackError) {
-        console.error('Critical: Rollback failed', rollbackError);
+
+    // The hold is atomic, so if it failed no money moved — only the
+    // unfunded booking row (and its promo code use) has to go.
+    if (booking) {
+      const { data: held } = price > 0
+        ? await supabaseAdmin
+          .from('ledger_journals')
+          .select('id')
+          .eq('idempotency_key', `hold:${booking.id}`)
+          .maybeSingle()
+        : { data: null };
+
+      if (!held) {
+        await supabaseAdmin.from('bookings').delete().eq('id', booking.id);
+        if (quote.breakdown.promo_code) await promos.release('booking', booking.id);
       }
     }
+
+    if (ledger.isInsufficientFunds(error)) {
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
+    }
+    if (promos.isPromoError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (inquiries.isInquiryError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 1.1 POST /bookings/series - Client books a recurring series
+ * Body: quote_token (prices one occurrence), recurrence { frequency, count | until },
+ *       location_details, service_type, comments, skip_unavailable?
+ * Logic: Expand occurrences -> Check each slot -> Create all bookings -> Hold funds for all (atomic)
+ */
+router.post('/series', authenticateToken, async (req, res) => {
+  const { quote_token, recurrence, location_details, service_type, comments, skip_unavailable } = req.body;
+  const clientId = req.user.id;
+
+  try {
+    const quote = pricing.verifyQuote(quote_token, clientId);
+
+    const { series, bookings, skipped } = await bookingSeries.createSeries({
+      clientId,
+      quote,
+      rule: recurrence,
+      skipUnavailable: !!skip_unavailable,
+      details: { location_details, service_type, comments }
+    });
+
+    res.status(201).json({ message: 'Recurring booking request sent.', series, bookings, skipped });
+  } catch (error) {
+    if (pricing.isPricingError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (bookingSeries.isSeriesError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (ledger.isInsufficientFunds(error)) {
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
+    }
+    console.error('Series booking error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 1.2 POST /bookings/series/:id/cancel - Cancel all upcoming occurrences
+ * Either party. Single occurrences are cancelled through POST /bookings/:id/cancel.
+ */
+router.post('/series/:id/cancel', authenticateToken, async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const result = await bookingSeries.cancelRemaining({
+      seriesId: req.params.id,
+      userId: req.user.id,
+      reason
+    });
+
+    res.status(200).json({ message: 'Remaining occurrences cancelled', ...result });
+  } catch (error) {
+    if (bookingSeries.isSeriesError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Series cancel error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 1.3 PUT /bookings/series/:id/reschedule - Client moves one or all remaining occurrences
+ * Body: scope ('occurrence' | 'remaining'), booking_id, scheduled_time
+ * Moved occurrences go back to pending until the provider confirms them again.
+ */
+router.put('/series/:id/reschedule', authenticateToken, async (req, res) => {
+  const { scope, booking_id, scheduled_time } = req.body;
+
+  try {
+    const { moved } = await bookingSeries.reschedule({
+      seriesId: req.params.id,
+      userId: req.user.id,
+      scope,
+      bookingId: booking_id,
+      scheduledTime: scheduled_time
+    });
+
+    res.status(200).json({ message: 'Booking rescheduled', bookings: moved });
+  } catch (error) {
+    if (bookingSeries.isSeriesError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // 23P01 = exclusion_violation: another booking took the slot meanwhile
+    if (error.code === '23P01') {
+      return res.status(409).json({ error: 'That time is already booked.', reason: 'conflict' });
+    }
+    console.error('Series reschedule error:', error.message);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
@@ -233,17 +446,8 @@ router.post('/:id/dispute', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'An open dispute already exists.' });
     }
 
-    const { error: updateError } = await supabaseAdmin
-      .from('bookings')
-      .update({ status: 'disputed' })
-      .eq('id', id);
-
-    if (updateError) {
-      return res.status(500).json({ error: 'Failed to update booking status.' });
-    }
-
-    await chatRoutes.insertSystemStatusMessage(id, 'disputed');
-
+    // The dispute row goes first: if the booking cannot move to disputed it
+    // is simply removed again, and nothing on the booking needs undoing.
     const { data: dispute, error: disputeError } = await supabaseAdmin
       .from('disputes')
       .insert({
@@ -259,20 +463,21 @@ router.post('/:id/dispute', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Failed to create dispute.' });
     }
 
-    const otherUserId =
-      booking.client_id === userId ? booking.provider_id : booking.client_id;
-
-    await supabaseAdmin.from('notifications').insert({
-      user_id: otherUserId,
-      title: 'Booking Dispute Opened',
-      message: 'A dispute has been opened for your booking. Admin review in progress.',
-      type: 'booking_dispute',
-      reference_id: id,
-      is_read: false
-    });
+    try {
+      await bookingLifecycle.transitionBooking(booking, 'dispute', {
+        actorId: userId,
+        metadata: { reason, dispute_id: dispute.id }
+      });
+    } catch (transitionError) {
+      await supabaseAdmin.from('disputes').delete().eq('id', dispute.id);
+      throw transitionError;
+    }
 
     res.status(201).json({ message: 'Dispute opened.', dispute });
   } catch (error) {
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Dispute error:', error.message);
     res.status(500).json({ error: 'Internal server error.' });
   }
@@ -280,14 +485,15 @@ router.post('/:id/dispute', authenticateToken, async (req, res) => {
 
 /**
  * 2. PUT /bookings/:id/status - Provider Accepts or Rejects
- * Logic: If Cancelled/Rejected -> REFUND THE CLIENT
+ * Logic: If Cancelled/Rejected -> REFUND THE CLIENT (handled by the lifecycle)
  */
 router.put('/:id/status', authenticateToken, async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
   const providerId = req.user.id;
 
-  if (!['confirmed', 'cancelled'].includes(status)) {
+  const STATUS_EVENTS = { confirmed: 'confirm', cancelled: 'cancel' };
+  if (!STATUS_EVENTS[status]) {
     return res.status(400).json({ error: 'Invalid status.' });
   }
 
@@ -301,55 +507,173 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 
     if (!booking) return res.status(404).json({ error: 'Booking not found or unauthorized.' });
 
-    const { data: updatedBooking, error } = await supabaseAdmin
+    const { booking: updatedBooking } = await bookingLifecycle.transitionBooking(booking, STATUS_EVENTS[status], {
+      actorId: providerId,
+      actorRole: 'provider'
+    });
+
+    res.status(200).json({ message: `Booking ${status}`, booking: updatedBooking });
+
+  } catch (error) {
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Status update error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 2.5 GET /bookings/:id/cancellation-preview - What the client would get back
+ */
+router.get('/:id/cancellation-preview', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const clientId = req.user.id;
+
+  try {
+    const { data: booking } = await supabaseAdmin
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .eq('client_id', clientId)
+      .single();
+
+    if (!booking) return res.status(404).json({ error: 'Booking not found or unauthorized.' });
+
+    const refusal = bookingLifecycle.checkTransition(booking, 'client_cancel', 'client');
+
+    const split = cancellationPolicy.computeCancellationSplit({
+      booking,
+      policy: booking.cancellation_policy
+    });
+
+    res.status(200).json({
+      can_cancel: !refusal,
+      reason: refusal?.message || null,
+      ...split,
+      tiers: cancellationPolicy.POLICIES[split.policy]
+    });
+  } catch (error) {
+    console.error('Cancellation preview error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 2.6 POST /bookings/:id/cancel - Client cancels a pending or confirmed booking
+ * Logic: Refund per the provider's cancellation policy -> rest goes to the provider
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const clientId = req.user.id;
+
+  try {
+    const { data: booking } = await supabaseAdmin
       .from('bookings')
-      .update({ status: status })
+      .select('*, services(title)')
       .eq('id', id)
-      .select()
+      .eq('client_id', clientId)
       .single();
 
-    if (error) return res.status(500).json({ error: 'Failed to update status.' });
-
-    await chatRoutes.insertSystemStatusMessage(id, status);
-
-    if (status === 'cancelled') {
-        const { data: clientWallet } = await supabaseAdmin.from('wallets').select('*').eq('user_id', booking.client_id).single();
-        const refundBalance = parseFloat(clientWallet.balance) + parseFloat(booking.total_price);
-        await supabaseAdmin.from('wallets').update({ balance: refundBalance }).eq('id', clientWallet.id);
-
-        await supabaseAdmin.from('transactions').insert({
-            wallet_id: clientWallet.id,
-            type: 'refund',
-            amount: booking.total_price,
-            status: 'success',
-            description: `Refund for Booking #${booking.id}`
-        });
-
-        await supabaseAdmin.from('notifications').insert({
-            user_id: booking.client_id,
-            title: 'Booking Declined',
-            message: 'The provider declined. Your funds have been refunded.',
-            type: 'booking_update',
-            reference_id: id
-        });
-    } else {
-        await supabaseAdmin.from('notifications').insert({
-            user_id: booking.client_id,
-            title: 'Booking Confirmed!',
-            message: 'Your provider has accepted the booking.',
-            type: 'booking_update',
-            reference_id: id
-        });
-    }
+    if (!booking) return res.status(404).json({ error: 'Booking not found or unauthorized.' });
 
-    res.status(200).json({ message: `Booking ${status}`, booking: updatedBooking });
+    const { booking: updatedBooking, funds } = await bookingLifecycle.transitionBooking(booking, 'client_cancel', {
+      actorId: clientId,
+      actorRole: 'client',
+      metadata: reason ? { reason } : {}
+    });
 
+    res.status(200).json({
+      message: 'Booking cancelled',
+      booking: updatedBooking,
+      refund: funds.summary.refund,
+      compensation: funds.summary.compensation,
+      policy: funds.summary.policy
+    });
   } catch (error) {
-    console.error('Status update error:', error.message);
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Client cancel error:', error.message);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
+/**
+ * 2.7 Reschedule proposals - either party proposes new times, the other responds
+ * GET  /bookings/:id/reschedule-proposals
+ * POST /bookings/:id/reschedule-proposals                       Body: proposed_times[], message?
+ * POST /bookings/:id/reschedule-proposals/:proposalId/accept    Body: scheduled_time (one of the proposed)
+ * POST /bookings/:id/reschedule-proposals/:proposalId/decline   Body: reason?
+ * POST /bookings/:id/reschedule-proposals/:proposalId/withdraw  (proposer only)
+ */
+router.get('/:id/reschedule-proposals', authenticateToken, async (req, res) => {
+  try {
+    const proposals = await rescheduleProposals.listProposals({ bookingId: req.params.id, userId: req.user.id });
+    res.status(200).json({ proposals });
+  } catch (error) {
+    sendProposalError(res, error, 'List reschedule proposals');
+  }
+});
+
+router.post('/:id/reschedule-proposals', authenticateToken, async (req, res) => {
+  const { proposed_times, message } = req.body;
+
+  try {
+    const proposal = await rescheduleProposals.propose({
+      bookingId: req.params.id,
+      userId: req.user.id,
+      proposedTimes: proposed_times,
+      message
+    });
+    res.status(201).json({ message: 'Reschedule proposed.', proposal });
+  } catch (error) {
+    sendProposalError(res, error, 'Reschedule proposal');
+  }
+});
+
+router.post('/:id/reschedule-proposals/:proposalId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { proposal, booking } = await rescheduleProposals.accept({
+      bookingId: req.params.id,
+      proposalId: req.params.proposalId,
+      userId: req.user.id,
+      scheduledTime: req.body.scheduled_time
+    });
+    res.status(200).json({ message: 'Booking rescheduled', proposal, booking });
+  } catch (error) {
+    sendProposalError(res, error, 'Accept reschedule');
+  }
+});
+
+router.post('/:id/reschedule-proposals/:proposalId/decline', authenticateToken, async (req, res) => {
+  try {
+    const proposal = await rescheduleProposals.decline({
+      bookingId: req.params.id,
+      proposalId: req.params.proposalId,
+      userId: req.user.id,
+      reason: req.body.reason
+    });
+    res.status(200).json({ message: 'Reschedule declined.', proposal });
+  } catch (error) {
+    sendProposalError(res, error, 'Decline reschedule');
+  }
+});
+
+router.post('/:id/reschedule-proposals/:proposalId/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const proposal = await rescheduleProposals.withdraw({
+      bookingId: req.params.id,
+      proposalId: req.params.proposalId,
+      userId: req.user.id
+    });
+    res.status(200).json({ message: 'Reschedule withdrawn.', proposal });
+  } catch (error) {
+    sendProposalError(res, error, 'Withdraw reschedule');
+  }
+});
+
 /**
  * 3. PUT /bookings/:id/complete - DUAL CONFIRMATION
  */
@@ -372,6 +696,10 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized action.' });
     }
 
+    if (booking.status !== 'confirmed') {
+      return res.status(409).json({ error: `Cannot complete a ${booking.status} booking.` });
+    }
+
     const { data: updatedBooking } = await supabaseAdmin
       .from('bookings')
       .update(updateData)
@@ -380,51 +708,95 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       .single();
 
     if (updatedBooking.client_confirmed && updatedBooking.provider_confirmed) {
-        await supabaseAdmin.from('bookings').update({ status: 'completed' }).eq('id', id);
-        await chatRoutes.insertSystemStatusMessage(id, 'completed');
-
-        if (booking.total_price > 0) {
-            // Fetch provider's trial status to determine commission rate
-            const { data: providerProfile } = await supabaseAdmin
-                .from('profiles')
-                .select('trial_end_date')
-                .eq('id', booking.provider_id)
-                .single();
-
-            const isTrialActive = providerProfile?.trial_end_date &&
-                new Date(providerProfile.trial_end_date) > new Date();
-            const commissionRate = isTrialActive ? 0.03 : 0.08;
-            const earnings = parseFloat((parseFloat(booking.total_price) * (1 - commissionRate)).toFixed(2));
-
-            const { data: providerWallet } = await supabaseAdmin.from('wallets').select('*').eq('user_id', booking.provider_id).single();
-            const newBalance = parseFloat(providerWallet.balance) + earnings;
-            await supabaseAdmin.from('wallets').update({ balance: newBalance }).eq('id', providerWallet.id);
-            
-            await supabaseAdmin.from('transactions').insert({
-                wallet_id: providerWallet.id,
-                type: 'earning',
-                amount: earnings,
-                status: 'success',
-                description: `Earning from Booking #${id} (Commission: ${commissionRate * 100}%)`
-            });
+        try {
+          await bookingLifecycle.transitionBooking(updatedBooking, 'complete', { actorId: userId });
+        } catch (transitionError) {
+          // Both parties confirmed at the same moment; the other request completed it.
+          if (!(bookingLifecycle.isLifecycleError(transitionError) && transitionError.status === 409)) {
+            throw transitionError;
+          }
         }
 
-        await supabaseAdmin.from('notifications').insert([
-            { user_id: booking.client_id, title: 'Service Completed', message: 'Booking closed successfully.', type: 'booking_completed', reference_id: id },
-            { user_id: booking.provider_id, title: 'Job Completed', message: 'Funds/Swap recorded successfully.', type: 'booking_completed', reference_id: id }
-        ]);
-
         return res.json({ message: 'Booking fully completed. Funds released.', status: 'completed' });
     }
 
     res.json({ message: 'Confirmation recorded. Waiting for the other party.', status: 'waiting_other' });
 
   } catch (error) {
+    if (bookingLifecycle.isLifecycleError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Completion error:', error.message);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
+/**
+ * 3.1 POST /bookings/:id/tip - Client tips the provider after completion
+ * Body: amount (booking currency), message?, pay_currency?
+ * Commission-free; allowed once within TIP_WINDOW_DAYS of completion.
+ */
+router.post('/:id/tip', authenticateToken, async (req, res) => {
+  try {
+    const { tip, walletBalance } = await tips.tipBooking({
+      bookingId: req.params.id,
+      clientId: req.user.id,
+      amount: req.body.amount,
+      message: req.body.message,
+      payCurrency: req.body.pay_currency
+    });
+    res.status(201).json({ message: 'Tip sent. Thank you!', tip, wallet_balance: walletBalance });
+  } catch (error) {
+    if (tips.isTipError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Tip error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 3.2 GET /bookings/:id/tip - Whether the booking can still be tipped, and the tip if any
+ */
+router.get('/:id/tip', authenticateToken, async (req, res) => {
+  try {
+    const status = await tips.getTipStatusFor(req.params.id, req.user.id);
+    res.status(200).json(status);
+  } catch (error) {
+    if (tips.isTipError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Tip status error:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * 3.3 GET /bookings/:id/invoice - The invoice of a completed paid booking (client or provider)
+ * Query: format? ('json' | 'pdf', default json), lang? (default: Accept-Language)
+ */
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  try {
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or pdf.' });
+    }
+
+    const invoice = await invoices.getBookingInvoice(req.params.id, req.user.id);
+    const lang = getLang(req);
+
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="invoice-${invoice.number}.pdf"`);
+      return res.status(200).send(invoices.toPdf(invoice, req.user.id, lang));
+    }
+    res.status(200).json(invoices.present(invoice, req.user.id, lang));
+  } catch (error) {
+    if (invoices.isInvoiceError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Booking invoice error:', error.message);
+    res.status(500).json({ error: 'Failed to generate invoice.' });
+  }
+});
+
 /**
  * Standard Getters
  */
@@ -434,7 +806,7 @@ router.get('/client', authenticateToken, async (req, res) => {
   try {
     const { data: bookings, error } = await supabaseAdmin 
       .from('bookings')
-      .select('*, services(title, image_urls), profiles!provider_id(id, full_name, profile_picture_url)')
+      .select('*, services(title, image_urls), profiles!provider_id(id, full_name, profile_picture_url), booking_series(frequency, status)')
       .eq('client_id', clientId)
       .order('created_at', { ascending: false });
 
@@ -449,7 +821,10 @@ router.get('/client', authenticateToken, async (req, res) => {
       console.error('Overdue nudge error:', nudgeError.message);
     }
 
-    res.status(200).json({ bookings: bookingsWithOverdueStatus });
+    res.status(200).json({
+      bookings: bookingsWithOverdueStatus,
+      series: bookingSeries.summarizeSeries(bookingsWithOverdueStatus, now)
+    });
   } catch (e) { 
     res.status(500).json({ error: e.message }); 
   }
@@ -460,7 +835,7 @@ router.get('/provider', authenticateToken, async (req, res) => {
   try {
     const { data: requests, error } = await supabaseAdmin 
       .from('bookings')
-      .select('*, services(title, image_urls), profiles!client_id(id, full_name, profile_picture_url)')
+      .select('*, services(title, image_urls), profiles!client_id(id, full_name, profile_picture_url), booking_series(frequency, status)')
       .eq('provider_id', providerId)
       .order('created_at', { ascending: false });
 
@@ -475,14 +850,54 @@ router.get('/provider', authenticateToken, async (req, res) => {
       console.error('Overdue nudge error:', nudgeError.message);
     }
 
-    res.status(200).json({ requests: requestsWithOverdueStatus });
+    res.status(200).json({
+      requests: requestsWithOverdueStatus,
+      series: bookingSeries.summarizeSeries(requestsWithOverdueStatus, now)
+    });
   } catch (e) { 
     res.status(500).json({ error: e.message }); 
   }
 });
 
+/**
+ * GET /bookings/availability/:providerId - Bookable slots
+ * Query: from, to (YYYY-MM-DD, provider's timezone), service_id, duration_hours
+ */
 router.get('/availability/:providerId', async (req, res) => {
-  res.json({ message: "Availability endpoint placeholder" }); 
+  const { providerId } = req.params;
+  const { from, to, service_id, duration_hours } = req.query;
+
+  if ((from && !availability.isDateString(from)) || (to && !availability.isDateString(to))) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD.' });
+  }
+
+  try {
+    let pricingType = req.query.pricing_type;
+    if (service_id) {
+      const { data: service } = await supabaseAdmin
+        .from('services')
+        .select('pricing_type, provider_id')
+        .eq('id', service_id)
+        .maybeSingle();
+
+      if (!service || service.provider_id !== providerId) {
+        return res.status(404).json({ error: 'Service not found.' });
+      }
+      pricingType = service.pricing_type;
+    }
+
+    const result = await availability.getAvailability(providerId, {
+      from,
+      to,
+      pricingType,
+      durationHours: duration_hours
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Availability error:', error.message);
+    res.status(500).json({ error: 'Failed to load availability.' });
+  }
 });
 
 router.get('/bookings/all', async (req, res) => {
@@ -2,17 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase'); // Using Admin to bypass RLS
 const authenticateToken = require('../middleware/authMiddleware');
+const chat = require('../utils/chat');
+const inquiries = require('../utils/inquiries');
+const presence = require('../utils/presence');
+const chatArchive = require('../utils/chatArchive');
 
 const STATUS_EVENT_MESSAGES = {
   confirmed: 'Booking confirmed',
   completed: 'Service marked as completed',
   cancelled: 'Booking cancelled',
-  disputed: 'Booking moved to dispute review'
+  disputed: 'Booking moved to dispute review',
+  rescheduled: 'Booking rescheduled'
 };
 
-const insertSystemStatusMessage = async (bookingId, status) => {
-  const normalizedStatus = String(status || '').toLowerCase();
-  const content = STATUS_EVENT_MESSAGES[normalizedStatus];
+const insertSystemMessage = async (bookingId, content) => {
   if (!content || !bookingId) return;
 
   const { error } = await supabaseAdmin
@@ -20,6 +23,7 @@ const insertSystemStatusMessage = async (bookingId, status) => {
     .insert({
       booking_id: bookingId,
       sender_id: null, // null = system-generated message
+      type: 'system',
       content,
       is_read: true      // system pills don't need read receipts
     });
@@ -29,8 +33,15 @@ const insertSystemStatusMessage = async (bookingId, status) => {
   }
 };
 
+const insertSystemStatusMessage = async (bookingId, status) => {
+  const normalizedStatus = String(status || '').toLowerCase();
+  await insertSystemMessage(bookingId, STATUS_EVENT_MESSAGES[normalizedStatus]);
+};
+
 // =============================================================================
 // 1. GET /chats - Get List of Conversations (Grouped by User)
+// Each conversation holds the bookings and the open or closed inquiries
+// with that user.
 // =============================================================================
 router.get('/', authenticateToken, async (req, res) => {
   const userId = req.user.id;
@@ -49,13 +60,15 @@ router.get('/', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    const userInquiries = await inquiries.listForUser(userId);
+
     const bookingIds = (bookings || []).map((b) => b.id);
     let messages = [];
 
     if (bookingIds.length > 0) {
       const { data: messageRows, error: messagesError } = await supabaseAdmin
         .from('messages')
-        .select('booking_id, sender_id, content, is_read, created_at')
+        .select('booking_id, sender_id, type, content, metadata, deleted_at, is_read, created_at')
         .in('booking_id', bookingIds)
         .order('created_at', { ascending: false });
 
@@ -63,39 +76,53 @@ router.get('/', authenticateToken, async (req, res) => {
       messages = messageRows || [];
     }
 
-    const messagesByBooking = new Map();
+    const inquiryIds = userInquiries.map((inquiry) => inquiry.id);
+    if (inquiryIds.length > 0) {
+      const { data: inquiryMessages, error: inquiryMessagesError } = await supabaseAdmin
+        .from('messages')
+        .select('inquiry_id, sender_id, type, content, metadata, deleted_at, is_read, created_at')
+        .in('inquiry_id', inquiryIds)
+        .order('created_at', { ascending: false });
+
+      if (inquiryMessagesError) throw inquiryMessagesError;
+      messages = messages.concat(inquiryMessages || []);
+    }
+
+    // Keyed by booking_id or inquiry_id; ids are unique UUIDs across both
+    const messagesByThread = new Map();
     messages.forEach((message) => {
-      if (!messagesByBooking.has(message.booking_id)) {
-        messagesByBooking.set(message.booking_id, []);
+      const threadId = message.booking_id || message.inquiry_id;
+      if (!messagesByThread.has(threadId)) {
+        messagesByThread.set(threadId, []);
       }
-      messagesByBooking.get(message.booking_id).push(message);
+      messagesByThread.get(threadId).push(message);
     });
 
     const conversationsMap = new Map();
     const activeStatuses = new Set(['pending', 'confirmed', 'overdue', 'disputed']);
 
-    bookings.forEach(booking => {
+    const addThread = (thread, listKey, isActive) => {
       let otherUser;
-      if (booking.client_id === userId) {
-        otherUser = booking.provider;
+      if (thread.client_id === userId) {
+        otherUser = thread.provider;
       } else {
-        otherUser = booking.client;
+        otherUser = thread.client;
       }
 
       if (!otherUser) return;
 
       const otherUserId = otherUser.id;
-      const bookingMessages = messagesByBooking.get(booking.id) || [];
-      const unreadForBooking = bookingMessages.filter(
+      const threadMessages = messagesByThread.get(thread.id) || [];
+      const unreadForThread = threadMessages.filter(
         (msg) => msg.sender_id !== userId && msg.is_read === false
       ).length;
-      const newestMessage = bookingMessages.length > 0 ? bookingMessages[0] : null;
-      const status = String(booking.status || '').toLowerCase();
+      const newestMessage = threadMessages.length > 0 ? threadMessages[0] : null;
 
       if (!conversationsMap.has(otherUserId)) {
         conversationsMap.set(otherUserId, {
           other_user: otherUser,
           bookings: [],
+          inquiries: [],
           unread_count: 0,
           last_message: null,
           last_message_time: null,
@@ -104,9 +131,9 @@ router.get('/', authenticateToken, async (req, res) => {
       }
 
       const conversation = conversationsMap.get(otherUserId);
-      conversation.bookings.push(booking);
-      conversation.unread_count += unreadForBooking;
-      if (activeStatuses.has(status)) {
+      conversation[listKey].push(thread);
+      conversation.unread_count += unreadForThread;
+      if (isActive) {
         conversation.is_active = true;
       }
 
@@ -119,13 +146,24 @@ router.get('/', authenticateToken, async (req, res) => {
           : 0;
 
         if (!conversation.last_message_time || newestTime > currentLastTime) {
-          conversation.last_message = newestMessage.content || '';
+          conversation.last_message = chat.previewOf(newestMessage);
           conversation.last_message_time = newestMessage.created_at;
         }
       }
+    };
+
+    bookings.forEach((booking) => {
+      addThread(booking, 'bookings', activeStatuses.has(String(booking.status || '').toLowerCase()));
+    });
+    userInquiries.forEach((inquiry) => {
+      addThread(inquiry, 'inquiries', inquiry.status === 'open');
     });
 
     const conversations = Array.from(conversationsMap.values());
+    const presences = await presence.loadPresence(Array.from(conversationsMap.keys()), userId);
+    conversations.forEach((conversation) => {
+      conversation.presence = presences.get(conversation.other_user.id);
+    });
 
     res.status(200).json({ conversations });
 
@@ -135,61 +173,108 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// =============================================================================
+// 1.1 GET /chats/archive - Chats of completed and cancelled bookings (read-only)
+// Query: limit? (default 20), offset?
+// =============================================================================
+router.get('/archive', authenticateToken, async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    res.status(200).json(await chatArchive.listArchive(req.user.id, { limit, offset }));
+  } catch (error) {
+    console.error('Chat archive error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =============================================================================
 // 2. PUT /chats/:bookingId/read - Mark conversation messages as read
+// Body: up_to? (message id; only messages up to and including it)
 // =============================================================================
 router.put('/:bookingId/read', authenticateToken, async (req, res) => {
-  const { bookingId } = req.params;
-  const userId = req.user.id;
-
   try {
-    const { data: booking, error: bookingError } = await supabaseAdmin
-      .from('bookings')
-      .select('id, client_id, provider_id')
-      .eq('id', bookingId)
-      .maybeSingle();
+    const result = await chat.markRead({ bookingId: req.params.bookingId, userId: req.user.id, upTo: req.body?.up_to });
+    res.status(200).json({ message: 'Messages marked as read', ...result });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Mark chat as read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (bookingError) throw bookingError;
-    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+// =============================================================================
+// 2.1 PUT /chats/:bookingId/typing - Show or stop the typing indicator
+// Body: typing? (default true). Runs out by itself after a few seconds.
+// =============================================================================
+router.put('/:bookingId/typing', authenticateToken, async (req, res) => {
+  try {
+    const result = await chat.setTyping({
+      bookingId: req.params.bookingId,
+      userId: req.user.id,
+      typing: req.body?.typing !== false,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Typing error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (booking.client_id !== userId && booking.provider_id !== userId) {
-      return res.status(403).json({ error: 'Unauthorized access to this conversation' });
-    }
+// =============================================================================
+// 2.2 GET /chats/:bookingId/presence - Other party's typing, online and last seen
+// =============================================================================
+router.get('/:bookingId/presence', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await chat.getPresence({ bookingId: req.params.bookingId, userId: req.user.id }));
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Presence error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const { error: updateError } = await supabaseAdmin
-      .from('messages')
-      .update({ is_read: true })
-      .eq('booking_id', bookingId)
-      .neq('sender_id', userId)
-      .eq('is_read', false);
+// =============================================================================
+// 2.3 GET /chats/:bookingId/transcript - Export the chat of a closed or disputed booking
+// Query: format? ('json' | 'pdf', default json)
+// =============================================================================
+router.get('/:bookingId/transcript', authenticateToken, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
 
-    if (updateError) throw updateError;
+  try {
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or pdf.' });
+    }
 
-    res.status(200).json({ message: 'Messages marked as read' });
+    const transcript = await chatArchive.buildTranscript(req.params.bookingId, { userId: req.user.id });
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="chat-${transcript.booking.id}.pdf"`);
+      return res.status(200).send(chatArchive.toPdf(transcript));
+    }
+    res.status(200).json(transcript);
   } catch (error) {
-    console.error('Mark chat as read error:', error.message);
-    res.status(500).json({ error: error.message });
+    if (chatArchive.isArchiveError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Chat transcript error:', error.message);
+    res.status(500).json({ error: 'Failed to export the chat.' });
   }
 });
 
 // =============================================================================
 // 3. GET /chats/:bookingId - Get Messages for a specific Booking
+// Query: limit? (default 50), before? (next_cursor of the previous page)
+// Newest page first; messages are oldest first within a page.
 // =============================================================================
 router.get('/:bookingId', authenticateToken, async (req, res) => {
   const { bookingId } = req.params;
+  const { limit, before } = req.query;
 
   try {
-    const { data: messages, error } = await supabaseAdmin
-      .from('messages')
-      .select('*')
-      .eq('booking_id', bookingId)
-      .order('created_at', { ascending: true });
-
-    if (error) throw error;
-
-    res.status(200).json({ messages });
+    const page = await chat.listMessages({ bookingId, userId: req.user.id, limit, before });
+    res.status(200).json(page);
 
   } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
     console.error('Fetch messages error:', error.message);
     res.status(500).json({ error: error.message });
   }
@@ -197,65 +282,184 @@ router.get('/:bookingId', authenticateToken, async (req, res) => {
 
 // =============================================================================
 // 4. POST /chats/message - Send Message & Notify (With Status Check)
+// Body: booking_id | inquiry_id, type? ('text' | 'image' | 'file' | 'location' | 'offer'),
+//       content? (text or caption), attachments? (from POST /storage/chat/...),
+//       metadata? ({ latitude, longitude, label? } | { amount, currency?, description? })
 // =============================================================================
 router.post('/message', authenticateToken, async (req, res) => {
-  const { booking_id, content } = req.body;
-  const senderId = req.user.id;
+  const { booking_id, inquiry_id, type, content, attachments, metadata } = req.body;
+
+  if (!booking_id && !inquiry_id) {
+    return res.status(400).json({ error: 'booking_id or inquiry_id is required' });
+  }
 
   try {
-    // 1. Fetch Booking Status & Details
-    const { data: booking, error: bookingError } = await supabaseAdmin
-      .from('bookings')
-      .select('status, client_id, provider_id, services(title)')
-      .eq('id', booking_id)
-      .single();
+    const message = await chat.sendMessage({
+      bookingId: booking_id,
+      inquiryId: inquiry_id,
+      senderId: req.user.id,
+      body: { type, content, attachments, metadata },
+    });
+    res.status(201).json({ message: "Sent", data: message });
+
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error("Chat Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (bookingError || !booking) return res.status(404).json({ error: "Booking not found" });
+// =============================================================================
+// 4.1 POST /chats/messages/delivered - The app received messages (realtime or push)
+// Body: message_ids
+// =============================================================================
+router.post('/messages/delivered', authenticateToken, async (req, res) => {
+  try {
+    const result = await chat.markDelivered({ messageIds: req.body.message_ids, userId: req.user.id });
+    res.status(200).json(result);
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Delivery receipt error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // 2. SECURITY CHECK: Is the booking active?
-    // Prevent messaging if the service is already finished or cancelled
-    const normalizedStatus = String(booking.status || '').toLowerCase();
-    const closedStatuses = new Set(['completed', 'cancelled']);
+// =============================================================================
+// 5. PUT /chats/messages/:messageId - Sender edits a text or caption
+// Body: content
+// =============================================================================
+router.put('/messages/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const message = await chat.editMessage({
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      content: req.body.content,
+    });
+    res.status(200).json({ message: 'Message updated', data: message });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Edit message error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (closedStatuses.has(normalizedStatus)) {
-      return res.status(403).json({ error: "This conversation is closed because the service is finished." });
-    }
+// =============================================================================
+// 6. DELETE /chats/messages/:messageId - Sender deletes a message (leaves a tombstone)
+// =============================================================================
+router.delete('/messages/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const message = await chat.deleteMessage({ messageId: req.params.messageId, userId: req.user.id });
+    res.status(200).json({ message: 'Message deleted', data: message });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Delete message error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// 7. POST /chats/inquiries - Client asks a provider before booking
+// Body: service_id | provider_id, plus the first message as for POST /chats/message
+// Continues the open inquiry with the same provider and service, if any.
+// =============================================================================
+router.post('/inquiries', authenticateToken, async (req, res) => {
+  const { service_id, provider_id, type, content, attachments, metadata } = req.body;
 
-    // 3. Determine Receiver
-    const receiverId = (senderId === booking.client_id) ? booking.provider_id : booking.client_id;
-
-    // 4. Insert Message
-    const { error: msgError } = await supabaseAdmin
-      .from('messages')
-      .insert({
-        booking_id,
-        sender_id: senderId,
-        content,
-        is_read: false
-      });
-
-    if (msgError) throw msgError;
-
-    // 5. Notify Receiver
-    await supabaseAdmin.from('notifications').insert({
-      user_id: receiverId,
-      title: 'New Message 💬',
-      message: `Regarding ${booking.services?.title || 'Service'}: "${content.substring(0, 30)}..."`,
-      type: 'chat_message',
-      reference_id: booking_id,
-      is_read: false
+  try {
+    const { inquiry, message, created } = await inquiries.openInquiry({
+      clientId: req.user.id,
+      serviceId: service_id,
+      providerId: provider_id,
+      body: { type, content, attachments, metadata },
     });
+    res.status(created ? 201 : 200).json({ message: 'Sent', inquiry, data: message });
+  } catch (error) {
+    if (inquiries.isInquiryError(error) || chat.isChatError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Open inquiry error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// 8. GET /chats/inquiries/:inquiryId - Messages of an inquiry
+// Query: limit?, before? (as for GET /chats/:bookingId)
+// =============================================================================
+router.get('/inquiries/:inquiryId', authenticateToken, async (req, res) => {
+  const { limit, before } = req.query;
 
-    // 6. Update Booking Timestamp (to bubble conversation to top)
-    await supabaseAdmin.from('bookings').update({ updated_at: new Date() }).eq('id', booking_id);
+  try {
+    const page = await chat.listMessages({ inquiryId: req.params.inquiryId, userId: req.user.id, limit, before });
+    res.status(200).json(page);
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Fetch inquiry messages error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// 9. PUT /chats/inquiries/:inquiryId/read - Mark inquiry messages as read
+// Body: up_to? (as for PUT /chats/:bookingId/read)
+// =============================================================================
+router.put('/inquiries/:inquiryId/read', authenticateToken, async (req, res) => {
+  try {
+    const result = await chat.markRead({ inquiryId: req.params.inquiryId, userId: req.user.id, upTo: req.body?.up_to });
+    res.status(200).json({ message: 'Messages marked as read', ...result });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Mark inquiry as read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// 9.1 PUT /chats/inquiries/:inquiryId/typing - Typing indicator in an inquiry
+// Body: typing? (default true)
+// =============================================================================
+router.put('/inquiries/:inquiryId/typing', authenticateToken, async (req, res) => {
+  try {
+    const result = await chat.setTyping({
+      inquiryId: req.params.inquiryId,
+      userId: req.user.id,
+      typing: req.body?.typing !== false,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Typing error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.status(201).json({ message: "Sent" });
+// =============================================================================
+// 9.2 GET /chats/inquiries/:inquiryId/presence - Other party's typing, online and last seen
+// =============================================================================
+router.get('/inquiries/:inquiryId/presence', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await chat.getPresence({ inquiryId: req.params.inquiryId, userId: req.user.id }));
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Presence error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// =============================================================================
+// 10. POST /chats/inquiries/:inquiryId/close - Either party closes an open inquiry
+// =============================================================================
+router.post('/inquiries/:inquiryId/close', authenticateToken, async (req, res) => {
+  try {
+    const inquiry = await inquiries.closeInquiry(req.params.inquiryId, req.user.id);
+    res.status(200).json({ message: 'Inquiry closed', inquiry });
   } catch (error) {
-    console.error("Chat Error:", error);
+    if (inquiries.isInquiryError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Close inquiry error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+router.insertSystemMessage = insertSystemMessage;
 router.insertSystemStatusMessage = insertSystemStatusMessage;
 module.exports = router;
@@ -8,11 +8,17 @@
 // Jobs:
 //   GET /cron/check-trials     — trial expiry warnings + post-trial notification
 //   GET /cron/check-inactivity — nudge inactive providers to post / accept work
+//   GET /cron/run-payouts      — automatic weekly/monthly payouts + settle stale ones
+//   GET /cron/reconcile        — nightly ledger / escrow / Stripe reconciliation
+//   GET /cron/process-subscriptions — renewals, failed-payment retries and expiries
 
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
 const { t, getUserLang } = require('../utils/translate');
+const payouts = require('../utils/payouts');
+const reconciliation = require('../utils/reconciliation');
+const subscriptions = require('../utils/subscriptions');
 
 // ── Helper: verify Vercel cron secret ───────────────────────────────────────
 function verifyCronSecret(req, res) {
@@ -214,4 +220,46 @@ router.get('/check-inactivity', async (req, res) => {
   }
 });
 
+// ── GET /cron/run-payouts ─────────────────────────────────────────────────────
+router.get('/run-payouts', async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  try {
+    const results = await payouts.runScheduledPayouts();
+    console.log('[CRON] run-payouts completed:', results);
+    return res.json({ ok: true, ...results });
+  } catch (err) {
+    console.error('[CRON] run-payouts error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /cron/reconcile ───────────────────────────────────────────────────────
+router.get('/reconcile', async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  try {
+    const run = await reconciliation.runReconciliation({ trigger: 'cron' });
+    console.log('[CRON] reconcile completed:', { status: run.status, discrepancies: run.discrepancy_count });
+    return res.json({ ok: true, run_id: run.id, status: run.status, discrepancies: run.discrepancy_count });
+  } catch (err) {
+    console.error('[CRON] reconcile error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /cron/process-subscriptions ───────────────────────────────────────────
+router.get('/process-subscriptions', async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  try {
+    const results = await subscriptions.processDue();
+    console.log('[CRON] process-subscriptions completed:', results);
+    return res.json({ ok: true, ...results });
+  } catch (err) {
+    console.error('[CRON] process-subscriptions error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
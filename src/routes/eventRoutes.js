@@ -4,6 +4,9 @@ const router = express.Router();
 const { supabaseAdmin, supabase } = require('../config/supabase');
 const authenticateAdmin  = require('../middleware/adminMiddleware');
 const authenticateToken  = require('../middleware/authMiddleware');
+const ledger             = require('../utils/ledger');
+const invoices           = require('../utils/invoices');
+const fx                 = require('../utils/fx');
 
 // =============================================================================
 // PUBLIC / USER ROUTES
@@ -184,43 +187,85 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
 });
 
 // =============================================================================
-// BUY TICKET (unchanged logic, kept here)
+// BUY TICKET
+// Body: event_id, quantity, pay_currency? (wallet to pay from; default the
+// user's preferred currency). The price is the event's price × quantity;
+// any total_price in the body is ignored.
 // =============================================================================
+const MAX_TICKETS_PER_ORDER = 20;
+
 router.post('/buy-ticket', authenticateToken, async (req, res) => {
-  const { event_id, quantity, total_price } = req.body;
+  const { event_id, pay_currency } = req.body;
+  const quantity = Number(req.body.quantity);
   const userId = req.user.id;
 
-  if (!event_id || !quantity || !total_price) {
-    return res.status(400).json({ error: 'Missing ticket details' });
+  if (!event_id || !Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_ORDER) {
+    return res.status(400).json({ error: `Missing ticket details (quantity must be 1-${MAX_TICKETS_PER_ORDER}).` });
   }
 
   try {
+    const { data: event } = await supabaseAdmin
+      .from('events').select('*').eq('id', event_id).maybeSingle();
+
+    if (!event || !event.is_active) {
+      return res.status(404).json({ error: 'Event not found.' });
+    }
+
+    // Ticket prices are set in the event's currency (USD unless it says
+    // otherwise) and paid from the wallet the user picks, converted.
+    const priceCurrency = fx.normalizeCurrency(event.currency || fx.DEFAULT_CURRENCY);
+    const totalPrice = ledger.roundMoney(Number(event.price || 0) * quantity);
+    const currency = await fx.resolveUserCurrency(userId, pay_currency);
+    const { rate } = await fx.getRate(priceCurrency, currency);
+    const payment = { currency, rate };
+    const paid = ledger.toPaymentAmount(totalPrice, priceCurrency, payment);
+
     const { data: wallet } = await supabaseAdmin
-      .from('wallets').select('*').eq('user_id', userId).single();
+      .from('wallets').select('*').eq('user_id', userId).eq('currency', currency).maybeSingle();
 
-    if (!wallet || parseFloat(wallet.balance) < parseFloat(total_price)) {
+    if (paid > 0 && (!wallet || parseFloat(wallet.balance) < paid)) {
       return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
-    const newBalance = parseFloat(wallet.balance) - parseFloat(total_price);
-    const { error: walletError } = await supabaseAdmin
-      .from('wallets').update({ balance: newBalance }).eq('id', wallet.id);
-    if (walletError) throw walletError;
-
     const ticketCode = 'TKT-' + Math.random().toString(36).substr(2, 8).toUpperCase();
 
     const { data: ticket, error: ticketError } = await supabaseAdmin
       .from('event_tickets')
-      .insert({ user_id: userId, event_id, quantity, total_price, ticket_code: ticketCode, status: 'confirmed' })
+      .insert({ user_id: userId, event_id, quantity, total_price: totalPrice, ticket_code: ticketCode, status: 'confirmed' })
       .select('*, events(title, location, event_date, event_time)')
       .single();
 
     if (ticketError) throw ticketError;
 
-    await supabaseAdmin.from('transactions').insert({
-      wallet_id: wallet.id, type: 'payment', amount: total_price,
-      status: 'success', description: `Ticket for ${ticket.events.title}`
-    });
+    // Issue the ticket first, then charge atomically; a failed charge only
+    // has to void the ticket since no money moved.
+    if (paid > 0) {
+      let journal;
+      try {
+        journal = await ledger.chargeWallet({
+          walletId: wallet.id,
+          amount: totalPrice,
+          currency: priceCurrency,
+          payment,
+          description: `Ticket for ${ticket.events.title}`,
+          referenceType: 'event_ticket',
+          referenceId: ticket.id,
+          idempotencyKey: `ticket:${ticket.id}`
+        });
+      } catch (chargeError) {
+        await supabaseAdmin.from('event_tickets').delete().eq('id', ticket.id);
+        if (ledger.isInsufficientFunds(chargeError)) {
+          return res.status(402).json({ error: 'Insufficient wallet balance.' });
+        }
+        throw chargeError;
+      }
+
+      try {
+        await invoices.issueForJournal(journal.journal_id);
+      } catch (invoiceError) {
+        console.error(`Invoice error (ticket ${ticket.id}):`, invoiceError.message);
+      }
+    }
 
     await supabaseAdmin.from('notifications').insert({
       user_id: userId,
@@ -229,8 +274,13 @@ router.post('/buy-ticket', authenticateToken, async (req, res) => {
       type: 'event_ticket', reference_id: ticket.id
     });
 
-    res.status(201).json({ message: 'Ticket purchased successfully!', ticket });
+    res.status(201).json({
+      message: 'Ticket purchased successfully!',
+      ticket,
+      payment: { amount: paid, currency, price: totalPrice, price_currency: priceCurrency, fx_rate: rate }
+    });
   } catch (error) {
+    if (fx.isFxError(error)) return res.status(error.status).json({ error: error.message });
     res.status(500).json({ error: 'Transaction failed.' });
   }
 });
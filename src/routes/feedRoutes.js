@@ -3,44 +3,23 @@ const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const authenticateAdmin = require('../middleware/adminMiddleware');
 const authenticateToken = require('../middleware/authMiddleware'); // Ensure this is imported
+const entitlements = require('../utils/entitlements');
 
-const COMMUNITY_LIMITS_BY_TIER = {
-  free: 1,
-  plus: 3,
-  pro: 5,
-  business: Infinity
-};
-
-const normalizeTier = (tier) => {
-  if (!tier || typeof tier !== 'string') return 'free';
-  return tier.toLowerCase();
-};
-
-const getCommunityLimitContext = async (userId) => {
-  const { data: profile, error: profileError } = await supabaseAdmin
-    .from('profiles')
-    .select('subscription_tier, trial_end_date')
-    .eq('id', userId)
-    .maybeSingle();
-
-  if (profileError) throw profileError;
-
-  // During an active trial users get pro-level community access (5 communities)
-  const isTrialActive = profile?.trial_end_date && new Date(profile.trial_end_date) > new Date();
-  const subscriptionTier = isTrialActive ? 'pro' : normalizeTier(profile?.subscription_tier);
-  const communityLimit = COMMUNITY_LIMITS_BY_TIER[subscriptionTier] ?? COMMUNITY_LIMITS_BY_TIER.free;
+const getCommunityLimitContext = async (req) => {
+  // During an active trial users get pro-level community access
+  const plan = await entitlements.forRequest(req);
 
   const { count: currentCommunityCount, error: countError } = await supabaseAdmin
     .from('group_members')
     .select('id', { count: 'exact', head: true })
-    .eq('user_id', userId);
+    .eq('user_id', req.user.id);
 
   if (countError) throw countError;
 
   return {
-    communityLimit,
+    communityLimit: entitlements.limitOf(plan, 'communities.max'),
     currentCommunityCount: currentCommunityCount || 0,
-    subscriptionTier,
+    subscriptionTier: plan.tier,
   };
 };
 
@@ -673,7 +652,7 @@ router.post('/groups', authenticateToken, async (req, res) => {
       communityLimit,
       currentCommunityCount,
       subscriptionTier,
-    } = await getCommunityLimitContext(userId);
+    } = await getCommunityLimitContext(req);
 
     if (communityLimit !== Infinity && currentCommunityCount >= communityLimit) {
       return res.status(403).json({
@@ -732,7 +711,7 @@ router.post('/groups/:id/join', authenticateToken, async (req, res) => {
       communityLimit,
       currentCommunityCount,
       subscriptionTier,
-    } = await getCommunityLimitContext(userId);
+    } = await getCommunityLimitContext(req);
 
     if (communityLimit !== Infinity && currentCommunityCount >= communityLimit) {
       return res.status(403).json({
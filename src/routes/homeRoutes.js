@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware'); 
+const { getTierWeight } = require('../utils/entitlements');
+const boosts = require('../utils/boosts');
 
 // ── i18n helpers ──────────────────────────────────────────────────────────────
 function getLang(req) {
@@ -36,16 +38,8 @@ function localiseOffer(offer, lang) {
   };
 }
 
-const normalizeTier = (tier) =>
-  (typeof tier === 'string' ? tier.toLowerCase() : 'free');
-
-const getTierWeight = (tier) => {
-  const normalized = normalizeTier(tier);
-  if (normalized === 'business') return 4;
-  if (normalized === 'pro') return 3;
-  if (normalized === 'plus') return 2;
-  return 1;
-};
+// Services in home listings, with the provider's tier for ranking
+const LISTING_SELECT = '*, profiles(id, full_name, profile_picture_url, subscription_tier), service_categories(name, name_translations)';
 
 // 1. Get Active Offers/Banners (Public)
 router.get('/offers', async (req, res) => {
@@ -79,9 +73,7 @@ router.get('/popular-services', async (req, res) => {
     // 1. Fetch active services with provider subscription tier
     let { data: services, error } = await supabase
       .from('services')
-      .select(
-        '*, profiles(id, full_name, profile_picture_url, subscription_tier), service_categories(name, name_translations)',
-      )
+      .select(LISTING_SELECT)
       .eq('status', 'active')
       .limit(120);
 
@@ -102,6 +94,9 @@ router.get('/popular-services', async (req, res) => {
       return Number(b?.total_reviews || 0) - Number(a?.total_reviews || 0);
     });
 
+    // 3. Boosted services take the sponsored slots on top
+    services = await boosts.applyBoosts(services, { placement: 'popular', visible: 6, select: LISTING_SELECT });
+
     res.status(200).json({
       message: 'Popular services fetched successfully!',
       services: services.slice(0, 6).map(s => localiseService(s, lang)),
@@ -130,9 +125,7 @@ router.get('/explore', async (req, res) => {
         .order('name', { ascending: true }),
       supabase
         .from('services')
-        .select(
-          '*, profiles(id, full_name, profile_picture_url, subscription_tier), service_categories(name, name_translations)',
-        )
+        .select(LISTING_SELECT)
         .eq('status', 'active')
         .limit(200),
     ]);
@@ -154,6 +147,7 @@ router.get('/explore', async (req, res) => {
       const ratingB = Number(b?.average_rating || 0);
       return ratingB - ratingA;
     });
+    services = await boosts.applyBoosts(services, { placement: 'explore', select: LISTING_SELECT });
 
     res.status(200).json({
       message: 'Explore feed fetched successfully!',
@@ -286,8 +280,11 @@ router.get('/search', async (req, res) => {
             ...catMatchedServices
         ];
         
-        // Dedup by ID
-        const uniqueServices = Array.from(new Map(combined.map(item => [item['id'], item])).values());
+        // Dedup by ID, boosted matches first
+        const uniqueServices = await boosts.applyBoosts(
+            Array.from(new Map(combined.map(item => [item['id'], item])).values()),
+            { placement: 'search' }
+        );
 
         // 5. Search Providers (by name)
         const { data: providers } = await supabase
@@ -4,6 +4,9 @@ const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
 const { translateFields } = require('../utils/autoTranslate');
+const entitlements = require('../utils/entitlements');
+const { getTierWeight } = entitlements;
+const boosts = require('../utils/boosts');
 
 // ── i18n helpers ─────────────────────────────────────────────────────────────
 
@@ -37,26 +40,6 @@ function localiseService(svc, lang) {
   };
 }
 
-const SERVICE_LIMITS_BY_TIER = {
-    free: 0,   // Free plan: cannot post services
-    plus: 1,
-    pro: 5,
-    business: Infinity
-};
-
-const normalizeTier = (tier) => {
-    if (!tier || typeof tier !== 'string') return 'free';
-    return tier.toLowerCase();
-};
-
-const getTierWeight = (tier) => {
-    const normalized = normalizeTier(tier);
-    if (normalized === 'business') return 4;
-    if (normalized === 'pro') return 3;
-    if (normalized === 'plus') return 2;
-    return 1;
-};
-
 // --- Service Listing & Management Endpoints ---
 
 // NOTE ON ORDERING: The general parameterized routes (like /:id) must come AFTER 
@@ -132,19 +115,8 @@ router.post('/', authenticateToken, async (req, res) => {
             parentCat = parent;
         }
 
-        const { data: profile, error: profileError } = await supabaseAdmin
-            .from('profiles')
-            .select('subscription_tier, trial_end_date')
-            .eq('id', providerId)
-            .maybeSingle();
-
-        if (profileError) throw profileError;
-
-        const subscriptionTier = normalizeTier(profile?.subscription_tier);
-
-        // Trial check: if trial is active, treat the user as 'pro' for limit purposes
-        const isTrialActive = profile?.trial_end_date && new Date(profile.trial_end_date) > new Date();
-        const effectiveTier = isTrialActive ? 'pro' : subscriptionTier;
+        // Trials count as pro for the limit (see utils/entitlements.js)
+        const plan = await entitlements.forRequest(req);
 
         const servicesToCreateCount = (parentCat && parentCat.is_standalone) ? 1 : selectedCats.length;
 
@@ -156,9 +128,14 @@ router.post('/', authenticateToken, async (req, res) => {
         if (existingServicesError) throw existingServicesError;
 
         const currentServicesCount = existingServicesCount || 0;
-        const serviceLimit = SERVICE_LIMITS_BY_TIER[effectiveTier] ?? SERVICE_LIMITS_BY_TIER.free;
+        const serviceLimit = entitlements.limitOf(plan, 'services.max');
         if (serviceLimit !== Infinity && (currentServicesCount + servicesToCreateCount) > serviceLimit) {
-            return res.status(403).json({ error: 'Plan limit reached' });
+            return res.status(403).json({
+                error: 'Plan limit reached',
+                code: 'PLAN_LIMIT_REACHED',
+                current_tier: plan.tier,
+                limit: serviceLimit,
+            });
         }
 
         if (parentCat && parentCat.is_standalone) {
@@ -483,10 +460,11 @@ router.get('/category/:categoryId', async (req, res) => {
 
             return Number(b?.total_reviews || 0) - Number(a?.total_reviews || 0);
         });
+        const rankedServices = await boosts.applyBoosts(sortedServices, { placement: 'category' });
 
         res.status(200).json({
             message: 'Services fetched successfully!',
-            services: sortedServices.map(s => localiseService(s, lang)),
+            services: rankedServices.map(s => localiseService(s, lang)),
         });
 
     } catch (error) {
@@ -540,6 +518,7 @@ router.get('/provider/:providerId', async (req, res) => {
 /**
  * 7. GET /services/:id - Get a Single Service by ID (Public)
  * Screen: Service Detail / Booking page
+ * Query: boost_id?, placement? — sent when opened from a Sponsored card, counts a click
  */
 router.get('/:id', async (req, res) => {
     const { id } = req.params;
@@ -561,6 +540,10 @@ router.get('/:id', async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch service.' });
         }
 
+        if (req.query.boost_id) {
+            await boosts.recordClick(String(req.query.boost_id), service, req.query.placement);
+        }
+
         res.status(200).json({
             message: 'Service fetched successfully!',
             service: localiseService(service, lang),
@@ -4,6 +4,7 @@ const multer = require('multer');
 // CHANGE 1: Import supabaseAdmin
 const { supabaseAdmin } = require('../config/supabase'); 
 const authenticateToken = require('../middleware/authMiddleware');
+const chat = require('../utils/chat');
 
 const upload = multer({ 
   storage: multer.memoryStorage(),
@@ -12,6 +13,12 @@ const upload = multer({
 
 const BUCKET_NAME = 'lifekit_images';
 
+// Chat attachments go to a private bucket; see utils/chat.js
+const chatUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: chat.MAX_ATTACHMENT_BYTES }
+});
+
 router.post('/upload/:folder', authenticateToken, upload.single('file'), async (req, res) => {
   const { folder } = req.params;
   const userId = req.user.id;
@@ -59,4 +66,37 @@ router.post('/upload/:folder', authenticateToken, upload.single('file'), async (
   }
 });
 
+// POST /storage/chat/:bookingId - Upload a photo or document to send in a booking chat
+// Returns the attachment to pass to POST /chats/message (with a short-lived url)
+router.post('/chat/:bookingId', authenticateToken, chatUpload.single('file'), async (req, res) => {
+  try {
+    const attachment = await chat.uploadAttachment({
+      bookingId: req.params.bookingId,
+      userId: req.user.id,
+      file: req.file
+    });
+    res.status(200).json({ message: 'File uploaded successfully!', attachment });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Chat attachment upload error:', error.message);
+    res.status(500).json({ error: 'Internal server error during file upload.' });
+  }
+});
+
+// POST /storage/chat/inquiries/:inquiryId - Same, for a pre-booking inquiry
+router.post('/chat/inquiries/:inquiryId', authenticateToken, chatUpload.single('file'), async (req, res) => {
+  try {
+    const attachment = await chat.uploadAttachment({
+      inquiryId: req.params.inquiryId,
+      userId: req.user.id,
+      file: req.file
+    });
+    res.status(200).json({ message: 'File uploaded successfully!', attachment });
+  } catch (error) {
+    if (chat.isChatError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Chat attachment upload error:', error.message);
+    res.status(500).json({ error: 'Internal server error during file upload.' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
+const bookingLifecycle = require('../utils/bookingLifecycle');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -296,8 +297,9 @@ router.put('/:id/accept', authenticateToken, async (req, res) => {
 
     const finalScheduledTime = scheduled_time || swap.scheduled_time || new Date().toISOString();
 
-    // Create a $0 booking on the proposer's service (client = target, provider = proposer)
-    const { data: booking, error: bookingErr } = await supabaseAdmin
+    // Create a $0 booking on the proposer's service (client = target, provider = proposer).
+    // It is born pending and confirmed straight away: both sides already agreed.
+    const { data: createdBooking, error: bookingErr } = await supabaseAdmin
       .from('bookings')
       .insert({
         service_id:       swap.proposer_service_id,
@@ -307,7 +309,7 @@ router.put('/:id/accept', authenticateToken, async (req, res) => {
         total_price:      0,
         location_details: `Skill Swap`,
         service_type:     swap.service_type || 'Default',
-        status:           'confirmed',
+        status:           'pending',
         comments:         swap.notes || 'Skill Swap',
       })
       .select()
@@ -315,6 +317,18 @@ router.put('/:id/accept', authenticateToken, async (req, res) => {
 
     if (bookingErr) throw bookingErr;
 
+    await bookingLifecycle.recordCreated(createdBooking, {
+      actorId: userId,
+      actorRole: 'client',
+      metadata: { swap_request_id: swapId },
+    });
+    const { booking } = await bookingLifecycle.transitionBooking(createdBooking, 'confirm', {
+      actorId: userId,
+      actorRole: 'system',
+      metadata: { swap_request_id: swapId },
+      notify: false,
+    });
+
     // Send a system message into the new booking chat
     await supabaseAdmin.from('messages').insert({
       booking_id: booking.id,
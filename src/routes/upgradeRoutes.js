@@ -2,12 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
+const ledger = require('../utils/ledger');
+const fx = require('../utils/fx');
+const subscriptions = require('../utils/subscriptions');
+const entitlements = require('../utils/entitlements');
+const boosts = require('../utils/boosts');
+const promos = require('../utils/promos');
+const invoices = require('../utils/invoices');
 
-const SUBSCRIPTION_PRICING = {
-  plus: 6.99,
-  pro: 17.99,
-  business: 44.99
-};
+const PRICE_CURRENCY = 'USD';
 
 // Service Boost: 24h $2.99 | 3d $6.99 | 7d $14.99
 // Profile Boost: 3d $3.99 | 7d $9.99 (no 24h option)
@@ -33,144 +36,246 @@ const OPPORTUNITY_BOOST_PRICE = 4.99;
 const BUNDLE_BOOST_PRICE = 19.99;
 
 // AI Premium Tools — one-time purchase, no subscription required
-const AI_TOOL_PRICING = {
-  cv_resume_builder: 4.99,
-  relocation_plan: 6.99,
-  start_earning_city_guide: 9.99
-};
-
-const normalizeTier = (tier) => (typeof tier === 'string' ? tier.toLowerCase() : '');
-
-const roundMoney = (amount) => Number(Number(amount).toFixed(2));
-const getSubscriptionExpiryIso = () =>
-  new Date(Date.now() + (30 * 24 * 60 * 60 * 1000)).toISOString();
+const { AI_TOOL_PRICING } = entitlements;
 
-const getWalletByUserId = async (userId) => {
+const getWalletByUserId = async (userId, currency = fx.DEFAULT_CURRENCY) => {
   const { data: wallet, error } = await supabaseAdmin
     .from('wallets')
-    .select('id, balance')
+    .select('id, balance, currency')
     .eq('user_id', userId)
+    .eq('currency', currency)
     .maybeSingle();
 
   if (error) throw error;
   return wallet;
 };
 
-const updateWalletBalance = async (walletId, newBalance) => {
-  const { error } = await supabaseAdmin
-    .from('wallets')
-    .update({ balance: roundMoney(newBalance) })
-    .eq('id', walletId);
-
-  if (error) throw error;
+// Prices above are in USD. Users may pay from a wallet in another currency
+// (body.pay_currency, else their preferred one) at the current rate.
+const getPayment = async (userId, amount, payCurrency) => {
+  const currency = await fx.resolveUserCurrency(userId, payCurrency);
+  const { rate } = await fx.getRate(PRICE_CURRENCY, currency);
+  return { currency, rate, amount: ledger.toPaymentAmount(amount, PRICE_CURRENCY, { currency, rate }) };
 };
 
-const deductWallet = async (userId, amount) => {
-  const wallet = await getWalletByUserId(userId);
+// Cheap pre-check so we don't grant anything to users who clearly can't pay.
+// Not authoritative — chargeWallet re-checks under a row lock.
+const hasSufficientBalance = async (userId, amount, payCurrency = null) => {
+  if (!(amount > 0)) return true;
+  const payment = await getPayment(userId, amount, payCurrency);
+  const wallet = await getWalletByUserId(userId, payment.currency);
+  return !!wallet && Number(wallet.balance || 0) >= payment.amount;
+};
 
+// Purchases grant first and charge last: the charge is a single atomic ledger
+// journal, so if it fails no money has moved and only the grant is undone.
+const chargeWallet = async (userId, amount, description, referenceType = null, referenceId = null, payCurrency = null) => {
+  const payment = await getPayment(userId, amount, payCurrency);
+  const wallet = await getWalletByUserId(userId, payment.currency);
+  // Fully discounted: nothing to charge
+  if (!(amount > 0)) {
+    return { insufficient: false, walletId: wallet?.id || null, currency: payment.currency, newBalance: wallet ? Number(wallet.balance) : 0 };
+  }
   if (!wallet) {
     return { insufficient: true };
   }
 
-  const currentBalance = Number(wallet.balance || 0);
-  const chargeAmount = Number(amount || 0);
-
-  if (currentBalance < chargeAmount) {
-    return { insufficient: true };
+  try {
+    const journal = await ledger.chargeWallet({
+      walletId: wallet.id,
+      amount,
+      currency: PRICE_CURRENCY,
+      payment: { currency: payment.currency, rate: payment.rate },
+      description,
+      referenceType,
+      referenceId
+    });
+    await invoices.issueForJournal(journal.journal_id)
+      .catch((err) => console.error(`Invoice error (${referenceType} ${referenceId}):`, err.message));
+    return {
+      insufficient: false,
+      walletId: wallet.id,
+      currency: wallet.currency,
+      newBalance: Number(journal.balances?.[wallet.id] ?? wallet.balance)
+    };
+  } catch (err) {
+    if (ledger.isInsufficientFunds(err)) return { insufficient: true };
+    throw err;
   }
+};
 
-  const newBalance = roundMoney(currentBalance - chargeAmount);
-  await updateWalletBalance(wallet.id, newBalance);
-
-  return {
-    insufficient: false,
-    walletId: wallet.id,
-    newBalance
-  };
+// Boost prices less an optional promo code (body.promo_code)
+const priceWithPromo = async (userId, code, price) => {
+  if (!code) return { price, promo: null, discount: 0 };
+  const { promo, discount } = await promos.validate({ code, userId, target: 'boost', amount: price, currency: PRICE_CURRENCY });
+  return { price: ledger.roundMoney(price - discount), promo, discount };
 };
 
-const recordPurchaseTransaction = async (walletId, amount, description) => {
-  const { error } = await supabaseAdmin.from('transactions').insert({
-    wallet_id: walletId,
-    type: 'payment',
-    amount: roundMoney(Math.abs(Number(amount || 0))),
-    status: 'success',
-    description
-  });
+// Take the promo use once the boost rows exist; released again if payment fails
+const redeemBoostPromo = (userId, offer, boostId) => promos.redeem({
+  code: offer.promo.code,
+  userId,
+  target: 'boost',
+  targetId: boostId,
+  discount: offer.discount,
+  currency: PRICE_CURRENCY
+});
+
+const promoFields = (offer) => (offer.promo ? { promo_code: offer.promo.code, discount: offer.discount } : {});
 
-  if (error) throw error;
+const sendPurchaseError = (res, error) => {
+  if (promos.isPromoError(error)) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  return res.status(fx.isFxError(error) ? error.status : 500).json({ error: error.message });
+};
+
+const sendSubscriptionError = (res, error) => {
+  if (subscriptions.isSubscriptionError(error)) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  return sendPurchaseError(res, error);
 };
 
+// POST /upgrades/subscribe — start a monthly or yearly plan that renews automatically
+// Body: tier, interval? (month | year), payment_method? (wallet | card),
+//       payment_method_id? (card), pay_currency?, promo_code? (first period only)
 router.post('/subscribe', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  const tier = normalizeTier(req.body.tier);
-  const price = SUBSCRIPTION_PRICING[tier];
+  try {
+    const { subscription, walletBalance } = await subscriptions.subscribe({
+      userId: req.user.id,
+      email: req.user.email,
+      tier: req.body.tier,
+      interval: req.body.interval,
+      paymentMethod: req.body.payment_method,
+      paymentMethodId: req.body.payment_method_id,
+      payCurrency: req.body.pay_currency,
+      promoCode: req.body.promo_code
+    });
 
-  if (!price) {
-    return res.status(400).json({ error: 'Invalid tier. Allowed values: plus, pro, business.' });
+    if (subscription.status === 'pending') {
+      return res.status(202).json({
+        message: 'Your card payment is being confirmed. The plan starts once it goes through.',
+        subscription
+      });
+    }
+    return res.status(200).json({
+      message: 'Subscription purchased successfully.',
+      subscription_tier: subscription.tier,
+      subscription_expiry: subscription.current_period_end,
+      wallet_balance: walletBalance,
+      subscription
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
   }
+});
 
+// GET /upgrades/plans — subscription plans and prices
+router.get('/plans', (req, res) => {
+  res.status(200).json({ plans: subscriptions.listPlans() });
+});
+
+// GET /upgrades/subscription — current subscription and recent charges
+router.get('/subscription', authenticateToken, async (req, res) => {
   try {
-    const { data: existingProfile, error: profileFetchError } = await supabaseAdmin
-      .from('profiles')
-      .select('subscription_tier, subscription_expiry')
-      .eq('id', userId)
-      .maybeSingle();
+    return res.status(200).json(await subscriptions.getSubscription(req.user.id));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    if (profileFetchError) throw profileFetchError;
-    if (!existingProfile) return res.status(404).json({ error: 'Profile not found.' });
+// GET /upgrades/subscription/preview?tier=&interval= — what a plan change costs now
+router.get('/subscription/preview', authenticateToken, async (req, res) => {
+  try {
+    const quote = await subscriptions.previewChange({
+      userId: req.user.id,
+      tier: req.query.tier,
+      interval: req.query.interval
+    });
+    return res.status(200).json(quote);
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
 
-    const paymentResult = await deductWallet(userId, price);
-    if (paymentResult.insufficient) {
-      return res.status(402).json({ error: 'Insufficient wallet balance.' });
+// PUT /upgrades/subscription — change plan, prorated now or at the next renewal
+// Body: tier, interval?, at_period_end?
+router.put('/subscription', authenticateToken, async (req, res) => {
+  try {
+    const result = await subscriptions.changePlan({
+      userId: req.user.id,
+      tier: req.body.tier,
+      interval: req.body.interval,
+      atPeriodEnd: req.body.at_period_end === true
+    });
+    if (result.subscription.status === 'pending') {
+      return res.status(202).json({
+        message: 'Your card payment is being confirmed. The new plan starts once it goes through.',
+        subscription: result.subscription,
+        proration: result.proration
+      });
     }
+    return res.status(200).json({
+      message: result.proration ? 'Plan changed.' : 'Plan change scheduled.',
+      subscription: result.subscription,
+      proration: result.proration,
+      wallet_balance: result.walletBalance ?? null
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
 
-    const expiry = getSubscriptionExpiryIso();
-
-    const { error: profileUpdateError } = await supabaseAdmin
-      .from('profiles')
-      .update({
-        subscription_tier: tier,
-        subscription_expiry: expiry,
-        // Business tier unlocks verified badge
-        ...(tier === 'business' ? { is_verified_business: true } : {})
-      })
-      .eq('id', userId);
+// POST /upgrades/subscription/cancel — stop renewing at the end of the period
+router.post('/subscription/cancel', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await subscriptions.cancel({ userId: req.user.id });
+    return res.status(200).json({ message: 'Subscription cancelled.', subscription });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
 
-    if (profileUpdateError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
-      return res.status(500).json({ error: 'Failed to update subscription.' });
-    }
+// POST /upgrades/subscription/resume — undo a cancellation before the period ends
+router.post('/subscription/resume', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await subscriptions.resume({ userId: req.user.id });
+    return res.status(200).json({ message: 'Subscription resumed.', subscription });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
 
-    try {
-      await recordPurchaseTransaction(
-        paymentResult.walletId,
-        price,
-        `Bought ${tier} subscription`
-      );
-    } catch (txError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
-      await supabaseAdmin
-        .from('profiles')
-        .update({
-          subscription_tier: existingProfile.subscription_tier,
-          subscription_expiry: existingProfile.subscription_expiry
-        })
-        .eq('id', userId);
-      throw txError;
-    }
+// POST /upgrades/subscription/retry — pay a failed renewal during the grace period
+router.post('/subscription/retry', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await subscriptions.retryPayment({ userId: req.user.id });
+    return res.status(200).json({ message: 'Subscription renewed.', subscription });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
 
-    return res.status(200).json({
-      message: 'Subscription purchased successfully.',
-      subscription_tier: tier,
-      subscription_expiry: expiry,
-      wallet_balance: paymentResult.newBalance
+// PUT /upgrades/subscription/payment-method — renew from the wallet or a card
+// Body: payment_method (wallet | card), payment_method_id? (card), pay_currency?
+router.put('/subscription/payment-method', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await subscriptions.updatePaymentMethod({
+      userId: req.user.id,
+      email: req.user.email,
+      paymentMethod: req.body.payment_method,
+      paymentMethodId: req.body.payment_method_id,
+      payCurrency: req.body.pay_currency
     });
+    return res.status(200).json({ subscription });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendSubscriptionError(res, error);
   }
 });
 
+// POST /upgrade/boost — boost a service or profile
+// Body: target_id, boost_duration, pay_currency?, promo_code?
 router.post('/boost', authenticateToken, async (req, res) => {
   const userId = req.user.id;
   const { target_id, boost_duration } = req.body;
@@ -214,10 +319,8 @@ router.post('/boost', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Profile boosts support 3d and 7d only.' });
     }
 
-    const price = BOOST_PRICING[targetType][boost_duration];
-    const paymentResult = await deductWallet(userId, price);
-
-    if (paymentResult.insufficient) {
+    const offer = await priceWithPromo(userId, req.body.promo_code, BOOST_PRICING[targetType][boost_duration]);
+    if (!(await hasSufficientBalance(userId, offer.price, req.body.pay_currency))) {
       return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
@@ -229,6 +332,7 @@ router.post('/boost', authenticateToken, async (req, res) => {
       .insert({
         user_id: userId,
         service_id: serviceId,
+        profile_id: targetType === 'profile' ? target_id : null,
         boost_type: boostType,
         expires_at: expiresAt
       })
@@ -236,28 +340,63 @@ router.post('/boost', authenticateToken, async (req, res) => {
       .single();
 
     if (boostInsertError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
       return res.status(500).json({ error: 'Failed to activate boost.' });
     }
 
+    const undoBoost = async () => {
+      await supabaseAdmin.from('active_boosts').delete().eq('id', boostRecord.id);
+      if (offer.promo) await promos.release('boost', boostRecord.id);
+    };
+
+    let paymentResult;
     try {
-      await recordPurchaseTransaction(
-        paymentResult.walletId,
-        price,
-        `Bought ${targetType} boost (${boost_duration})`
+      if (offer.promo) await redeemBoostPromo(userId, offer, boostRecord.id);
+      paymentResult = await chargeWallet(
+        userId,
+        offer.price,
+        `Bought ${targetType} boost (${boost_duration})`,
+        'boost',
+        boostRecord.id,
+        req.body.pay_currency
       );
-    } catch (txError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
-      await supabaseAdmin.from('active_boosts').delete().eq('id', boostRecord.id);
-      throw txError;
+    } catch (chargeError) {
+      await undoBoost();
+      throw chargeError;
+    }
+
+    if (paymentResult.insufficient) {
+      await undoBoost();
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
     return res.status(200).json({
       message: 'Boost purchased successfully.',
       boost_type: boostType,
       expires_at: expiresAt,
-      wallet_balance: paymentResult.newBalance
+      wallet_balance: paymentResult.newBalance,
+      ...promoFields(offer)
     });
+  } catch (error) {
+    return sendPurchaseError(res, error);
+  }
+});
+
+// GET /upgrades/boosts — the user's boosts with views, clicks and bookings
+router.get('/boosts', authenticateToken, async (req, res) => {
+  try {
+    const performance = await boosts.listBoostPerformance(req.user.id);
+    return res.status(200).json({ boosts: performance });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /upgrades/boosts/:id/stats — one boost's performance during its window
+router.get('/boosts/:id/stats', authenticateToken, async (req, res) => {
+  try {
+    const performance = await boosts.getBoostPerformance(req.user.id, req.params.id);
+    if (!performance) return res.status(404).json({ error: 'Boost not found.' });
+    return res.status(200).json(performance);
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
@@ -268,8 +407,8 @@ router.post('/opportunity-boost', authenticateToken, async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const paymentResult = await deductWallet(userId, OPPORTUNITY_BOOST_PRICE);
-    if (paymentResult.insufficient) {
+    const offer = await priceWithPromo(userId, req.body.promo_code, OPPORTUNITY_BOOST_PRICE);
+    if (!(await hasSufficientBalance(userId, offer.price, req.body.pay_currency))) {
       return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
@@ -286,25 +425,36 @@ router.post('/opportunity-boost', authenticateToken, async (req, res) => {
       .single();
 
     if (boostInsertError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + OPPORTUNITY_BOOST_PRICE);
       return res.status(500).json({ error: 'Failed to activate opportunity boost.' });
     }
 
-    try {
-      await recordPurchaseTransaction(paymentResult.walletId, OPPORTUNITY_BOOST_PRICE, 'Bought opportunity boost');
-    } catch (txError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + OPPORTUNITY_BOOST_PRICE);
+    const undoBoost = async () => {
       await supabaseAdmin.from('active_boosts').delete().eq('id', boostRecord.id);
-      throw txError;
+      if (offer.promo) await promos.release('boost', boostRecord.id);
+    };
+
+    let paymentResult;
+    try {
+      if (offer.promo) await redeemBoostPromo(userId, offer, boostRecord.id);
+      paymentResult = await chargeWallet(userId, offer.price, 'Bought opportunity boost', 'boost', boostRecord.id, req.body.pay_currency);
+    } catch (chargeError) {
+      await undoBoost();
+      throw chargeError;
+    }
+
+    if (paymentResult.insufficient) {
+      await undoBoost();
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
     return res.status(200).json({
       message: 'Opportunity boost activated.',
       expires_at: expiresAt,
-      wallet_balance: paymentResult.newBalance
+      wallet_balance: paymentResult.newBalance,
+      ...promoFields(offer)
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendPurchaseError(res, error);
   }
 });
 
@@ -313,8 +463,8 @@ router.post('/bundle-boost', authenticateToken, async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const paymentResult = await deductWallet(userId, BUNDLE_BOOST_PRICE);
-    if (paymentResult.insufficient) {
+    const offer = await priceWithPromo(userId, req.body.promo_code, BUNDLE_BOOST_PRICE);
+    if (!(await hasSufficientBalance(userId, offer.price, req.body.pay_currency))) {
       return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
@@ -329,30 +479,46 @@ router.post('/bundle-boost', authenticateToken, async (req, res) => {
       { user_id: userId, boost_type: 'opportunity', expires_at: expires7d }
     ];
 
-    const { error: boostInsertError } = await supabaseAdmin
+    const { data: insertedBoosts, error: boostInsertError } = await supabaseAdmin
       .from('active_boosts')
-      .insert(boostRows);
+      .insert(boostRows)
+      .select('id');
 
     if (boostInsertError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + BUNDLE_BOOST_PRICE);
       return res.status(500).json({ error: 'Failed to activate bundle boosts.' });
     }
 
+    const boostIds = (insertedBoosts || []).map((b) => b.id);
+
+    // The promo use is keyed on the first boost of the pack
+    const undoBundle = async () => {
+      await supabaseAdmin.from('active_boosts').delete().in('id', boostIds);
+      if (offer.promo) await promos.release('boost', boostIds[0]);
+    };
+
+    let paymentResult;
     try {
-      await recordPurchaseTransaction(paymentResult.walletId, BUNDLE_BOOST_PRICE, 'Bought Bundle Boost Pack');
-    } catch (txError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + BUNDLE_BOOST_PRICE);
-      throw txError;
+      if (offer.promo) await redeemBoostPromo(userId, offer, boostIds[0]);
+      paymentResult = await chargeWallet(userId, offer.price, 'Bought Bundle Boost Pack', 'boost_bundle', boostIds[0], req.body.pay_currency);
+    } catch (chargeError) {
+      await undoBundle();
+      throw chargeError;
+    }
+
+    if (paymentResult.insufficient) {
+      await undoBundle();
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
     return res.status(200).json({
       message: 'Bundle Boost Pack activated.',
       boosts_added: 5,
       expires_at: expires7d,
-      wallet_balance: paymentResult.newBalance
+      wallet_balance: paymentResult.newBalance,
+      ...promoFields(offer)
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return sendPurchaseError(res, error);
   }
 });
 
@@ -382,8 +548,7 @@ router.post('/ai-tool', authenticateToken, async (req, res) => {
       return res.status(409).json({ error: 'You already own this AI tool.' });
     }
 
-    const paymentResult = await deductWallet(userId, price);
-    if (paymentResult.insufficient) {
+    if (!(await hasSufficientBalance(userId, price, req.body.pay_currency))) {
       return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
@@ -392,16 +557,30 @@ router.post('/ai-tool', authenticateToken, async (req, res) => {
       .insert({ user_id: userId, tool_key });
 
     if (insertError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
+      // Unique violation: a concurrent request already bought it
+      if (insertError.code === '23505') {
+        return res.status(409).json({ error: 'You already own this AI tool.' });
+      }
       return res.status(500).json({ error: 'Failed to unlock AI tool.' });
     }
 
+    const revokeTool = () => supabaseAdmin
+      .from('purchased_ai_tools')
+      .delete()
+      .eq('user_id', userId)
+      .eq('tool_key', tool_key);
+
+    let paymentResult;
     try {
-      await recordPurchaseTransaction(paymentResult.walletId, price, `Bought AI tool: ${tool_key}`);
-    } catch (txError) {
-      await updateWalletBalance(paymentResult.walletId, paymentResult.newBalance + price);
-      await supabaseAdmin.from('purchased_ai_tools').delete().eq('user_id', userId).eq('tool_key', tool_key);
-      throw txError;
+      paymentResult = await chargeWallet(userId, price, `Bought AI tool: ${tool_key}`, 'ai_tool', tool_key, req.body.pay_currency);
+    } catch (chargeError) {
+      await revokeTool();
+      throw chargeError;
+    }
+
+    if (paymentResult.insufficient) {
+      await revokeTool();
+      return res.status(402).json({ error: 'Insufficient wallet balance.' });
     }
 
     return res.status(200).json({
@@ -410,7 +589,7 @@ router.post('/ai-tool', authenticateToken, async (req, res) => {
       wallet_balance: paymentResult.newBalance
     });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return res.status(fx.isFxError(error) ? error.status : 500).json({ error: error.message });
   }
 });
 
@@ -5,6 +5,17 @@ const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const authenticateToken = require('../middleware/authMiddleware');
 const { translateText } = require('../utils/autoTranslate');
+const bookingLifecycle = require('../utils/bookingLifecycle');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const availability = require('../utils/availability');
+const fx = require('../utils/fx');
+const commission = require('../utils/commission');
+const entitlements = require('../utils/entitlements');
+const subscriptions = require('../utils/subscriptions');
+const referrals = require('../utils/referrals');
+const tips = require('../utils/tips');
+const invoices = require('../utils/invoices');
+const presence = require('../utils/presence');
 
 // ── i18n helper ───────────────────────────────────────────────────────────────
 function getLang(req) {
@@ -96,7 +107,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // 2. UPDATE PROFILE (Fixed: Ensures Email exists for Upsert)
 // =============================================================================
 router.put('/profile', authenticateToken, async (req, res) => {
-  const { full_name, profile_picture_url, username, phone_number, bio, job_title } = req.body;
+  const { full_name, profile_picture_url, username, phone_number, bio, job_title, cancellation_policy, preferred_currency, show_last_seen } = req.body;
   const userId = req.user.id;
 
   try {
@@ -109,6 +120,24 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (phone_number !== undefined) updateData.phone_number = phone_number;
     if (bio !== undefined) updateData.bio = bio;
     if (job_title !== undefined) updateData.job_title = job_title;
+    if (cancellation_policy !== undefined) {
+      if (!cancellationPolicy.isValidPolicy(cancellation_policy)) {
+        return res.status(400).json({ error: 'cancellation_policy must be flexible, moderate or strict.' });
+      }
+      updateData.cancellation_policy = cancellation_policy;
+    }
+    if (preferred_currency !== undefined) {
+      if (!fx.isSupportedCurrency(preferred_currency)) {
+        return res.status(400).json({ error: `preferred_currency must be one of: ${fx.SUPPORTED_CURRENCIES.join(', ')}.` });
+      }
+      updateData.preferred_currency = preferred_currency.toUpperCase();
+    }
+    if (show_last_seen !== undefined) {
+      if (typeof show_last_seen !== 'boolean') {
+        return res.status(400).json({ error: 'show_last_seen must be true or false.' });
+      }
+      updateData.show_last_seen = show_last_seen;
+    }
 
     // 2. SAFETY NET: Fetch Email/Name if missing
     // Since we are using upsert, we MUST have an email if a new row is created.
@@ -264,21 +293,147 @@ router.put('/onboard-provider', authenticateToken, async (req, res) => {
 
 
 // GET /users/schedule/:providerId
-// Fetch the weekly schedule for a specific provider
+// Weekly hours plus the settings and upcoming overrides the availability
+// engine uses (src/utils/availability.js)
 router.get('/schedule/:providerId', async (req, res) => {
   const { providerId } = req.params;
 
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const [scheduleRes, profileRes, overridesRes] = await Promise.all([
+      supabaseAdmin
+        .from('provider_schedules')
+        .select('*')
+        .eq('provider_id', providerId),
+      supabaseAdmin
+        .from('profiles')
+        .select('timezone, booking_buffer_minutes')
+        .eq('id', providerId)
+        .maybeSingle(),
+      supabaseAdmin
+        .from('provider_availability_overrides')
+        .select('id, date, is_available, start_time, end_time, reason')
+        .eq('provider_id', providerId)
+        .gte('date', today)
+        .order('date', { ascending: true })
+    ]);
+
+    if (scheduleRes.error) throw scheduleRes.error;
+
+    res.status(200).json({
+      schedule: scheduleRes.data || [],
+      timezone: availability.normalizeTimezone(profileRes.data?.timezone),
+      buffer_minutes: profileRes.data?.booking_buffer_minutes || 0,
+      overrides: overridesRes.data || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /users/availability-settings
+// Provider timezone (IANA name) and buffer between bookings
+router.put('/availability-settings', authenticateToken, async (req, res) => {
+  const { timezone, booking_buffer_minutes } = req.body;
+  const userId = req.user.id;
+
+  const updateData = {};
+  if (timezone !== undefined) {
+    if (availability.normalizeTimezone(timezone) !== timezone) {
+      return res.status(400).json({ error: 'Invalid timezone.' });
+    }
+    updateData.timezone = timezone;
+  }
+  if (booking_buffer_minutes !== undefined) {
+    const buffer = Number(booking_buffer_minutes);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > 240) {
+      return res.status(400).json({ error: 'booking_buffer_minutes must be between 0 and 240.' });
+    }
+    updateData.booking_buffer_minutes = buffer;
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update.' });
+  }
+
   try {
     const { data, error } = await supabaseAdmin
-      .from('provider_schedules')
-      .select('*')
-      .eq('provider_id', providerId);
+      .from('profiles')
+      .update(updateData)
+      .eq('id', userId)
+      .select('timezone, booking_buffer_minutes')
+      .single();
 
     if (error) throw error;
+    res.status(200).json({ settings: data });
+  } catch (error) {
+    console.error('Availability settings error:', error.message);
+    res.status(500).json({ error: 'Failed to update availability settings.' });
+  }
+});
 
-    res.status(200).json({ schedule: data || [] });
+// POST /users/availability-overrides
+// Custom hours (is_available: true + times), time off (false + times)
+// or a whole day off (false, no times) for one date
+router.post('/availability-overrides', authenticateToken, async (req, res) => {
+  const { date, is_available = false, start_time = null, end_time = null, reason = null } = req.body;
+  const userId = req.user.id;
+
+  if (!availability.isDateString(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD.' });
+  }
+  if ((start_time === null) !== (end_time === null)) {
+    return res.status(400).json({ error: 'start_time and end_time must be sent together.' });
+  }
+  if (start_time !== null) {
+    const start = availability.parseTime(start_time);
+    const end = availability.parseTime(end_time);
+    if (start === null || end === null || end <= start) {
+      return res.status(400).json({ error: 'Invalid time range.' });
+    }
+  } else if (is_available) {
+    return res.status(400).json({ error: 'Custom hours need start_time and end_time.' });
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('provider_availability_overrides')
+      .insert({
+        provider_id: userId,
+        date,
+        is_available: !!is_available,
+        start_time,
+        end_time,
+        reason
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.status(201).json({ override: data });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Availability override error:', error.message);
+    res.status(500).json({ error: 'Failed to save availability override.' });
+  }
+});
+
+// DELETE /users/availability-overrides/:id
+router.delete('/availability-overrides/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('provider_availability_overrides')
+      .delete()
+      .eq('id', id)
+      .eq('provider_id', userId);
+
+    if (error) throw error;
+    res.status(200).json({ message: 'Override removed.' });
+  } catch (error) {
+    console.error('Availability override delete error:', error.message);
+    res.status(500).json({ error: 'Failed to remove availability override.' });
   }
 });
 
@@ -319,6 +474,25 @@ router.get('/counts', authenticateToken, async (req, res) => {
         if (!chatError) chatCount = count;
     }
 
+    // Pre-booking inquiries (converted ones are counted with their booking)
+    const { data: myInquiries } = await supabaseAdmin
+        .from('inquiries')
+        .select('id')
+        .or(`client_id.eq.${userId},provider_id.eq.${userId}`)
+        .in('status', ['open', 'closed']);
+
+    const inquiryIds = myInquiries ? myInquiries.map(i => i.id) : [];
+    if (inquiryIds.length > 0) {
+        const { count, error: inquiryChatError } = await supabaseAdmin
+            .from('messages')
+            .select('*', { count: 'exact', head: true })
+            .in('inquiry_id', inquiryIds)
+            .neq('sender_id', userId)
+            .eq('is_read', false);
+
+        if (!inquiryChatError) chatCount += count || 0;
+    }
+
     const { count: activeBookingsCount, error: activeBookingsError } =
         await supabaseAdmin
           .from('bookings')
@@ -333,77 +507,25 @@ router.get('/counts', authenticateToken, async (req, res) => {
     (async () => {
       try {
         const now    = new Date();
-        const cutoff = new Date(now.getTime() - 48 * 60 * 60 * 1000);
+        const cutoff = new Date(now.getTime() - bookingLifecycle.AUTO_RELEASE_AFTER_MS);
 
         // Find bookings where the provider confirmed but the client ghosted
         // and the window has elapsed.
         const { data: ghostedBookings } = await supabaseAdmin
           .from('bookings')
-          .select('id, client_id, provider_id, total_price, services(title)')
+          .select('*, services(title)')
           .or(`client_id.eq.${userId},provider_id.eq.${userId}`)
           .eq('provider_confirmed', true)
           .eq('client_confirmed', false)
-          .in('status', ['confirmed', 'pending'])
+          .eq('status', 'confirmed')
           .lte('updated_at', cutoff.toISOString());
 
         if (!ghostedBookings || ghostedBookings.length === 0) return;
 
         for (const booking of ghostedBookings) {
           try {
-            const serviceTitle = booking.services?.title || 'Service';
-
-            // 1. Mark booking as completed
-            await supabaseAdmin
-              .from('bookings')
-              .update({ status: 'completed', updated_at: new Date().toISOString() })
-              .eq('id', booking.id);
-
-            // 2. Transfer funds to provider's wallet (only if price > 0)
-            if (parseFloat(booking.total_price) > 0) {
-              const { data: providerWallet } = await supabaseAdmin
-                .from('wallets')
-                .select('id, balance')
-                .eq('user_id', booking.provider_id)
-                .single();
-
-              if (providerWallet) {
-                const newBalance =
-                  parseFloat(providerWallet.balance) +
-                  parseFloat(booking.total_price);
-                await supabaseAdmin
-                  .from('wallets')
-                  .update({ balance: newBalance })
-                  .eq('id', providerWallet.id);
-
-                await supabaseAdmin.from('transactions').insert({
-                  wallet_id: providerWallet.id,
-                  type: 'earning',
-                  amount: booking.total_price,
-                  status: 'success',
-                  description: `Auto-released funds for Booking #${booking.id} (client inactive 48h)`,
-                });
-              }
-            }
-
-            // 3. Notify both parties
-            await supabaseAdmin.from('notifications').insert([
-              {
-                user_id: booking.provider_id,
-                title: 'Funds Auto-Released 💰',
-                message: `Your funds for "${serviceTitle}" were automatically released. The client did not respond within 48 hours.`,
-                type: 'auto_release',
-                reference_id: booking.id,
-                is_read: false,
-              },
-              {
-                user_id: booking.client_id,
-                title: 'Booking Auto-Completed',
-                message: `Your booking for "${serviceTitle}" was automatically marked as completed. The provider confirmed 48+ hours ago.`,
-                type: 'auto_release',
-                reference_id: booking.id,
-                is_read: false,
-              },
-            ]);
+            // Completes the booking, releases escrow and notifies both parties
+            await bookingLifecycle.transitionBooking(booking, 'auto_release', { actorRole: 'system' });
           } catch (singleErr) {
             console.error(
               `Auto-release failed for booking ${booking.id}:`,
@@ -547,36 +669,21 @@ router.get('/provider-stats', authenticateToken, async (req, res) => {
     // 1. Get All Completed Bookings
     const { data: bookings, error } = await supabase
       .from('bookings')
-      .select('total_price, created_at')
+      .select('id')
       .eq('provider_id', userId)
       .eq('status', 'completed');
 
     if (error) throw error;
+    const completedJobs = bookings.length;
 
-    // 2. Calculate Totals
-    let totalEarnings = 0;
-    let completedJobs = bookings.length;
-    
-    // 3. Prepare Chart Data (Last 7 Days)
-    const chartData = Array(7).fill(0); // [0, 0, 0, 0, 0, 0, 0]
-    const today = new Date();
-    
-    bookings.forEach(b => {
-      totalEarnings += parseFloat(b.total_price);
-
-      // Check if booking was in the last 7 days
-      const bookingDate = new Date(b.created_at);
-      const diffTime = Math.abs(today - bookingDate);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); 
-
-      if (diffDays <= 7) {
-        // Map to array index (7 days ago = index 0, Today = index 6)
-        const index = 7 - diffDays; 
-        if (index >= 0) chartData[index] += parseFloat(b.total_price);
-      }
-    });
+    // 2. Earnings after commission, per currency. totalEarnings and the
+    // last-7-days chart are in the provider's preferred currency.
+    const currency = await fx.resolveUserCurrency(userId);
+    const earnings = await commission.summarizeEarnings(userId);
+    const totalEarnings = earnings.by_currency[currency] || 0;
+    const chartData = earnings.chart_by_currency[currency] || Array(7).fill(0);
 
-    // 4. Get Review Stats
+    // 3. Get Review Stats
     const { data: reviews } = await supabase
       .from('reviews')
       .select('rating')
@@ -587,7 +694,7 @@ router.get('/provider-stats', authenticateToken, async (req, res) => {
         ? (reviews.reduce((a, b) => a + b.rating, 0) / reviewCount).toFixed(1) 
         : "0.0";
 
-    // 5. Get Trial Info
+    // 4. Get Trial Info
     const { data: providerProfile } = await supabase
       .from('profiles')
       .select('trial_end_date')
@@ -600,8 +707,13 @@ router.get('/provider-stats', authenticateToken, async (req, res) => {
       ? Math.ceil((new Date(trialEndDate) - new Date()) / (1000 * 60 * 60 * 24))
       : 0;
 
+    // 5. Tips are kept out of totalEarnings (commission-free, per currency)
+    const tipSummary = await tips.summarizeTips(userId);
+
     res.json({
       totalEarnings,
+      currency,
+      earnings, // { by_currency: { USD: 120 }, chart_by_currency: { USD: [...] } }
       completedJobs,
       avgRating,
       reviewCount,
@@ -609,6 +721,7 @@ router.get('/provider-stats', authenticateToken, async (req, res) => {
       trialEndDate,
       isTrialActive,
       trialDaysLeft,
+      tips: tipSummary, // { count, by_currency: { USD: 25 }, recent: [...] }
     });
 
   } catch (error) {
@@ -616,5 +729,83 @@ router.get('/provider-stats', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /users/entitlements - What the user's plan includes and what they can unlock
+router.get('/entitlements', authenticateToken, async (req, res) => {
+  try {
+    const resolved = await entitlements.forRequest(req);
+    res.status(200).json({ ...resolved, plans: subscriptions.listPlans() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /users/referrals - The user's referral code and the people they referred
+router.get('/referrals', authenticateToken, async (req, res) => {
+  try {
+    const summary = await referrals.getReferralSummary(req.user.id);
+    res.status(200).json(summary);
+  } catch (error) {
+    if (referrals.isReferralError(error)) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /users/referral - Enter a friend's referral code (before the first booking)
+// Body: code
+router.post('/referral', authenticateToken, async (req, res) => {
+  try {
+    const referral = await referrals.applyReferral(req.user.id, req.body.code);
+    res.status(201).json({ message: 'Referral code applied.', referral });
+  } catch (error) {
+    if (referrals.isReferralError(error)) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /users/presence - Heartbeat while the app is in the foreground (keeps last seen fresh)
+router.put('/presence', authenticateToken, async (req, res) => {
+  try {
+    await presence.touchLastSeen(req.user.id);
+    res.status(200).json({ message: 'OK' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /users/billing-details - Name, address and tax ID shown on invoices
+router.get('/billing-details', authenticateToken, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('billing_name, billing_address, tax_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+    res.status(200).json({ billing: data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /users/billing-details - Update invoice details (applies to invoices issued from now on)
+// Body: billing_name?, billing_address?, tax_id?
+router.put('/billing-details', authenticateToken, async (req, res) => {
+  try {
+    const updates = invoices.sanitizeBillingDetails(req.body);
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select('billing_name, billing_address, tax_id')
+      .single();
+
+    if (error) throw error;
+    res.status(200).json({ billing: data });
+  } catch (error) {
+    if (invoices.isInvoiceError(error)) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
 
 module.exports = router;
@@ -4,15 +4,41 @@ const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase'); 
 const authenticateToken = require('../middleware/authMiddleware');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const ledger = require('../utils/ledger');
+const stripeEvents = require('../utils/stripeEvents');
+const payouts = require('../utils/payouts');
+const statements = require('../utils/statements');
+const invoices = require('../utils/invoices');
+const stripeConnect = require('../utils/stripeConnect');
+const fx = require('../utils/fx');
+
+// Invoice language: ?lang= or the Accept-Language header
+function getLang(req) {
+  const raw = req.query.lang || req.headers['accept-language'] || 'en';
+  const code = String(raw).split(',')[0].split('-')[0].toLowerCase().trim();
+  return ['en', 'ka', 'ru'].includes(code) ? code : 'en';
+}
+
+// Send an invoice as JSON or PDF (?format=)
+function sendInvoice(req, res, invoice, format) {
+  const lang = getLang(req);
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="invoice-${invoice.number}.pdf"`);
+    return res.status(200).send(invoices.toPdf(invoice, req.user.id, lang));
+  }
+  return res.status(200).json(invoices.present(invoice, req.user.id, lang));
+}
 
-// Helper: Get or Create Wallet (Using Admin to bypass RLS for creation)
 // Helper: Get or Create Wallet (Using Admin to bypass RLS for BOTH read and write)
-async function getOrCreateWallet(userId, email) {
+// Wallets are per currency; all of a user's wallets share one Stripe customer.
+async function getOrCreateWallet(userId, email, currency = fx.DEFAULT_CURRENCY) {
   // 1. Try fetching with ADMIN client to guarantee we see it if it exists
   let { data: wallet, error } = await supabaseAdmin
     .from('wallets')
     .select('*')
     .eq('user_id', userId)
+    .eq('currency', currency)
     .maybeSingle(); // Use maybeSingle() instead of single() to avoid errors if empty
 
   // 2. If wallet exists, return it immediately
@@ -20,8 +46,16 @@ async function getOrCreateWallet(userId, email) {
     return wallet;
   }
 
-  // 3. IF NOT FOUND: Create a Customer in Stripe
-  const customer = await stripe.customers.create({ email: email });
+  // 3. IF NOT FOUND: Reuse the Stripe customer of another wallet, or create one
+  const { data: siblings } = await supabaseAdmin
+    .from('wallets')
+    .select('stripe_customer_id')
+    .eq('user_id', userId)
+    .not('stripe_customer_id', 'is', null)
+    .limit(1);
+
+  const customerId = siblings?.[0]?.stripe_customer_id
+    || (await stripe.customers.create({ email: email })).id;
     
   // 4. Create the wallet using ADMIN
   const { data: newWallet, error: insertError } = await supabaseAdmin
@@ -29,7 +63,8 @@ async function getOrCreateWallet(userId, email) {
     .insert({ 
       user_id: userId, 
       balance: 0.00, 
-      stripe_customer_id: customer.id 
+      currency,
+      stripe_customer_id: customerId 
     })
     .select()
     .single();
@@ -43,6 +78,7 @@ async function getOrCreateWallet(userId, email) {
         .from('wallets')
         .select('*')
         .eq('user_id', userId)
+        .eq('currency', currency)
         .single();
       return existingRetry;
     }
@@ -51,20 +87,31 @@ async function getOrCreateWallet(userId, email) {
   
   return newWallet;
 }
+
 /**
  * 1. GET /wallet - Dashboard
+ * Query: currency? (defaults to the user's preferred currency). `balances`
+ * lists every currency the user holds.
  */
 router.get('/', authenticateToken, async (req, res) => {
   const userId = req.user.id;
   const email = req.user.email;
 
   try {
-    const wallet = await getOrCreateWallet(userId, email);
+    const currency = await fx.resolveUserCurrency(userId, req.query.currency);
+    const wallet = await getOrCreateWallet(userId, email, currency);
+    const { data: wallets } = await supabaseAdmin
+      .from('wallets')
+      .select('currency, balance')
+      .eq('user_id', userId)
+      .order('currency', { ascending: true });
+
     const { data: profile } = await supabaseAdmin
       .from('profiles')
-      .select('is_service_provider, stripe_connect_id')
+      .select(`is_service_provider, ${stripeConnect.STATUS_COLUMNS}`)
       .eq('id', userId)
       .single();
+    const connect = stripeConnect.describeStatus(profile);
 
     const { data: transactions } = await supabase
       .from('transactions')
@@ -76,19 +123,143 @@ router.get('/', authenticateToken, async (req, res) => {
     res.status(200).json({
       balance: wallet.balance,
       currency: wallet.currency,
+      balances: wallets || [],
+      supported_currencies: fx.SUPPORTED_CURRENCIES,
       is_provider: profile?.is_service_provider || false,
       stripe_connect_id: profile?.stripe_connect_id || null,
-      stripe_connected: !!profile?.stripe_connect_id,
+      // Connected means payout-ready, not just an account that was created
+      stripe_connected: connect.payout_readiness.ready,
+      connect_status: connect,
       transactions: transactions || []
     });
   } catch (error) {
+    if (fx.isFxError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Fetch wallet error:', error.message);
     res.status(500).json({ error: 'Failed to fetch wallet details.' });
   }
 });
 
+/**
+ * 1.1 GET /wallet/transactions - Paginated history with running balances
+ * Query: currency?, type? (comma-separated), status?, from?, to?, limit?, offset?
+ */
+router.get('/transactions', authenticateToken, async (req, res) => {
+  const { currency, type, status, from, to, limit, offset } = req.query;
+
+  try {
+    const page = await statements.listTransactions({ userId: req.user.id, currency, type, status, from, to, limit, offset });
+    res.status(200).json(page);
+  } catch (error) {
+    if (statements.isStatementError(error) || fx.isFxError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Fetch transactions error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch transactions.' });
+  }
+});
+
+/**
+ * 1.2 GET /wallet/statements/:month - Monthly statement (month = YYYY-MM)
+ * Query: currency?, format? ('json' | 'csv' | 'pdf', default json)
+ */
+router.get('/statements/:month', authenticateToken, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  try {
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, csv or pdf.' });
+    }
+
+    const statement = await statements.buildStatement({
+      userId: req.user.id,
+      month: req.params.month,
+      currency: req.query.currency
+    });
+    const filename = `statement-${statement.period.month}-${statement.currency}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(statements.toCsv(statement));
+    }
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.status(200).send(statements.toPdf(statement));
+    }
+    res.status(200).json(statement);
+  } catch (error) {
+    if (statements.isStatementError(error) || fx.isFxError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Statement error:', error.message);
+    res.status(500).json({ error: 'Failed to generate statement.' });
+  }
+});
+
+/**
+ * 1.3 GET /wallet/transactions/:id/invoice - Invoice behind a transaction
+ * (the booking's for escrow rows, the purchase's for payments)
+ * Query: format? ('json' | 'pdf', default json), lang? (default: Accept-Language)
+ */
+router.get('/transactions/:id/invoice', authenticateToken, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  try {
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or pdf.' });
+    }
+    const invoice = await invoices.getTransactionInvoice(req.params.id, req.user.id);
+    sendInvoice(req, res, invoice, format);
+  } catch (error) {
+    if (invoices.isInvoiceError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Transaction invoice error:', error.message);
+    res.status(500).json({ error: 'Failed to generate invoice.' });
+  }
+});
+
+/**
+ * 1.4 GET /wallet/invoices - Invoices the user received or issued, newest first
+ * Query: role? ('buyer' | 'seller'), limit?, offset?
+ */
+router.get('/invoices', authenticateToken, async (req, res) => {
+  const { role, limit, offset } = req.query;
+
+  try {
+    const page = await invoices.listInvoices({ userId: req.user.id, role, limit, offset });
+    res.status(200).json(page);
+  } catch (error) {
+    if (invoices.isInvoiceError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Fetch invoices error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch invoices.' });
+  }
+});
+
+/**
+ * 1.5 GET /wallet/invoices/:id - One invoice
+ * Query: format? ('json' | 'pdf', default json), lang? (default: Accept-Language)
+ */
+router.get('/invoices/:id', authenticateToken, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  try {
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or pdf.' });
+    }
+    const invoice = await invoices.getInvoice(req.params.id, req.user.id);
+    sendInvoice(req, res, invoice, format);
+  } catch (error) {
+    if (invoices.isInvoiceError(error)) return res.status(error.status).json({ error: error.message });
+    console.error('Invoice error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch invoice.' });
+  }
+});
+
 /**
  * 2. POST /wallet/deposit - Create Payment Intent
+ * Body: amount, currency? (the wallet to top up; defaults to the preferred currency)
  */
 router.post('/deposit', authenticateToken, async (req, res) => {
   const { amount } = req.body;
@@ -96,11 +267,12 @@ router.post('/deposit', authenticateToken, async (req, res) => {
   const email = req.user.email;
 
   try {
-    const wallet = await getOrCreateWallet(userId, email);
+    const currency = await fx.resolveUserCurrency(userId, req.body.currency);
+    const wallet = await getOrCreateWallet(userId, email, currency);
 
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(amount * 100),
-      currency: 'usd',
+      currency: currency.toLowerCase(),
       customer: wallet.stripe_customer_id,
       automatic_payment_methods: { enabled: true },
       metadata: {
@@ -116,6 +288,9 @@ router.post('/deposit', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (fx.isFxError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Stripe error:', error.message);
     res.status(500).json({ error: 'Failed to initialize deposit.' });
   }
@@ -123,6 +298,9 @@ router.post('/deposit', authenticateToken, async (req, res) => {
 
 /**
  * 3. POST /wallet/confirm-deposit - Update Balance
+ * Fast path for the app right after payment. The Stripe webhook credits the
+ * same deposit through the same code, so whichever arrives first wins and the
+ * other is a no-op.
  */
 router.post('/confirm-deposit', authenticateToken, async (req, res) => {
   const { paymentIntentId } = req.body;
@@ -130,42 +308,17 @@ router.post('/confirm-deposit', authenticateToken, async (req, res) => {
   try {
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
-    if (paymentIntent.status === 'succeeded') {
-      const amountUSD = paymentIntent.amount / 100;
-      const walletId = paymentIntent.metadata.walletId;
+    if (paymentIntent.metadata?.userId && paymentIntent.metadata.userId !== req.user.id) {
+      return res.status(403).json({ error: 'This payment does not belong to you.' });
+    }
 
-      const { data: existingTx } = await supabase
-        .from('transactions')
-        .select('*')
-        .eq('stripe_payment_id', paymentIntentId)
-        .single();
+    if (paymentIntent.status === 'succeeded') {
+      const result = await stripeEvents.settleDepositIntent(paymentIntent);
 
-      if (existingTx) {
+      if (!result.credited) {
         return res.status(200).json({ message: 'Transaction already processed' });
       }
 
-      // USE ADMIN: Only Admin should insert transactions directly
-      await supabaseAdmin.from('transactions').insert({
-        wallet_id: walletId,
-        type: 'deposit',
-        amount: amountUSD,
-        stripe_payment_id: paymentIntentId,
-        status: 'success',
-        description: 'Deposit via Card'
-      });
-
-      // USE ADMIN: Only Admin should update balances
-      const { data: wallet } = await supabaseAdmin
-        .from('wallets')
-        .select('balance')
-        .eq('id', walletId)
-        .single();
-
-      await supabaseAdmin
-        .from('wallets')
-        .update({ balance: wallet.balance + amountUSD })
-        .eq('id', walletId);
-
       res.status(200).json({ message: 'Wallet funded successfully!' });
     } else {
       res.status(400).json({ error: 'Payment not successful yet.' });
@@ -177,6 +330,48 @@ router.post('/confirm-deposit', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * 3.5 POST /wallet/webhooks/stripe - Signed Stripe webhook receiver
+ * Handles: payment_intent.succeeded, payment_intent.payment_failed,
+ * charge.refunded, transfer.created, transfer.reversed, account.updated and
+ * payout.failed on connected accounts.
+ * Requires STRIPE_WEBHOOK_SECRET and the raw request body (see index.js).
+ * Connect events come from a separate Stripe endpoint; point it here too and
+ * set its secret as STRIPE_CONNECT_WEBHOOK_SECRET.
+ */
+router.post('/webhooks/stripe', async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('Stripe webhook error: STRIPE_WEBHOOK_SECRET is not configured.');
+    return res.status(500).json({ error: 'Webhook not configured.' });
+  }
+
+  let event;
+  const secrets = [webhookSecret, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+  for (const secret of secrets) {
+    try {
+      event = stripe.webhooks.constructEvent(req.rawBody, signature, secret);
+      break;
+    } catch (error) {
+      if (secret === secrets[secrets.length - 1]) {
+        console.error('Stripe webhook signature error:', error.message);
+        return res.status(400).json({ error: 'Invalid signature.' });
+      }
+    }
+  }
+
+  try {
+    const result = await stripeEvents.handleStripeEvent(event);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    // Non-2xx makes Stripe retry; every handler is idempotent.
+    console.error(`Stripe webhook ${event.type} error:`, error.message);
+    res.status(500).json({ error: 'Webhook handling failed.' });
+  }
+});
+
 /**
  * 4. POST /wallet/onboard-connect
  */
@@ -200,9 +395,10 @@ router.post('/onboard-connect', authenticateToken, async (req, res) => {
       });
       accountId = account.id;
 
+      // Starts out not payout-ready; account.updated fills in the rest
       const { error: updateError } = await supabaseAdmin
         .from('profiles')
-        .update({ stripe_connect_id: accountId })
+        .update({ stripe_connect_id: accountId, ...stripeConnect.profileFieldsFromAccount(account) })
         .eq('id', userId);
 
       if (updateError) {
@@ -227,6 +423,27 @@ router.post('/onboard-connect', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * 4.1 GET /wallet/connect-status
+ * Connect account capabilities, outstanding requirements and whether
+ * withdrawals are possible. Query: refresh=true re-reads the account from
+ * Stripe (call it when the user returns from onboarding).
+ */
+router.get('/connect-status', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const profile = req.query.refresh === 'true'
+      ? await stripeConnect.syncAccount(userId)
+      : await stripeConnect.loadCurrentProfile(userId);
+
+    res.status(200).json(stripeConnect.describeStatus(profile));
+  } catch (error) {
+    console.error('Connect status error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch Stripe account status.' });
+  }
+});
+
 /**
  * 5. POST /wallet/login-link
  */
@@ -254,71 +471,102 @@ router.post('/login-link', authenticateToken, async (req, res) => {
 
 /**
  * 6. POST /wallet/withdraw
+ * Body: amount, currency? (the wallet to pay out from; defaults to the preferred currency)
+ * Debits the wallet and starts a payout (see utils/payouts.js). The payout
+ * is `processing` until Stripe confirms the transfer.
  */
 router.post('/withdraw', authenticateToken, async (req, res) => {
   const { amount } = req.body;
   const userId = req.user.id;
-  const email = req.user.email;
 
   try {
     if (!amount || Number(amount) <= 0) {
       return res.status(400).json({ error: 'Invalid amount.' });
     }
 
-    const wallet = await getOrCreateWallet(userId, email);
+    const currency = await fx.resolveUserCurrency(userId, req.body.currency);
+    const requested = await payouts.requestPayout({ userId, currency, amount: Number(amount) });
+    const payout = await payouts.processPayout(requested);
 
-    if (wallet.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient funds' });
+    if (payout.status === 'failed') {
+      return res.status(502).json({ error: 'Payout failed. The funds were returned to your wallet.', payout });
     }
 
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('stripe_connect_id')
-      .eq('id', userId)
+    const { data: wallet } = await supabaseAdmin
+      .from('wallets')
+      .select('balance')
+      .eq('id', payout.wallet_id)
       .single();
 
-    if (!profile?.stripe_connect_id) {
-      return res.status(400).json({ error: 'Stripe account not connected.' });
-    }
-
-    const transfer = await stripe.transfers.create({
-      amount: Math.round(Number(amount) * 100),
-      currency: 'usd',
-      destination: profile.stripe_connect_id,
-      metadata: {
-        userId: userId,
-        walletId: wallet.id
-      }
+    res.status(202).json({
+      message: 'Withdrawal requested.',
+      payout,
+      new_balance: Number(wallet?.balance),
+      currency
     });
-
-    if (!transfer || !transfer.id) {
-      return res.status(500).json({ error: 'Transfer failed.' });
+  } catch (error) {
+    if (payouts.isPayoutError(error) || fx.isFxError(error)) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
+    console.error('Withdraw error:', error.message);
+    res.status(500).json({ error: 'Withdrawal failed' });
+  }
+});
 
-    const newBalance = parseFloat(wallet.balance) - parseFloat(amount);
+/**
+ * 7. GET /wallet/payouts - Payout history
+ * Query: limit?
+ */
+router.get('/payouts', authenticateToken, async (req, res) => {
+  try {
+    const list = await payouts.listPayouts(req.user.id, { limit: req.query.limit });
+    res.status(200).json(list);
+  } catch (error) {
+    console.error('Fetch payouts error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch payouts.' });
+  }
+});
 
-    await supabaseAdmin
+/**
+ * 8. GET /wallet/payout-settings
+ * Schedule, threshold, minimum and hold period, plus what each wallet can
+ * pay out right now.
+ */
+router.get('/payout-settings', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const settings = await payouts.getSettings(userId);
+    const { data: wallets } = await supabaseAdmin
       .from('wallets')
-      .update({ balance: newBalance })
-      .eq('id', wallet.id);
-
-    await supabaseAdmin.from('transactions').insert({
-      wallet_id: wallet.id,
-      type: 'withdrawal',
-      amount: -amount,
-      status: 'success',
-      description: 'Stripe payout'
-    });
+      .select('id, balance, currency')
+      .eq('user_id', userId);
 
-    res.status(200).json({
-      message: 'Withdrawal completed successfully.',
-      new_balance: newBalance
-    });
+    const available = await Promise.all((wallets || []).map((w) => payouts.getAvailableBalance(w)));
+    res.status(200).json({ ...settings, available });
   } catch (error) {
-    console.error('Withdraw error:', error.message);
-    res.status(500).json({ error: 'Withdrawal failed' });
+    console.error('Fetch payout settings error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch payout settings.' });
   }
 });
+
+/**
+ * 9. PUT /wallet/payout-settings
+ * Body: schedule? ('manual' | 'weekly' | 'monthly'), threshold?, currency?
+ */
+router.put('/payout-settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await payouts.updateSettings(req.user.id, req.body);
+    res.status(200).json(settings);
+  } catch (error) {
+    if (payouts.isPayoutError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update payout settings error:', error.message);
+    res.status(500).json({ error: 'Failed to update payout settings.' });
+  }
+});
+
 router.post('/test/simulate-payment', authenticateToken, async (req, res) => {
   const { paymentIntentId } = req.body;
   
@@ -0,0 +1,394 @@
+/**
+ * availability.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Turns a provider's calendar into bookable slots and checks new bookings
+ * against it. Inputs:
+ *
+ *   provider_schedules              – weekly working hours (day_of_week, start_time, end_time, is_active)
+ *   provider_availability_overrides – per-date custom hours or time off
+ *   profiles.timezone               – IANA zone all of the above are expressed in
+ *   profiles.booking_buffer_minutes – gap kept free around every booking
+ *   bookings                        – pending / confirmed / disputed bookings block time
+ *
+ * Hourly services occupy `duration_hours`; fixed-price services block the
+ * whole local day (same rule the provider schedule screen has always used).
+ * A provider who never set weekly hours is treated as available all day.
+ *
+ * All slot times are returned as UTC ISO strings; dates (YYYY-MM-DD) are in
+ * the provider's timezone.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const SLOT_STEP_MINUTES = 30;
+const MAX_RANGE_DAYS = 31;
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'disputed'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// ── Time zone helpers ───────────────────────────────────────────────────────
+
+const formatters = {};
+
+function normalizeTimezone(timezone) {
+  if (!timezone) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (err) {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+  }
+  return formatters[timezone];
+}
+
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  return parts;
+}
+
+// Milliseconds to add to UTC to get wall-clock time in `timezone` at `date`
+function getTimezoneOffsetMs(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant of `minutes` past local midnight on `dateStr` in `timezone`.
+ */
+function zonedMinutesToUtc(dateStr, minutes, timezone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const naive = Date.UTC(y, m - 1, d) + minutes * MINUTE_MS;
+  const firstOffset = getTimezoneOffsetMs(new Date(naive), timezone);
+  let instant = naive - firstOffset;
+  // Re-check across DST changes
+  const secondOffset = getTimezoneOffsetMs(new Date(instant), timezone);
+  if (secondOffset !== firstOffset) instant = naive - secondOffset;
+  return new Date(instant);
+}
+
+function toLocalDate(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+function toLocalTime(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.hour}:${p.minute}`;
+}
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// provider_schedules.day_of_week may be 0-6 (Sunday = 0), 7 (ISO Sunday) or a day name
+function parseDayOfWeek(value) {
+  if (value === null || value === undefined) return null;
+  const asNumber = Number(value);
+  if (Number.isInteger(asNumber) && asNumber >= 0 && asNumber <= 7) return asNumber % 7;
+  const name = String(value).toLowerCase().trim();
+  const index = DAY_NAMES.findIndex((day) => day === name || day.slice(0, 3) === name);
+  return index === -1 ? null : index;
+}
+
+// 'HH:MM' or 'HH:MM:SS' → minutes after midnight ('24:00' = end of day)
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+// ── Intervals ───────────────────────────────────────────────────────────────
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+function subtractIntervals(intervals, blocked) {
+  return blocked.reduce((remaining, cut) => remaining.flatMap((interval) => {
+    if (!overlaps(interval, cut)) return [interval];
+    const pieces = [];
+    if (cut.start > interval.start) pieces.push({ start: interval.start, end: cut.start });
+    if (cut.end < interval.end) pieces.push({ start: cut.end, end: interval.end });
+    return pieces;
+  }), intervals);
+}
+
+/**
+ * Time a booking occupies (without buffer).
+ */
+function bookingSpan({ scheduled_time, pricing_type, duration_hours }, timezone) {
+  const start = new Date(scheduled_time);
+  if (pricing_type === 'hourly') {
+    const hours = Number(duration_hours) > 0 ? Number(duration_hours) : 1;
+    return { start, end: new Date(start.getTime() + hours * HOUR_MS) };
+  }
+  const day = toLocalDate(start, timezone);
+  return { start: zonedMinutesToUtc(day, 0, timezone), end: zonedMinutesToUtc(day, 24 * 60, timezone) };
+}
+
+// ── Calendar ────────────────────────────────────────────────────────────────
+
+/**
+ * Load everything needed to compute availability between two local dates.
+ */
+async function loadProviderCalendar(providerId, fromDate, toDate, { excludeBookingId = null } = {}) {
+  const excludedIds = [].concat(excludeBookingId || []);
+  const [profileRes, schedulesRes, overridesRes] = await Promise.all([
+    supabaseAdmin
+      .from('profiles')
+      .select('timezone, booking_buffer_minutes')
+      .eq('id', providerId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('provider_schedules')
+      .select('day_of_week, start_time, end_time, is_active')
+      .eq('provider_id', providerId),
+    supabaseAdmin
+      .from('provider_availability_overrides')
+      .select('*')
+      .eq('provider_id', providerId)
+      .gte('date', addDays(fromDate, -1))
+      .lte('date', addDays(toDate, 1)),
+  ]);
+
+  if (profileRes.error) throw profileRes.error;
+  if (schedulesRes.error) throw schedulesRes.error;
+  if (overridesRes.error) throw overridesRes.error;
+
+  const timezone = normalizeTimezone(profileRes.data?.timezone);
+  const bufferMs = Math.max(0, Number(profileRes.data?.booking_buffer_minutes) || 0) * MINUTE_MS;
+
+  const weekly = {};
+  (schedulesRes.data || []).forEach((row) => {
+    const day = parseDayOfWeek(row.day_of_week);
+    const start = parseTime(row.start_time);
+    const end = parseTime(row.end_time);
+    if (!row.is_active || day === null || start === null || end === null || end <= start) return;
+    (weekly[day] = weekly[day] || []).push([start, end]);
+  });
+
+  const overridesByDate = {};
+  (overridesRes.data || []).forEach((row) => {
+    (overridesByDate[row.date] = overridesByDate[row.date] || []).push(row);
+  });
+
+  // Pad the window: fixed-price bookings block a whole day and hourly ones can
+  // start the evening before.
+  const rangeStart = new Date(zonedMinutesToUtc(fromDate, 0, timezone).getTime() - 2 * DAY_MS);
+  const rangeEnd = new Date(zonedMinutesToUtc(toDate, 24 * 60, timezone).getTime() + DAY_MS);
+
+  let bookingsQuery = supabaseAdmin
+    .from('bookings')
+    .select('id, scheduled_time, pricing_type, duration_hours')
+    .eq('provider_id', providerId)
+    .in('status', BLOCKING_STATUSES)
+    .gte('scheduled_time', rangeStart.toISOString())
+    .lt('scheduled_time', rangeEnd.toISOString());
+  if (excludedIds.length > 0) bookingsQuery = bookingsQuery.not('id', 'in', `(${excludedIds.join(',')})`);
+
+  const { data: bookings, error: bookingsError } = await bookingsQuery;
+  if (bookingsError) throw bookingsError;
+
+  const busy = (bookings || []).map((booking) => {
+    const span = bookingSpan(booking, timezone);
+    return {
+      start: new Date(span.start.getTime() - bufferMs),
+      end: new Date(span.end.getTime() + bufferMs),
+      booking_id: booking.id,
+    };
+  });
+
+  return {
+    timezone,
+    bufferMinutes: bufferMs / MINUTE_MS,
+    weekly,
+    hasWeeklySchedule: (schedulesRes.data || []).length > 0,
+    overridesByDate,
+    busy,
+  };
+}
+
+/**
+ * Working intervals (UTC) for one local date, after overrides and time off.
+ */
+function workingWindowsFor(dateStr, calendar) {
+  const { timezone } = calendar;
+  const overrides = calendar.overridesByDate[dateStr] || [];
+
+  const isDayOff = overrides.some((o) => !o.is_available && (o.start_time == null || o.end_time == null));
+  if (isDayOff) return [];
+
+  const customHours = overrides.filter((o) => o.is_available && o.start_time != null && o.end_time != null);
+
+  let windows;
+  if (customHours.length > 0) {
+    windows = customHours.map((o) => [parseTime(o.start_time), parseTime(o.end_time)]);
+  } else if (!calendar.hasWeeklySchedule) {
+    windows = [[0, 24 * 60]];
+  } else {
+    windows = calendar.weekly[weekdayOf(dateStr)] || [];
+  }
+
+  const intervals = windows
+    .filter(([start, end]) => start !== null && end !== null && end > start)
+    .map(([start, end]) => ({
+      start: zonedMinutesToUtc(dateStr, start, timezone),
+      end: zonedMinutesToUtc(dateStr, end, timezone),
+    }));
+
+  const timeOff = overrides
+    .filter((o) => !o.is_available && o.start_time != null && o.end_time != null)
+    .map((o) => ({
+      start: zonedMinutesToUtc(dateStr, parseTime(o.start_time), timezone),
+      end: zonedMinutesToUtc(dateStr, parseTime(o.end_time), timezone),
+    }));
+
+  return subtractIntervals(intervals, timeOff).sort((a, b) => a.start - b.start);
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Bookable slots per local date.
+ *
+ * @param {string} providerId
+ * @param {object} [options]
+ * @param {string} [options.from]          - YYYY-MM-DD in the provider's zone (default: today)
+ * @param {string} [options.to]            - YYYY-MM-DD inclusive (default: from + 6 days)
+ * @param {string} [options.pricingType]   - 'hourly' for timed slots; anything else books whole days
+ * @param {number} [options.durationHours] - length of an hourly slot (default 1)
+ * @returns {Promise<{ timezone: string, buffer_minutes: number, days: Array }>}
+ */
+async function getAvailability(providerId, { from, to, pricingType, durationHours, now = new Date() } = {}) {
+  // Resolve "today" in the provider's zone before loading the range
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('timezone')
+    .eq('id', providerId)
+    .maybeSingle();
+  const providerTimezone = normalizeTimezone(profile?.timezone);
+
+  const fromDate = isDateString(from) ? from : toLocalDate(now, providerTimezone);
+  let toDate = isDateString(to) ? to : addDays(fromDate, 6);
+  if (toDate < fromDate) toDate = fromDate;
+  if (toDate > addDays(fromDate, MAX_RANGE_DAYS - 1)) toDate = addDays(fromDate, MAX_RANGE_DAYS - 1);
+
+  const calendar = await loadProviderCalendar(providerId, fromDate, toDate);
+  const isHourly = pricingType === 'hourly';
+  const durationMs = (Number(durationHours) > 0 ? Number(durationHours) : 1) * HOUR_MS;
+
+  const days = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const windows = workingWindowsFor(date, calendar);
+    const slots = [];
+
+    if (isHourly) {
+      windows.forEach((window) => {
+        for (let t = window.start.getTime(); t + durationMs <= window.end.getTime(); t += SLOT_STEP_MINUTES * MINUTE_MS) {
+          const slot = { start: new Date(t), end: new Date(t + durationMs) };
+          if (slot.start < now) continue;
+          if (calendar.busy.some((b) => overlaps(b, slot))) continue;
+          slots.push(slot);
+        }
+      });
+    } else if (windows.length > 0) {
+      const dayStart = zonedMinutesToUtc(date, 0, calendar.timezone);
+      const dayEnd = zonedMinutesToUtc(date, 24 * 60, calendar.timezone);
+      const dayIsFree = !calendar.busy.some((b) => overlaps(b, { start: dayStart, end: dayEnd }));
+      const firstStart = windows[0].start;
+      const lastEnd = windows[windows.length - 1].end;
+      if (dayIsFree && lastEnd > now) {
+        slots.push({ start: firstStart < now ? now : firstStart, end: lastEnd });
+      }
+    }
+
+    days.push({
+      date,
+      working_hours: windows.map((w) => ({
+        start: toLocalTime(w.start, calendar.timezone),
+        end: w.end.getTime() === zonedMinutesToUtc(date, 24 * 60, calendar.timezone).getTime()
+          ? '24:00'
+          : toLocalTime(w.end, calendar.timezone),
+      })),
+      slots: slots.map((s) => ({ start: s.start.toISOString(), end: s.end.toISOString() })),
+    });
+  }
+
+  return { timezone: calendar.timezone, buffer_minutes: calendar.bufferMinutes, days };
+}
+
+/**
+ * Check that a new (or moved) booking fits the provider's calendar.
+ * `excludeBookingId` (id or array of ids) ignores bookings that are being moved.
+ *
+ * @returns {Promise<{ available: boolean, reason?: string, message?: string, ends_at?: string }>}
+ *   reason: 'invalid_time' | 'in_past' | 'outside_working_hours' | 'conflict'
+ */
+async function checkBookingSlot(providerId, { scheduledTime, pricingType, durationHours, excludeBookingId = null, now = new Date() }) {
+  const start = new Date(scheduledTime);
+  if (Number.isNaN(start.getTime())) {
+    return { available: false, reason: 'invalid_time', message: 'Invalid scheduled time.' };
+  }
+  if (start < now) {
+    return { available: false, reason: 'in_past', message: 'The scheduled time is in the past.' };
+  }
+
+  const utcDate = start.toISOString().slice(0, 10);
+  const calendar = await loadProviderCalendar(providerId, addDays(utcDate, -1), addDays(utcDate, 1), { excludeBookingId });
+  const span = bookingSpan({ scheduled_time: start, pricing_type: pricingType, duration_hours: durationHours }, calendar.timezone);
+  const localDate = toLocalDate(start, calendar.timezone);
+  const windows = workingWindowsFor(localDate, calendar);
+
+  const fitsWorkingHours = pricingType === 'hourly'
+    ? windows.some((w) => w.start <= span.start && span.end <= w.end)
+    : windows.some((w) => w.start <= start && start < w.end);
+
+  if (!fitsWorkingHours) {
+    return { available: false, reason: 'outside_working_hours', message: 'The provider is not available at that time.' };
+  }
+
+  if (calendar.busy.some((b) => overlaps(b, span))) {
+    return { available: false, reason: 'conflict', message: 'That time is already booked.' };
+  }
+
+  return { available: true, ends_at: span.end.toISOString() };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  BLOCKING_STATUSES,
+  normalizeTimezone,
+  isDateString,
+  parseTime,
+  addDays,
+  toLocalDate,
+  toLocalTime,
+  zonedMinutesToUtc,
+  getAvailability,
+  checkBookingSlot,
+};
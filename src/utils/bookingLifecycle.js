@@ -0,0 +1,547 @@
+/**
+ * bookingLifecycle.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * The only place that changes bookings.status.
+ *
+ *   pending ──confirm──▶ confirmed ──complete / auto_release──▶ completed
+ *      │                    │
+ *      ├────────────────────┼──cancel / client_cancel──▶ cancelled
+ *      │                    │
+ *      └────────────────────┴──dispute──▶ disputed ──resolve_refund──▶ cancelled
+ *                                                 └─resolve_release─▶ completed
+ *
+ *   pending / confirmed ──reschedule──▶ pending (new time, provider re-confirms)
+ *   pending / confirmed ──accept_reschedule──▶ (unchanged, new time agreed by both)
+ *
+ * Each transition declares who may trigger it, an optional guard and its
+ * side effects (escrow hold/release/refund through the ledger, the system chat
+ * pill and notifications). Every change is recorded in `booking_events`.
+ *
+ * Status is updated with a compare-and-set on the previous status, so two
+ * requests racing on the same booking cannot both win.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const chatRoutes = require('../routes/chatRoutes');
+const ledger = require('./ledger');
+const cancellationPolicy = require('./cancellationPolicy');
+const commission = require('./commission');
+const promos = require('./promos');
+const referrals = require('./referrals');
+const invoices = require('./invoices');
+const { formatMoney } = require('./fx');
+
+const STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'disputed'];
+
+const AUTO_RELEASE_AFTER_MS = 48 * 60 * 60 * 1000;
+
+const isPaid = (booking) => parseFloat(booking.total_price) > 0;
+
+// The promo discount the platform pays the provider on release
+const promoSubsidyOf = (booking) => (booking.promo_code ? Number(booking.discount_amount) || 0 : 0);
+
+// Escrow is in the booking currency; the client paid in payment_currency
+const currencyOf = (booking) => (booking.currency || 'USD').toUpperCase();
+
+/**
+ * The client's side of a booking for ledger calls: `{ currency, rate }`, or
+ * null for bookings made before wallets were per currency.
+ */
+const paymentOf = (booking) => (booking.payment_currency
+  ? { currency: booking.payment_currency, rate: Number(booking.fx_rate) || 1 }
+  : null);
+
+// ── Side effects ────────────────────────────────────────────────────────────
+
+async function refundToClient(booking, description) {
+  if (!isPaid(booking)) return null;
+  const payment = paymentOf(booking);
+  const clientWallet = await ledger.ensureWallet(booking.client_id, payment?.currency || currencyOf(booking));
+  return ledger.refundBookingFunds({
+    bookingId: booking.id,
+    clientWalletId: clientWallet.id,
+    amount: booking.total_price,
+    currency: currencyOf(booking),
+    payment,
+    description,
+  });
+}
+
+// Stamp what the platform kept on the booking, for analytics and receipts
+async function recordCommission(booking, rule, amount) {
+  const { error } = await supabaseAdmin
+    .from('bookings')
+    .update({ commission_rate: rule.rate, commission_amount: amount, commission_rule_id: rule.rule_id })
+    .eq('id', booking.id);
+  if (error) console.error(`Commission record error (${booking.id}):`, error.message);
+}
+
+// Pays the provider less the commission picked by the rules engine
+async function releaseToProvider(booking, description) {
+  if (!isPaid(booking) && !(promoSubsidyOf(booking) > 0)) return null;
+  const rule = await commission.resolveForBooking(booking);
+  const providerWallet = await ledger.ensureWallet(booking.provider_id, currencyOf(booking));
+  const journal = await ledger.releaseBookingFunds({
+    bookingId: booking.id,
+    providerWalletId: providerWallet.id,
+    amount: booking.total_price,
+    currency: currencyOf(booking),
+    commissionRate: rule.rate,
+    platformFee: booking.platform_fee || 0,
+    subsidy: promoSubsidyOf(booking),
+    description,
+  });
+  await recordCommission(booking, rule, journal.commission);
+
+  return {
+    ...journal,
+    summary: {
+      earnings: journal.earnings,
+      commission: journal.commission,
+      commission_rate: rule.rate,
+      commission_rule: rule.rule_name,
+      platform_fee: journal.platformFee,
+      ...(journal.subsidy > 0 && { promo_subsidy: journal.subsidy }),
+    },
+  };
+}
+
+// Split held funds per the cancellation policy the booking was made under
+async function settleClientCancellation(booking) {
+  const split = cancellationPolicy.computeCancellationSplit({
+    booking,
+    policy: booking.cancellation_policy,
+  });
+  if (!isPaid(booking)) return { summary: split };
+
+  const payment = paymentOf(booking);
+  const [clientWallet, providerWallet, rule] = await Promise.all([
+    ledger.ensureWallet(booking.client_id, payment?.currency || currencyOf(booking)),
+    ledger.ensureWallet(booking.provider_id, currencyOf(booking)),
+    split.compensation > 0 ? commission.resolveForBooking(booking) : null,
+  ]);
+  const journal = await ledger.settleBookingCancellation({
+    bookingId: booking.id,
+    clientWalletId: clientWallet.id,
+    providerWalletId: providerWallet.id,
+    refund: split.refund,
+    compensation: split.compensation,
+    currency: currencyOf(booking),
+    payment,
+    commissionRate: rule ? rule.rate : 0,
+    description: `Cancellation refund for Booking #${booking.id} (${split.refund_rate * 100}%)`,
+  });
+  if (rule) await recordCommission(booking, rule, journal.commission);
+  return { ...journal, summary: { ...split, commission: journal.commission } };
+}
+
+const serviceTitleOf = (booking) => booking.services?.title || 'Service';
+
+// ── Transitions ─────────────────────────────────────────────────────────────
+
+// A transition without `to` keeps the booking's current status.
+const TRANSITIONS = {
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed',
+    actors: ['provider', 'system'],
+    notifications: (booking) => [
+      { user_id: booking.client_id, title: 'Booking Confirmed!', message: 'Your provider has accepted the booking.', type: 'booking_update' },
+    ],
+  },
+
+  cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    actors: ['provider', 'admin'],
+    effect: (booking) => refundToClient(booking, `Refund for Booking #${booking.id}`),
+    notifications: (booking, { actorRole }) => (actorRole === 'admin'
+      ? [
+        { user_id: booking.client_id, title: 'Booking Cancelled', message: 'An admin cancelled this booking. Your funds have been refunded.', type: 'booking_update' },
+        { user_id: booking.provider_id, title: 'Booking Cancelled', message: `An admin cancelled "${serviceTitleOf(booking)}".`, type: 'booking_update' },
+      ]
+      : [
+        { user_id: booking.client_id, title: 'Booking Declined', message: 'The provider declined. Your funds have been refunded.', type: 'booking_update' },
+      ]),
+  },
+
+  // Client moves a booking; the provider has to accept the new time.
+  // Pass the new scheduled_time / ends_at as `changes`.
+  reschedule: {
+    from: ['pending', 'confirmed'],
+    to: 'pending',
+    actors: ['client'],
+    pill: 'rescheduled',
+    guard: (booking) => (new Date(booking.scheduled_time) <= new Date())
+      ? 'The scheduled time has passed.'
+      : null,
+    notifications: (booking, { changes }) => [
+      {
+        user_id: booking.provider_id,
+        title: 'Booking Rescheduled 📅',
+        message: `The client moved "${serviceTitleOf(booking)}" to ${new Date(changes.scheduled_time).toUTCString()}. Please confirm the new time.`,
+        type: 'booking_rescheduled',
+      },
+    ],
+  },
+
+  // A reschedule proposal was accepted (see rescheduleProposals.js). Both
+  // parties agreed on the new time, so the status stays as it is.
+  accept_reschedule: {
+    from: ['pending', 'confirmed'],
+    actors: ['client', 'provider'],
+    pill: 'rescheduled',
+    guard: (booking) => (new Date(booking.scheduled_time) <= new Date())
+      ? 'The scheduled time has passed.'
+      : null,
+  },
+
+  // Client backs out; refund follows the provider's policy
+  client_cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    actors: ['client'],
+    guard: (booking) => (booking.status === 'confirmed' && new Date(booking.scheduled_time) <= new Date())
+      ? 'The scheduled time has passed. Open a dispute instead.'
+      : null,
+    effect: settleClientCancellation,
+    notifications: (booking, { funds }) => {
+      const refund = funds?.summary?.refund ?? 0;
+      const compensation = ledger.roundMoney((funds?.summary?.compensation ?? 0) - (funds?.summary?.commission ?? 0));
+      const serviceTitle = serviceTitleOf(booking);
+      return [
+        {
+          user_id: booking.client_id,
+          title: 'Booking Cancelled',
+          message: isPaid(booking)
+            ? `You cancelled "${serviceTitle}". ${formatMoney(
+              ledger.toPaymentAmount(refund, currencyOf(booking), paymentOf(booking)),
+              paymentOf(booking)?.currency || currencyOf(booking)
+            )} has been refunded to your wallet.`
+            : `You cancelled "${serviceTitle}".`,
+          type: 'booking_cancelled',
+        },
+        {
+          user_id: booking.provider_id,
+          title: 'Booking Cancelled by Client',
+          message: compensation > 0
+            ? `The client cancelled "${serviceTitle}". You received ${formatMoney(compensation, currencyOf(booking))} as cancellation compensation.`
+            : `The client cancelled "${serviceTitle}".`,
+          type: 'booking_cancelled',
+        },
+      ];
+    },
+  },
+
+  dispute: {
+    from: ['pending', 'confirmed'],
+    to: 'disputed',
+    actors: ['client', 'provider'],
+    notifications: (booking, { actorId }) => [
+      {
+        user_id: booking.client_id === actorId ? booking.provider_id : booking.client_id,
+        title: 'Booking Dispute Opened',
+        message: 'A dispute has been opened for your booking. Admin review in progress.',
+        type: 'booking_dispute',
+      },
+    ],
+  },
+
+  // Both parties confirmed the work
+  complete: {
+    from: ['confirmed'],
+    to: 'completed',
+    actors: ['client', 'provider'],
+    guard: (booking) => (booking.client_confirmed && booking.provider_confirmed)
+      ? null
+      : 'Both parties must confirm completion.',
+    effect: (booking) => releaseToProvider(booking, `Earning from Booking #${booking.id}`),
+    notifications: (booking) => [
+      { user_id: booking.client_id, title: 'Service Completed', message: 'Booking closed successfully.', type: 'booking_completed' },
+      { user_id: booking.provider_id, title: 'Job Completed', message: 'Funds/Swap recorded successfully.', type: 'booking_completed' },
+    ],
+  },
+
+  // Provider confirmed, client went silent for 48h
+  auto_release: {
+    from: ['confirmed'],
+    to: 'completed',
+    actors: ['system'],
+    guard: (booking) => {
+      if (!booking.provider_confirmed || booking.client_confirmed) {
+        return 'Auto-release needs a provider confirmation without a client response.';
+      }
+      const confirmedAt = new Date(booking.updated_at).getTime();
+      return Date.now() - confirmedAt >= AUTO_RELEASE_AFTER_MS
+        ? null
+        : 'The 48-hour client response window has not elapsed.';
+    },
+    effect: (booking) => releaseToProvider(booking, `Auto-released funds for Booking #${booking.id} (client inactive 48h)`),
+    notifications: (booking) => [
+      {
+        user_id: booking.provider_id,
+        title: 'Funds Auto-Released 💰',
+        message: `Your funds for "${serviceTitleOf(booking)}" were automatically released. The client did not respond within 48 hours.`,
+        type: 'auto_release',
+      },
+      {
+        user_id: booking.client_id,
+        title: 'Booking Auto-Completed',
+        message: `Your booking for "${serviceTitleOf(booking)}" was automatically marked as completed. The provider confirmed 48+ hours ago.`,
+        type: 'auto_release',
+      },
+    ],
+  },
+
+  resolve_refund: {
+    from: ['disputed'],
+    to: 'cancelled',
+    actors: ['admin'],
+    effect: (booking) => refundToClient(booking, `Admin refund for Booking #${booking.id}`),
+    notifications: (booking) => [
+      {
+        user_id: booking.client_id,
+        title: 'Dispute Resolved: Refunded 💸',
+        message: 'Admin resolved the dispute. Your funds have been refunded to your wallet.',
+        type: 'dispute_resolved',
+      },
+      {
+        user_id: booking.provider_id,
+        title: 'Dispute Resolved',
+        message: 'Admin resolved the dispute in favor of the client.',
+        type: 'dispute_resolved',
+      },
+    ],
+  },
+
+  resolve_release: {
+    from: ['disputed'],
+    to: 'completed',
+    actors: ['admin'],
+    effect: (booking) => releaseToProvider(booking, `Admin payout for Booking #${booking.id}`),
+    notifications: (booking) => [
+      {
+        user_id: booking.client_id,
+        title: 'Dispute Resolved',
+        message: 'Admin resolved the dispute in favor of the provider.',
+        type: 'dispute_resolved',
+      },
+      {
+        user_id: booking.provider_id,
+        title: 'Dispute Resolved: Paid 💰',
+        message: 'Admin resolved the dispute. Funds have been released to your wallet.',
+        type: 'dispute_resolved',
+      },
+    ],
+  },
+};
+
+// ── Errors ──────────────────────────────────────────────────────────────────
+
+function lifecycleError(message, status) {
+  const err = new Error(message);
+  err.code = 'BOOKING_TRANSITION';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a transition was refused (unknown booking, illegal jump, wrong
+ * actor or failed guard). `err.status` carries the HTTP status to return.
+ */
+const isLifecycleError = (err) => err?.code === 'BOOKING_TRANSITION';
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Which side of the booking a user is on, or null if they are not part of it.
+ */
+function roleFor(booking, userId) {
+  if (!userId) return null;
+  if (booking.client_id === userId) return 'client';
+  if (booking.provider_id === userId) return 'provider';
+  return null;
+}
+
+/**
+ * Why `event` cannot be applied right now, or null if it can.
+ */
+function checkTransition(booking, event, actorRole) {
+  const transition = TRANSITIONS[event];
+  if (!transition) return { message: `Unknown booking event "${event}".`, status: 400 };
+  if (!actorRole || !transition.actors.includes(actorRole)) {
+    return { message: 'Unauthorized action.', status: 403 };
+  }
+  if (!transition.from.includes(booking.status)) {
+    return { message: `Cannot apply "${event}" to a ${booking.status} booking.`, status: 409 };
+  }
+  const guardMessage = transition.guard ? transition.guard(booking) : null;
+  if (guardMessage) return { message: guardMessage, status: 409 };
+  return null;
+}
+
+async function recordBookingEvent({ bookingId, event, fromStatus, toStatus, actorId = null, actorRole, metadata = {} }) {
+  const { error } = await supabaseAdmin.from('booking_events').insert({
+    booking_id: bookingId,
+    event,
+    from_status: fromStatus,
+    to_status: toStatus,
+    actor_id: actorId,
+    actor_role: actorRole,
+    metadata,
+  });
+  if (error) console.error(`Booking event insert error (${bookingId}):`, error.message);
+}
+
+/**
+ * Record the creation of a booking (it is born `pending`).
+ */
+async function recordCreated(booking, { actorId = null, actorRole = 'client', metadata = {} } = {}) {
+  await recordBookingEvent({
+    bookingId: booking.id,
+    event: 'created',
+    fromStatus: null,
+    toStatus: booking.status,
+    actorId,
+    actorRole,
+    metadata,
+  });
+}
+
+/**
+ * Apply a lifecycle event to a booking.
+ *
+ * @param {object|string} bookingOrId       - booking row (with services(title) if available) or its id
+ * @param {string}        event             - key of TRANSITIONS
+ * @param {object}        [options]
+ * @param {string}        [options.actorId]   - user triggering it (null for system jobs)
+ * @param {string}        [options.actorRole] - client | provider | admin | system; derived from actorId if omitted
+ * @param {object}        [options.metadata]  - stored on the booking_events row
+ * @param {boolean}       [options.notify=true] - send the transition's default notifications
+ * @param {object}        [options.changes]   - extra booking columns to set with the status (e.g. a new scheduled_time)
+ * @returns {Promise<{ booking: object, funds: object|null }>}
+ */
+async function transitionBooking(bookingOrId, event, { actorId = null, actorRole, metadata = {}, notify = true, changes = {} } = {}) {
+  let booking = bookingOrId;
+  if (typeof bookingOrId === 'string') {
+    const { data } = await supabaseAdmin
+      .from('bookings')
+      .select('*, services(title)')
+      .eq('id', bookingOrId)
+      .maybeSingle();
+    booking = data;
+  }
+  if (!booking) throw lifecycleError('Booking not found.', 404);
+
+  const role = actorRole || roleFor(booking, actorId);
+  const refusal = checkTransition(booking, event, role);
+  if (refusal) throw lifecycleError(refusal.message, refusal.status);
+
+  const transition = TRANSITIONS[event];
+  const fromStatus = booking.status;
+  const toStatus = transition.to || fromStatus;
+  const previous = Object.fromEntries(Object.keys(changes).map((key) => [key, booking[key] ?? null]));
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('bookings')
+    .update({ ...changes, status: toStatus, updated_at: new Date().toISOString() })
+    .eq('id', booking.id)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updated) {
+    throw lifecycleError(`Booking is no longer ${fromStatus}.`, 409);
+  }
+
+  let funds = null;
+  if (transition.effect) {
+    try {
+      funds = await transition.effect(booking);
+    } catch (effectError) {
+      // Money did not move (journals are atomic), so put the booking back.
+      await supabaseAdmin
+        .from('bookings')
+        .update({
+          ...previous,
+          status: fromStatus,
+          ...(booking.updated_at !== undefined && { updated_at: booking.updated_at }),
+        })
+        .eq('id', booking.id)
+        .eq('status', toStatus);
+      throw effectError;
+    }
+  }
+
+  await recordBookingEvent({
+    bookingId: booking.id,
+    event,
+    fromStatus,
+    toStatus,
+    actorId,
+    actorRole: role,
+    metadata: {
+      ...metadata,
+      ...(funds?.journal_id && { journal_id: funds.journal_id }),
+      ...(funds?.summary && { settlement: funds.summary }),
+      ...(Object.keys(changes).length > 0 && { changes, previous }),
+    },
+  });
+
+  try {
+    await chatRoutes.insertSystemStatusMessage(booking.id, transition.pill || toStatus);
+  } catch (pillError) {
+    console.error(`System status message error (${booking.id}):`, pillError.message);
+  }
+
+  // A completed $0 booking closes the skill swap it came from
+  if (toStatus === 'completed' && !isPaid(booking)) {
+    await supabaseAdmin
+      .from('swap_requests')
+      .update({ status: 'completed', updated_at: new Date().toISOString() })
+      .eq('booking_id', booking.id)
+      .eq('status', 'accepted');
+  }
+
+  // A cancelled booking gives its promo code use back
+  if (toStatus === 'cancelled' && booking.promo_code) {
+    await promos.release('booking', booking.id);
+  }
+
+  if (toStatus === 'completed') {
+    try {
+      await referrals.rewardFirstBooking(booking);
+    } catch (referralError) {
+      console.error(`Referral reward error (${booking.id}):`, referralError.message);
+    }
+    if (isPaid(booking)) {
+      try {
+        await invoices.issueForBooking(booking.id);
+      } catch (invoiceError) {
+        console.error(`Invoice error (${booking.id}):`, invoiceError.message);
+      }
+    }
+  }
+
+  if (notify && transition.notifications) {
+    const rows = transition.notifications(booking, { actorId, actorRole: role, funds, changes })
+      .map((n) => ({ ...n, reference_id: booking.id, is_read: false }));
+    const { error: notifyError } = await supabaseAdmin.from('notifications').insert(rows);
+    if (notifyError) console.error(`Booking notification error (${booking.id}):`, notifyError.message);
+  }
+
+  return { booking: { ...booking, ...updated }, funds };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  AUTO_RELEASE_AFTER_MS,
+  roleFor,
+  paymentOf,
+  checkTransition,
+  isLifecycleError,
+  recordCreated,
+  transitionBooking,
+};
@@ -0,0 +1,411 @@
+/**
+ * bookingSeries.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Recurring bookings. A series is created from one signed quote (the price of
+ * a single occurrence) plus a recurrence rule, and expands into ordinary
+ * bookings linked by `series_id`. Every occurrence is checked against the
+ * provider's availability and all of them are funded in one atomic escrow
+ * hold, so a series is either fully booked or not at all.
+ *
+ * After creation each occurrence lives its own life through the booking
+ * lifecycle; the helpers here only apply an action to "the rest of the series".
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const availability = require('./availability');
+const recurrence = require('./recurrence');
+const bookingLifecycle = require('./bookingLifecycle');
+const cancellationPolicy = require('./cancellationPolicy');
+const { formatMoney } = require('./fx');
+
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+function seriesError(message, status, details = {}) {
+  const err = new Error(message);
+  err.code = 'BOOKING_SERIES';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a series request was refused. `err.status` is the HTTP status and
+ * `err.details` may carry e.g. the conflicting occurrences.
+ */
+const isSeriesError = (err) => err?.code === 'BOOKING_SERIES';
+
+async function notify(rows) {
+  const { error } = await supabaseAdmin
+    .from('notifications')
+    .insert(rows.map((row) => ({ ...row, is_read: false })));
+  if (error) console.error('Series notification error:', error.message);
+}
+
+async function loadSeriesForUser(seriesId, userId) {
+  const { data: series } = await supabaseAdmin
+    .from('booking_series')
+    .select('*, services(title)')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (!series) throw seriesError('Series not found.', 404);
+  if (series.client_id !== userId && series.provider_id !== userId) {
+    throw seriesError('Unauthorized action.', 403);
+  }
+  return { series, role: series.client_id === userId ? 'client' : 'provider' };
+}
+
+async function loadUpcomingOccurrences(seriesId, fromBooking = null) {
+  let query = supabaseAdmin
+    .from('bookings')
+    .select('*, services(title)')
+    .eq('series_id', seriesId)
+    .in('status', OPEN_STATUSES)
+    .gt('scheduled_time', new Date().toISOString())
+    .order('scheduled_time', { ascending: true });
+
+  if (fromBooking) query = query.gte('scheduled_time', fromBooking.scheduled_time);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// ── Create ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}  params
+ * @param {string}  params.clientId
+ * @param {object}  params.quote             - verified quote for the first occurrence
+ * @param {object}  params.rule              - { frequency, count?, until? }
+ * @param {boolean} [params.skipUnavailable] - drop clashing occurrences instead of failing
+ * @param {object}  [params.details]         - location_details, service_type, comments
+ * @returns {Promise<{ series: object, bookings: object[], skipped: object[] }>}
+ */
+async function createSeries({ clientId, quote, rule, skipUnavailable = false, details = {} }) {
+  const ruleError = recurrence.validateRule(rule);
+  if (ruleError) throw seriesError(ruleError, 400);
+  if (quote.breakdown.promo_code) throw seriesError('Promo codes apply to single bookings only.', 400);
+
+  const { data: providerProfile } = await supabaseAdmin
+    .from('profiles')
+    .select('timezone, cancellation_policy')
+    .eq('id', quote.provider_id)
+    .maybeSingle();
+  const timezone = availability.normalizeTimezone(providerProfile?.timezone);
+
+  const occurrences = recurrence.expandOccurrences({ start: quote.scheduled_time, rule, timezone });
+
+  const accepted = [];
+  const skipped = [];
+  for (const start of occurrences) {
+    const slot = await availability.checkBookingSlot(quote.provider_id, {
+      scheduledTime: start,
+      pricingType: quote.pricing_type,
+      durationHours: quote.duration_hours,
+    });
+    if (slot.available) accepted.push({ scheduled_time: start.toISOString(), ends_at: slot.ends_at });
+    else skipped.push({ scheduled_time: start.toISOString(), reason: slot.reason, message: slot.message });
+  }
+
+  if (skipped.length > 0 && !skipUnavailable) {
+    throw seriesError('Some occurrences are not available.', 409, { conflicts: skipped });
+  }
+  if (accepted.length < 2) {
+    throw seriesError('A series needs at least two available occurrences.', 409, { conflicts: skipped });
+  }
+
+  const price = ledger.roundMoney(quote.total);
+  const clientWallet = await ledger.ensureWallet(clientId, quote.payment.currency);
+  if (price > 0 && parseFloat(clientWallet.balance) < quote.payment.amount * accepted.length) {
+    throw seriesError('Insufficient wallet balance.', 402);
+  }
+
+  const { data: series, error: seriesInsertError } = await supabaseAdmin
+    .from('booking_series')
+    .insert({
+      client_id: clientId,
+      provider_id: quote.provider_id,
+      service_id: quote.service_id,
+      frequency: rule.frequency,
+      occurrence_count: rule.count !== undefined ? Number(rule.count) : null,
+      until_date: rule.until || null,
+      timezone,
+      occurrence_price: price,
+    })
+    .select()
+    .single();
+
+  if (seriesInsertError) throw seriesInsertError;
+
+  const { data: bookings, error: bookingsError } = await supabaseAdmin
+    .from('bookings')
+    .insert(accepted.map((occurrence, index) => ({
+      client_id: clientId,
+      provider_id: quote.provider_id,
+      service_id: quote.service_id,
+      series_id: series.id,
+      occurrence_index: index + 1,
+      scheduled_time: occurrence.scheduled_time,
+      ends_at: occurrence.ends_at,
+      location_details: details.location_details,
+      service_type: details.service_type,
+      comments: details.comments,
+      total_price: price,
+      currency: quote.currency,
+      payment_currency: quote.payment.currency,
+      payment_amount: quote.payment.amount,
+      fx_rate: quote.payment.fx_rate,
+      price_breakdown: quote.breakdown,
+      platform_fee: quote.breakdown.platform_fee,
+      discount_amount: quote.breakdown.discount,
+      promo_code: quote.breakdown.promo_code,
+      pricing_type: quote.pricing_type,
+      duration_hours: quote.duration_hours,
+      cancellation_policy: providerProfile?.cancellation_policy || cancellationPolicy.DEFAULT_POLICY,
+      status: 'pending',
+      client_confirmed: false,
+      provider_confirmed: false,
+    })))
+    .select()
+    .order('occurrence_index', { ascending: true });
+
+  if (bookingsError) {
+    await supabaseAdmin.from('booking_series').delete().eq('id', series.id);
+    // 23P01 = exclusion_violation: another booking took one of the slots meanwhile
+    if (bookingsError.code === '23P01') {
+      throw seriesError('One of the occurrences was just booked by someone else.', 409);
+    }
+    throw bookingsError;
+  }
+
+  if (price > 0) {
+    try {
+      await ledger.holdSeriesFunds({
+        seriesId: series.id,
+        clientWalletId: clientWallet.id,
+        currency: quote.currency,
+        payment: { currency: quote.payment.currency, rate: quote.payment.fx_rate },
+        occurrences: bookings.map((b) => ({
+          bookingId: b.id,
+          amount: price,
+          description: `Funds held for booking series occurrence #${b.occurrence_index}`,
+        })),
+        description: `Funds held for booking series ${series.id}`,
+      });
+    } catch (holdError) {
+      // The hold is atomic, so nothing moved — drop the unfunded rows.
+      await supabaseAdmin.from('bookings').delete().eq('series_id', series.id);
+      await supabaseAdmin.from('booking_series').delete().eq('id', series.id);
+      throw holdError;
+    }
+  }
+
+  await Promise.all(bookings.map((b) => bookingLifecycle.recordCreated(b, {
+    actorId: clientId,
+    actorRole: 'client',
+    metadata: { series_id: series.id },
+  })));
+
+  await notify([{
+    user_id: quote.provider_id,
+    title: 'New Recurring Booking Request 🔁',
+    message: `Someone wants to book you ${rule.frequency} (${bookings.length} sessions).`,
+    type: 'booking_request',
+    reference_id: bookings[0].id,
+  }]);
+
+  return { series, bookings, skipped };
+}
+
+// ── Cancel ──────────────────────────────────────────────────────────────────
+
+/**
+ * Cancel every upcoming open occurrence. Clients get refunds per the
+ * provider's cancellation policy; providers cancelling refund in full.
+ */
+async function cancelRemaining({ seriesId, userId, reason = null }) {
+  const { series, role } = await loadSeriesForUser(seriesId, userId);
+  const upcoming = await loadUpcomingOccurrences(seriesId);
+
+  const cancelled = [];
+  const failed = [];
+  let refunded = 0;
+  const paymentCurrency = upcoming[0]?.payment_currency || upcoming[0]?.currency || 'USD';
+
+  for (const booking of upcoming) {
+    try {
+      const { funds } = await bookingLifecycle.transitionBooking(
+        booking,
+        role === 'client' ? 'client_cancel' : 'cancel',
+        { actorId: userId, actorRole: role, metadata: { series_id: seriesId, scope: 'remaining', ...(reason && { reason }) }, notify: false }
+      );
+      cancelled.push(booking.id);
+      const refund = funds?.summary ? funds.summary.refund : parseFloat(booking.total_price) || 0;
+      refunded += ledger.toPaymentAmount(refund, booking.currency, bookingLifecycle.paymentOf(booking));
+    } catch (err) {
+      failed.push({ booking_id: booking.id, error: err.message });
+    }
+  }
+
+  await supabaseAdmin
+    .from('booking_series')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', seriesId);
+
+  if (cancelled.length > 0) {
+    const serviceTitle = series.services?.title || 'Service';
+    const rows = [{
+      user_id: role === 'client' ? series.provider_id : series.client_id,
+      title: 'Recurring Booking Cancelled',
+      message: `The remaining ${cancelled.length} session(s) of "${serviceTitle}" were cancelled by the ${role}.`,
+      type: 'booking_cancelled',
+      reference_id: cancelled[0],
+    }];
+    if (refunded > 0) {
+      rows.push({
+        user_id: series.client_id,
+        title: 'Refund Processed 💸',
+        message: `${formatMoney(refunded, paymentCurrency)} from your cancelled sessions of "${serviceTitle}" was refunded to your wallet.`,
+        type: 'booking_update',
+        reference_id: cancelled[0],
+      });
+    }
+    await notify(rows);
+  }
+
+  return { cancelled, failed, refunded: ledger.roundMoney(refunded), currency: paymentCurrency };
+}
+
+// ── Reschedule ──────────────────────────────────────────────────────────────
+
+/**
+ * Move one occurrence, or the rest of the series, to a new time. When moving
+ * the remainder, `scheduledTime` becomes the new time of the first remaining
+ * occurrence and the others keep the series cadence from there.
+ *
+ * @param {object} params
+ * @param {'occurrence'|'remaining'} params.scope
+ * @param {string} [params.bookingId] - required for 'occurrence'; for 'remaining', start from it
+ */
+async function reschedule({ seriesId, userId, scope, bookingId = null, scheduledTime }) {
+  const { series, role } = await loadSeriesForUser(seriesId, userId);
+  if (role !== 'client') throw seriesError('Only the client can reschedule a series.', 403);
+  if (Number.isNaN(new Date(scheduledTime).getTime())) throw seriesError('Invalid scheduled time.', 400);
+
+  let anchor = null;
+  if (bookingId) {
+    const { data } = await supabaseAdmin
+      .from('bookings')
+      .select('*, services(title)')
+      .eq('id', bookingId)
+      .eq('series_id', seriesId)
+      .maybeSingle();
+    if (!data) throw seriesError('Occurrence not found in this series.', 404);
+    anchor = data;
+  }
+
+  let toMove;
+  if (scope === 'occurrence') {
+    if (!anchor) throw seriesError('booking_id is required to move one occurrence.', 400);
+    toMove = [anchor];
+  } else if (scope === 'remaining') {
+    toMove = await loadUpcomingOccurrences(seriesId, anchor);
+  } else {
+    throw seriesError('scope must be occurrence or remaining.', 400);
+  }
+  if (toMove.length === 0) throw seriesError('No upcoming occurrences to move.', 409);
+
+  const newTimes = toMove.length === 1
+    ? [new Date(scheduledTime)]
+    : recurrence.expandOccurrences({
+      start: scheduledTime,
+      rule: { frequency: series.frequency, count: toMove.length },
+      timezone: series.timezone,
+    });
+
+  if (newTimes.length < toMove.length) {
+    throw seriesError('The new start time leaves too little room for the remaining occurrences.', 409);
+  }
+
+  const movedIds = toMove.map((b) => b.id);
+  const plans = [];
+  const conflicts = [];
+  for (let i = 0; i < toMove.length; i += 1) {
+    const slot = await availability.checkBookingSlot(series.provider_id, {
+      scheduledTime: newTimes[i],
+      pricingType: toMove[i].pricing_type,
+      durationHours: toMove[i].duration_hours,
+      excludeBookingId: movedIds,
+    });
+    if (slot.available) plans.push({ booking: toMove[i], scheduled_time: newTimes[i].toISOString(), ends_at: slot.ends_at });
+    else conflicts.push({ booking_id: toMove[i].id, scheduled_time: newTimes[i].toISOString(), reason: slot.reason, message: slot.message });
+  }
+  if (conflicts.length > 0) throw seriesError('Some of the new times are not available.', 409, { conflicts });
+
+  const moved = [];
+  for (const plan of plans) {
+    const { booking } = await bookingLifecycle.transitionBooking(plan.booking, 'reschedule', {
+      actorId: userId,
+      actorRole: 'client',
+      changes: { scheduled_time: plan.scheduled_time, ends_at: plan.ends_at },
+      metadata: { series_id: seriesId, scope },
+      notify: plans.length === 1,
+    });
+    moved.push(booking);
+  }
+
+  if (plans.length > 1) {
+    await notify([{
+      user_id: series.provider_id,
+      title: 'Recurring Booking Rescheduled 📅',
+      message: `The client moved ${plans.length} sessions of "${series.services?.title || 'Service'}". Please confirm the new times.`,
+      type: 'booking_rescheduled',
+      reference_id: moved[0].id,
+    }]);
+  }
+
+  return { moved };
+}
+
+// ── Listing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Group bookings that belong to a series, for the client/provider lists.
+ */
+function summarizeSeries(bookings = [], now = new Date()) {
+  const groups = {};
+  bookings.forEach((booking) => {
+    if (!booking.series_id) return;
+    const group = groups[booking.series_id] || (groups[booking.series_id] = {
+      series_id: booking.series_id,
+      frequency: booking.booking_series?.frequency || null,
+      status: booking.booking_series?.status || null,
+      booking_ids: [],
+      total_occurrences: 0,
+      upcoming_occurrences: 0,
+      next_scheduled_time: null,
+    });
+
+    group.booking_ids.push(booking.id);
+    group.total_occurrences += 1;
+
+    const isUpcoming = OPEN_STATUSES.includes(booking.status) && new Date(booking.scheduled_time) > now;
+    if (isUpcoming) {
+      group.upcoming_occurrences += 1;
+      if (!group.next_scheduled_time || booking.scheduled_time < group.next_scheduled_time) {
+        group.next_scheduled_time = booking.scheduled_time;
+      }
+    }
+  });
+  return Object.values(groups);
+}
+
+module.exports = {
+  isSeriesError,
+  createSeries,
+  cancelRemaining,
+  reschedule,
+  summarizeSeries,
+};
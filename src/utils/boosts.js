@@ -0,0 +1,272 @@
+/**
+ * boosts.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Puts paid boosts (active_boosts, bought through /upgrades) into service
+ * listings and measures them.
+ *
+ * A service is boosted by an unexpired boost of that service, a service boost
+ * from a bundle that names no service (it promotes all of the owner's
+ * services) or a profile boost of its provider. Up to BOOST_SPONSORED_SLOTS
+ * (default 3) boosted services, picked at random so boosts share exposure,
+ * go to the top of a listing labelled "Sponsored"; service boosts win over
+ * profile boosts. Everything else keeps its organic order.
+ *
+ * Every sponsored placement counts an impression and opening the service
+ * with its `boost_id` counts a click (boost_stats, per day and placement).
+ * Opportunity boosts are not service placements and are left alone.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const SPONSORED_LABEL = 'Sponsored';
+const PLACEMENTS = ['popular', 'explore', 'category', 'search'];
+
+const getSponsoredSlots = () => (process.env.BOOST_SPONSORED_SLOTS !== undefined
+  ? Math.max(0, Number(process.env.BOOST_SPONSORED_SLOTS) || 0)
+  : 3);
+
+const boostTarget = (boost) => String(boost.boost_type || '').split('_')[0];
+
+/**
+ * Unexpired service and profile boosts.
+ */
+async function loadActiveBoosts(now = new Date()) {
+  const { data, error } = await supabaseAdmin
+    .from('active_boosts')
+    .select('id, user_id, service_id, profile_id, boost_type, created_at, expires_at')
+    .gt('expires_at', now.toISOString());
+
+  if (error) throw error;
+  return (data || []).filter((b) => ['service', 'profile'].includes(boostTarget(b)));
+}
+
+/**
+ * Add active boosted services a capped listing query may have missed.
+ * `select` is the listing's column list so the rows look the same.
+ */
+async function includeBoosted(services, select, boosts) {
+  const serviceIds = boosts.filter((b) => boostTarget(b) === 'service' && b.service_id).map((b) => b.service_id);
+  const providerIds = boosts
+    .filter((b) => (boostTarget(b) === 'service' && !b.service_id) || boostTarget(b) === 'profile')
+    .map((b) => b.profile_id || b.user_id);
+  if (serviceIds.length === 0 && providerIds.length === 0) return services;
+
+  const filters = [];
+  if (serviceIds.length > 0) filters.push(`id.in.(${[...new Set(serviceIds)].join(',')})`);
+  if (providerIds.length > 0) filters.push(`provider_id.in.(${[...new Set(providerIds)].join(',')})`);
+
+  const { data, error } = await supabaseAdmin
+    .from('services')
+    .select(select)
+    .eq('status', 'active')
+    .or(filters.join(','));
+
+  if (error) {
+    console.error('[boosts] boosted services error:', error.message);
+    return services;
+  }
+  const known = new Set(services.map((s) => s.id));
+  return [...services, ...(data || []).filter((s) => !known.has(s.id))];
+}
+
+// The boost that promotes a service, preferring the most specific one
+function boostFor(service, boosts) {
+  const providerId = service.provider_id || service.profiles?.id;
+  return boosts.find((b) => boostTarget(b) === 'service' && b.service_id === service.id)
+    || boosts.find((b) => boostTarget(b) === 'service' && !b.service_id && b.user_id === providerId)
+    || boosts.find((b) => boostTarget(b) === 'profile' && (b.profile_id || b.user_id) === providerId)
+    || null;
+}
+
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Reorder an already-ranked list of services so boosted ones take the
+ * sponsored slots. Sponsored entries get `sponsored: { boost_id, label }`,
+ * the rest `sponsored: null`. Records impressions for the first `visible`
+ * entries (what the client is actually sent).
+ *
+ * Pass `select` when the listing was capped so boosted services outside
+ * the cap are fetched too.
+ *
+ * @param {Array}  services
+ * @param {object} options
+ * @param {string} options.placement - popular | explore | category | search
+ * @param {number} [options.visible] - how many of the result are shown
+ * @param {string} [options.select]  - the listing's services columns
+ */
+async function applyBoosts(services, { placement, visible = Infinity, select = null } = {}) {
+  let boosts = [];
+  try {
+    boosts = await loadActiveBoosts();
+    if (select && boosts.length > 0) services = await includeBoosted(services, select, boosts);
+  } catch (err) {
+    // Listings must not fail because of ads
+    console.error('[boosts] load error:', err.message);
+    return services.map((s) => ({ ...s, sponsored: null }));
+  }
+
+  const candidates = services
+    .map((service) => ({ service, boost: boostFor(service, boosts) }))
+    .filter((c) => c.boost);
+
+  const rank = (c) => (boostTarget(c.boost) === 'service' ? 0 : 1);
+  const picked = shuffle(candidates)
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, getSponsoredSlots());
+  const pickedIds = new Set(picked.map((c) => c.service.id));
+
+  const result = [
+    ...picked.map((c) => ({ ...c.service, sponsored: { boost_id: c.boost.id, label: SPONSORED_LABEL } })),
+    ...services.filter((s) => !pickedIds.has(s.id)).map((s) => ({ ...s, sponsored: null })),
+  ];
+
+  const shown = result.slice(0, visible).filter((s) => s.sponsored);
+  recordEvents(shown.map((s) => ({ boost_id: s.sponsored.boost_id, placement, impressions: 1 })));
+
+  return result;
+}
+
+// Counters are best-effort and never hold up the response
+function recordEvents(events) {
+  const merged = new Map();
+  events.forEach((e) => {
+    const key = `${e.boost_id}:${e.placement}`;
+    const current = merged.get(key) || { boost_id: e.boost_id, placement: e.placement, impressions: 0, clicks: 0 };
+    current.impressions += e.impressions || 0;
+    current.clicks += e.clicks || 0;
+    merged.set(key, current);
+  });
+  if (merged.size === 0) return;
+
+  supabaseAdmin
+    .rpc('record_boost_events', { p_events: [...merged.values()] })
+    .then(({ error }) => {
+      if (error) console.error('[boosts] stats error:', error.message);
+    });
+}
+
+/**
+ * Count a click on a sponsored service. Ignored unless the boost is still
+ * running and actually promotes that service.
+ */
+async function recordClick(boostId, service, placement = null) {
+  const { data: boost, error } = await supabaseAdmin
+    .from('active_boosts')
+    .select('id, user_id, service_id, profile_id, boost_type, expires_at')
+    .eq('id', boostId)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error || !boost || boostFor(service, [boost])?.id !== boost.id) return false;
+  recordEvents([{ boost_id: boost.id, placement: PLACEMENTS.includes(placement) ? placement : 'unknown', clicks: 1 }]);
+  return true;
+}
+
+// ── Performance ─────────────────────────────────────────────────────────────
+
+async function countBookings(boost) {
+  let query = supabaseAdmin
+    .from('bookings')
+    .select('id', { count: 'exact', head: true })
+    .gte('created_at', boost.created_at)
+    .lt('created_at', boost.expires_at);
+
+  query = boostTarget(boost) === 'service' && boost.service_id
+    ? query.eq('service_id', boost.service_id)
+    : query.eq('provider_id', boost.profile_id || boost.user_id);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+async function describePerformance(boost, now = new Date()) {
+  const [{ data: stats, error }, bookings] = await Promise.all([
+    supabaseAdmin
+      .from('boost_stats')
+      .select('day, placement, impressions, clicks')
+      .eq('boost_id', boost.id)
+      .order('day', { ascending: true }),
+    countBookings(boost),
+  ]);
+
+  if (error) throw error;
+
+  const byDay = {};
+  const byPlacement = {};
+  let views = 0;
+  let clicks = 0;
+  (stats || []).forEach((row) => {
+    views += row.impressions;
+    clicks += row.clicks;
+    byDay[row.day] = byDay[row.day] || { day: row.day, views: 0, clicks: 0 };
+    byDay[row.day].views += row.impressions;
+    byDay[row.day].clicks += row.clicks;
+    byPlacement[row.placement] = byPlacement[row.placement] || { views: 0, clicks: 0 };
+    byPlacement[row.placement].views += row.impressions;
+    byPlacement[row.placement].clicks += row.clicks;
+  });
+
+  return {
+    id: boost.id,
+    boost_type: boost.boost_type,
+    service_id: boost.service_id,
+    profile_id: boostTarget(boost) === 'profile' ? (boost.profile_id || boost.user_id) : null,
+    starts_at: boost.created_at,
+    expires_at: boost.expires_at,
+    active: new Date(boost.expires_at) > now,
+    views,
+    clicks,
+    click_through_rate: views > 0 ? Number((clicks / views).toFixed(4)) : 0,
+    bookings,
+    by_day: Object.values(byDay),
+    by_placement: byPlacement,
+  };
+}
+
+/**
+ * A user's boosts with their performance, newest first.
+ */
+async function listBoostPerformance(userId, { limit = 50 } = {}) {
+  const { data: boosts, error } = await supabaseAdmin
+    .from('active_boosts')
+    .select('id, user_id, service_id, profile_id, boost_type, created_at, expires_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return Promise.all((boosts || []).map((b) => describePerformance(b)));
+}
+
+/**
+ * One boost's performance, or null when it is not the user's.
+ */
+async function getBoostPerformance(userId, boostId) {
+  const { data: boost, error } = await supabaseAdmin
+    .from('active_boosts')
+    .select('id, user_id, service_id, profile_id, boost_type, created_at, expires_at')
+    .eq('id', boostId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return boost ? describePerformance(boost) : null;
+}
+
+module.exports = {
+  SPONSORED_LABEL,
+  loadActiveBoosts,
+  applyBoosts,
+  recordClick,
+  listBoostPerformance,
+  getBoostPerformance,
+};
@@ -0,0 +1,93 @@
+/**
+ * cancellationPolicy.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Refund tiers for client cancellations. Each provider picks one policy
+ * (profiles.cancellation_policy) and every booking keeps a copy of the policy
+ * in force when it was made (bookings.cancellation_policy), which is the one
+ * that applies. The refund depends on how many hours before `scheduled_time`
+ * the client cancels. Whatever is not refunded is paid to the provider as
+ * compensation.
+ *
+ * A booking the provider has not confirmed yet is always refunded in full.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { roundMoney } = require('./ledger');
+
+const DEFAULT_POLICY = 'flexible';
+
+// Tiers are checked top-down; the first one whose minHours is met applies.
+const POLICIES = {
+  flexible: [
+    { minHours: 24, refundRate: 1 },
+    { minHours: 0, refundRate: 0.5 },
+  ],
+  moderate: [
+    { minHours: 72, refundRate: 1 },
+    { minHours: 24, refundRate: 0.5 },
+    { minHours: 0, refundRate: 0 },
+  ],
+  strict: [
+    { minHours: 168, refundRate: 1 },
+    { minHours: 72, refundRate: 0.5 },
+    { minHours: 0, refundRate: 0 },
+  ],
+};
+
+const isValidPolicy = (policy) => Object.prototype.hasOwnProperty.call(POLICIES, policy);
+
+/**
+ * Split a booking's held funds between client refund and provider compensation.
+ *
+ * @param {object} params
+ * @param {object} params.booking  - needs total_price, scheduled_time, status
+ * @param {string} [params.policy] - flexible | moderate | strict
+ * @param {Date}   [params.now]
+ * @returns {{ policy: string, hours_before_start: number|null, refund_rate: number, refund: number, compensation: number }}
+ */
+function computeCancellationSplit({ booking, policy, now = new Date() }) {
+  const appliedPolicy = isValidPolicy(policy) ? policy : DEFAULT_POLICY;
+  const total = roundMoney(booking.total_price);
+
+  const scheduledAt = new Date(booking.scheduled_time);
+  const hoursBeforeStart = Number.isNaN(scheduledAt.getTime())
+    ? null
+    : (scheduledAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  let refundRate = 1;
+  if (booking.status !== 'pending' && hoursBeforeStart !== null) {
+    const tier = POLICIES[appliedPolicy].find((t) => hoursBeforeStart >= t.minHours);
+    refundRate = tier ? tier.refundRate : 0;
+  }
+
+  const refund = roundMoney(total * refundRate);
+  return {
+    policy: appliedPolicy,
+    hours_before_start: hoursBeforeStart === null ? null : Number(hoursBeforeStart.toFixed(1)),
+    refund_rate: refundRate,
+    refund,
+    compensation: roundMoney(total - refund),
+  };
+}
+
+/**
+ * The provider's current policy, to store on a booking being created.
+ */
+async function getProviderPolicy(providerId) {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('cancellation_policy')
+    .eq('id', providerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return isValidPolicy(profile?.cancellation_policy) ? profile.cancellation_policy : DEFAULT_POLICY;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  POLICIES,
+  isValidPolicy,
+  computeCancellationSplit,
+  getProviderPolicy,
+};
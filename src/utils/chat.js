@@ -0,0 +1,684 @@
+/**
+ * chat.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Chat messages (see migrations/20261019_20_chat_messages.sql). A conversation
+ * is a booking's chat or a pre-booking inquiry (see inquiries.js); the
+ * functions here take `bookingId` or `inquiryId`.
+ *
+ * Messages are typed: text, image, file, location, offer and system. Images
+ * and files are uploaded first (POST /storage/chat/...) into the private
+ * CHAT_BUCKET and then sent by path. Each upload is recorded in
+ * chat_attachments, and a message takes the file's name, type and size from
+ * that record. Reading a conversation hands out signed URLs that expire
+ * after an hour. Only the provider can send a price
+ * offer, and only the platform writes system messages.
+ *
+ * Sent and edited text goes through moderation.js first; contact details
+ * may be masked and end up in a moderation case.
+ *
+ * While the conversation is open, senders can edit their text messages and
+ * the captions of their images and files, and delete any of their messages.
+ * Deleted messages come back as tombstones. The version before each change
+ * is kept in message_revisions.
+ *
+ * Conversations are read newest first, a page at a time; `next_cursor`
+ * fetches the page of older messages.
+ *
+ * Each message records when it was delivered to the other party (on fetch,
+ * or acknowledged by the app) and when it was read. Typing and last seen
+ * are in presence.js.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const fx = require('./fx');
+const { roundMoney } = require('./ledger');
+const moderation = require('./moderation');
+const presence = require('./presence');
+
+const CHAT_BUCKET = 'lifekit_chat';
+const MESSAGE_TYPES = ['text', 'image', 'file', 'location', 'offer', 'system'];
+const CAPTIONED_TYPES = ['text', 'image', 'file'];
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const MAX_CONTENT_LENGTH = 4000;
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_URL_TTL_SECONDS = 60 * 60;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const ATTACHMENT_MIME_TYPES = [
+  'image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic',
+  'application/pdf', 'text/plain', 'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+function chatError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'CHAT';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a chat request was refused. `err.status` is the HTTP status.
+ */
+const isChatError = (err) => err?.code === 'CHAT';
+
+const isClosed = (booking) => CLOSED_STATUSES.includes(String(booking.status || '').toLowerCase());
+
+// ── Conversations ───────────────────────────────────────────────────────────
+
+function conversationOfBooking(booking) {
+  return {
+    kind: 'booking',
+    id: booking.id,
+    column: 'booking_id',
+    client_id: booking.client_id,
+    provider_id: booking.provider_id,
+    currency: booking.currency,
+    title: booking.services?.title || 'Service',
+    closed: isClosed(booking),
+    closed_reason: 'This conversation is closed because the service is finished.',
+  };
+}
+
+function conversationOfInquiry(inquiry) {
+  return {
+    kind: 'inquiry',
+    id: inquiry.id,
+    column: 'inquiry_id',
+    client_id: inquiry.client_id,
+    provider_id: inquiry.provider_id,
+    currency: inquiry.services?.currency,
+    title: inquiry.services?.title || 'your services',
+    closed: inquiry.status !== 'open',
+    closed_reason: inquiry.status === 'converted'
+      ? 'This inquiry became a booking. Continue in the booking chat.'
+      : 'This inquiry is closed.',
+    booking_id: inquiry.booking_id || null,
+  };
+}
+
+/**
+ * A booking chat (`bookingId`) or inquiry (`inquiryId`), for one of its
+ * parties: who is in it, its title and whether it still takes messages.
+ */
+async function loadConversation({ bookingId, inquiryId }, userId) {
+  let conversation;
+  if (inquiryId) {
+    const { data: inquiry, error } = await supabaseAdmin
+      .from('inquiries')
+      .select('id, status, client_id, provider_id, booking_id, services(title, currency)')
+      .eq('id', inquiryId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!inquiry) throw chatError('Inquiry not found', 404);
+    conversation = conversationOfInquiry(inquiry);
+  } else {
+    const { data: booking, error } = await supabaseAdmin
+      .from('bookings')
+      .select('id, status, client_id, provider_id, currency, services(title)')
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!booking) throw chatError('Booking not found', 404);
+    conversation = conversationOfBooking(booking);
+  }
+
+  if (conversation.client_id !== userId && conversation.provider_id !== userId) {
+    throw chatError('Unauthorized access to this conversation', 403);
+  }
+  return conversation;
+}
+
+function assertOpen(conversation) {
+  if (conversation.closed) throw chatError(conversation.closed_reason, 403);
+}
+
+// Where a participant's uploads for a conversation live in CHAT_BUCKET
+const attachmentPrefix = (conversation, userId) => (conversation.kind === 'inquiry'
+  ? `chats/inquiries/${conversation.id}/${userId}/`
+  : `chats/${conversation.id}/${userId}/`);
+
+// ── Attachments ─────────────────────────────────────────────────────────────
+
+async function signUrls(paths) {
+  if (paths.length === 0) return {};
+  const { data, error } = await supabaseAdmin.storage
+    .from(CHAT_BUCKET)
+    .createSignedUrls(paths, ATTACHMENT_URL_TTL_SECONDS);
+
+  if (error) {
+    console.error('Chat attachment URL error:', error.message);
+    return {};
+  }
+  return Object.fromEntries((data || []).filter((d) => d.signedUrl).map((d) => [d.path, d.signedUrl]));
+}
+
+/**
+ * Store a file a participant is about to send in a conversation.
+ * @param {object} file - multer file (buffer, originalname, mimetype, size)
+ * @returns {Promise<{ path, name, mime_type, size, url }>}
+ */
+async function uploadAttachment({ bookingId, inquiryId, userId, file }) {
+  const conversation = await loadConversation({ bookingId, inquiryId }, userId);
+  assertOpen(conversation);
+  if (!file) throw chatError('No file uploaded.');
+  if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+    throw chatError('Only images, PDFs, text and Word documents can be sent in chat.');
+  }
+
+  const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
+  const path = `${attachmentPrefix(conversation, userId)}${Date.now()}_${sanitizedName}`;
+
+  const { error } = await supabaseAdmin.storage
+    .from(CHAT_BUCKET)
+    .upload(path, file.buffer, { contentType: file.mimetype, upsert: false });
+  if (error) throw error;
+
+  const record = { path, name: file.originalname.slice(0, 255), mime_type: file.mimetype, size: file.size };
+  const { error: recordError } = await supabaseAdmin
+    .from('chat_attachments')
+    .insert({ ...record, uploader_id: userId });
+  if (recordError) throw recordError;
+
+  const urls = await signUrls([path]);
+  return { ...record, url: urls[path] || null };
+}
+
+/**
+ * The attachments of a message, by path, as recorded when they were
+ * uploaded. Anything the client says about a file besides its path is
+ * ignored.
+ */
+async function resolveAttachments(list, prefix, senderId, { imagesOnly }) {
+  const attachments = Array.isArray(list) ? list : [];
+  if (attachments.length === 0) throw chatError('attachments must list at least one uploaded file.');
+  if (attachments.length > MAX_ATTACHMENTS) throw chatError(`At most ${MAX_ATTACHMENTS} attachments per message.`);
+
+  const paths = attachments.map((attachment) => {
+    const path = typeof attachment === 'string' ? attachment : attachment?.path;
+    // Only files this sender uploaded to this conversation
+    if (typeof path !== 'string' || !path.startsWith(prefix) || path.includes('..')) {
+      throw chatError('Attachments must be uploaded to this conversation through /storage/chat first.');
+    }
+    return path;
+  });
+
+  const { data: records, error } = await supabaseAdmin
+    .from('chat_attachments')
+    .select('path, name, mime_type, size')
+    .in('path', [...new Set(paths)])
+    .eq('uploader_id', senderId);
+  if (error) throw error;
+
+  const byPath = new Map((records || []).map((record) => [record.path, record]));
+  return paths.map((path) => {
+    const record = byPath.get(path);
+    if (!record) throw chatError('Attachments must be uploaded to this conversation through /storage/chat first.');
+    if (imagesOnly && !String(record.mime_type).startsWith('image/')) {
+      throw chatError('Image messages can only carry images.');
+    }
+    return { path, name: record.name, mime_type: record.mime_type, size: Number(record.size) };
+  });
+}
+
+// ── Sending ─────────────────────────────────────────────────────────────────
+
+function sanitizeContent(content, { required }) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (required && !text) throw chatError('Message content is required.');
+  if (text.length > MAX_CONTENT_LENGTH) throw chatError(`Messages are limited to ${MAX_CONTENT_LENGTH} characters.`);
+  return text || null;
+}
+
+function sanitizeLocation(metadata = {}) {
+  const latitude = Number(metadata?.latitude);
+  const longitude = Number(metadata?.longitude);
+  if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+    throw chatError('A location needs a valid latitude and longitude.');
+  }
+  const label = typeof metadata.label === 'string' ? metadata.label.trim().slice(0, 200) : '';
+  return { latitude, longitude, ...(label && { label }) };
+}
+
+function sanitizeOffer(metadata = {}, conversation) {
+  const amount = roundMoney(metadata?.amount);
+  if (!(amount > 0)) throw chatError('An offer needs an amount greater than 0.');
+  if (metadata.currency !== undefined && !fx.isSupportedCurrency(metadata.currency)) {
+    throw chatError(`Unsupported currency. Allowed: ${fx.SUPPORTED_CURRENCIES.join(', ')}.`);
+  }
+  const description = typeof metadata.description === 'string' ? metadata.description.trim().slice(0, 1000) : '';
+  return {
+    amount,
+    currency: fx.normalizeCurrency(metadata.currency, (conversation.currency || fx.DEFAULT_CURRENCY).toUpperCase()),
+    ...(description && { description }),
+  };
+}
+
+/**
+ * Validate a message a participant sends and build its row.
+ * @param {object} body - { type?, content?, attachments?, metadata? }
+ */
+async function buildMessage(conversation, senderId, body = {}) {
+  const type = body.type || 'text';
+  if (!MESSAGE_TYPES.includes(type) || type === 'system') {
+    throw chatError(`type must be one of: ${MESSAGE_TYPES.filter((t) => t !== 'system').join(', ')}.`);
+  }
+
+  const row = { [conversation.column]: conversation.id, sender_id: senderId, type, content: null, attachments: [], metadata: {}, is_read: false };
+  const prefix = attachmentPrefix(conversation, senderId);
+
+  if (type === 'text') {
+    row.content = sanitizeContent(body.content, { required: true });
+  } else if (type === 'image' || type === 'file') {
+    row.content = sanitizeContent(body.content, { required: false });
+    row.attachments = await resolveAttachments(body.attachments, prefix, senderId, { imagesOnly: type === 'image' });
+  } else if (type === 'location') {
+    row.metadata = sanitizeLocation(body.metadata);
+  } else if (type === 'offer') {
+    if (senderId !== conversation.provider_id) throw chatError('Only the provider can send a price offer.', 403);
+    row.metadata = sanitizeOffer(body.metadata, conversation);
+    row.content = sanitizeContent(body.content, { required: false });
+  }
+  return row;
+}
+
+/**
+ * A one-line summary of a message for notifications and conversation lists.
+ */
+function previewOf(message) {
+  if (!message) return '';
+  if (message.deleted_at) return 'Message deleted';
+  switch (message.type) {
+    case 'image': return message.content ? `📷 ${message.content}` : '📷 Photo';
+    case 'file': return message.content ? `📎 ${message.content}` : '📎 File';
+    case 'location': return `📍 ${message.metadata?.label || 'Location'}`;
+    case 'offer': return `💰 Price offer: ${fx.formatMoney(message.metadata?.amount, message.metadata?.currency)}`;
+    default: return message.content || '';
+  }
+}
+
+// The message is already delivered; a lost case must not fail the send
+async function openModerationCase(message, screening, source) {
+  try {
+    await moderation.openCase({ message, screening, source });
+  } catch (err) {
+    console.error(`Moderation case error (message ${message.id}):`, err.message);
+  }
+}
+
+/**
+ * Send a message in a conversation and notify the other party. The text is
+ * screened first (see moderation.js) and may arrive masked.
+ */
+async function sendMessage({ bookingId, inquiryId, senderId, body }) {
+  const conversation = await loadConversation({ bookingId, inquiryId }, senderId);
+  assertOpen(conversation);
+
+  const row = await buildMessage(conversation, senderId, body);
+  const screening = moderation.screenMessage(row, await moderation.loadPolicies());
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .insert(screening.row)
+    .select()
+    .single();
+
+  if (error) throw error;
+  if (screening.action) await openModerationCase(message, screening, 'send');
+
+  const receiverId = senderId === conversation.client_id ? conversation.provider_id : conversation.client_id;
+  const preview = previewOf(message);
+  await supabaseAdmin.from('notifications').insert({
+    user_id: receiverId,
+    title: 'New Message 💬',
+    message: `Regarding ${conversation.title}: "${preview.substring(0, 30)}${preview.length > 30 ? '...' : ''}"`,
+    type: conversation.kind === 'inquiry' ? 'inquiry_message' : 'chat_message',
+    reference_id: conversation.id,
+    is_read: false,
+  });
+
+  // Bubble the conversation to the top of the list
+  await supabaseAdmin
+    .from(conversation.kind === 'inquiry' ? 'inquiries' : 'bookings')
+    .update({ updated_at: new Date() })
+    .eq('id', conversation.id);
+
+  await presence.setTyping(conversation.id, senderId, false)
+    .catch((err) => console.error(`Typing reset error (${conversation.id}):`, err.message));
+  await presence.touchLastSeen(senderId);
+
+  return (await present([message]))[0];
+}
+
+// ── Reading ─────────────────────────────────────────────────────────────────
+
+const encodeCursor = (message) => Buffer.from(JSON.stringify([message.created_at, message.id])).toString('base64url');
+
+// The cursor's values end up in a PostgREST filter string, so only a
+// message id and a timestamp in the shape the database returns get through
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !TIMESTAMP_PATTERN.test(createdAt) || Number.isNaN(new Date(createdAt).getTime())) {
+      throw new Error('bad cursor');
+    }
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id)) throw new Error('bad cursor');
+    return { createdAt, id };
+  } catch {
+    throw chatError('Invalid cursor.');
+  }
+}
+
+/**
+ * Attachments with fresh signed URLs.
+ */
+async function signAttachments(attachments = []) {
+  const urls = await signUrls([...new Set(attachments.map((a) => a.path))]);
+  return attachments.map((a) => ({ ...a, url: urls[a.path] || null }));
+}
+
+/**
+ * Messages as the parties see them: signed attachment URLs, and tombstones
+ * for deleted messages.
+ */
+async function present(messages) {
+  const paths = messages
+    .filter((m) => !m.deleted_at)
+    .flatMap((m) => (m.attachments || []).map((a) => a.path));
+  const urls = await signUrls([...new Set(paths)]);
+
+  return messages.map((message) => {
+    if (message.deleted_at) {
+      return { ...message, content: null, attachments: [], metadata: {}, is_deleted: true };
+    }
+    return {
+      ...message,
+      attachments: (message.attachments || []).map((a) => ({ ...a, url: urls[a.path] || null })),
+      is_deleted: false,
+    };
+  });
+}
+
+/**
+ * One page of a conversation's messages, oldest first within the page.
+ * `before` is the `next_cursor` of the previous page.
+ * @returns {Promise<{ messages: object[], next_cursor: string|null, has_more: boolean, read_only: boolean }>}
+ */
+async function listMessages({ bookingId, inquiryId, userId, limit, before }) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const conversation = await loadConversation({ bookingId, inquiryId }, userId);
+
+  let query = supabaseAdmin
+    .from('messages')
+    .select('*')
+    .eq(conversation.column, conversation.id);
+
+  if (before) {
+    const { createdAt, id } = decodeCursor(before);
+    query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."${id}")`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (error) throw error;
+
+  const rows = data || [];
+  const page = rows.slice(0, pageSize);
+  const hasMore = rows.length > pageSize;
+
+  // Fetching a conversation delivers everything the other party sent
+  const deliveredAt = await markConversationDelivered(conversation, userId);
+  if (deliveredAt) {
+    page.forEach((message) => {
+      if (message.sender_id && message.sender_id !== userId && !message.delivered_at) message.delivered_at = deliveredAt;
+    });
+  }
+  return {
+    messages: await present(page.reverse()),
+    next_cursor: hasMore ? encodeCursor(page[0]) : null,
+    has_more: hasMore,
+    // Finished bookings and closed inquiries are an archive
+    read_only: conversation.closed,
+  };
+}
+
+// ── Receipts and presence ───────────────────────────────────────────────────
+
+// Returns the delivery time if any message was newly delivered
+async function markConversationDelivered(conversation, userId) {
+  const deliveredAt = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('messages')
+    .update({ delivered_at: deliveredAt })
+    .eq(conversation.column, conversation.id)
+    .neq('sender_id', userId)
+    .is('delivered_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0 ? deliveredAt : null;
+}
+
+/**
+ * Acknowledge that messages reached the recipient's app (from realtime or
+ * a push notification) without being read yet.
+ * @returns {Promise<{ delivered: string[], delivered_at: string }>}
+ */
+async function markDelivered({ messageIds, userId }) {
+  const ids = Array.isArray(messageIds) ? [...new Set(messageIds.filter((id) => typeof id === 'string'))] : [];
+  if (ids.length === 0) throw chatError('message_ids must list at least one message id.');
+  if (ids.length > MAX_PAGE_SIZE) throw chatError(`At most ${MAX_PAGE_SIZE} messages at a time.`);
+
+  const { data: messages, error } = await supabaseAdmin
+    .from('messages')
+    .select('id, booking_id, inquiry_id')
+    .in('id', ids);
+
+  if (error) throw error;
+  const deliveredAt = new Date().toISOString();
+  if (!messages || messages.length === 0) return { delivered: [], delivered_at: deliveredAt };
+
+  // Every message has to be in a conversation of this user
+  const threads = new Map(messages.map((m) => [
+    m.booking_id || m.inquiry_id,
+    m.booking_id ? { bookingId: m.booking_id } : { inquiryId: m.inquiry_id },
+  ]));
+  await Promise.all([...threads.values()].map((thread) => loadConversation(thread, userId)));
+
+  const { data: delivered, error: updateError } = await supabaseAdmin
+    .from('messages')
+    .update({ delivered_at: deliveredAt })
+    .in('id', messages.map((m) => m.id))
+    .neq('sender_id', userId)
+    .is('delivered_at', null)
+    .select('id');
+
+  if (updateError) throw updateError;
+  return { delivered: (delivered || []).map((m) => m.id), delivered_at: deliveredAt };
+}
+
+/**
+ * Mark the other party's messages in a conversation as read: all of them,
+ * or those up to and including message `upTo`.
+ * @returns {Promise<{ read: number, read_at: string }>}
+ */
+async function markRead({ bookingId, inquiryId, userId, upTo }) {
+  const conversation = await loadConversation({ bookingId, inquiryId }, userId);
+
+  let until = null;
+  if (upTo) {
+    const { data: last, error } = await supabaseAdmin
+      .from('messages')
+      .select('created_at')
+      .eq('id', upTo)
+      .eq(conversation.column, conversation.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!last) throw chatError('Message not found in this conversation.', 404);
+    until = last.created_at;
+  }
+
+  const readAt = new Date().toISOString();
+  const fromOtherParty = (query) => {
+    const scoped = query.eq(conversation.column, conversation.id).neq('sender_id', userId);
+    return until ? scoped.lte('created_at', until) : scoped;
+  };
+
+  // Read implies delivered
+  const { error: deliveredError } = await fromOtherParty(
+    supabaseAdmin.from('messages').update({ delivered_at: readAt })
+  ).is('delivered_at', null);
+  if (deliveredError) throw deliveredError;
+
+  const { data, error } = await fromOtherParty(
+    supabaseAdmin.from('messages').update({ is_read: true, read_at: readAt })
+  ).eq('is_read', false).select('id');
+  if (error) throw error;
+
+  await presence.touchLastSeen(userId);
+  return { read: (data || []).length, read_at: readAt };
+}
+
+/**
+ * Show (or stop showing) the user as typing to the other party.
+ */
+async function setTyping({ bookingId, inquiryId, userId, typing = true }) {
+  const conversation = await loadConversation({ bookingId, inquiryId }, userId);
+  assertOpen(conversation);
+  await presence.setTyping(conversation.id, userId, typing);
+  await presence.touchLastSeen(userId);
+  return { typing, expires_in_ms: typing ? presence.TYPING_TTL_MS : null };
+}
+
+/**
+ * Whether the other party is typing, online and when they were last seen.
+ * @returns {Promise<{ user_id, is_typing, is_online, last_seen_at }>}
+ */
+async function getPresence({ bookingId, inquiryId, userId }) {
+  const conversation = await loadConversation({ bookingId, inquiryId }, userId);
+  const otherId = userId === conversation.client_id ? conversation.provider_id : conversation.client_id;
+
+  const [typing, presences] = await Promise.all([
+    presence.typingIn(conversation.id),
+    presence.loadPresence([otherId], userId),
+  ]);
+  return { user_id: otherId, is_typing: typing.includes(otherId), ...presences.get(otherId) };
+}
+
+// ── Editing ─────────────────────────────────────────────────────────────────
+
+// A message its sender may still change
+async function loadOwnMessage(messageId, userId) {
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .select('*')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message) throw chatError('Message not found.', 404);
+  if (message.sender_id !== userId) throw chatError('You can only change your own messages.', 403);
+  if (message.deleted_at) throw chatError('This message was deleted.', 409);
+
+  // Inquiry messages move to the booking chat when the inquiry is booked
+  const conversation = await loadConversation(
+    message.booking_id ? { bookingId: message.booking_id } : { inquiryId: message.inquiry_id },
+    userId
+  );
+  assertOpen(conversation);
+  return message;
+}
+
+async function recordRevision(message, action) {
+  const { error } = await supabaseAdmin.from('message_revisions').insert({
+    message_id: message.id,
+    action,
+    content: message.content,
+    attachments: message.attachments || [],
+    metadata: message.metadata || {},
+  });
+  if (error) throw error;
+}
+
+/**
+ * Change the text of a text message or the caption of an image or file.
+ */
+async function editMessage({ messageId, userId, content }) {
+  const message = await loadOwnMessage(messageId, userId);
+  if (!CAPTIONED_TYPES.includes(message.type)) throw chatError('Only text, captions of images and files can be edited.');
+
+  const text = sanitizeContent(content, { required: message.type === 'text' });
+  if (text === message.content) return (await present([message]))[0];
+
+  const screening = moderation.screenMessage({ ...message, content: text }, await moderation.loadPolicies());
+  await recordRevision(message, 'edit');
+  const { data: updated, error } = await supabaseAdmin
+    .from('messages')
+    .update({
+      content: screening.row.content,
+      moderation_flags: screening.flags,
+      edited_at: new Date().toISOString(),
+    })
+    .eq('id', message.id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw chatError('This message was deleted.', 409);
+  if (screening.action) await openModerationCase(updated, screening, 'edit');
+  return (await present([updated]))[0];
+}
+
+/**
+ * Delete a message, leaving a tombstone in the conversation. Its files stay
+ * in storage with the revision.
+ */
+async function deleteMessage({ messageId, userId }) {
+  const message = await loadOwnMessage(messageId, userId);
+
+  await recordRevision(message, 'delete');
+  const { data: updated, error } = await supabaseAdmin
+    .from('messages')
+    .update({ content: null, attachments: [], metadata: {}, deleted_at: new Date().toISOString() })
+    .eq('id', message.id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw chatError('This message was deleted.', 409);
+  return (await present([updated]))[0];
+}
+
+module.exports = {
+  CHAT_BUCKET,
+  MESSAGE_TYPES,
+  CLOSED_STATUSES,
+  MAX_ATTACHMENT_BYTES,
+  isChatError,
+  loadConversation,
+  signAttachments,
+  present,
+  uploadAttachment,
+  previewOf,
+  sendMessage,
+  listMessages,
+  markDelivered,
+  markRead,
+  setTyping,
+  getPresence,
+  editMessage,
+  deleteMessage,
+};
@@ -0,0 +1,411 @@
+/**
+ * chatArchive.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Archived booking chats and chat transcripts.
+ *
+ * Once a booking is completed or cancelled its chat is read-only (chat.js)
+ * and listed in the archive. A transcript is the whole conversation, oldest
+ * first, with system pills, offers, locations and attachments (signed links
+ * valid for an hour). The parties can export it once the booking is closed
+ * or disputed. Admins can export any booking's chat; their copy also shows
+ * what edited and deleted messages said before (message_revisions) and what
+ * senders wrote before moderation masked it.
+ *
+ * toPdf() sets the transcript in the built-in PDF font, so Georgian and
+ * Russian text is transliterated to Latin letters (pdf.js). The JSON export
+ * keeps the exact text.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const chat = require('./chat');
+const fx = require('./fx');
+const { renderPdf, transliterate, CHARS_PER_LINE } = require('./pdf');
+
+const EXPORTABLE_STATUSES = [...chat.CLOSED_STATUSES, 'disputed'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const BATCH_SIZE = 1000;
+
+function archiveError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'ARCHIVE';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when an archive request was refused. `err.status` is the HTTP status.
+ */
+const isArchiveError = (err) => err?.code === 'ARCHIVE';
+
+// ── Archive ─────────────────────────────────────────────────────────────────
+
+// Message count and latest message of one booking's chat, without reading
+// the rest of it
+async function chatSummary(bookingId) {
+  const [counted, latest] = await Promise.all([
+    supabaseAdmin
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('booking_id', bookingId),
+    supabaseAdmin
+      .from('messages')
+      .select('booking_id, sender_id, type, content, metadata, deleted_at, created_at')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false })
+      .limit(1),
+  ]);
+
+  if (counted.error) throw counted.error;
+  if (latest.error) throw latest.error;
+  return { count: counted.count || 0, latest: latest.data?.[0] || null };
+}
+
+/**
+ * The user's completed and cancelled bookings with a summary of their chat,
+ * most recently closed first.
+ */
+async function listArchive(userId, { limit, offset } = {}) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+
+  const { data: bookings, count, error } = await supabaseAdmin
+    .from('bookings')
+    .select(`
+      id, status, scheduled_time, updated_at, client_id, provider_id,
+      services (id, title, image_urls),
+      client:profiles!client_id (id, full_name, profile_picture_url),
+      provider:profiles!provider_id (id, full_name, profile_picture_url)
+    `, { count: 'exact' })
+    .or(`client_id.eq.${userId},provider_id.eq.${userId}`)
+    .in('status', chat.CLOSED_STATUSES)
+    .order('updated_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw error;
+
+  const summaries = await Promise.all((bookings || []).map((booking) => chatSummary(booking.id)));
+
+  const conversations = (bookings || []).map((booking, i) => {
+    const { count: messageCount, latest } = summaries[i];
+    return {
+      booking_id: booking.id,
+      status: booking.status,
+      scheduled_time: booking.scheduled_time,
+      archived_at: booking.updated_at,
+      services: booking.services,
+      other_user: booking.client_id === userId ? booking.provider : booking.client,
+      message_count: messageCount,
+      last_message: latest ? chat.previewOf(latest) : null,
+      last_message_time: latest?.created_at || null,
+    };
+  });
+
+  return {
+    conversations,
+    total: count || 0,
+    limit: pageSize,
+    offset: start,
+    has_more: start + (bookings || []).length < (count || 0),
+  };
+}
+
+// ── Transcripts ─────────────────────────────────────────────────────────────
+
+async function loadAllMessages(bookingId) {
+  const messages = [];
+  let batch;
+  do {
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(messages.length, messages.length + BATCH_SIZE - 1);
+
+    if (error) throw error;
+    batch = data || [];
+    messages.push(...batch);
+  } while (batch.length === BATCH_SIZE);
+  return messages;
+}
+
+// Edit and delete history, keyed by message id
+async function loadRevisions(messages) {
+  const changed = messages.filter((m) => m.edited_at || m.deleted_at).map((m) => m.id);
+  if (changed.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from('message_revisions')
+    .select('message_id, action, content, attachments, metadata, created_at')
+    .in('message_id', changed)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  const revisions = new Map();
+  for (const revision of data || []) {
+    if (!revisions.has(revision.message_id)) revisions.set(revision.message_id, []);
+    revisions.get(revision.message_id).push({
+      action: revision.action,
+      content: revision.content,
+      attachments: await chat.signAttachments(revision.attachments || []),
+      metadata: revision.metadata || {},
+      created_at: revision.created_at,
+    });
+  }
+  return revisions;
+}
+
+// Moderation cases on the booking chat and on the inquiry it was booked from
+async function loadModeration(bookingId) {
+  const { data: inquiries, error: inquiryError } = await supabaseAdmin
+    .from('inquiries')
+    .select('id')
+    .eq('booking_id', bookingId);
+  if (inquiryError) throw inquiryError;
+
+  const inquiryIds = (inquiries || []).map((i) => i.id);
+  let query = supabaseAdmin
+    .from('moderation_cases')
+    .select('id, message_id, status, categories, action, original, created_at');
+  query = inquiryIds.length > 0
+    ? query.or(`booking_id.eq.${bookingId},inquiry_id.in.(${inquiryIds.join(',')})`)
+    : query.eq('booking_id', bookingId);
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const byMessage = new Map();
+  (data || []).filter((c) => c.message_id).forEach((c) => {
+    if (!byMessage.has(c.message_id)) byMessage.set(c.message_id, []);
+    byMessage.get(c.message_id).push({
+      case_id: c.id,
+      status: c.status,
+      categories: c.categories,
+      action: c.action,
+      original: c.original,
+      created_at: c.created_at,
+    });
+  });
+  return byMessage;
+}
+
+/**
+ * The full chat of a booking for export.
+ *
+ * @param {string} bookingId
+ * @param {object} viewer - { userId } for a party, { admin: true } for admins
+ */
+async function buildTranscript(bookingId, { userId = null, admin = false } = {}) {
+  const { data: booking, error } = await supabaseAdmin
+    .from('bookings')
+    .select(`
+      id, status, scheduled_time, created_at, total_price, currency, client_id, provider_id,
+      services (title),
+      client:profiles!client_id (id, full_name),
+      provider:profiles!provider_id (id, full_name)
+    `)
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking) throw archiveError('Booking not found.', 404);
+
+  const status = String(booking.status || '').toLowerCase();
+  if (!admin) {
+    if (booking.client_id !== userId && booking.provider_id !== userId) {
+      throw archiveError('Unauthorized access to this conversation', 403);
+    }
+    if (!EXPORTABLE_STATUSES.includes(status)) {
+      throw archiveError('A transcript is available once the booking is completed, cancelled or disputed.', 409);
+    }
+  }
+
+  const [rows, { data: dispute }] = await Promise.all([
+    loadAllMessages(booking.id),
+    supabaseAdmin
+      .from('disputes')
+      .select('reason, status, admin_verdict, created_at, initiator_id')
+      .eq('booking_id', booking.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+
+  const [messages, revisions, moderationCases] = await Promise.all([
+    chat.present(rows),
+    admin ? loadRevisions(rows) : new Map(),
+    admin ? loadModeration(booking.id) : new Map(),
+  ]);
+
+  const parties = {
+    client: booking.client || { id: booking.client_id, full_name: 'Client' },
+    provider: booking.provider || { id: booking.provider_id, full_name: 'Provider' },
+  };
+  const roleOf = (senderId) => {
+    if (!senderId) return 'system';
+    return senderId === booking.client_id ? 'client' : 'provider';
+  };
+
+  return {
+    booking: {
+      id: booking.id,
+      title: booking.services?.title || 'Service',
+      status,
+      scheduled_time: booking.scheduled_time,
+      created_at: booking.created_at,
+      total_price: booking.total_price,
+      currency: booking.currency,
+    },
+    participants: parties,
+    dispute: dispute || null,
+    generated_at: new Date().toISOString(),
+    admin_copy: admin,
+    message_count: messages.length,
+    messages: messages.map((message) => {
+      const sender = roleOf(message.sender_id);
+      return {
+        id: message.id,
+        created_at: message.created_at,
+        sender,
+        sender_id: message.sender_id,
+        sender_name: sender === 'system' ? 'LifeKit' : parties[sender].full_name,
+        type: message.type,
+        content: message.content,
+        attachments: message.attachments,
+        metadata: message.metadata,
+        is_deleted: message.is_deleted,
+        deleted_at: message.deleted_at || null,
+        edited_at: message.edited_at || null,
+        delivered_at: message.delivered_at || null,
+        read_at: message.read_at || null,
+        moderation_flags: message.moderation_flags || [],
+        ...(admin && {
+          revisions: revisions.get(message.id) || [],
+          moderation_cases: moderationCases.get(message.id) || [],
+        }),
+      };
+    }),
+  };
+}
+
+// ── PDF ─────────────────────────────────────────────────────────────────────
+
+// Break text into lines of at most `width` characters, on spaces where possible
+function wrap(text, width) {
+  const lines = [];
+  String(text ?? '').split(/\r?\n/).forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      let rest = word;
+      while (rest.length > width) {
+        if (line) lines.push(line);
+        lines.push(rest.slice(0, width));
+        rest = rest.slice(width);
+        line = '';
+      }
+      if (!line) line = rest;
+      else if (line.length + 1 + rest.length <= width) line += ` ${rest}`;
+      else {
+        lines.push(line);
+        line = rest;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+const stamp = (iso) => (iso ? `${new Date(iso).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+function describeAttachment(attachment) {
+  const details = [attachment.mime_type, attachment.size ? `${Math.max(1, Math.round(attachment.size / 1024))} KB` : null]
+    .filter(Boolean)
+    .join(', ');
+  return `${String(attachment.mime_type || '').startsWith('image/') ? 'Photo' : 'File'}: ${attachment.name}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Render a transcript (from buildTranscript) to a PDF.
+ * @returns {Buffer}
+ */
+function toPdf(transcript) {
+  const INDENT = '  ';
+  const block = (text, indent = INDENT) => wrap(transliterate(text), CHARS_PER_LINE - indent.length)
+    .map((line) => indent + line);
+  const { booking, participants } = transcript;
+
+  const lines = [
+    { text: 'LifeKit - Chat transcript', bold: true },
+    '',
+    ...block(`Booking: ${booking.title} (${booking.id})`, ''),
+    `Status: ${booking.status}`,
+    ...(booking.scheduled_time ? [`Scheduled: ${stamp(booking.scheduled_time)}`] : []),
+    ...block(`Client: ${participants.client.full_name}`, ''),
+    ...block(`Provider: ${participants.provider.full_name}`, ''),
+    ...(transcript.dispute
+      ? block(`Dispute: ${transcript.dispute.reason} (${transcript.dispute.status}, opened ${stamp(transcript.dispute.created_at)})`, '')
+      : []),
+    `Generated: ${stamp(transcript.generated_at)}, ${transcript.message_count} messages`,
+    ...(transcript.admin_copy ? ['Admin copy: includes edit history, deleted messages and moderated text.'] : []),
+    ...block('Georgian and Russian text is transliterated. The JSON export has the exact text and download links for attachments.', ''),
+    '-'.repeat(CHARS_PER_LINE),
+  ];
+
+  transcript.messages.forEach((message) => {
+    lines.push('');
+    if (message.sender === 'system') {
+      lines.push(...block(`[${stamp(message.created_at)}] -- ${message.content || ''} --`, ''));
+      return;
+    }
+
+    let receipt = '';
+    if (message.read_at) receipt = `, read ${stamp(message.read_at)}`;
+    else if (message.delivered_at) receipt = `, delivered ${stamp(message.delivered_at)}`;
+    lines.push({
+      text: transliterate(`[${stamp(message.created_at)}] ${message.sender_name} (${message.sender}${receipt})`),
+      bold: true,
+    });
+
+    if (message.is_deleted) {
+      lines.push(`${INDENT}(message deleted ${stamp(message.deleted_at)})`);
+    } else {
+      if (message.type === 'location') {
+        const { latitude, longitude, label } = message.metadata || {};
+        lines.push(...block(`Location: ${label ? `${label} ` : ''}(${latitude}, ${longitude})`));
+      }
+      if (message.type === 'offer') {
+        lines.push(`${INDENT}Price offer: ${fx.formatMoney(message.metadata?.amount, message.metadata?.currency)}`);
+        if (message.metadata?.description) lines.push(...block(message.metadata.description));
+      }
+      if (message.content) lines.push(...block(message.content));
+      (message.attachments || []).forEach((attachment) => lines.push(...block(describeAttachment(attachment))));
+      if (message.edited_at) lines.push(`${INDENT}(edited ${stamp(message.edited_at)})`);
+    }
+    if (message.moderation_flags?.length > 0) lines.push(`${INDENT}(moderated: ${message.moderation_flags.join(', ')})`);
+
+    (message.revisions || []).forEach((revision) => {
+      lines.push(`${INDENT}Before ${revision.action === 'edit' ? 'edit' : 'deletion'} (${stamp(revision.created_at)}):`);
+      if (revision.content) lines.push(...block(revision.content, INDENT.repeat(2)));
+      (revision.attachments || []).forEach((attachment) => lines.push(...block(describeAttachment(attachment), INDENT.repeat(2))));
+    });
+    (message.moderation_cases || []).forEach((moderationCase) => {
+      lines.push(`${INDENT}Written before moderation (case ${moderationCase.status}):`);
+      if (moderationCase.original?.content) lines.push(...block(moderationCase.original.content, INDENT.repeat(2)));
+      const { label, description } = moderationCase.original?.metadata || {};
+      [label, description].filter(Boolean).forEach((text) => lines.push(...block(text, INDENT.repeat(2))));
+    });
+  });
+  if (transcript.messages.length === 0) lines.push('', 'No messages in this conversation.');
+
+  return renderPdf(lines, { title: `Chat transcript - ${transliterate(booking.title)}` });
+}
+
+module.exports = {
+  isArchiveError,
+  listArchive,
+  buildTranscript,
+  toPdf,
+};
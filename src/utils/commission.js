@@ -0,0 +1,227 @@
+/**
+ * commission.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * The platform's cut of provider payouts, driven by admin-editable rows in
+ * `commission_rules` (see /admin/commission-rules).
+ *
+ * A rule matches when every criterion it sets matches; unset (null) criteria
+ * match anything:
+ *
+ *   subscription_tier – provider's profiles.subscription_tier
+ *   category_id       – service category (or its parent category)
+ *   founding_member   – profiles.is_founding_member
+ *   on_trial          – provider's trial_end_date is in the future
+ *   starts_at/ends_at – promotional window
+ *
+ * The matching rule with the highest priority wins; ties go to the more
+ * specific rule, then to the lower rate. Without any match DEFAULT_RATE
+ * applies.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+
+const DEFAULT_RATE = 0.08;
+
+const CRITERIA = ['subscription_tier', 'category_id', 'founding_member', 'on_trial'];
+
+const RULE_FIELDS = [
+  'name', 'rate', 'priority', 'is_active', 'starts_at', 'ends_at', ...CRITERIA,
+];
+
+function commissionError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'COMMISSION';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a rule payload was rejected. `err.status` is the HTTP status.
+ */
+const isCommissionError = (err) => err?.code === 'COMMISSION';
+
+// ── Matching ────────────────────────────────────────────────────────────────
+
+const specificity = (rule) => CRITERIA.filter((key) => rule[key] !== null && rule[key] !== undefined).length;
+
+function ruleMatches(rule, facts, at) {
+  if (rule.starts_at && new Date(rule.starts_at) > at) return false;
+  if (rule.ends_at && new Date(rule.ends_at) <= at) return false;
+
+  if (rule.subscription_tier && rule.subscription_tier !== facts.subscription_tier) return false;
+  if (rule.category_id && !facts.category_ids.includes(rule.category_id)) return false;
+  if (rule.founding_member !== null && rule.founding_member !== undefined && rule.founding_member !== facts.founding_member) return false;
+  if (rule.on_trial !== null && rule.on_trial !== undefined && rule.on_trial !== facts.on_trial) return false;
+  return true;
+}
+
+/**
+ * Pick the winning rule for a set of provider facts. Pure, so previews and
+ * payouts agree.
+ *
+ * @param {object[]} rules
+ * @param {object}   facts - { subscription_tier, category_ids: [], founding_member, on_trial }
+ * @param {Date}     [at]
+ * @returns {{ rate: number, rule_id: string|null, rule_name: string }}
+ */
+function pickRule(rules, facts, at = new Date()) {
+  const winner = (rules || [])
+    .filter((rule) => rule.is_active !== false && ruleMatches(rule, facts, at))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0)
+      || specificity(b) - specificity(a)
+      || Number(a.rate) - Number(b.rate))[0];
+
+  if (!winner) return { rate: DEFAULT_RATE, rule_id: null, rule_name: 'default' };
+  return { rate: Number(winner.rate), rule_id: winner.id, rule_name: winner.name };
+}
+
+async function loadActiveRules() {
+  const { data, error } = await supabaseAdmin
+    .from('commission_rules')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function loadProviderFacts(providerId, categoryId = null) {
+  const [{ data: profile }, { data: category }] = await Promise.all([
+    supabaseAdmin
+      .from('profiles')
+      .select('subscription_tier, is_founding_member, trial_end_date')
+      .eq('id', providerId)
+      .maybeSingle(),
+    categoryId
+      ? supabaseAdmin.from('service_categories').select('id, parent_category_id').eq('id', categoryId).maybeSingle()
+      : Promise.resolve({ data: null }),
+  ]);
+
+  return {
+    subscription_tier: String(profile?.subscription_tier || 'free').toLowerCase(),
+    founding_member: !!profile?.is_founding_member,
+    on_trial: !!(profile?.trial_end_date && new Date(profile.trial_end_date) > new Date()),
+    category_ids: [category?.id, category?.parent_category_id].filter(Boolean),
+  };
+}
+
+/**
+ * Commission for a provider (optionally for a service category) right now.
+ */
+async function resolveCommission({ providerId, categoryId = null, at = new Date() }) {
+  const [rules, facts] = await Promise.all([loadActiveRules(), loadProviderFacts(providerId, categoryId)]);
+  return { ...pickRule(rules, facts, at), facts };
+}
+
+/**
+ * Commission for paying out a booking.
+ */
+async function resolveForBooking(booking) {
+  let categoryId = booking.services?.category_id;
+  if (categoryId === undefined && booking.service_id) {
+    const { data: service } = await supabaseAdmin
+      .from('services')
+      .select('category_id')
+      .eq('id', booking.service_id)
+      .maybeSingle();
+    categoryId = service?.category_id || null;
+  }
+  const { rate, rule_id, rule_name } = await resolveCommission({
+    providerId: booking.provider_id,
+    categoryId,
+  });
+  return { rate, rule_id, rule_name };
+}
+
+// ── Admin ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validate and pick the writable fields of a rule payload.
+ * `partial` allows updates that only touch some fields.
+ */
+function sanitizeRule(body = {}, { partial = false } = {}) {
+  const data = {};
+  RULE_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) data[key] = body[key] === '' ? null : body[key];
+  });
+
+  if (!partial && !data.name) throw commissionError('name is required.');
+  if (!partial || data.rate !== undefined) {
+    const rate = Number(data.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 0.5) throw commissionError('rate must be between 0 and 0.5.');
+    data.rate = rate;
+  }
+  if (data.priority !== undefined) {
+    if (!Number.isInteger(Number(data.priority))) throw commissionError('priority must be an integer.');
+    data.priority = Number(data.priority);
+  }
+  if (data.subscription_tier) data.subscription_tier = String(data.subscription_tier).toLowerCase();
+  ['founding_member', 'on_trial', 'is_active'].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'boolean') {
+      throw commissionError(`${key} must be true, false or null.`);
+    }
+  });
+  ['starts_at', 'ends_at'].forEach((key) => {
+    if (data[key] && Number.isNaN(new Date(data[key]).getTime())) throw commissionError(`${key} must be a timestamp.`);
+  });
+  if (data.starts_at && data.ends_at && new Date(data.ends_at) <= new Date(data.starts_at)) {
+    throw commissionError('ends_at must be after starts_at.');
+  }
+  return data;
+}
+
+// A payout credits the gross as `earning` and takes the cut as `commission`
+const EARNING_TYPES = ['earning', 'commission'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What a provider has earned from bookings after commission, per wallet
+ * currency, from the transactions each payout recorded. `chart_by_currency`
+ * holds the last `days` days, oldest first.
+ * @returns {Promise<{ by_currency: object, chart_by_currency: object }>}
+ */
+async function summarizeEarnings(providerId, { days = 7, now = new Date() } = {}) {
+  const { data: wallets, error } = await supabaseAdmin
+    .from('wallets')
+    .select('id, currency')
+    .eq('user_id', providerId);
+
+  if (error) throw error;
+  const summary = { by_currency: {}, chart_by_currency: {} };
+  if (!wallets || wallets.length === 0) return summary;
+
+  const currencyOf = Object.fromEntries(wallets.map((w) => [w.id, w.currency]));
+  const rows = await ledger.readAll(() => supabaseAdmin
+    .from('transactions')
+    .select('id, wallet_id, amount, created_at')
+    .in('wallet_id', Object.keys(currencyOf))
+    .in('type', EARNING_TYPES)
+    .order('id', { ascending: true }));
+
+  rows.forEach((row) => {
+    const currency = currencyOf[row.wallet_id];
+    const amount = Number(row.amount);
+    summary.by_currency[currency] = ledger.roundMoney((summary.by_currency[currency] || 0) + amount);
+
+    // Today is the last slot, `days` days ago the first
+    const daysAgo = Math.max(1, Math.ceil(Math.abs(now - new Date(row.created_at)) / DAY_MS));
+    const index = days - daysAgo;
+    if (daysAgo <= days && index >= 0) {
+      const chart = summary.chart_by_currency[currency] || Array(days).fill(0);
+      chart[index] = ledger.roundMoney(chart[index] + amount);
+      summary.chart_by_currency[currency] = chart;
+    }
+  });
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  isCommissionError,
+  pickRule,
+  resolveCommission,
+  resolveForBooking,
+  sanitizeRule,
+  summarizeEarnings,
+};
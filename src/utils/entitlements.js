@@ -0,0 +1,176 @@
+/**
+ * entitlements.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * What a user's plan lets them do, decided in one place.
+ *
+ * The effective tier is the profile's subscription tier while it has not
+ * expired, raised to TRIAL_TIER during an active trial. Features either need
+ * a minimum tier (`ai.chat`), carry a per-tier limit (`services.max`) or are
+ * bought once (`ai_tool.cv_resume_builder`, see purchased_ai_tools).
+ *
+ * Routes gate features with requireEntitlement() from
+ * middleware/entitlementMiddleware.js; the resolved entitlements are cached on
+ * the request so a request loads them once.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const TIERS = ['free', 'plus', 'pro', 'business'];
+// Trials unlock pro features whatever the user pays for
+const TRIAL_TIER = 'pro';
+
+// AI Premium Tools — one-time purchase, no subscription required
+const AI_TOOL_PRICING = {
+  cv_resume_builder: 4.99,
+  relocation_plan: 6.99,
+  start_earning_city_guide: 9.99,
+};
+
+const AI_MESSAGE = 'AI features require a Pro or Business subscription.';
+
+// minTier: needs that tier or higher. limits: a number per tier (Infinity = no limit).
+const FEATURES = {
+  'services.max': { limits: { free: 0, plus: 1, pro: 5, business: Infinity } },
+  'communities.max': { limits: { free: 1, plus: 3, pro: 5, business: Infinity } },
+  'ai.generate_service': { minTier: 'pro', message: AI_MESSAGE },
+  'ai.chat': { minTier: 'pro', message: AI_MESSAGE },
+  'ai.opportunities': { minTier: 'pro', message: AI_MESSAGE },
+  'ai.discovery': { minTier: 'pro', message: AI_MESSAGE },
+  'ai.skill_swap': { minTier: 'pro', message: AI_MESSAGE },
+  'profile.verified_badge': { minTier: 'business', message: 'The verified badge comes with the Business plan.' },
+};
+
+const normalizeTier = (tier) => {
+  const normalized = typeof tier === 'string' ? tier.toLowerCase() : '';
+  return TIERS.includes(normalized) ? normalized : 'free';
+};
+
+const tierRank = (tier) => TIERS.indexOf(normalizeTier(tier));
+
+/**
+ * Sort weight for listings: business 4, pro 3, plus 2, free 1.
+ */
+const getTierWeight = (tier) => tierRank(tier) + 1;
+
+const isTrialActive = (profile, now = new Date()) =>
+  !!(profile?.trial_end_date && new Date(profile.trial_end_date) > now);
+
+/**
+ * The tier a profile is entitled to right now.
+ */
+function resolveTier(profile, now = new Date()) {
+  const expired = profile?.subscription_expiry && new Date(profile.subscription_expiry) <= now;
+  const paid = expired ? 'free' : normalizeTier(profile?.subscription_tier);
+  if (isTrialActive(profile, now) && tierRank(TRIAL_TIER) > tierRank(paid)) return TRIAL_TIER;
+  return paid;
+}
+
+// Lowest tier whose value passes `test`
+const lowestTier = (test) => TIERS.find(test) || null;
+
+function describeFeature(feature, tier) {
+  if (feature.limits) {
+    const limit = feature.limits[tier] ?? feature.limits.free;
+    const next = lowestTier((t) => tierRank(t) > tierRank(tier) && feature.limits[t] > limit);
+    return {
+      allowed: limit > 0,
+      limit: limit === Infinity ? null : limit,
+      unlimited: limit === Infinity,
+      upgrade_to: next,
+    };
+  }
+  const allowed = tierRank(tier) >= tierRank(feature.minTier);
+  return { allowed, required_tier: feature.minTier, upgrade_to: allowed ? null : feature.minTier };
+}
+
+/**
+ * Everything a user has and could unlock.
+ * @returns {Promise<{ tier, subscription_tier, subscription_expiry, on_trial, trial_end_date, features, ai_tools }>}
+ */
+async function getEntitlements(userId, now = new Date()) {
+  const [{ data: profile, error }, { data: tools, error: toolsError }] = await Promise.all([
+    supabaseAdmin
+      .from('profiles')
+      .select('subscription_tier, subscription_expiry, trial_end_date')
+      .eq('id', userId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('purchased_ai_tools')
+      .select('tool_key, purchased_at')
+      .eq('user_id', userId),
+  ]);
+
+  if (error) throw error;
+  if (toolsError) throw toolsError;
+
+  const tier = resolveTier(profile, now);
+  const owned = new Map((tools || []).map((t) => [t.tool_key, t.purchased_at]));
+
+  const features = {};
+  Object.entries(FEATURES).forEach(([key, feature]) => {
+    features[key] = describeFeature(feature, tier);
+  });
+  Object.entries(AI_TOOL_PRICING).forEach(([toolKey, price]) => {
+    features[`ai_tool.${toolKey}`] = {
+      allowed: owned.has(toolKey),
+      purchased_at: owned.get(toolKey) || null,
+      price,
+    };
+  });
+
+  return {
+    tier,
+    subscription_tier: normalizeTier(profile?.subscription_tier),
+    subscription_expiry: profile?.subscription_expiry || null,
+    on_trial: isTrialActive(profile, now),
+    trial_end_date: profile?.trial_end_date || null,
+    features,
+    ai_tools: [...owned.keys()],
+  };
+}
+
+/**
+ * Entitlements for the authenticated user of a request, loaded once.
+ */
+async function forRequest(req) {
+  if (!req.entitlements) req.entitlements = await getEntitlements(req.user.id);
+  return req.entitlements;
+}
+
+/**
+ * The limit of a `*.max` feature (Infinity when unlimited).
+ */
+function limitOf(entitlements, key) {
+  const feature = entitlements.features[key];
+  if (!feature) return 0;
+  return feature.unlimited ? Infinity : feature.limit;
+}
+
+/**
+ * Why a feature is locked: the 403 body routes send.
+ */
+function deniedBody(entitlements, key) {
+  const feature = entitlements.features[key] || {};
+  return {
+    error: FEATURES[key]?.message || 'Your plan does not include this feature.',
+    requires_upgrade: true,
+    feature: key,
+    current_tier: entitlements.tier,
+    ...(feature.upgrade_to && { upgrade_to: feature.upgrade_to }),
+    ...(feature.price !== undefined && { price: feature.price }),
+  };
+}
+
+module.exports = {
+  TIERS,
+  FEATURES,
+  AI_TOOL_PRICING,
+  normalizeTier,
+  getTierWeight,
+  isTrialActive,
+  resolveTier,
+  getEntitlements,
+  forRequest,
+  limitOf,
+  deniedBody,
+};
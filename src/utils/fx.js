@@ -0,0 +1,177 @@
+/**
+ * fx.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Currencies and exchange rates.
+ *
+ * Rates come from a pluggable provider chosen with FX_PROVIDER. The built-in
+ * `fixed` provider serves a local table of rates per 1 USD (override with
+ * FX_FIXED_RATES='{"GEL":2.7,"EUR":0.92}'), which is what runs until a live
+ * provider is registered:
+ *
+ *   fx.registerProvider('acme', { getRates: async () => ({ base: 'USD', rates: { ... } }) });
+ *
+ * Cross rates are derived through the provider's base currency. Rates are
+ * cached for FX_CACHE_SECONDS (default 600).
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const SUPPORTED_CURRENCIES = ['USD', 'GEL', 'EUR'];
+const DEFAULT_CURRENCY = 'USD';
+
+const DEFAULT_FIXED_RATES = { USD: 1, GEL: 2.7, EUR: 0.92 };
+
+function fxError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'FX';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a currency is unsupported or no rate is available.
+ * `err.status` is the HTTP status to return.
+ */
+const isFxError = (err) => err?.code === 'FX';
+
+const isSupportedCurrency = (currency) =>
+  typeof currency === 'string' && SUPPORTED_CURRENCIES.includes(currency.toUpperCase());
+
+/**
+ * Upper-cased currency code, `fallback` when empty. Throws for unsupported codes.
+ */
+function normalizeCurrency(currency, fallback = DEFAULT_CURRENCY) {
+  if (currency === undefined || currency === null || currency === '') return fallback;
+  if (!isSupportedCurrency(currency)) {
+    throw fxError(`Unsupported currency. Allowed: ${SUPPORTED_CURRENCIES.join(', ')}.`);
+  }
+  return currency.toUpperCase();
+}
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  return `${Number(amount || 0).toFixed(2)} ${currency}`;
+}
+
+// ── Providers ───────────────────────────────────────────────────────────────
+
+function readFixedRates() {
+  if (!process.env.FX_FIXED_RATES) return DEFAULT_FIXED_RATES;
+  try {
+    return { ...DEFAULT_FIXED_RATES, ...JSON.parse(process.env.FX_FIXED_RATES), USD: 1 };
+  } catch (err) {
+    console.error('FX_FIXED_RATES is not valid JSON, using defaults:', err.message);
+    return DEFAULT_FIXED_RATES;
+  }
+}
+
+const providers = {
+  fixed: {
+    getRates: async () => ({ base: 'USD', rates: readFixedRates() }),
+  },
+};
+
+const cache = new Map();
+
+/**
+ * Register a rate provider. `provider.getRates()` resolves to
+ * `{ base, rates: { CODE: units per 1 base } }`.
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.getRates !== 'function') {
+    throw new Error(`FX provider "${name}" must implement getRates().`);
+  }
+  providers[name] = provider;
+  cache.delete(name);
+}
+
+const getProviderName = () => process.env.FX_PROVIDER || 'fixed';
+
+async function loadRates() {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) throw fxError(`Unknown FX provider "${name}".`, 500);
+
+  const ttlMs = (Number(process.env.FX_CACHE_SECONDS) || 600) * 1000;
+  const cached = cache.get(name);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs) return cached;
+
+  const { base, rates } = await provider.getRates();
+  const entry = { source: name, base: String(base).toUpperCase(), rates, fetchedAt: Date.now() };
+  cache.set(name, entry);
+  return entry;
+}
+
+// ── Conversion ──────────────────────────────────────────────────────────────
+
+/**
+ * How many `to` units one `from` unit buys.
+ * @returns {Promise<{ rate: number, source: string, as_of: string }>}
+ */
+async function getRate(from, to) {
+  const fromCurrency = normalizeCurrency(from);
+  const toCurrency = normalizeCurrency(to);
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, source: 'identity', as_of: new Date().toISOString() };
+  }
+
+  const { source, base, rates, fetchedAt } = await loadRates();
+  const perBase = (code) => (code === base ? 1 : Number(rates[code]));
+  const fromRate = perBase(fromCurrency);
+  const toRate = perBase(toCurrency);
+  if (!(fromRate > 0) || !(toRate > 0)) {
+    throw fxError(`No exchange rate for ${fromCurrency}/${toCurrency}.`, 503);
+  }
+
+  return {
+    rate: Number((toRate / fromRate).toFixed(6)),
+    source,
+    as_of: new Date(fetchedAt).toISOString(),
+  };
+}
+
+/**
+ * Convert an amount, keeping both sides for the record.
+ * @returns {Promise<{ amount, currency, original_amount, original_currency, rate, source }>}
+ */
+async function convert(amount, from, to) {
+  const { rate, source } = await getRate(from, to);
+  return {
+    amount: Number((Number(amount || 0) * rate).toFixed(2)),
+    currency: normalizeCurrency(to),
+    original_amount: Number(Number(amount || 0).toFixed(2)),
+    original_currency: normalizeCurrency(from),
+    rate,
+    source,
+  };
+}
+
+/**
+ * The currency a user pays in: the one they asked for, else their profile's
+ * preferred currency, else `fallback`.
+ */
+async function resolveUserCurrency(userId, requested = null, fallback = DEFAULT_CURRENCY) {
+  if (requested) return normalizeCurrency(requested);
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('preferred_currency')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return isSupportedCurrency(profile?.preferred_currency)
+    ? profile.preferred_currency.toUpperCase()
+    : normalizeCurrency(fallback);
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isFxError,
+  isSupportedCurrency,
+  normalizeCurrency,
+  formatMoney,
+  registerProvider,
+  getRate,
+  convert,
+  resolveUserCurrency,
+};
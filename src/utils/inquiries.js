@@ -0,0 +1,222 @@
+/**
+ * inquiries.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Pre-booking inquiries (see migrations/20261019_21_inquiries.sql).
+ *
+ * A client opens an inquiry with a first message about one of a provider's
+ * services, or about the provider in general. Asking again while an inquiry
+ * with the same provider and service is open continues that inquiry.
+ * Messages, read state and attachments work like booking chats (chat.js).
+ *
+ * POST /bookings with `inquiry_id` converts the inquiry: the booking must be
+ * between the same client and provider, and the inquiry's messages move into
+ * the booking chat. Either party can close an open inquiry instead.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const chat = require('./chat');
+
+const INQUIRY_COLUMNS = `
+  *,
+  services (id, title, image_urls),
+  client:profiles!client_id (id, full_name, profile_picture_url),
+  provider:profiles!provider_id (id, full_name, profile_picture_url)
+`;
+
+function inquiryError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'INQUIRY';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when an inquiry request was refused. `err.status` is the HTTP status.
+ */
+const isInquiryError = (err) => err?.code === 'INQUIRY';
+
+async function loadInquiry(inquiryId) {
+  const { data, error } = await supabaseAdmin
+    .from('inquiries')
+    .select('*')
+    .eq('id', inquiryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw inquiryError('Inquiry not found.', 404);
+  return data;
+}
+
+async function findOpen(clientId, providerId, serviceId) {
+  let query = supabaseAdmin
+    .from('inquiries')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('provider_id', providerId)
+    .eq('status', 'open');
+  query = serviceId ? query.eq('service_id', serviceId) : query.is('service_id', null);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function insertSystemMessage(column, id, content) {
+  const { error } = await supabaseAdmin
+    .from('messages')
+    .insert({ [column]: id, sender_id: null, type: 'system', content, is_read: true });
+  if (error) console.error(`Inquiry system message error (${id}):`, error.message);
+}
+
+// The provider an inquiry goes to: the service's, or `providerId`
+async function resolveTarget({ serviceId, providerId }) {
+  if (serviceId) {
+    const { data: service, error } = await supabaseAdmin
+      .from('services')
+      .select('id, provider_id, status')
+      .eq('id', serviceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!service) throw inquiryError('Service not found.', 404);
+    if (service.status && service.status !== 'active') throw inquiryError('This service is not currently available.');
+    return { serviceId: service.id, providerId: service.provider_id };
+  }
+
+  if (!providerId) throw inquiryError('service_id or provider_id is required.');
+  const { data: provider, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('id', providerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!provider) throw inquiryError('Provider not found.', 404);
+  return { serviceId: null, providerId: provider.id };
+}
+
+/**
+ * Ask a provider a question: opens an inquiry (or continues the open one)
+ * and sends `body` as a chat message in it.
+ * @returns {Promise<{ inquiry: object, message: object, created: boolean }>}
+ */
+async function openInquiry({ clientId, serviceId = null, providerId = null, body }) {
+  const target = await resolveTarget({ serviceId, providerId });
+  if (target.providerId === clientId) throw inquiryError('You cannot send an inquiry to yourself.');
+
+  let inquiry = await findOpen(clientId, target.providerId, target.serviceId);
+  let created = false;
+  if (!inquiry) {
+    const { data, error } = await supabaseAdmin
+      .from('inquiries')
+      .insert({ client_id: clientId, provider_id: target.providerId, service_id: target.serviceId, status: 'open' })
+      .select()
+      .single();
+
+    // 23505: a concurrent request opened it first
+    if (error?.code === '23505') inquiry = await findOpen(clientId, target.providerId, target.serviceId);
+    else if (error) throw error;
+    else {
+      inquiry = data;
+      created = true;
+    }
+  }
+
+  try {
+    const message = await chat.sendMessage({ inquiryId: inquiry.id, senderId: clientId, body });
+    return { inquiry, message, created };
+  } catch (err) {
+    // Don't leave an empty inquiry behind a rejected first message
+    if (created) await supabaseAdmin.from('inquiries').delete().eq('id', inquiry.id);
+    throw err;
+  }
+}
+
+/**
+ * Close an open inquiry; either party can.
+ */
+async function closeInquiry(inquiryId, userId) {
+  const inquiry = await loadInquiry(inquiryId);
+  if (inquiry.client_id !== userId && inquiry.provider_id !== userId) throw inquiryError('Unauthorized action.', 403);
+  if (inquiry.status !== 'open') throw inquiryError(`This inquiry is already ${inquiry.status}.`, 409);
+
+  const { data: closed, error } = await supabaseAdmin
+    .from('inquiries')
+    .update({ status: 'closed', closed_by: userId, updated_at: new Date().toISOString() })
+    .eq('id', inquiry.id)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!closed) throw inquiryError('This inquiry was just booked or closed.', 409);
+
+  await insertSystemMessage('inquiry_id', inquiry.id, 'Inquiry closed');
+  return closed;
+}
+
+// ── Booking ─────────────────────────────────────────────────────────────────
+
+/**
+ * Check that `clientId` can book from an inquiry with `providerId`.
+ */
+async function checkConvertible(inquiryId, { clientId, providerId }) {
+  const inquiry = await loadInquiry(inquiryId);
+  if (inquiry.client_id !== clientId) throw inquiryError('Only the client of an inquiry can book from it.', 403);
+  if (inquiry.status !== 'open') throw inquiryError(`This inquiry is already ${inquiry.status}.`, 409);
+  if (inquiry.provider_id !== providerId) throw inquiryError('The booked service is not offered by this inquiry\'s provider.');
+  return inquiry;
+}
+
+/**
+ * Turn an open inquiry into the chat of `booking`, keeping its messages.
+ * Returns the converted inquiry, or null if it was closed meanwhile.
+ */
+async function convertToBooking(inquiryId, booking) {
+  const { data: converted, error } = await supabaseAdmin
+    .from('inquiries')
+    .update({ status: 'converted', booking_id: booking.id, updated_at: new Date().toISOString() })
+    .eq('id', inquiryId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!converted) return null;
+
+  const { error: moveError } = await supabaseAdmin
+    .from('messages')
+    .update({ booking_id: booking.id })
+    .eq('inquiry_id', inquiryId);
+  if (moveError) throw moveError;
+
+  await insertSystemMessage('booking_id', booking.id, 'Booking requested from this inquiry');
+  return converted;
+}
+
+// ── Listing ─────────────────────────────────────────────────────────────────
+
+/**
+ * The user's inquiries that are still conversations of their own (open or
+ * closed; converted ones live on as their booking), most recent first.
+ */
+async function listForUser(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('inquiries')
+    .select(INQUIRY_COLUMNS)
+    .or(`client_id.eq.${userId},provider_id.eq.${userId}`)
+    .in('status', ['open', 'closed'])
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  isInquiryError,
+  openInquiry,
+  closeInquiry,
+  checkConvertible,
+  convertToBooking,
+  listForUser,
+};
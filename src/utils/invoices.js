@@ -0,0 +1,570 @@
+/**
+ * invoices.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Numbered invoices for completed bookings and platform purchases (see
+ * migrations/20261019_19_invoices.sql).
+ *
+ * A booking invoice is issued by the provider to the client once a paid
+ * booking completes: the service, its options, any promo discount and the
+ * platform's service fee. The provider's copy also shows the commission the
+ * platform kept. Purchase invoices are issued by the platform
+ * (INVOICE_SELLER_NAME / _ADDRESS / _TAX_ID / _EMAIL) for every `purchase`
+ * journal that charged a user: event tickets, subscription charges, boosts
+ * and AI tools.
+ *
+ * Invoices are issued when the sale happens, or on first request for older
+ * sales, once per source. Seller, buyer and amounts are copied in at that
+ * point. Prices include tax at INVOICE_TAX_RATE (default 0), set on the
+ * server and never by the users on the invoice.
+ *
+ * Labels come from the `invoice` section of the i18n files. The PDF embeds
+ * Unicode fonts (pdf.js), so it reads the same as the JSON in every
+ * language; only if the font packages are missing is it transliterated.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { roundMoney } = require('./ledger');
+const fx = require('./fx');
+const { t } = require('./translate');
+const { renderPdf, hasUnicodeFonts, transliterate, CHARS_PER_LINE } = require('./pdf');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_BILLING_FIELD_LENGTH = 200;
+
+// Line item type per purchase journal reference_type
+const PURCHASE_ITEM_TYPES = {
+  event_ticket: 'ticket',
+  subscription: 'subscription',
+  boost: 'boost',
+  boost_bundle: 'boost_bundle',
+  ai_tool: 'ai_tool',
+};
+
+const PARTY_COLUMNS = 'id, full_name, email, billing_name, billing_address, tax_id';
+
+const LIST_COLUMNS = [
+  'id', 'number', 'source_type', 'reference_type', 'reference_id', 'seller_id', 'buyer_id',
+  'seller', 'buyer', 'currency', 'total', 'issued_at',
+].join(', ');
+
+const LABELS = [
+  'title', 'paidInFull', 'number', 'issuedAt', 'suppliedAt', 'seller', 'buyer', 'taxId', 'description',
+  'quantity', 'unitPrice', 'amount', 'subtotal', 'discount', 'fees', 'total', 'tax', 'noTax', 'paid',
+  'fxRate', 'earnings', 'promoCode', 'footer',
+];
+
+const getTaxRate = () => (process.env.INVOICE_TAX_RATE !== undefined
+  ? Math.min(Math.max(Number(process.env.INVOICE_TAX_RATE) || 0, 0), 0.99)
+  : 0);
+
+const platformSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'LifeKit',
+  address: process.env.INVOICE_SELLER_ADDRESS || null,
+  tax_id: process.env.INVOICE_SELLER_TAX_ID || null,
+  email: process.env.INVOICE_SELLER_EMAIL || null,
+});
+
+function invoiceError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'INVOICE';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when an invoice cannot be issued or shown. `err.status` is the HTTP status.
+ */
+const isInvoiceError = (err) => err?.code === 'INVOICE';
+
+const noInvoice = () => invoiceError('No invoice is available for this transaction.', 404);
+
+const partyOf = (profile) => ({
+  name: profile?.billing_name || profile?.full_name || '',
+  address: profile?.billing_address || null,
+  tax_id: profile?.tax_id || null,
+  email: profile?.email || null,
+});
+
+// The tax included in a gross amount
+const includedTax = (gross, rate) => (rate > 0 ? roundMoney(gross - gross / (1 + rate)) : 0);
+
+const lineItem = (type, description, quantity, unitPrice, amount = quantity * unitPrice) => ({
+  type,
+  description: description || null,
+  quantity,
+  unit_price: roundMoney(unitPrice),
+  amount: roundMoney(amount),
+});
+
+async function loadProfiles(ids) {
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select(PARTY_COLUMNS)
+    .in('id', ids);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).map((profile) => [profile.id, profile]));
+}
+
+async function findInvoice(sourceType, sourceId) {
+  const { data, error } = await supabaseAdmin
+    .from('invoices')
+    .select('*')
+    .eq('source_type', sourceType)
+    .eq('source_id', String(sourceId))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// One invoice per source: a request that issued it a moment earlier wins
+async function insertInvoice(row) {
+  const { data, error } = await supabaseAdmin
+    .from('invoices')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error?.code === '23505') return findInvoice(row.source_type, row.source_id);
+  if (error) throw error;
+  return data;
+}
+
+// ── Bookings ────────────────────────────────────────────────────────────────
+
+function bookingLines(booking) {
+  const breakdown = booking.price_breakdown;
+  const title = booking.services?.title || 'Service';
+  const lines = [];
+
+  if (breakdown) {
+    const hours = Number(booking.duration_hours);
+    lines.push(booking.pricing_type === 'hourly' && hours > 0
+      ? lineItem('service', title, hours, breakdown.unit_price, breakdown.base)
+      : lineItem('service', title, 1, breakdown.base));
+    (breakdown.options || []).forEach((option) => lines.push(lineItem('option', option.name, 1, option.price)));
+  } else {
+    // Booked before prices were broken down
+    const price = Number(booking.total_price) - Number(booking.platform_fee || 0) + Number(booking.discount_amount || 0);
+    lines.push(lineItem('service', title, 1, price));
+  }
+
+  const discount = Number(booking.discount_amount || 0);
+  if (discount > 0) lines.push(lineItem('discount', booking.promo_code, 1, -discount));
+  const fee = Number(booking.platform_fee || 0);
+  if (fee > 0) lines.push(lineItem('fee', null, 1, fee));
+  return lines;
+}
+
+/**
+ * The invoice of a completed paid booking, issued on the first call.
+ */
+async function issueForBooking(bookingId) {
+  const existing = await findInvoice('booking', bookingId);
+  if (existing) return existing;
+
+  const { data: booking, error } = await supabaseAdmin
+    .from('bookings')
+    .select('*, services(title)')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking) throw invoiceError('Booking not found.', 404);
+  if (booking.status !== 'completed' || !(Number(booking.total_price) > 0)) {
+    throw invoiceError('An invoice is issued once a paid booking completes.', 409);
+  }
+
+  const profiles = await loadProfiles([booking.client_id, booking.provider_id]);
+  const seller = profiles[booking.provider_id];
+  const currency = (booking.currency || fx.DEFAULT_CURRENCY).toUpperCase();
+  const lines = bookingLines(booking);
+  const fees = roundMoney(booking.platform_fee || 0);
+  const total = roundMoney(booking.total_price);
+  const taxRate = getTaxRate();
+
+  return insertInvoice({
+    source_type: 'booking',
+    source_id: booking.id,
+    reference_type: 'booking',
+    reference_id: booking.id,
+    seller_id: booking.provider_id,
+    buyer_id: booking.client_id,
+    seller: partyOf(seller),
+    buyer: partyOf(profiles[booking.client_id]),
+    line_items: lines,
+    currency,
+    subtotal: roundMoney(lines.filter((l) => l.type === 'service' || l.type === 'option').reduce((sum, l) => sum + l.amount, 0)),
+    discount: roundMoney(booking.discount_amount || 0),
+    fees,
+    total,
+    // The service fee is the platform's, not the provider's
+    tax_rate: taxRate,
+    tax_amount: includedTax(total - fees, taxRate),
+    commission_rate: booking.commission_rate ?? null,
+    commission_amount: booking.commission_amount ?? null,
+    promo_code: booking.promo_code || null,
+    paid_amount: booking.payment_amount ?? total,
+    paid_currency: booking.payment_currency || currency,
+    fx_rate: booking.fx_rate ?? 1,
+    supplied_at: booking.scheduled_time || null,
+  });
+}
+
+// ── Purchases ───────────────────────────────────────────────────────────────
+
+// Who paid for a purchase journal and how much: its wallet payment, or the
+// card charge of a subscription
+async function loadPayer(journalId) {
+  const { data: payments, error } = await supabaseAdmin
+    .from('transactions')
+    .select('amount, currency, original_amount, original_currency, fx_rate, wallets(user_id)')
+    .eq('journal_id', journalId)
+    .eq('type', 'payment')
+    .limit(1);
+
+  if (error) throw error;
+  const payment = payments?.[0];
+  if (payment) {
+    return {
+      userId: payment.wallets?.user_id,
+      amount: Number(payment.original_amount ?? payment.amount),
+      currency: payment.original_currency || payment.currency,
+      paidAmount: Number(payment.amount),
+      paidCurrency: payment.currency,
+      rate: Number(payment.fx_rate) || 1,
+    };
+  }
+
+  const { data: charge, error: chargeError } = await supabaseAdmin
+    .from('subscription_charges')
+    .select('user_id, amount, currency, paid_amount, paid_currency')
+    .eq('journal_id', journalId)
+    .eq('status', 'succeeded')
+    .neq('kind', 'credit')
+    .maybeSingle();
+
+  if (chargeError) throw chargeError;
+  if (!charge) return null;
+  return {
+    userId: charge.user_id,
+    amount: Number(charge.amount),
+    currency: charge.currency,
+    paidAmount: Number(charge.paid_amount ?? charge.amount),
+    paidCurrency: charge.paid_currency || charge.currency,
+    rate: Number(charge.amount) > 0 ? Number((Number(charge.paid_amount ?? charge.amount) / Number(charge.amount)).toFixed(8)) : 1,
+  };
+}
+
+async function purchaseLines(journal, payer) {
+  const type = PURCHASE_ITEM_TYPES[journal.reference_type] || 'purchase';
+
+  if (type === 'ticket') {
+    const { data: ticket } = await supabaseAdmin
+      .from('event_tickets')
+      .select('quantity, events(title, event_date)')
+      .eq('id', journal.reference_id)
+      .maybeSingle();
+
+    if (ticket) {
+      const quantity = Number(ticket.quantity) || 1;
+      const event = ticket.events || {};
+      const description = event.event_date ? `${event.title} (${event.event_date})` : event.title;
+      return [lineItem('ticket', description || journal.description, quantity, payer.amount / quantity, payer.amount)];
+    }
+  }
+  return [lineItem(type, journal.description, 1, payer.amount)];
+}
+
+/**
+ * The platform's invoice for a `purchase` journal, issued on the first call.
+ */
+async function issueForJournal(journalId) {
+  const existing = await findInvoice('purchase', journalId);
+  if (existing) return existing;
+
+  const { data: journal, error } = await supabaseAdmin
+    .from('ledger_journals')
+    .select('id, kind, reference_type, reference_id, description, created_at')
+    .eq('id', journalId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!journal || journal.kind !== 'purchase') throw noInvoice();
+
+  // Purchase journals that gave money back have no payer
+  const payer = await loadPayer(journal.id);
+  if (!payer?.userId) throw noInvoice();
+
+  const profiles = await loadProfiles([payer.userId]);
+  const total = roundMoney(payer.amount);
+  const taxRate = getTaxRate();
+
+  return insertInvoice({
+    source_type: 'purchase',
+    source_id: journal.id,
+    reference_type: journal.reference_type,
+    reference_id: journal.reference_id,
+    journal_id: journal.id,
+    seller_id: null,
+    buyer_id: payer.userId,
+    seller: platformSeller(),
+    buyer: partyOf(profiles[payer.userId]),
+    line_items: await purchaseLines(journal, payer),
+    currency: payer.currency,
+    subtotal: total,
+    total,
+    tax_rate: taxRate,
+    tax_amount: includedTax(total, taxRate),
+    paid_amount: roundMoney(payer.paidAmount),
+    paid_currency: payer.paidCurrency,
+    fx_rate: payer.rate,
+    supplied_at: journal.created_at,
+  });
+}
+
+// ── Access ──────────────────────────────────────────────────────────────────
+
+const isParty = (invoice, userId) => invoice.buyer_id === userId || invoice.seller_id === userId;
+
+/**
+ * The invoice of a booking, for its client or provider.
+ */
+async function getBookingInvoice(bookingId, userId) {
+  const { data: booking, error } = await supabaseAdmin
+    .from('bookings')
+    .select('id, client_id, provider_id')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking) throw invoiceError('Booking not found.', 404);
+  if (booking.client_id !== userId && booking.provider_id !== userId) throw invoiceError('Unauthorized action.', 403);
+  return issueForBooking(booking.id);
+}
+
+/**
+ * The invoice behind one of the user's wallet transactions: the booking's
+ * for escrow rows, the purchase's for payments.
+ */
+async function getTransactionInvoice(transactionId, userId) {
+  const { data: transaction, error } = await supabaseAdmin
+    .from('transactions')
+    .select('id, journal_id, wallets(user_id), ledger_journals(kind, reference_type, reference_id)')
+    .eq('id', transactionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!transaction || transaction.wallets?.user_id !== userId) throw invoiceError('Transaction not found.', 404);
+
+  const journal = transaction.ledger_journals;
+  // Tips are gifts on top of the booking, not part of its invoice
+  if (journal?.reference_type === 'booking' && journal.kind !== 'tip') {
+    return getBookingInvoice(journal.reference_id, userId);
+  }
+  if (journal?.kind !== 'purchase') throw noInvoice();
+
+  const invoice = await issueForJournal(transaction.journal_id);
+  if (!isParty(invoice, userId)) throw noInvoice();
+  return invoice;
+}
+
+/**
+ * One invoice by id, for its buyer or seller.
+ */
+async function getInvoice(invoiceId, userId) {
+  const { data: invoice, error } = await supabaseAdmin
+    .from('invoices')
+    .select('*')
+    .eq('id', invoiceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invoice || !isParty(invoice, userId)) throw invoiceError('Invoice not found.', 404);
+  return invoice;
+}
+
+/**
+ * One page of the invoices the user received (`role` buyer), issued
+ * (seller) or both, newest first.
+ */
+async function listInvoices({ userId, role, limit, offset }) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+  if (role && !['buyer', 'seller'].includes(role)) throw invoiceError('role must be buyer or seller.');
+
+  let query = supabaseAdmin.from('invoices').select(LIST_COLUMNS, { count: 'exact' });
+  if (role === 'buyer') query = query.eq('buyer_id', userId);
+  else if (role === 'seller') query = query.eq('seller_id', userId);
+  else query = query.or(`buyer_id.eq.${userId},seller_id.eq.${userId}`);
+
+  const { data, count, error } = await query
+    .order('issued_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw error;
+  return {
+    invoices: (data || []).map((invoice) => ({ ...invoice, role: invoice.seller_id === userId ? 'seller' : 'buyer' })),
+    total: count || 0,
+    limit: pageSize,
+    offset: start,
+    has_more: start + (data || []).length < (count || 0),
+  };
+}
+
+// ── Billing details ─────────────────────────────────────────────────────────
+
+/**
+ * Validate the billing details a user shows on invoices. Empty strings
+ * clear a field.
+ */
+function sanitizeBillingDetails(body = {}) {
+  const data = {};
+  ['billing_name', 'billing_address', 'tax_id'].forEach((key) => {
+    if (body[key] === undefined) return;
+    if (body[key] !== null && typeof body[key] !== 'string') throw invoiceError(`${key} must be text.`);
+    const value = (body[key] || '').trim();
+    if (value.length > MAX_BILLING_FIELD_LENGTH) {
+      throw invoiceError(`${key} must be at most ${MAX_BILLING_FIELD_LENGTH} characters.`);
+    }
+    data[key] = value || null;
+  });
+  if (Object.keys(data).length === 0) throw invoiceError('Nothing to update.');
+  return data;
+}
+
+// ── Presentation ────────────────────────────────────────────────────────────
+
+const percent = (rate) => Number((Number(rate || 0) * 100).toFixed(2));
+
+function labelsFor(invoice, lang) {
+  const labels = Object.fromEntries(LABELS.map((key) => [key, t(`invoice.${key}`, lang, { rate: percent(invoice.tax_rate) })]));
+  labels.commission = t('invoice.commission', lang, { rate: percent(invoice.commission_rate) });
+  return labels;
+}
+
+/**
+ * The invoice as `userId` sees it in `lang`: localised labels, and the
+ * commission and earnings on the seller's copy only.
+ */
+function present(invoice, userId, lang = 'en') {
+  const { commission_rate: commissionRate, commission_amount: commissionAmount, ...shared } = invoice;
+  const isSeller = invoice.seller_id === userId;
+
+  const view = {
+    ...shared,
+    role: isSeller ? 'seller' : 'buyer',
+    lang,
+    labels: labelsFor(invoice, lang),
+    line_items: (invoice.line_items || []).map((item) => ({ ...item, label: t(`invoice.items.${item.type}`, lang) })),
+  };
+
+  if (isSeller && commissionAmount !== null && commissionAmount !== undefined) {
+    // Promo discounts are paid to the provider by the platform
+    const gross = Number(invoice.total) - Number(invoice.fees) + (invoice.promo_code ? Number(invoice.discount) : 0);
+    view.commission = {
+      rate: Number(commissionRate),
+      amount: Number(commissionAmount),
+      earnings: roundMoney(gross - Number(commissionAmount)),
+    };
+  }
+  return view;
+}
+
+/**
+ * Render the invoice as `userId` sees it to a PDF.
+ */
+function toPdf(invoice, userId, lang = 'en') {
+  const view = present(invoice, userId, lang);
+
+  const { labels, currency } = view;
+  const money = (amount) => fx.formatMoney(amount, currency);
+  const day = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : '');
+  // Padding counts the characters as printed
+  const unicode = hasUnicodeFonts();
+  const pad = (text, width, right = false) => {
+    const chars = [...(unicode ? String(text ?? '').normalize('NFC') : transliterate(text))].slice(0, width);
+    const space = ' '.repeat(width - chars.length);
+    return right ? space + chars.join('') : chars.join('') + space;
+  };
+
+  const widths = { quantity: 6, unit: 14, amount: 14 };
+  widths.description = CHARS_PER_LINE - widths.quantity - widths.unit - widths.amount - 3;
+  const row = (description, quantity, unit, amount) => [
+    pad(description, widths.description),
+    pad(quantity, widths.quantity, true),
+    pad(unit, widths.unit, true),
+    pad(amount, widths.amount, true),
+  ].join(' ');
+  const total = (label, amount) => `${pad(label, CHARS_PER_LINE - widths.amount - 1, true)} ${pad(amount, widths.amount, true)}`;
+  const party = (title, details) => [
+    { text: title, bold: true },
+    details.name,
+    ...(details.address ? [details.address] : []),
+    ...(details.tax_id ? [`${labels.taxId}: ${details.tax_id}`] : []),
+    ...(details.email ? [details.email] : []),
+    '',
+  ];
+
+  const lines = [
+    { text: `${view.seller.name} - ${labels.title} ${view.number}`, bold: true },
+    labels.paidInFull,
+    '',
+    `${labels.issuedAt}: ${day(view.issued_at)}`,
+    ...(view.supplied_at ? [`${labels.suppliedAt}: ${day(view.supplied_at)}`] : []),
+    '',
+    ...party(labels.seller, view.seller),
+    ...party(labels.buyer, view.buyer),
+    { text: row(labels.description, labels.quantity, labels.unitPrice, labels.amount), bold: true },
+    '-'.repeat(CHARS_PER_LINE),
+    ...view.line_items.map((item) => row(
+      item.description ? `${item.label}: ${item.description}` : item.label,
+      item.quantity,
+      Number(item.unit_price).toFixed(2),
+      Number(item.amount).toFixed(2)
+    )),
+    '-'.repeat(CHARS_PER_LINE),
+    total(labels.subtotal, money(view.subtotal)),
+  ];
+
+  if (Number(view.discount) > 0) {
+    lines.push(total(view.promo_code ? `${labels.discount} (${view.promo_code})` : labels.discount, money(-view.discount)));
+  }
+  if (Number(view.fees) > 0) lines.push(total(labels.fees, money(view.fees)));
+  lines.push(
+    { text: total(labels.total, money(view.total)), bold: true },
+    total(Number(view.tax_rate) > 0 ? labels.tax : labels.noTax, Number(view.tax_rate) > 0 ? money(view.tax_amount) : '')
+  );
+  if (view.paid_currency && view.paid_currency !== currency) {
+    lines.push(
+      total(labels.paid, fx.formatMoney(view.paid_amount, view.paid_currency)),
+      total(labels.fxRate, `${Number(view.fx_rate)}`)
+    );
+  }
+  if (view.commission) {
+    lines.push(
+      '',
+      total(labels.commission, money(-view.commission.amount)),
+      { text: total(labels.earnings, money(view.commission.earnings)), bold: true }
+    );
+  }
+
+  lines.push('', labels.footer);
+  return renderPdf(lines, { title: `${labels.title} ${view.number}`, unicode });
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  isInvoiceError,
+  issueForBooking,
+  issueForJournal,
+  getBookingInvoice,
+  getTransactionInvoice,
+  getInvoice,
+  listInvoices,
+  sanitizeBillingDetails,
+  present,
+  toPdf,
+};
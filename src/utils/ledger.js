@@ -0,0 +1,742 @@
+/**
+ * ledger.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Double-entry ledger for every wallet money movement.
+ *
+ * Each movement is posted as one balanced journal through the
+ * `post_ledger_journal` Postgres function (see migrations/20261019_01_ledger.sql),
+ * which locks the touched wallets, writes the entries, updates
+ * wallets.balance and inserts the user-facing `transactions` rows in a single
+ * database transaction. Nothing else should write to wallets.balance.
+ *
+ * System accounts:
+ *   escrow           – client funds held for open bookings
+ *   platform_revenue – commission and purchases earned by LifeKit
+ *   stripe_clearing  – counterpart of money entering/leaving through Stripe
+ *   customer_receivables – refunded deposits the wallet could not cover
+ *   opening_equity   – counterpart of balances that pre-date the ledger
+ *   fx_clearing      – counterpart of currency conversions
+ *   promotions       – promo discounts and referral rewards paid by LifeKit
+ *
+ * Wallets are per currency (one row per user and currency). Every entry is in
+ * a single currency and each journal must balance per currency, so a
+ * conversion always goes through fx_clearing. System account balances are
+ * kept per currency in ledger_account_balances.
+ *
+ * Idempotency keys make retries safe: posting the same key twice returns the
+ * first journal with `duplicate: true` and moves no money.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { DEFAULT_CURRENCY } = require('./fx');
+
+const ACCOUNTS = {
+  ESCROW: 'escrow',
+  PLATFORM_REVENUE: 'platform_revenue',
+  STRIPE_CLEARING: 'stripe_clearing',
+  CUSTOMER_RECEIVABLES: 'customer_receivables',
+  FX_CLEARING: 'fx_clearing',
+  OPENING_EQUITY: 'opening_equity',
+  PROMOTIONS: 'promotions',
+};
+
+const roundMoney = (amount) => Number(Number(amount || 0).toFixed(2));
+
+/**
+ * True when a ledger call failed because a wallet (or escrow) would go negative.
+ */
+const isInsufficientFunds = (err) => err?.code === 'INSUFFICIENT_FUNDS';
+
+// Unique constraint on ledger_journals.idempotency_key (see the migration)
+const IDEMPOTENCY_CONSTRAINT = 'ledger_journals_idempotency_key_key';
+
+function toLedgerError(error) {
+  const err = new Error(error.message);
+  if (String(error.message || '').includes('LEDGER_INSUFFICIENT_FUNDS')) {
+    err.code = 'INSUFFICIENT_FUNDS';
+  } else if (error.code === '23505' && String(error.message || '').includes(IDEMPOTENCY_CONSTRAINT)) {
+    // Two requests raced on the same idempotency key — the other one won.
+    // Any other unique violation rolled the journal back and moved nothing.
+    err.code = 'DUPLICATE';
+  } else {
+    err.code = error.code || 'LEDGER_ERROR';
+  }
+  return err;
+}
+
+/**
+ * Post a balanced journal.
+ *
+ * @param {object}   params
+ * @param {string}   params.kind            - hold | release | refund | commission | purchase | deposit | withdrawal | reversal | adjustment | tip
+ * @param {Array}    params.entries         - [{ wallet_id, amount } | { account_code, amount, currency }], must sum to 0 per currency;
+ *                                            wallet entries are in the wallet's currency
+ * @param {Array}    [params.transactions]  - user-facing rows: [{ wallet_id, type, amount, description, stripe_payment_id?,
+ *                                            currency?, original_amount?, original_currency?, fx_rate? }]
+ * @param {string}   [params.referenceType] - e.g. 'booking', 'event_ticket', 'subscription'
+ * @param {string}   [params.referenceId]
+ * @param {string}   [params.description]
+ * @param {string}   [params.idempotencyKey]
+ * @returns {Promise<{ journal_id: string, duplicate: boolean, balances: object }>}
+ */
+async function postJournal({
+  kind,
+  entries,
+  transactions = [],
+  referenceType = null,
+  referenceId = null,
+  description = null,
+  idempotencyKey = null,
+}) {
+  const normalizedEntries = entries
+    .map((e) => ({ ...e, amount: roundMoney(e.amount) }))
+    .filter((e) => e.amount !== 0);
+
+  const { data, error } = await supabaseAdmin.rpc('post_ledger_journal', {
+    p_kind: kind,
+    p_entries: normalizedEntries,
+    p_transactions: transactions.map((t) => ({
+      ...t,
+      amount: roundMoney(t.amount),
+      ...(t.original_amount !== undefined && { original_amount: roundMoney(t.original_amount) }),
+    })),
+    p_reference_type: referenceType,
+    p_reference_id: referenceId ? String(referenceId) : null,
+    p_description: description,
+    p_idempotency_key: idempotencyKey,
+  });
+
+  return journalResult(data, error);
+}
+
+// Result of an RPC that posts a journal through post_ledger_journal
+function journalResult(data, error) {
+  if (error) {
+    const err = toLedgerError(error);
+    if (err.code === 'DUPLICATE') return { journal_id: null, duplicate: true, balances: {} };
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Fetch a user's wallet in `currency`, creating an empty one if they never
+ * held that currency (payouts must never be dropped for lack of a row).
+ */
+async function ensureWallet(userId, currency = DEFAULT_CURRENCY) {
+  const { data: wallet, error } = await supabaseAdmin
+    .from('wallets')
+    .select('id, balance, currency')
+    .eq('user_id', userId)
+    .eq('currency', currency)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (wallet) return wallet;
+
+  const { data: created, error: insertError } = await supabaseAdmin
+    .from('wallets')
+    .insert({ user_id: userId, balance: 0.00, currency })
+    .select('id, balance, currency')
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      const { data: existing } = await supabaseAdmin
+        .from('wallets')
+        .select('id, balance, currency')
+        .eq('user_id', userId)
+        .eq('currency', currency)
+        .single();
+      return existing;
+    }
+    throw insertError;
+  }
+  return created;
+}
+
+// ── Currency ────────────────────────────────────────────────────────────────
+
+/**
+ * What the client pays for a booking-currency `amount`, at the rate locked
+ * when the booking was made. `payment` is `{ currency, rate }` or null when
+ * the client pays in the booking currency.
+ */
+function toPaymentAmount(amount, currency, payment) {
+  if (!payment || !payment.currency || payment.currency === currency) return roundMoney(amount);
+  return roundMoney(Number(amount) * Number(payment.rate));
+}
+
+// Bridge two currencies through fx_clearing: what was paid in one currency
+// lands there and what is received in the other leaves it.
+function fxLegs(paid, paidCurrency, received, receivedCurrency) {
+  if (paidCurrency === receivedCurrency) return [];
+  return [
+    { account_code: ACCOUNTS.FX_CLEARING, amount: paid, currency: paidCurrency },
+    { account_code: ACCOUNTS.FX_CLEARING, amount: -received, currency: receivedCurrency },
+  ];
+}
+
+// Original/settled currency fields for a client-side transaction row
+function fxFields(amount, currency, payment) {
+  const paymentCurrency = payment?.currency || currency;
+  return {
+    currency: paymentCurrency,
+    original_amount: roundMoney(amount),
+    original_currency: currency,
+    fx_rate: paymentCurrency === currency ? 1 : Number(payment.rate),
+  };
+}
+
+// ── Booking escrow ──────────────────────────────────────────────────────────
+// Escrow is kept in the booking currency. The client's side moves in
+// `payment.currency`, converted at `payment.rate`.
+
+/**
+ * Move the booking price from the client's wallet into escrow.
+ */
+async function holdBookingFunds({ bookingId, clientWalletId, amount, currency = DEFAULT_CURRENCY, payment = null, description }) {
+  const paid = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'hold',
+    entries: [
+      { wallet_id: clientWalletId, amount: -paid },
+      ...fxLegs(paid, paymentCurrency, amount, currency),
+      { account_code: ACCOUNTS.ESCROW, amount, currency },
+    ],
+    transactions: [
+      { wallet_id: clientWalletId, type: 'hold', amount: paid, description, ...fxFields(amount, currency, payment) },
+    ],
+    referenceType: 'booking',
+    referenceId: bookingId,
+    description,
+    idempotencyKey: `hold:${bookingId}`,
+  });
+}
+
+/**
+ * Hold every occurrence of a booking series in one journal, so either all of
+ * them are funded or none is. Each occurrence gets its own `hold` transaction.
+ *
+ * @param {Array} params.occurrences - [{ bookingId, amount, description }]
+ */
+async function holdSeriesFunds({ seriesId, clientWalletId, occurrences, currency = DEFAULT_CURRENCY, payment = null, description }) {
+  const paymentCurrency = payment?.currency || currency;
+  const funded = occurrences.filter((o) => roundMoney(o.amount) > 0);
+  return postJournal({
+    kind: 'hold',
+    entries: funded.flatMap((o) => {
+      const paid = toPaymentAmount(o.amount, currency, payment);
+      return [
+        { wallet_id: clientWalletId, amount: -paid },
+        ...fxLegs(paid, paymentCurrency, o.amount, currency),
+        { account_code: ACCOUNTS.ESCROW, amount: o.amount, currency },
+      ];
+    }),
+    transactions: funded.map((o) => ({
+      wallet_id: clientWalletId,
+      type: 'hold',
+      amount: toPaymentAmount(o.amount, currency, payment),
+      description: o.description || description,
+      ...fxFields(o.amount, currency, payment),
+    })),
+    referenceType: 'booking_series',
+    referenceId: seriesId,
+    description,
+    idempotencyKey: `hold_series:${seriesId}`,
+  });
+}
+
+/**
+ * Release escrow to the provider, keeping `commissionRate` as platform revenue.
+ * `platformFee` is the client-paid part of the held amount; it goes to the
+ * platform untouched and commission is taken from the rest.
+ * `subsidy` is a promo discount the platform pays on top (from promotions), so
+ * the provider earns as if the client had paid the undiscounted price.
+ * The provider is paid in the booking currency, so `providerWalletId` must be
+ * their wallet in that currency. The provider sees the gross earning and the
+ * commission as two transactions.
+ * Returns the journal plus the computed earnings/commission split.
+ */
+async function releaseBookingFunds({ bookingId, providerWalletId, amount, currency = DEFAULT_CURRENCY, commissionRate = 0, platformFee = 0, subsidy = 0, description }) {
+  const total = roundMoney(amount);
+  const fee = roundMoney(Math.min(Math.max(Number(platformFee) || 0, 0), total));
+  const promotion = roundMoney(Math.max(Number(subsidy) || 0, 0));
+  const gross = roundMoney(total - fee + promotion);
+  const commission = roundMoney(gross * commissionRate);
+  const earnings = roundMoney(gross - commission);
+
+  const journal = await postJournal({
+    kind: 'release',
+    entries: [
+      { account_code: ACCOUNTS.ESCROW, amount: -total, currency },
+      { account_code: ACCOUNTS.PROMOTIONS, amount: -promotion, currency },
+      { wallet_id: providerWalletId, amount: earnings },
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount: roundMoney(commission + fee), currency },
+    ],
+    transactions: [
+      { wallet_id: providerWalletId, type: 'earning', amount: gross, description, currency },
+      ...commissionTransactions(providerWalletId, commission, commissionRate, bookingId, currency),
+    ],
+    referenceType: 'booking',
+    referenceId: bookingId,
+    description,
+    idempotencyKey: `release:${bookingId}`,
+  });
+
+  return { ...journal, earnings, commission, platformFee: fee, subsidy: promotion };
+}
+
+function commissionTransactions(walletId, commission, commissionRate, bookingId, currency) {
+  if (!(commission > 0)) return [];
+  return [{
+    wallet_id: walletId,
+    type: 'commission',
+    amount: -commission,
+    description: `Platform commission (${roundMoney(commissionRate * 100)}%) for Booking #${bookingId}`,
+    currency,
+  }];
+}
+
+/**
+ * Return held funds from escrow to the client, converted back at the rate the
+ * booking was paid at. `key` distinguishes multiple partial refunds on the
+ * same booking.
+ */
+async function refundBookingFunds({ bookingId, clientWalletId, amount, currency = DEFAULT_CURRENCY, payment = null, description, key = 'full' }) {
+  const returned = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'refund',
+    entries: [
+      { account_code: ACCOUNTS.ESCROW, amount: -amount, currency },
+      ...fxLegs(amount, currency, returned, paymentCurrency),
+      { wallet_id: clientWalletId, amount: returned },
+    ],
+    transactions: [
+      { wallet_id: clientWalletId, type: 'refund', amount: returned, description, ...fxFields(amount, currency, payment) },
+    ],
+    referenceType: 'booking',
+    referenceId: bookingId,
+    description,
+    idempotencyKey: `refund:${bookingId}:${key}`,
+  });
+}
+
+/**
+ * Close escrow for a client cancellation in one journal: `refund` goes back to
+ * the client and `compensation` to the provider, less `commissionRate`. Both
+ * are in the booking currency and must add up to the held amount.
+ */
+async function settleBookingCancellation({ bookingId, clientWalletId, providerWalletId, refund, compensation, currency = DEFAULT_CURRENCY, payment = null, commissionRate = 0, description }) {
+  const refundAmount = roundMoney(refund);
+  const compensationAmount = roundMoney(compensation);
+  const commission = roundMoney(compensationAmount * commissionRate);
+  const returned = toPaymentAmount(refundAmount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  const transactions = [];
+  if (refundAmount > 0) {
+    transactions.push({
+      wallet_id: clientWalletId,
+      type: 'refund',
+      amount: returned,
+      description,
+      ...fxFields(refundAmount, currency, payment),
+    });
+  }
+  if (compensationAmount > 0) {
+    transactions.push({
+      wallet_id: providerWalletId,
+      type: 'earning',
+      amount: compensationAmount,
+      description: `Cancellation compensation for Booking #${bookingId}`,
+      currency,
+    });
+    transactions.push(...commissionTransactions(providerWalletId, commission, commissionRate, bookingId, currency));
+  }
+
+  const journal = await postJournal({
+    kind: 'refund',
+    entries: [
+      { account_code: ACCOUNTS.ESCROW, amount: -roundMoney(refundAmount + compensationAmount), currency },
+      ...(refundAmount > 0 ? fxLegs(refundAmount, currency, returned, paymentCurrency) : []),
+      { wallet_id: clientWalletId, amount: returned },
+      { wallet_id: providerWalletId, amount: roundMoney(compensationAmount - commission) },
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount: commission, currency },
+    ],
+    transactions,
+    referenceType: 'booking',
+    referenceId: bookingId,
+    description,
+    idempotencyKey: `cancel:${bookingId}`,
+  });
+
+  return { ...journal, commission };
+}
+
+/**
+ * Move a tip from the client's wallet straight to the provider's, with no
+ * commission. `amount` is what the provider receives in `currency` (their
+ * wallet's); the client pays it in `payment.currency` at `payment.rate`.
+ * One tip per booking.
+ */
+async function transferTip({ bookingId, clientWalletId, providerWalletId, amount, currency = DEFAULT_CURRENCY, payment = null, description }) {
+  const paid = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  const journal = await postJournal({
+    kind: 'tip',
+    entries: [
+      { wallet_id: clientWalletId, amount: -paid },
+      ...fxLegs(paid, paymentCurrency, amount, currency),
+      { wallet_id: providerWalletId, amount },
+    ],
+    transactions: [
+      { wallet_id: clientWalletId, type: 'tip_sent', amount: -paid, description, ...fxFields(-amount, currency, payment) },
+      { wallet_id: providerWalletId, type: 'tip_received', amount, description, currency },
+    ],
+    referenceType: 'booking',
+    referenceId: bookingId,
+    description,
+    idempotencyKey: `tip:${bookingId}`,
+  });
+
+  return { ...journal, paid };
+}
+
+// ── Purchases (subscriptions, boosts, AI tools, tickets) ────────────────────
+
+/**
+ * Charge a wallet for a platform purchase priced at `amount` `currency`. When
+ * the wallet holds another currency pass `payment: { currency, rate }`.
+ * Throws INSUFFICIENT_FUNDS if the balance does not cover the charge at the
+ * moment of posting.
+ */
+async function chargeWallet({ walletId, amount, currency = DEFAULT_CURRENCY, payment = null, description, referenceType = null, referenceId = null, idempotencyKey = null }) {
+  const paid = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'purchase',
+    entries: [
+      { wallet_id: walletId, amount: -paid },
+      ...fxLegs(paid, paymentCurrency, amount, currency),
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount, currency },
+    ],
+    transactions: [
+      { wallet_id: walletId, type: 'payment', amount: paid, description, ...fxFields(amount, currency, payment) },
+    ],
+    referenceType,
+    referenceId,
+    description,
+    idempotencyKey,
+  });
+}
+
+/**
+ * Give part of a purchase back to the buyer's wallet, e.g. the unused time of
+ * a subscription on a plan change. Posted as kind `purchase` so it nets
+ * against purchase revenue. `payment` converts it like chargeWallet().
+ */
+async function creditPurchase({ walletId, amount, currency = DEFAULT_CURRENCY, payment = null, description, referenceType = null, referenceId = null, idempotencyKey = null }) {
+  const returned = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'purchase',
+    entries: [
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount: -amount, currency },
+      ...fxLegs(amount, currency, returned, paymentCurrency),
+      { wallet_id: walletId, amount: returned },
+    ],
+    transactions: [
+      { wallet_id: walletId, type: 'refund', amount: returned, description, ...fxFields(amount, currency, payment) },
+    ],
+    referenceType,
+    referenceId,
+    description,
+    idempotencyKey,
+  });
+}
+
+/**
+ * Book a purchase paid by card straight through Stripe (no wallet involved).
+ * The card was charged `payment.currency`; revenue is kept in `currency`.
+ * Idempotent per PaymentIntent.
+ */
+async function recordCardPurchase({ amount, currency = DEFAULT_CURRENCY, payment = null, stripePaymentId, description, referenceType = null, referenceId = null }) {
+  const paid = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'purchase',
+    entries: [
+      { account_code: ACCOUNTS.STRIPE_CLEARING, amount: -paid, currency: paymentCurrency },
+      ...fxLegs(paid, paymentCurrency, amount, currency),
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount, currency },
+    ],
+    referenceType,
+    referenceId,
+    description,
+    idempotencyKey: `card_purchase:${stripePaymentId}`,
+  });
+}
+
+// ── Promotions ──────────────────────────────────────────────────────────────
+
+/**
+ * Credit a wallet with money the platform gives away, e.g. a referral reward,
+ * paid from the promotions account. `amount` is in `currency`; pass
+ * `payment: { currency, rate }` when the wallet holds another currency.
+ * `type` is the user-facing transaction type.
+ */
+async function creditPromotion({ walletId, amount, currency = DEFAULT_CURRENCY, payment = null, type, description, referenceType = null, referenceId = null, idempotencyKey = null }) {
+  const credited = toPaymentAmount(amount, currency, payment);
+  const paymentCurrency = payment?.currency || currency;
+
+  return postJournal({
+    kind: 'adjustment',
+    entries: [
+      { account_code: ACCOUNTS.PROMOTIONS, amount: -amount, currency },
+      ...fxLegs(amount, currency, credited, paymentCurrency),
+      { wallet_id: walletId, amount: credited },
+    ],
+    transactions: [
+      { wallet_id: walletId, type, amount: credited, description, ...fxFields(amount, currency, payment) },
+    ],
+    referenceType,
+    referenceId,
+    description,
+    idempotencyKey,
+  });
+}
+
+// ── Stripe in / out ─────────────────────────────────────────────────────────
+// Money through Stripe stays in the wallet's currency; `currency` must match
+// the wallet.
+
+/**
+ * Credit a wallet for a succeeded Stripe PaymentIntent (idempotent per intent).
+ */
+async function creditDeposit({ walletId, amount, currency = DEFAULT_CURRENCY, stripePaymentId, description = 'Deposit via Card' }) {
+  return postJournal({
+    kind: 'deposit',
+    entries: [
+      { account_code: ACCOUNTS.STRIPE_CLEARING, amount: -amount, currency },
+      { wallet_id: walletId, amount, currency },
+    ],
+    transactions: [
+      { wallet_id: walletId, type: 'deposit', amount, description, stripe_payment_id: stripePaymentId, currency },
+    ],
+    referenceType: 'stripe_payment_intent',
+    referenceId: stripePaymentId,
+    description,
+    idempotencyKey: `deposit:${stripePaymentId}`,
+  });
+}
+
+/**
+ * Take back a card deposit that was refunded in Stripe. Whatever the wallet
+ * cannot cover is booked as owed by the customer rather than overdrawing it.
+ * The split is worked out by `post_deposit_refund` under the wallet's row
+ * lock, so a concurrent spend cannot make it stale.
+ * `refundKey` must be unique per refund (e.g. the cumulative refunded amount).
+ * @returns {Promise<{ journal_id, duplicate, balances, from_wallet?, owed? }>}
+ */
+async function debitDepositRefund({ walletId, amount, stripePaymentId, refundKey, description = 'Card deposit refunded' }) {
+  const { data, error } = await supabaseAdmin.rpc('post_deposit_refund', {
+    p_wallet_id: walletId,
+    p_amount: roundMoney(amount),
+    p_stripe_payment_id: stripePaymentId,
+    p_refund_key: String(refundKey),
+    p_description: description,
+  });
+
+  return journalResult(data, error);
+}
+
+/**
+ * Debit a wallet for a payout before the Stripe transfer is created.
+ */
+async function debitWithdrawal({ walletId, amount, currency = DEFAULT_CURRENCY, reference, description = 'Stripe payout' }) {
+  return postJournal({
+    kind: 'withdrawal',
+    entries: [
+      { wallet_id: walletId, amount: -amount, currency },
+      { account_code: ACCOUNTS.STRIPE_CLEARING, amount, currency },
+    ],
+    transactions: [
+      { wallet_id: walletId, type: 'withdrawal', amount: -amount, description, currency },
+    ],
+    referenceType: 'withdrawal',
+    referenceId: reference,
+    description,
+    idempotencyKey: `withdrawal:${reference}`,
+  });
+}
+
+/**
+ * Put a withdrawal back into the wallet when the transfer failed or was reversed.
+ * Pass a `reversalKey` (e.g. the cumulative reversed cents) when one payout
+ * can come back in several partial reversals.
+ */
+async function reverseWithdrawal({ walletId, amount, currency = DEFAULT_CURRENCY, reference, reversalKey = null, description = 'Payout reversed' }) {
+  return postJournal({
+    kind: 'reversal',
+    entries: [
+      { account_code: ACCOUNTS.STRIPE_CLEARING, amount: -amount, currency },
+      { wallet_id: walletId, amount, currency },
+    ],
+    transactions: [
+      { wallet_id: walletId, type: 'refund', amount, description, currency },
+    ],
+    referenceType: 'withdrawal',
+    referenceId: reference,
+    description,
+    idempotencyKey: reversalKey !== null
+      ? `withdrawal_reversal:${reference}:${reversalKey}`
+      : `withdrawal_reversal:${reference}`,
+  });
+}
+
+// ── Platform treasury ───────────────────────────────────────────────────────
+
+/**
+ * Take money the platform earned out to its bank account. platform_revenue
+ * is the platform's own account; the cash leaves through Stripe. Throws
+ * INSUFFICIENT_FUNDS rather than take the account below zero.
+ */
+async function withdrawPlatformFunds({ amount, currency = DEFAULT_CURRENCY, reference, description = 'Platform withdrawal' }) {
+  return postJournal({
+    kind: 'withdrawal',
+    entries: [
+      { account_code: ACCOUNTS.PLATFORM_REVENUE, amount: -amount, currency, no_overdraft: true },
+      { account_code: ACCOUNTS.STRIPE_CLEARING, amount, currency },
+    ],
+    referenceType: 'platform_withdrawal',
+    referenceId: reference,
+    description,
+    idempotencyKey: `platform_withdrawal:${reference}`,
+  });
+}
+
+/**
+ * The journal booked for a platform withdrawal, with the amount that left
+ * platform_revenue. A retried request finds the original one here.
+ */
+async function getPlatformWithdrawal(reference) {
+  const { data: journal, error } = await supabaseAdmin
+    .from('ledger_journals')
+    .select('id, kind, reference_id, description, created_at, ledger_entries(account_code, amount, currency)')
+    .eq('idempotency_key', `platform_withdrawal:${reference}`)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!journal) return null;
+
+  const { ledger_entries: entries = [], ...row } = journal;
+  const revenue = entries.find((e) => e.account_code === ACCOUNTS.PLATFORM_REVENUE);
+  return {
+    ...row,
+    type: 'admin_withdrawal',
+    amount: revenue ? Number(revenue.amount) : null,
+    currency: revenue?.currency || null,
+    status: 'success',
+  };
+}
+
+// PostgREST caps a response at 1000 rows, so larger reads go in batches
+const READ_BATCH_SIZE = 1000;
+
+/**
+ * Every row of a query, read in batches. `buildQuery` returns a fresh query
+ * each time; it needs a stable order for the batches to line up.
+ */
+async function readAll(buildQuery) {
+  const rows = [];
+  for (let start = 0; ; start += READ_BATCH_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + READ_BATCH_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < READ_BATCH_SIZE) return rows;
+  }
+}
+
+/**
+ * Balances of the system accounts per currency:
+ * `{ [account_code]: { [currency]: balance } }`.
+ */
+async function getAccountBalances() {
+  const { data, error } = await supabaseAdmin
+    .from('ledger_account_balances')
+    .select('account_code, currency, balance');
+
+  if (error) throw error;
+
+  const balances = {};
+  (data || []).forEach(({ account_code, currency, balance }) => {
+    balances[account_code] = { ...balances[account_code], [currency]: Number(balance) };
+  });
+  return balances;
+}
+
+// ── Reconciliation ──────────────────────────────────────────────────────────
+
+/**
+ * Wallets whose stored balance no longer matches the sum of their entries.
+ */
+async function getWalletDrift() {
+  const { data, error } = await supabaseAdmin
+    .from('ledger_wallet_drift')
+    .select('*')
+    .neq('drift', 0);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * System account balances that no longer match the sum of their entries.
+ */
+async function getAccountDrift() {
+  const { data, error } = await supabaseAdmin
+    .from('ledger_account_drift')
+    .select('*')
+    .neq('drift', 0);
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  ACCOUNTS,
+  roundMoney,
+  toPaymentAmount,
+  isInsufficientFunds,
+  postJournal,
+  ensureWallet,
+  holdBookingFunds,
+  holdSeriesFunds,
+  releaseBookingFunds,
+  refundBookingFunds,
+  settleBookingCancellation,
+  transferTip,
+  chargeWallet,
+  creditPurchase,
+  recordCardPurchase,
+  creditPromotion,
+  creditDeposit,
+  debitDepositRefund,
+  debitWithdrawal,
+  reverseWithdrawal,
+  withdrawPlatformFunds,
+  getPlatformWithdrawal,
+  readAll,
+  getAccountBalances,
+  getWalletDrift,
+  getAccountDrift,
+};
@@ -0,0 +1,546 @@
+/**
+ * moderation.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Chat moderation (see migrations/20261019_22_chat_moderation.sql).
+ *
+ * Messages are screened before they are stored, so a booking can't quietly
+ * move to a phone call and a cash payment. Each detector finds spans of text
+ * in one category:
+ *
+ *   phone     – phone numbers, also spelled out ("five five five ...")
+ *   email     – addresses, also "name at gmail dot com" and similar
+ *   payment   – payment links and handles, IBANs, card numbers, cash talk
+ *   messenger – WhatsApp/Telegram/Viber/Instagram contacts, @handles
+ *   abuse     – insults and profanity
+ *
+ * Word lists cover English, Georgian and Russian. The admin policy for a
+ * category (/admin/moderation/policies) decides what happens to its matches:
+ * 'off' ignores them, 'flag' delivers the message as written, 'mask'
+ * replaces them with MASK. Flagged and masked messages open a moderation
+ * case that keeps the original text for admins.
+ *
+ * registerDetector() plugs in more detectors:
+ *   { category, name, detect(text) → [{ start, end }] }
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const CATEGORIES = ['phone', 'email', 'payment', 'messenger', 'abuse'];
+const ACTIONS = ['off', 'flag', 'mask'];
+const CASE_STATUSES = ['open', 'dismissed', 'actioned'];
+
+// Used when a category has no row in chat_moderation_policies
+const DEFAULT_POLICIES = { phone: 'mask', email: 'mask', payment: 'mask', messenger: 'flag', abuse: 'flag' };
+const FALLBACK_ACTION = 'flag';
+
+const MASK = '•••';
+
+// Fewer digits than this are prices, times and quantities, not phone numbers
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const CONTEXT_MESSAGES = 10;
+
+function moderationError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'MODERATION';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a moderation request was refused. `err.status` is the HTTP status.
+ */
+const isModerationError = (err) => err?.code === 'MODERATION';
+
+// ── Matching helpers ────────────────────────────────────────────────────────
+
+// Words with their offsets; `word` is lowercased with ё folded into е
+const tokenize = (text) => [...text.matchAll(/[\p{L}\p{N}]+/gu)].map((m) => ({
+  word: m[0].toLowerCase().replace(/ё/g, 'е'),
+  start: m.index,
+  end: m.index + m[0].length,
+}));
+
+const regexMatches = (text, pattern, accept = () => true) => [...text.matchAll(pattern)]
+  .filter((m) => accept(m[0]))
+  .map((m) => ({ start: m.index, end: m.index + m[0].length }));
+
+// Matches whole words, word beginnings or word parts from the lists
+function wordMatcher({ words = [], prefixes = [], contains = [] }) {
+  const exact = new Set(words);
+  return (text) => tokenize(text)
+    .filter(({ word }) => exact.has(word)
+      || prefixes.some((prefix) => word.startsWith(prefix))
+      || contains.some((part) => word.includes(part)))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ── Detectors ───────────────────────────────────────────────────────────────
+
+const PHONE_PATTERN = /[+(]?\d[\d\s().\-/]{5,}\d/g;
+const DATE_PATTERN = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})$/;
+
+function detectPhoneNumbers(text) {
+  return regexMatches(text, PHONE_PATTERN, (match) => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS && !DATE_PATTERN.test(match);
+  });
+}
+
+const DIGIT_WORDS = new Set([
+  'zero', 'oh', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ноль', 'нуль', 'один', 'одна', 'два', 'две', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять',
+  'ნული', 'ერთი', 'ორი', 'სამი', 'ოთხი', 'ხუთი', 'ექვსი', 'შვიდი', 'რვა', 'ცხრა',
+]);
+
+// Runs of digit words, possibly mixed with digits: "five 5 five one two ..."
+function detectSpelledNumbers(text) {
+  const found = [];
+  let run = null;
+  const closeRun = () => {
+    if (run && run.words > 0 && run.digits >= MIN_PHONE_DIGITS) found.push({ start: run.start, end: run.end });
+    run = null;
+  };
+
+  tokenize(text).forEach((token) => {
+    const isWord = DIGIT_WORDS.has(token.word);
+    const isNumber = /^\d+$/.test(token.word);
+    if (!isWord && !isNumber) return closeRun();
+
+    if (!run) run = { start: token.start, end: token.end, digits: 0, words: 0 };
+    run.end = token.end;
+    run.digits += isWord ? 1 : token.word.length;
+    if (isWord) run.words += 1;
+  });
+  closeRun();
+  return found;
+}
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+\s?@\s?[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+const AT = String.raw`(?:@|[([{]\s*(?:at|собака)\s*[)\]}]|\s(?:at|собака)\s)`;
+const DOT = String.raw`(?:\.|[([{]\s*(?:dot|точка)\s*[)\]}]|\s(?:dot|точка|წერტილი)\s)`;
+const LOCAL_PART = String.raw`[\p{L}\p{N}._%+-]+(?:\s*${DOT}\s*[\p{L}\p{N}_%+-]+)*`;
+const OBFUSCATED_EMAIL_PATTERN = new RegExp(String.raw`${LOCAL_PART}\s*${AT}\s*[\p{L}\p{N}-]+(?:\s*${DOT}\s*[\p{L}\p{N}-]+)+`, 'giu');
+const MAIL_PROVIDER_PATTERN = new RegExp(String.raw`${LOCAL_PART}\s*${AT}\s*(?:gmail|googlemail|yahoo|outlook|hotmail|icloud|yandex|proton(?:mail)?)`, 'giu');
+// "see you there at 5. Bye" is not an address: the dot has to be spelled out
+const SPELLED_DOT_PATTERN = /[([{\s](?:dot|точка|წერტილი)[)\]}\s]/i;
+
+const PAYMENT_LINK_PATTERN = /\b(?:paypal\.me|revolut\.me|venmo\.com|cash\.app|wise\.com\/pay)\/\S+/gi;
+const CASHTAG_PATTERN = /(?<![\p{L}\p{N}])\$[a-z][a-z0-9_]{2,19}/giu;
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]){11,30}\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const CASH_PHRASE_PATTERN = /\b(?:(?:pay|paid|paying|payment)\s+(?:me\s+)?(?:in|with|by)\s+cash|cash\s+(?:only|in\s+hand|payment)|pay\s+(?:me\s+)?directly|(?:outside|off)\s+(?:of\s+)?(?:the\s+)?(?:app|platform|lifekit)|bank\s+transfer|wire\s+(?:me|transfer))\b/gi;
+
+const detectPaymentWords = wordMatcher({
+  words: ['iban', 'ნაღდი', 'ნაღდით', 'ნაღდს', 'ბარათზე', 'ანგარიშზე'],
+  prefixes: [
+    'paypal', 'revolut', 'venmo', 'zelle', 'cashapp', 'payoneer',
+    'наличн', 'налом', 'наликом', 'безнал', 'пейпал', 'револют', 'сбербанк', 'тинькофф', 'юмани',
+    'ქეშ', 'გადმორიცხ', 'ჩამირიცხ', 'პეიპალ', 'რევოლუტ',
+  ],
+});
+
+const MESSENGER_LINK_PATTERN = /\b(?:wa\.me|t\.me|telegram\.me|m\.me|instagram\.com|facebook\.com)\/\S*|viber:\/\/\S*/gi;
+const HANDLE_PATTERN = /(?<![\p{L}\p{N}._%+-])@[a-z_][a-z0-9_.]{2,31}/giu;
+const WHATS_APP_PATTERN = /\bwhats?\s+app\b/gi;
+
+const detectMessengerWords = wordMatcher({
+  words: ['insta', 'инст', 'инста', 'инсту', 'инсте', 'телеге', 'телегу', 'ინსტა'],
+  prefixes: [
+    'whatsapp', 'whatsap', 'watsapp', 'watsap', 'telegram', 'viber', 'instagram', 'skype', 'snapchat', 'wechat',
+    'вотсап', 'ватсап', 'вацап', 'воцап', 'телеграм', 'вайбер', 'инстаграм', 'скайп',
+    'ვოცაპ', 'ვოტსაპ', 'ვატსაპ', 'ტელეგრამ', 'ვაიბერ', 'ინსტაგრამ', 'სკაიპ',
+  ],
+});
+
+const detectAbuse = wordMatcher({
+  words: [
+    'dick', 'dicks', 'prick', 'idiot', 'moron', 'fag',
+    'сука', 'суки', 'суку', 'сукой', 'тварь', 'мразь',
+    'ყლე', 'ყლეო', 'სირი', 'სირო', 'იდიოტი', 'დებილი',
+  ],
+  prefixes: [
+    'fuck', 'motherfuck', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard', 'cunt', 'retard', 'whore', 'slut', 'dickhead', 'wanker', 'twat',
+    'хуй', 'хуе', 'хуя', 'ебан', 'ебал', 'ебат', 'еблан', 'ебну', 'заеб', 'выеб', 'уеб', 'наеб', 'отъеб',
+    'сучар', 'сучк', 'урод', 'дебил', 'идиот', 'гандон', 'пидор', 'пидар', 'пидр', 'шлюх', 'мудак', 'мудил',
+    'მუტელ', 'ბოზ', 'ნაბიჭვარ', 'ტრაკ', 'დედამოტყნ', 'მოტყნ', 'ნაძირალ', 'ვირიშვილ', 'ჩათლახ', 'პიდარას', 'პიდორ',
+  ],
+  // Roots that no innocent Russian word contains
+  contains: ['пизд', 'бляд', 'долбоеб'],
+});
+
+const detectors = [
+  { category: 'phone', name: 'digits', detect: detectPhoneNumbers },
+  { category: 'phone', name: 'spelled_digits', detect: detectSpelledNumbers },
+  { category: 'email', name: 'address', detect: (text) => regexMatches(text, EMAIL_PATTERN) },
+  {
+    category: 'email',
+    name: 'obfuscated',
+    detect: (text) => [
+      ...regexMatches(text, OBFUSCATED_EMAIL_PATTERN, (match) => SPELLED_DOT_PATTERN.test(match)),
+      ...regexMatches(text, MAIL_PROVIDER_PATTERN),
+    ],
+  },
+  { category: 'payment', name: 'link', detect: (text) => regexMatches(text, PAYMENT_LINK_PATTERN) },
+  { category: 'payment', name: 'cashtag', detect: (text) => regexMatches(text, CASHTAG_PATTERN) },
+  {
+    category: 'payment',
+    name: 'iban',
+    detect: (text) => regexMatches(text, IBAN_PATTERN, (match) => match.replace(/\D/g, '').length >= 10),
+  },
+  {
+    category: 'payment',
+    name: 'card',
+    detect: (text) => regexMatches(text, CARD_PATTERN, (match) => passesLuhn(match.replace(/\D/g, ''))),
+  },
+  { category: 'payment', name: 'cash_phrase', detect: (text) => regexMatches(text, CASH_PHRASE_PATTERN) },
+  { category: 'payment', name: 'keyword', detect: detectPaymentWords },
+  { category: 'messenger', name: 'link', detect: (text) => regexMatches(text, MESSENGER_LINK_PATTERN) },
+  { category: 'messenger', name: 'handle', detect: (text) => regexMatches(text, HANDLE_PATTERN) },
+  {
+    category: 'messenger',
+    name: 'app',
+    detect: (text) => [...regexMatches(text, WHATS_APP_PATTERN), ...detectMessengerWords(text)],
+  },
+  { category: 'abuse', name: 'profanity', detect: detectAbuse },
+];
+
+/**
+ * Add a detector to the pipeline. A new category gets FALLBACK_ACTION until
+ * an admin sets its policy.
+ * @param {{ category: string, name: string, detect: (text: string) => Array<{ start: number, end: number }> }} detector
+ */
+function registerDetector(detector) {
+  if (!detector?.category || !detector?.name || typeof detector.detect !== 'function') {
+    throw new Error('A detector needs a category, a name and a detect(text) function.');
+  }
+  detectors.push(detector);
+  if (!CATEGORIES.includes(detector.category)) CATEGORIES.push(detector.category);
+}
+
+// ── Screening ───────────────────────────────────────────────────────────────
+
+/**
+ * Everything the detectors find in `text`.
+ * @returns {Array<{ category, detector, start, end, match }>}
+ */
+function scan(text) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const findings = [];
+  detectors.forEach((detector) => {
+    let spans;
+    try {
+      spans = detector.detect(text) || [];
+    } catch (err) {
+      // A broken detector must not stop the chat
+      console.error(`Moderation detector ${detector.category}/${detector.name} failed:`, err.message);
+      return;
+    }
+    spans.forEach(({ start, end }) => {
+      findings.push({ category: detector.category, detector: detector.name, start, end, match: text.slice(start, end) });
+    });
+  });
+  return findings;
+}
+
+function maskSpans(text, spans) {
+  const merged = [];
+  [...spans].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else merged.push({ start, end });
+  });
+
+  let result = '';
+  let cursor = 0;
+  merged.forEach(({ start, end }) => {
+    result += text.slice(cursor, start) + MASK;
+    cursor = end;
+  });
+  return result + text.slice(cursor);
+}
+
+// The free-text fields of a message row
+const SCREENED_FIELDS = [
+  { field: 'content', get: (row) => row.content, set: (row, value) => ({ ...row, content: value }) },
+  {
+    field: 'metadata.label',
+    get: (row) => row.metadata?.label,
+    set: (row, value) => ({ ...row, metadata: { ...row.metadata, label: value } }),
+  },
+  {
+    field: 'metadata.description',
+    get: (row) => row.metadata?.description,
+    set: (row, value) => ({ ...row, metadata: { ...row.metadata, description: value } }),
+  },
+];
+
+const actionFor = (policies, category) => policies[category] || FALLBACK_ACTION;
+
+/**
+ * Apply `policies` to a message row about to be stored. Pure, so the same
+ * text always gets the same treatment.
+ *
+ * @param {object} row      - message row (content, metadata)
+ * @param {object} policies - { [category]: 'off' | 'flag' | 'mask' }
+ * @returns {{ row: object, findings: object[], flags: string[], action: 'flag'|'mask'|null,
+ *             original: { content, metadata } }}
+ *   `row` is what to store (masked, with moderation_flags); `action` is null
+ *   when nothing needs a case.
+ */
+function screenMessage(row, policies) {
+  let screened = row;
+  const findings = [];
+
+  SCREENED_FIELDS.forEach(({ field, get, set }) => {
+    const text = get(row);
+    const found = scan(text).filter((finding) => actionFor(policies, finding.category) !== 'off');
+    if (found.length === 0) return;
+
+    const masked = found.filter((finding) => actionFor(policies, finding.category) === 'mask');
+    if (masked.length > 0) screened = set(screened, maskSpans(text, masked));
+
+    found.forEach(({ category, detector, match }) => {
+      findings.push({ category, detector, field, match, action: actionFor(policies, category) });
+    });
+  });
+
+  const flags = [...new Set(findings.map((finding) => finding.category))];
+  let action = null;
+  if (findings.some((finding) => finding.action === 'mask')) action = 'mask';
+  else if (findings.length > 0) action = 'flag';
+
+  return {
+    row: { ...screened, moderation_flags: flags },
+    findings,
+    flags,
+    action,
+    original: { content: row.content ?? null, metadata: row.metadata || {} },
+  };
+}
+
+// ── Policies ────────────────────────────────────────────────────────────────
+
+async function loadPolicies() {
+  const { data, error } = await supabaseAdmin
+    .from('chat_moderation_policies')
+    .select('category, action');
+
+  if (error) throw error;
+  const policies = { ...DEFAULT_POLICIES };
+  (data || []).forEach((policy) => { policies[policy.category] = policy.action; });
+  return policies;
+}
+
+/**
+ * The action for every category, with when and by whom it was last set.
+ */
+async function listPolicies() {
+  const { data, error } = await supabaseAdmin
+    .from('chat_moderation_policies')
+    .select('*');
+
+  if (error) throw error;
+  const byCategory = new Map((data || []).map((policy) => [policy.category, policy]));
+  return CATEGORIES.map((category) => byCategory.get(category) || {
+    category,
+    action: DEFAULT_POLICIES[category] || FALLBACK_ACTION,
+    updated_by: null,
+    updated_at: null,
+  });
+}
+
+async function updatePolicy(category, action, adminId) {
+  if (!CATEGORIES.includes(category)) throw moderationError(`category must be one of: ${CATEGORIES.join(', ')}.`, 404);
+  if (!ACTIONS.includes(action)) throw moderationError(`action must be one of: ${ACTIONS.join(', ')}.`);
+
+  const { data, error } = await supabaseAdmin
+    .from('chat_moderation_policies')
+    .upsert({ category, action, updated_by: adminId, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ── Cases ───────────────────────────────────────────────────────────────────
+
+/**
+ * Record a screened message for admin review.
+ * @param {object} message   - the stored message row
+ * @param {object} screening - result of screenMessage()
+ * @param {'send'|'edit'} source
+ */
+async function openCase({ message, screening, source }) {
+  const { data, error } = await supabaseAdmin
+    .from('moderation_cases')
+    .insert({
+      message_id: message.id,
+      booking_id: message.booking_id || null,
+      inquiry_id: message.inquiry_id || null,
+      sender_id: message.sender_id,
+      source,
+      categories: screening.flags,
+      action: screening.action,
+      findings: screening.findings,
+      original: screening.original,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+const CASE_COLUMNS = `
+  *,
+  sender:profiles!sender_id (id, full_name, email, profile_picture_url)
+`;
+
+/**
+ * Cases for the admin queue, newest first.
+ */
+async function listCases({ status = 'open', category, senderId, bookingId, limit, offset } = {}) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+  if (status !== 'all' && !CASE_STATUSES.includes(status)) {
+    throw moderationError(`status must be all or one of: ${CASE_STATUSES.join(', ')}.`);
+  }
+
+  let query = supabaseAdmin.from('moderation_cases').select(CASE_COLUMNS, { count: 'exact' });
+  if (status !== 'all') query = query.eq('status', status);
+  if (category) query = query.contains('categories', [category]);
+  if (senderId) query = query.eq('sender_id', senderId);
+  if (bookingId) query = query.eq('booking_id', bookingId);
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw error;
+  return {
+    cases: data || [],
+    total: count || 0,
+    limit: pageSize,
+    offset: start,
+    has_more: start + (data || []).length < (count || 0),
+  };
+}
+
+/**
+ * One case with the message as delivered, the messages leading up to it and
+ * how many cases the sender has had.
+ */
+async function getCase(caseId) {
+  const { data: moderationCase, error } = await supabaseAdmin
+    .from('moderation_cases')
+    .select(CASE_COLUMNS)
+    .eq('id', caseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!moderationCase) throw moderationError('Moderation case not found.', 404);
+
+  let message = null;
+  let context = [];
+  if (moderationCase.message_id) {
+    const { data } = await supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('id', moderationCase.message_id)
+      .maybeSingle();
+    message = data;
+  }
+
+  // Inquiry messages carry the booking_id once the inquiry is booked
+  const bookingId = message?.booking_id || moderationCase.booking_id;
+  const thread = bookingId
+    ? { column: 'booking_id', id: bookingId }
+    : { column: 'inquiry_id', id: moderationCase.inquiry_id };
+  if (thread.id) {
+    const { data, error: contextError } = await supabaseAdmin
+      .from('messages')
+      .select('id, sender_id, type, content, metadata, moderation_flags, deleted_at, created_at')
+      .eq(thread.column, thread.id)
+      .lte('created_at', message?.created_at || moderationCase.created_at)
+      .order('created_at', { ascending: false })
+      .limit(CONTEXT_MESSAGES);
+
+    if (contextError) throw contextError;
+    context = (data || []).reverse();
+  }
+
+  const { count: senderCases } = await supabaseAdmin
+    .from('moderation_cases')
+    .select('*', { count: 'exact', head: true })
+    .eq('sender_id', moderationCase.sender_id);
+
+  return { ...moderationCase, message, context, sender_case_count: senderCases || 0 };
+}
+
+/**
+ * Close an open case: 'dismissed' (false positive) or 'actioned'.
+ */
+async function resolveCase(caseId, { status, note } = {}, adminId) {
+  if (!['dismissed', 'actioned'].includes(status)) throw moderationError('status must be dismissed or actioned.');
+
+  const { data, error } = await supabaseAdmin
+    .from('moderation_cases')
+    .update({
+      status,
+      resolution_note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 2000) : null,
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString(),
+    })
+    .eq('id', caseId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    const { data: existing } = await supabaseAdmin
+      .from('moderation_cases')
+      .select('status')
+      .eq('id', caseId)
+      .maybeSingle();
+    if (!existing) throw moderationError('Moderation case not found.', 404);
+    throw moderationError(`This case is already ${existing.status}.`, 409);
+  }
+  return data;
+}
+
+module.exports = {
+  CATEGORIES,
+  ACTIONS,
+  MASK,
+  isModerationError,
+  registerDetector,
+  scan,
+  screenMessage,
+  loadPolicies,
+  listPolicies,
+  updatePolicy,
+  openCase,
+  listCases,
+  getCase,
+  resolveCase,
+};
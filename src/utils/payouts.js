@@ -0,0 +1,531 @@
+/**
+ * payouts.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Withdrawals from a wallet to the user's Stripe Connect account, tracked as
+ * a lifecycle in the `payouts` table:
+ *
+ *   requested ──transfer──▶ processing ──transfer.created──▶ paid
+ *       │                      │                              │
+ *       └──────────────────────┴──▶ failed      transfer.reversed ──▶ reversed
+ *
+ * The wallet is debited when the payout is requested, keyed on the payout id,
+ * and credited back through the ledger when Stripe rejects the transfer or
+ * reverses it, so the money is always either in the wallet or with Stripe.
+ * Stripe sends no event for a rejected transfer: transfers.create() fails.
+ *
+ * The Connect account must be payout-ready (see stripeConnect.js). Only
+ * available funds can be paid out: earnings released in the last
+ * PAYOUT_HOLD_DAYS (default 7) stay held, and a payout must be at least
+ * PAYOUT_MIN_AMOUNT USD (default 10) converted to the wallet's currency.
+ *
+ * Providers can switch to automatic weekly or monthly payouts of one wallet
+ * above a threshold; GET /cron/run-payouts requests those and settles
+ * payouts whose webhook never arrived.
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { subDays, subMonths, addHours } = require('date-fns');
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const fx = require('./fx');
+const stripeConnect = require('./stripeConnect');
+
+const SCHEDULES = ['manual', 'weekly', 'monthly'];
+const OPEN_STATUSES = ['requested', 'processing'];
+// Earnings that count as "recently released" for the hold period
+const HELD_TRANSACTION_TYPES = ['earning', 'commission'];
+// Processing payouts older than this are checked against Stripe by the cron
+const SYNC_AFTER_MS = 15 * 60 * 1000;
+// Stripe errors that mean the transfer was refused and not created. Anything
+// else (network errors, timeouts, Stripe 5xx) leaves it unknown whether the
+// transfer exists, so the payout stays `processing` until a retry settles it.
+const REJECTED_ERROR_TYPES = [
+  'StripeInvalidRequestError',
+  'StripeCardError',
+  'StripePermissionError',
+  'StripeAuthenticationError',
+];
+
+function payoutError(message, status = 400, details = {}) {
+  const err = new Error(message);
+  err.code = 'PAYOUT';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a payout was refused. `err.status` is the HTTP status.
+ */
+const isPayoutError = (err) => err?.code === 'PAYOUT';
+
+const getMinimumUsd = () => Number(process.env.PAYOUT_MIN_AMOUNT) || 10;
+const getHoldDays = () => (process.env.PAYOUT_HOLD_DAYS !== undefined
+  ? Math.max(0, Number(process.env.PAYOUT_HOLD_DAYS) || 0)
+  : 7);
+
+async function notify(userId, title, message, type, referenceId) {
+  const { error } = await supabaseAdmin.from('notifications').insert({
+    user_id: userId,
+    title,
+    message,
+    type,
+    reference_id: referenceId,
+    is_read: false,
+  });
+  if (error) console.error(`Payout notification error (${referenceId}):`, error.message);
+}
+
+// Compare-and-set on the current status so each step happens once
+async function moveStatus(payout, fromStatuses, status, fields = {}) {
+  const { data: updated, error } = await supabaseAdmin
+    .from('payouts')
+    .update({ ...fields, status, updated_at: new Date().toISOString() })
+    .eq('id', payout.id)
+    .in('status', fromStatuses)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return updated;
+}
+
+// ── Balances ────────────────────────────────────────────────────────────────
+
+/**
+ * What a wallet can pay out right now.
+ * @returns {Promise<{ balance, held, available, minimum, currency, hold_days }>}
+ */
+async function getAvailableBalance(wallet) {
+  const holdDays = getHoldDays();
+  let held = 0;
+
+  if (holdDays > 0) {
+    const { data: recent, error } = await supabaseAdmin
+      .from('transactions')
+      .select('amount')
+      .eq('wallet_id', wallet.id)
+      .eq('status', 'success')
+      .in('type', HELD_TRANSACTION_TYPES)
+      .gte('created_at', subDays(new Date(), holdDays).toISOString());
+
+    if (error) throw error;
+    held = Math.max(0, (recent || []).reduce((sum, t) => sum + Number(t.amount), 0));
+  }
+
+  const balance = Number(wallet.balance || 0);
+  const { amount: minimum } = await fx.convert(getMinimumUsd(), 'USD', wallet.currency);
+
+  return {
+    balance,
+    held: ledger.roundMoney(Math.min(held, balance)),
+    available: ledger.roundMoney(Math.max(0, balance - held)),
+    minimum,
+    currency: wallet.currency,
+    hold_days: holdDays,
+  };
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Debit the wallet and record a `requested` payout. Call processPayout()
+ * to send it.
+ *
+ * @param {object}      params
+ * @param {string}      params.userId
+ * @param {string}      params.currency - wallet to pay out from
+ * @param {number|null} [params.amount] - null pays out everything available
+ * @param {string}      [params.source] - manual | scheduled
+ */
+async function requestPayout({ userId, currency, amount = null, source = 'manual' }) {
+  const profile = await stripeConnect.loadCurrentProfile(userId);
+  const readiness = stripeConnect.getPayoutReadiness(profile);
+  if (!readiness.ready) throw payoutError(readiness.message, 403, { reason: readiness.reason });
+
+  const wallet = await ledger.ensureWallet(userId, fx.normalizeCurrency(currency));
+  const funds = await getAvailableBalance(wallet);
+  const payoutAmount = ledger.roundMoney(amount === null ? funds.available : amount);
+
+  if (!(payoutAmount > 0)) throw payoutError('Invalid amount.');
+  if (payoutAmount < funds.minimum) {
+    throw payoutError(`The minimum payout is ${fx.formatMoney(funds.minimum, wallet.currency)}.`, 400, { minimum: funds.minimum });
+  }
+  if (payoutAmount > funds.balance) throw payoutError('Insufficient funds', 400, { available: funds.available });
+  if (payoutAmount > funds.available) {
+    throw payoutError(
+      `Earnings are held for ${funds.hold_days} days after release. Available now: ${fx.formatMoney(funds.available, wallet.currency)}.`,
+      400,
+      { available: funds.available, held: funds.held }
+    );
+  }
+
+  const { data: payout, error } = await supabaseAdmin
+    .from('payouts')
+    .insert({
+      user_id: userId,
+      wallet_id: wallet.id,
+      amount: payoutAmount,
+      currency: wallet.currency,
+      source,
+      destination: profile.stripe_connect_id,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Debit under the wallet lock so concurrent payouts cannot overdraw it
+  try {
+    await ledger.debitWithdrawal({ walletId: wallet.id, amount: payoutAmount, currency: wallet.currency, reference: payout.id });
+  } catch (debitError) {
+    await supabaseAdmin.from('payouts').delete().eq('id', payout.id);
+    if (ledger.isInsufficientFunds(debitError)) throw payoutError('Insufficient funds');
+    throw debitError;
+  }
+
+  return payout;
+}
+
+/**
+ * Return the money of a payout that never reached Stripe (or was rejected)
+ * and mark it failed.
+ */
+async function failPayout(payout, reason) {
+  if (!OPEN_STATUSES.includes(payout.status)) return payout;
+
+  await ledger.reverseWithdrawal({
+    walletId: payout.wallet_id,
+    amount: payout.amount,
+    currency: payout.currency,
+    reference: payout.id,
+    description: 'Payout failed — funds returned',
+  });
+
+  const failed = await moveStatus(payout, OPEN_STATUSES, 'failed', {
+    failure_reason: reason,
+    failed_at: new Date().toISOString(),
+  });
+  if (!failed) return payout;
+
+  await notify(
+    payout.user_id,
+    'Payout Failed',
+    `Your payout of ${fx.formatMoney(payout.amount, payout.currency)} failed and was returned to your wallet.`,
+    'withdrawal_failed',
+    payout.id
+  );
+  return failed;
+}
+
+const isRejection = (err) => REJECTED_ERROR_TYPES.includes(err?.type);
+
+// A transfer an earlier attempt created, in case its response never arrived.
+// Looked up by transfer group because Stripe forgets idempotency keys after
+// a day.
+async function findExistingTransfer(payout) {
+  const { data } = await stripe.transfers.list({ transfer_group: `payout:${payout.id}`, limit: 1 });
+  return data?.[0] || null;
+}
+
+/**
+ * Create the Stripe transfer for a requested payout. Safe to call again for
+ * a payout stuck in `processing` without a transfer: an existing transfer is
+ * picked up, and the idempotency key makes Stripe return the original one.
+ *
+ * Only a definite rejection fails the payout and returns the money. When the
+ * outcome is unknown the payout stays `processing` for syncProcessingPayouts()
+ * to retry.
+ */
+async function processPayout(payout) {
+  let claimed = await moveStatus(payout, ['requested'], 'processing', { processing_at: new Date().toISOString() });
+  let transfer = null;
+  if (!claimed) {
+    if (payout.status !== 'processing' || payout.stripe_transfer_id) return payout;
+    claimed = payout;
+    transfer = await findExistingTransfer(claimed);
+  }
+
+  if (!transfer) {
+    try {
+      transfer = await stripe.transfers.create({
+        amount: Math.round(Number(claimed.amount) * 100),
+        currency: claimed.currency.toLowerCase(),
+        destination: claimed.destination,
+        transfer_group: `payout:${claimed.id}`,
+        metadata: {
+          userId: claimed.user_id,
+          walletId: claimed.wallet_id,
+          payoutId: claimed.id,
+          withdrawalReference: claimed.id,
+        },
+      }, { idempotencyKey: `payout:${claimed.id}` });
+    } catch (transferError) {
+      console.error(`Payout transfer error (${claimed.id}):`, transferError.message);
+      if (isRejection(transferError)) return failPayout(claimed, transferError.message);
+      return claimed;
+    }
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('payouts')
+    .update({ stripe_transfer_id: transfer.id, updated_at: new Date().toISOString() })
+    .eq('id', claimed.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+}
+
+async function findPayoutForTransfer(transfer) {
+  const payoutId = transfer.metadata?.payoutId;
+  const query = supabaseAdmin.from('payouts').select('*');
+  const { data } = payoutId
+    ? await query.eq('id', payoutId).maybeSingle()
+    : await query.eq('stripe_transfer_id', transfer.id).maybeSingle();
+  return data;
+}
+
+/**
+ * transfer.created – the money reached the Connect account.
+ */
+async function markPaid(transfer) {
+  const payout = await findPayoutForTransfer(transfer);
+  if (!payout) return { updated: false, reason: 'not_a_payout' };
+
+  const paid = await moveStatus(payout, OPEN_STATUSES, 'paid', {
+    stripe_transfer_id: transfer.id,
+    paid_at: new Date().toISOString(),
+  });
+  if (!paid) return { updated: false, reason: 'already_processed' };
+
+  await notify(
+    payout.user_id,
+    'Payout Sent 💸',
+    `${fx.formatMoney(payout.amount, payout.currency)} is on its way to your Stripe account.`,
+    'withdrawal_paid',
+    payout.id
+  );
+  return { updated: true };
+}
+
+/**
+ * transfer.reversed – some or all of a sent payout came back. amount_reversed
+ * is cumulative, so each partial reversal credits only its delta.
+ */
+async function markReversed(transfer) {
+  const payout = await findPayoutForTransfer(transfer);
+  if (!payout) return { restored: false, reason: 'not_a_payout' };
+
+  const reversedTotal = ledger.roundMoney((transfer.amount_reversed || transfer.amount) / 100);
+  const delta = ledger.roundMoney(Math.min(reversedTotal, Number(payout.amount)) - Number(payout.reversed_amount || 0));
+  if (delta <= 0) return { restored: false, reason: 'already_processed' };
+
+  const journal = await ledger.reverseWithdrawal({
+    walletId: payout.wallet_id,
+    amount: delta,
+    currency: payout.currency,
+    reference: payout.id,
+    reversalKey: Math.round(reversedTotal * 100),
+  });
+
+  const fullyReversed = reversedTotal >= Number(payout.amount);
+  await moveStatus(payout, [...OPEN_STATUSES, 'paid'], fullyReversed ? 'reversed' : 'paid', {
+    reversed_amount: ledger.roundMoney(Number(payout.reversed_amount || 0) + delta),
+    ...(fullyReversed && { reversed_at: new Date().toISOString() }),
+  });
+
+  if (!journal.duplicate) {
+    await notify(
+      payout.user_id,
+      'Payout Reversed',
+      `${fx.formatMoney(delta, payout.currency)} of your payout was reversed and returned to your wallet.`,
+      'withdrawal_reversed',
+      payout.id
+    );
+  }
+  return { restored: !journal.duplicate };
+}
+
+// ── Queries & settings ──────────────────────────────────────────────────────
+
+// Automatic payouts draw on payout_currency, else the preferred currency
+function payoutCurrencyOf(profile) {
+  const currency = [profile?.payout_currency, profile?.preferred_currency].find(fx.isSupportedCurrency);
+  return currency ? currency.toUpperCase() : fx.DEFAULT_CURRENCY;
+}
+
+async function listPayouts(userId, { limit = 50 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('payouts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('requested_at', { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 200));
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function getSettings(userId) {
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('payout_schedule, payout_threshold, payout_currency, preferred_currency')
+    .eq('id', userId)
+    .maybeSingle();
+
+  const currency = payoutCurrencyOf(profile);
+  const { amount: minimum } = await fx.convert(getMinimumUsd(), 'USD', currency);
+
+  return {
+    schedule: profile?.payout_schedule || 'manual',
+    threshold: Number(profile?.payout_threshold || 0),
+    currency,
+    minimum,
+    hold_days: getHoldDays(),
+    schedules: SCHEDULES,
+  };
+}
+
+/**
+ * Body: schedule?, threshold?, currency? (the wallet automatic payouts draw on)
+ */
+async function updateSettings(userId, body = {}) {
+  const update = {};
+
+  if (body.schedule !== undefined) {
+    if (!SCHEDULES.includes(body.schedule)) {
+      throw payoutError(`schedule must be one of: ${SCHEDULES.join(', ')}.`);
+    }
+    update.payout_schedule = body.schedule;
+  }
+  if (body.threshold !== undefined) {
+    const threshold = Number(body.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) throw payoutError('threshold must be a positive amount.');
+    update.payout_threshold = ledger.roundMoney(threshold);
+  }
+  if (body.currency !== undefined) {
+    try {
+      update.payout_currency = fx.normalizeCurrency(body.currency);
+    } catch (err) {
+      throw payoutError(err.message);
+    }
+  }
+  if (Object.keys(update).length === 0) throw payoutError('Nothing to update.');
+
+  const { error } = await supabaseAdmin.from('profiles').update(update).eq('id', userId);
+  if (error) throw error;
+  return getSettings(userId);
+}
+
+// ── Scheduler ───────────────────────────────────────────────────────────────
+
+function isDue(schedule, lastRequestedAt, now) {
+  if (!lastRequestedAt) return true;
+  const cutoff = schedule === 'weekly' ? subDays(now, 7) : subMonths(now, 1);
+  // An hour of slack so a cron that fires a little early still counts
+  return new Date(lastRequestedAt) <= addHours(cutoff, 1);
+}
+
+// Settle processing payouts whose webhook never came
+async function syncProcessingPayouts(now) {
+  const { data: stale, error } = await supabaseAdmin
+    .from('payouts')
+    .select('*')
+    .eq('status', 'processing')
+    .lt('processing_at', new Date(now.getTime() - SYNC_AFTER_MS).toISOString());
+
+  if (error) throw error;
+
+  let synced = 0;
+  for (const payout of stale || []) {
+    try {
+      if (!payout.stripe_transfer_id) {
+        await processPayout(payout);
+      } else {
+        const transfer = await stripe.transfers.retrieve(payout.stripe_transfer_id);
+        if (transfer.amount_reversed > 0) await markReversed(transfer);
+        if (transfer.amount_reversed < transfer.amount) await markPaid(transfer);
+      }
+      synced++;
+    } catch (err) {
+      console.error(`[payouts] sync error (${payout.id}):`, err.message);
+    }
+  }
+  return synced;
+}
+
+/**
+ * Request due automatic payouts and settle stale ones. Run daily.
+ * @returns {Promise<{ requested, skipped, failed, synced }>}
+ */
+async function runScheduledPayouts(now = new Date()) {
+  const results = { requested: 0, skipped: 0, failed: 0, synced: 0 };
+
+  // Payouts-enabled is only known for accounts read from Stripe
+  await stripeConnect.syncUnsyncedAccounts();
+
+  const { data: providers, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, payout_schedule, payout_threshold, payout_currency, preferred_currency')
+    .in('payout_schedule', ['weekly', 'monthly'])
+    .eq('stripe_payouts_enabled', true);
+
+  if (error) throw error;
+
+  for (const provider of providers || []) {
+    const { data: last } = await supabaseAdmin
+      .from('payouts')
+      .select('requested_at')
+      .eq('user_id', provider.id)
+      .eq('source', 'scheduled')
+      .order('requested_at', { ascending: false })
+      .limit(1);
+
+    if (!isDue(provider.payout_schedule, last?.[0]?.requested_at, now)) {
+      results.skipped++;
+      continue;
+    }
+
+    try {
+      const currency = payoutCurrencyOf(provider);
+      const wallet = await ledger.ensureWallet(provider.id, currency);
+      const funds = await getAvailableBalance(wallet);
+
+      if (funds.available < Math.max(funds.minimum, Number(provider.payout_threshold || 0))) {
+        results.skipped++;
+        continue;
+      }
+
+      const payout = await requestPayout({ userId: provider.id, currency, source: 'scheduled' });
+      const processed = await processPayout(payout);
+      if (processed.status === 'failed') results.failed++;
+      else results.requested++;
+    } catch (err) {
+      if (isPayoutError(err)) {
+        results.skipped++;
+      } else {
+        results.failed++;
+        console.error(`[payouts] scheduled payout error (${provider.id}):`, err.message);
+      }
+    }
+  }
+
+  results.synced = await syncProcessingPayouts(now);
+  return results;
+}
+
+module.exports = {
+  SCHEDULES,
+  isPayoutError,
+  getAvailableBalance,
+  requestPayout,
+  processPayout,
+  markPaid,
+  markReversed,
+  listPayouts,
+  getSettings,
+  updateSettings,
+  runScheduledPayouts,
+};
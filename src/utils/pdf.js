@@ -0,0 +1,320 @@
+/**
+ * pdf.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Minimal PDF writer for documents generated on the server (wallet
+ * statements, invoices, chat transcripts). Text only, on a grid of 0.6 em
+ * cells so tables can be laid out by padding columns; A4 pages break
+ * automatically and get a "Page n of m" footer.
+ *
+ * By default text is set in the built-in Courier font, which only covers
+ * Latin-1: Georgian and Russian letters are transliterated to Latin ones and
+ * anything else prints as '?'.
+ *
+ * With `unicode: true` the text is printed as it is, in subsets of Noto Sans
+ * Mono (Latin, Cyrillic) and Noto Sans Georgian embedded as Type0 fonts (see
+ * truetype.js). Georgian is proportional, so each letter is centred in its
+ * cell and narrowed if it is wider. Without the font packages the writer
+ * falls back to Courier.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const truetype = require('./truetype');
+
+const PAGE = { width: 595, height: 842, margin: 40 };
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+// Courier glyphs are 0.6 em wide
+const CHARS_PER_LINE = Math.floor((PAGE.width - 2 * PAGE.margin) / (FONT_SIZE * 0.6));
+const LINES_PER_PAGE = Math.floor((PAGE.height - 2 * PAGE.margin) / LINE_HEIGHT) - 2;
+// Width of a cell in font units (1/1000 em)
+const CELL_WIDTH = 600;
+
+// Embedded faces per style, in the order they are tried for each character
+const UNICODE_FONT_FILES = {
+  regular: [
+    ['@expo-google-fonts/noto-sans-mono', '400Regular/NotoSansMono_400Regular.ttf'],
+    ['@expo-google-fonts/noto-sans-georgian', '400Regular/NotoSansGeorgian_400Regular.ttf'],
+  ],
+  bold: [
+    ['@expo-google-fonts/noto-sans-mono', '700Bold/NotoSansMono_700Bold.ttf'],
+    ['@expo-google-fonts/noto-sans-georgian', '700Bold/NotoSansGeorgian_700Bold.ttf'],
+  ],
+};
+
+// Georgian (national system) and Russian letters in Latin script. The
+// moderation mask (•••) becomes ***.
+const TRANSLITERATION = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+  л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+  ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  ა: 'a', ბ: 'b', გ: 'g', დ: 'd', ე: 'e', ვ: 'v', ზ: 'z', თ: 't', ი: 'i', კ: "k'", ლ: 'l', მ: 'm',
+  ნ: 'n', ო: 'o', პ: "p'", ჟ: 'zh', რ: 'r', ს: 's', ტ: "t'", უ: 'u', ფ: 'p', ქ: 'k', ღ: 'gh',
+  ყ: "q'", შ: 'sh', ჩ: 'ch', ც: 'ts', ძ: 'dz', წ: "ts'", ჭ: "ch'", ხ: 'kh', ჯ: 'j', ჰ: 'h',
+};
+
+/**
+ * Text in letters the built-in fonts can draw. Transliterate before
+ * measuring or padding: the Latin spelling can be longer.
+ */
+function transliterate(text) {
+  // Ა-Ჿ is Georgian Mtavruli (capitals), which lower-cases to ა-ჿ
+  return String(text ?? '').replace(/•/g, '*').replace(/[Ѐ-ӿა-ჿᲐ-Ჿ]/g, (letter) => {
+    const lower = letter.toLowerCase();
+    const latin = TRANSLITERATION[lower];
+    if (latin === undefined) return letter;
+    return letter !== lower && latin ? latin[0].toUpperCase() + latin.slice(1) : latin;
+  });
+}
+
+function escapeText(text) {
+  return transliterate(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+// A number for the content stream
+const num = (value) => String(Number(value.toFixed(3)));
+
+// A glyph id as written in Identity-H strings and CMaps
+const glyphHex = (glyph) => glyph.toString(16).toUpperCase().padStart(4, '0');
+
+// ── Embedded fonts ──────────────────────────────────────────────────────────
+
+let unicodeFonts;
+
+// Parsed once, on first use; null when the font packages are missing
+function loadUnicodeFonts() {
+  if (unicodeFonts !== undefined) return unicodeFonts;
+  try {
+    const load = ([pkg, file]) => truetype.parseFont(
+      fs.readFileSync(path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file))
+    );
+    unicodeFonts = { regular: UNICODE_FONT_FILES.regular.map(load), bold: UNICODE_FONT_FILES.bold.map(load) };
+  } catch (err) {
+    console.error('PDF fonts unavailable, falling back to transliteration:', err.message);
+    unicodeFonts = null;
+  }
+  return unicodeFonts;
+}
+
+/**
+ * True when `unicode` PDFs can embed their fonts. When false they are
+ * transliterated like the others.
+ */
+const hasUnicodeFonts = () => loadUnicodeFonts() !== null;
+
+// The faces of one document, with the glyphs it uses from each
+function documentFaces(fonts) {
+  const faces = (style) => fonts[style].map((font) => ({ font, bold: style === 'bold', used: new Map() }));
+  const all = [...faces('regular'), ...faces('bold')];
+  all.forEach((face, i) => { face.name = `F${i + 1}`; });
+  return { regular: all.filter((face) => !face.bold), bold: all.filter((face) => face.bold), all };
+}
+
+/**
+ * Operators drawing one line in the embedded faces. Cell-wide glyphs are
+ * written in runs; anything else gets its own cell.
+ */
+function unicodeText(text, faces, { x, y, size }) {
+  const ops = [];
+  let currentFace = null;
+  let run = null;
+  const select = (face) => {
+    if (face !== currentFace) ops.push(`/${face.name} ${size} Tf`);
+    currentFace = face;
+  };
+  const flush = () => {
+    if (!run) return;
+    select(run.face);
+    ops.push(`1 0 0 1 ${num(run.x)} ${num(y)} Tm <${run.glyphs.join('')}> Tj`);
+    run = null;
+  };
+
+  [...String(text ?? '').normalize('NFC')].slice(0, CHARS_PER_LINE).forEach((char, column) => {
+    const cellX = x + (column * size * CELL_WIDTH) / 1000;
+    let face = faces.find((f) => f.font.glyphFor(char.codePointAt(0)));
+    let shown = char;
+    if (!face) [face, shown] = [faces[0], '?'];
+    const glyph = face.font.glyphFor(shown.codePointAt(0));
+    if (!face.used.has(glyph)) face.used.set(glyph, shown);
+    const hex = glyphHex(glyph);
+
+    const width = face.font.widthOf(glyph);
+    if (width === CELL_WIDTH) {
+      if (run?.face !== face) {
+        flush();
+        run = { face, x: cellX, glyphs: [] };
+      }
+      run.glyphs.push(hex);
+      return;
+    }
+    flush();
+    const scale = width > CELL_WIDTH ? CELL_WIDTH / width : 1;
+    select(face);
+    ops.push(`${num(scale)} 0 0 1 ${num(cellX + (((CELL_WIDTH - width * scale) / 2) * size) / 1000)} ${num(y)} Tm <${hex}> Tj`);
+  });
+  flush();
+  return ops.join(' ');
+}
+
+// ToUnicode CMap, so the text can be searched and copied
+function toUnicodeCMap(used) {
+  const entries = [...used].sort(([a], [b]) => a - b).map(([glyph, char]) => (
+    `<${glyphHex(glyph)}> <${Buffer.from(char, 'utf16le').swap16().toString('hex').toUpperCase()}>`
+  ));
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /defineresource pop',
+    'end',
+    'end',
+  ].join('\n');
+}
+
+const stream = (data, dictionary = '') => `<< /Length ${Buffer.byteLength(data, 'latin1')}${dictionary} >>\nstream\n${data}\nendstream`;
+
+/**
+ * Add the objects for an embedded face: a Type0 font over a CIDFontType2
+ * subset, with widths and a ToUnicode map. Returns the Type0 font's id.
+ */
+function addFace(face, add) {
+  const { font } = face;
+  const glyphs = [...face.used.keys()].sort((a, b) => a - b);
+  const subset = truetype.subsetFont(font, glyphs);
+  // Subsets are named with a tag of six capitals (ISO 32000-1, 9.6.4)
+  const digest = crypto.createHash('sha1').update(`${font.postScriptName}:${glyphs.join(',')}`).digest();
+  const baseFont = `${[...digest.subarray(0, 6)].map((byte) => String.fromCharCode(65 + (byte % 26))).join('')}+${font.postScriptName}`;
+
+  const fileId = add(stream(zlib.deflateSync(subset).toString('latin1'), ` /Length1 ${subset.length} /Filter /FlateDecode`));
+  const descriptorId = add(
+    `<< /Type /FontDescriptor /FontName /${baseFont} /Flags ${font.fixedPitch ? 5 : 4}`
+    + ` /FontBBox [${font.bbox.join(' ')}] /ItalicAngle 0 /Ascent ${font.ascent} /Descent ${font.descent}`
+    + ` /CapHeight ${font.capHeight} /StemV ${face.bold ? 120 : 80} /FontFile2 ${fileId} 0 R >>`
+  );
+  const widths = glyphs.map((glyph) => `${glyph} [${font.widthOf(glyph)}]`).join(' ');
+  const cidFontId = add(
+    `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont}`
+    + ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>'
+    + ` /FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity /W [${widths}] >>`
+  );
+  const toUnicodeId = add(stream(toUnicodeCMap(face.used)));
+  return add(
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H`
+    + ` /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+  );
+}
+
+// ── Document ────────────────────────────────────────────────────────────────
+
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+// Courier text: F1 regular, F2 bold
+function builtInText(text, { bold, x, y, size }) {
+  return `/${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapeText(transliterate(text || '').slice(0, CHARS_PER_LINE))}) Tj`;
+}
+
+function pageStream(lines, pageNumber, pageCount, drawText) {
+  const ops = lines.map((line, i) => {
+    const { text, bold } = typeof line === 'string' ? { text: line } : line;
+    const y = PAGE.height - PAGE.margin - (i + 1) * LINE_HEIGHT;
+    return `BT ${drawText(text, { bold, x: PAGE.margin, y, size: FONT_SIZE })} ET`;
+  });
+  const footer = `Page ${pageNumber} of ${pageCount}`;
+  ops.push(`BT ${drawText(footer, { x: PAGE.margin, y: PAGE.margin - LINE_HEIGHT, size: FONT_SIZE - 1 })} ET`);
+  return ops.join('\n');
+}
+
+// Document metadata string; UTF-16 when it holds more than Latin-1
+function infoText(text, unicode) {
+  if (!unicode) return `(${escapeText(text)})`;
+  return `<FEFF${Buffer.from(String(text), 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * Render lines of text to a PDF.
+ *
+ * @param {Array<string|{ text: string, bold?: boolean }>} lines
+ * @param {object} [options]
+ * @param {string} [options.title] - document title (metadata)
+ * @param {boolean} [options.unicode] - embed fonts and print the text as it is
+ * @returns {Buffer}
+ */
+function renderPdf(lines, { title = '', unicode = false } = {}) {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  const fonts = unicode ? loadUnicodeFonts() : null;
+  const faces = fonts && documentFaces(fonts);
+  const drawText = faces
+    ? (text, { bold, ...position }) => unicodeText(text, bold ? faces.bold : faces.regular, position)
+    : builtInText;
+  const streams = pages.map((pageLines, i) => pageStream(pageLines, i + 1, pages.length, drawText));
+
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontResources = faces
+    ? faces.all.filter((face) => face.used.size > 0).map((face) => `/${face.name} ${addFace(face, add)} 0 R`)
+    : [
+      `/F1 ${add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>')} 0 R`,
+      `/F2 ${add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>')} 0 R`,
+    ];
+
+  const pageIds = streams.map((content) => {
+    const contentId = add(stream(content));
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}]`
+      + ` /Resources << /Font << ${fontResources.join(' ')} >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title ${infoText(title, Boolean(faces))} /CreationDate (${pdfDate(new Date())}) >>`);
+
+  // The comment's high bytes mark the file as binary (embedded fonts)
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  out += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = {
+  CHARS_PER_LINE,
+  hasUnicodeFonts,
+  renderPdf,
+  transliterate,
+};
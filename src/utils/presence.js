@@ -0,0 +1,110 @@
+/**
+ * presence.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Last seen, online status and typing (see migrations/20261019_23_chat_presence.sql).
+ *
+ * profiles.last_seen_at moves forward whenever a user is active in chat or
+ * the app sends a heartbeat (PUT /users/presence); writes are throttled to
+ * one per LAST_SEEN_THROTTLE_MS. A user counts as online for ONLINE_WINDOW_MS
+ * after that. Users with show_last_seen off neither show nor see either.
+ *
+ * Typing lives in chat_activity, which is on the realtime publication: the
+ * app sets it while the user types and clears it on send. A typing flag that
+ * is never cleared runs out after TYPING_TTL_MS.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const LAST_SEEN_THROTTLE_MS = 30 * 1000;
+const ONLINE_WINDOW_MS = 2 * 60 * 1000;
+const TYPING_TTL_MS = 8 * 1000;
+
+/**
+ * Record that `userId` is active now. Never throws: presence is best effort.
+ */
+async function touchLastSeen(userId) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LAST_SEEN_THROTTLE_MS).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update({ last_seen_at: now.toISOString() })
+    .eq('id', userId)
+    .or(`last_seen_at.is.null,last_seen_at.lt.${staleBefore}`);
+
+  if (error) console.error(`Last seen update error (${userId}):`, error.message);
+}
+
+/**
+ * What `viewer` may see of `profile`'s presence. Both are profile rows with
+ * last_seen_at and show_last_seen.
+ * @returns {{ is_online: boolean|null, last_seen_at: string|null }}
+ */
+function presenceOf(profile, viewer, now = new Date()) {
+  const visible = profile?.show_last_seen !== false && viewer?.show_last_seen !== false;
+  if (!visible) return { is_online: null, last_seen_at: null };
+
+  const lastSeen = profile?.last_seen_at ? new Date(profile.last_seen_at) : null;
+  return {
+    is_online: !!lastSeen && now.getTime() - lastSeen.getTime() < ONLINE_WINDOW_MS,
+    last_seen_at: profile?.last_seen_at || null,
+  };
+}
+
+/**
+ * Presence of several users as `viewerId` may see it.
+ * @returns {Promise<Map<string, { is_online, last_seen_at }>>}
+ */
+async function loadPresence(userIds, viewerId) {
+  const ids = [...new Set([...userIds, viewerId])];
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, last_seen_at, show_last_seen')
+    .in('id', ids);
+
+  if (error) throw error;
+  const profiles = new Map((data || []).map((profile) => [profile.id, profile]));
+  const viewer = profiles.get(viewerId);
+  return new Map(userIds.map((id) => [id, presenceOf(profiles.get(id), viewer)]));
+}
+
+/**
+ * Start (or, with `typing` false, stop) showing `userId` as typing in a
+ * conversation (booking or inquiry id).
+ */
+async function setTyping(conversationId, userId, typing) {
+  const now = new Date();
+  const { error } = await supabaseAdmin
+    .from('chat_activity')
+    .upsert({
+      conversation_id: conversationId,
+      user_id: userId,
+      typing_until: typing ? new Date(now.getTime() + TYPING_TTL_MS).toISOString() : null,
+      updated_at: now.toISOString(),
+    }, { onConflict: 'conversation_id,user_id' });
+
+  if (error) throw error;
+}
+
+/**
+ * Ids of the users typing in a conversation right now.
+ */
+async function typingIn(conversationId) {
+  const { data, error } = await supabaseAdmin
+    .from('chat_activity')
+    .select('user_id')
+    .eq('conversation_id', conversationId)
+    .gt('typing_until', new Date().toISOString());
+
+  if (error) throw error;
+  return (data || []).map((row) => row.user_id);
+}
+
+module.exports = {
+  TYPING_TTL_MS,
+  touchLastSeen,
+  presenceOf,
+  loadPresence,
+  setTyping,
+  typingIn,
+};
@@ -0,0 +1,238 @@
+/**
+ * pricing.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Server-side booking prices. The client never sends an amount: it asks for a
+ * quote (POST /bookings/quote), gets back a breakdown plus a signed,
+ * short-lived token, and POST /bookings only accepts that token.
+ *
+ *   base         – service price (× duration_hours for hourly services)
+ *   options      – selected service_options, charged once each
+ *   discount     – promo code, if any (paid by the platform, see promos.js)
+ *   platform_fee – BOOKING_PLATFORM_FEE_RATE of the discounted subtotal
+ *   total        – what is held in escrow, in the service currency
+ *   payment      – what the client's wallet pays: the total converted into
+ *                  their currency at the rate locked in the quote
+ *
+ * Tokens are `<base64url payload>.<base64url HMAC-SHA256>` signed with
+ * QUOTE_SIGNING_SECRET.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { roundMoney } = require('./ledger');
+const fx = require('./fx');
+const promos = require('./promos');
+
+const QUOTE_TTL_MS = 15 * 60 * 1000;
+const MAX_DURATION_HOURS = 24;
+
+const getPlatformFeeRate = () => {
+  const rate = Number(process.env.BOOKING_PLATFORM_FEE_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : 0;
+};
+
+function pricingError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'PRICING';
+  err.status = status;
+  return err;
+}
+
+// A secret of its own: quote signatures must not depend on any other
+// credential. Read per call so a missing one only breaks quoting and booking.
+function getSigningSecret() {
+  const secret = process.env.QUOTE_SIGNING_SECRET;
+  if (!secret) {
+    console.error('Error: QUOTE_SIGNING_SECRET is missing in .env file.');
+    throw pricingError('Booking prices are unavailable right now.', 500);
+  }
+  return secret;
+}
+
+/**
+ * True when a quote could not be built or verified. `err.status` is the HTTP
+ * status to return.
+ */
+const isPricingError = (err) => err?.code === 'PRICING';
+
+// ── Promo codes ─────────────────────────────────────────────────────────────
+
+/**
+ * Discount for a promo code on a given subtotal (see promos.js). The code is
+ * only checked here; POST /bookings redeems it.
+ */
+async function resolvePromoDiscount(promoCode, { subtotal, service, clientId }) {
+  if (!promoCode) return { discount: 0, promo: null };
+  try {
+    return await promos.validate({
+      code: promoCode,
+      userId: clientId,
+      target: 'booking',
+      amount: subtotal,
+      currency: (service.currency || 'USD').toUpperCase(),
+    });
+  } catch (err) {
+    if (promos.isPromoError(err) || fx.isFxError(err)) throw pricingError(err.message, err.status);
+    throw err;
+  }
+}
+
+// ── Quotes ──────────────────────────────────────────────────────────────────
+
+function pickOptions(service, selectedOptions = []) {
+  const available = Array.isArray(service.service_options) ? service.service_options : [];
+  const wanted = Array.isArray(selectedOptions) ? selectedOptions : [];
+
+  return wanted.map((selection) => {
+    const key = typeof selection === 'object' && selection !== null ? (selection.id ?? selection.name) : selection;
+    const option = available.find((o) => (o.id != null && String(o.id) === String(key)) || o.name === key);
+    if (!option) throw pricingError(`Unknown service option: ${key}`);
+    return { id: option.id ?? null, name: option.name, price: roundMoney(option.price) };
+  });
+}
+
+/**
+ * Price a booking request.
+ *
+ * @param {object}  params
+ * @param {string}  params.clientId
+ * @param {string}  params.serviceId
+ * @param {string}  params.scheduledTime
+ * @param {number}  [params.durationHours]  - hourly services only (default 1)
+ * @param {Array}   [params.options]        - service_options ids or names
+ * @param {string}  [params.promoCode]
+ * @param {boolean} [params.skillSwap]      - $0 swap booking, if the service allows it
+ * @param {string}  [params.payCurrency]    - wallet currency to pay from (default: the client's preferred currency)
+ * @returns {Promise<{ quote: object, token: string }>}
+ */
+async function createQuote({ clientId, serviceId, scheduledTime, durationHours, options, promoCode = null, skillSwap = false, payCurrency = null }) {
+  if (!serviceId || !scheduledTime) {
+    throw pricingError('Service ID and scheduled time are required.');
+  }
+  if (Number.isNaN(new Date(scheduledTime).getTime())) {
+    throw pricingError('Invalid scheduled time.');
+  }
+
+  const { data: service, error } = await supabaseAdmin
+    .from('services')
+    .select('id, provider_id, title, price, currency, pricing_type, service_options, is_skill_swap_available, status')
+    .eq('id', serviceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!service) throw pricingError('Service not found.', 404);
+  if (service.provider_id === clientId) throw pricingError('You cannot book your own service.');
+  if (service.status && service.status !== 'active') throw pricingError('This service is not currently bookable.');
+
+  const isHourly = service.pricing_type === 'hourly';
+  let hours = null;
+  if (isHourly) {
+    hours = durationHours === undefined || durationHours === null ? 1 : Number(durationHours);
+    if (!(hours > 0) || hours > MAX_DURATION_HOURS || (hours * 2) % 1 !== 0) {
+      throw pricingError(`duration_hours must be a multiple of 0.5 between 0.5 and ${MAX_DURATION_HOURS}.`);
+    }
+  }
+
+  const selectedOptions = pickOptions(service, options);
+  const unitPrice = roundMoney(service.price);
+  const base = roundMoney(isHourly ? unitPrice * hours : unitPrice);
+  const optionsTotal = roundMoney(selectedOptions.reduce((sum, o) => sum + o.price, 0));
+
+  let subtotal = roundMoney(base + optionsTotal);
+  let discount = 0;
+  let promo = null;
+  let platformFee = 0;
+
+  if (skillSwap) {
+    if (!service.is_skill_swap_available) throw pricingError('This service is not available for skill swap.');
+    subtotal = 0;
+  } else {
+    ({ discount, promo } = await resolvePromoDiscount(promoCode, { subtotal, service, clientId }));
+    discount = roundMoney(Math.min(discount, subtotal));
+    platformFee = roundMoney((subtotal - discount) * getPlatformFeeRate());
+  }
+
+  const currency = (service.currency || 'USD').toUpperCase();
+  const total = roundMoney(subtotal - discount + platformFee);
+
+  let payment;
+  try {
+    const paymentCurrency = await fx.resolveUserCurrency(clientId, payCurrency, currency);
+    const { rate, source } = await fx.getRate(currency, paymentCurrency);
+    payment = { currency: paymentCurrency, amount: roundMoney(total * rate), fx_rate: rate, fx_source: source };
+  } catch (err) {
+    if (fx.isFxError(err)) throw pricingError(err.message, err.status);
+    throw err;
+  }
+
+  const quote = {
+    v: 1,
+    client_id: clientId,
+    service_id: service.id,
+    provider_id: service.provider_id,
+    scheduled_time: new Date(scheduledTime).toISOString(),
+    pricing_type: service.pricing_type || null,
+    duration_hours: hours,
+    currency,
+    skill_swap: !!skillSwap,
+    breakdown: {
+      unit_price: unitPrice,
+      base: skillSwap ? 0 : base,
+      options: skillSwap ? [] : selectedOptions,
+      options_total: skillSwap ? 0 : optionsTotal,
+      subtotal,
+      discount,
+      promo_code: promo ? promo.code : null,
+      platform_fee: platformFee,
+    },
+    total,
+    payment,
+    expires_at: new Date(Date.now() + QUOTE_TTL_MS).toISOString(),
+  };
+
+  return { quote, token: signQuote(quote) };
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+}
+
+function signQuote(quote) {
+  const payload = Buffer.from(JSON.stringify(quote)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a quote token for `clientId` and return the quote it carries.
+ * Throws a pricing error if it was tampered with, expired or issued to
+ * someone else.
+ */
+function verifyQuote(token, clientId) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) throw pricingError('A valid quote is required. Request one from /bookings/quote.');
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw pricingError('Invalid quote.');
+  }
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw pricingError('Invalid quote.');
+  }
+
+  if (quote.client_id !== clientId) throw pricingError('This quote was issued to another user.', 403);
+  if (new Date(quote.expires_at) < new Date()) throw pricingError('Quote expired. Please request a new one.', 410);
+  return quote;
+}
+
+module.exports = {
+  QUOTE_TTL_MS,
+  getPlatformFeeRate,
+  isPricingError,
+  createQuote,
+  verifyQuote,
+};
@@ -0,0 +1,243 @@
+/**
+ * promos.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Admin-managed promo codes (see /admin/promo-codes and
+ * migrations/20261019_17_promo_referrals.sql).
+ *
+ * A code takes a percentage (capped by max_discount) or a fixed amount off a
+ * booking, subscription or boost. Fixed amounts and caps are in the code's
+ * currency and converted at the current rate. A code can be limited to a
+ * window (starts_at / expires_at), a number of uses overall
+ * (max_redemptions) and per user (per_user_limit).
+ *
+ * Checkout first validates the code to show the discount, then redeems it
+ * once the purchase row exists; redeem_promo_code() re-checks every limit
+ * under a row lock so concurrent checkouts cannot exceed them. If the
+ * purchase fails or a booking is cancelled the redemption is released and
+ * stops counting.
+ *
+ * Booking discounts are paid by the platform: the provider earns on the
+ * undiscounted price (see ledger.releaseBookingFunds `subsidy`).
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { roundMoney } = require('./ledger');
+const fx = require('./fx');
+
+const TARGETS = ['booking', 'subscription', 'boost'];
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const PROMO_FIELDS = [
+  'code', 'description', 'discount_type', 'discount_value', 'currency', 'max_discount', 'applies_to',
+  'starts_at', 'expires_at', 'max_redemptions', 'per_user_limit', 'is_active',
+];
+
+// What redeem_promo_code() raises, as shown to the user
+const REFUSALS = {
+  PROMO_INVALID: ['Invalid promo code.', 400],
+  PROMO_NOT_STARTED: ['This promo code is not active yet.', 400],
+  PROMO_EXPIRED: ['This promo code has expired.', 400],
+  PROMO_NOT_APPLICABLE: ['This promo code does not apply to this purchase.', 400],
+  PROMO_EXHAUSTED: ['This promo code has reached its usage limit.', 409],
+  PROMO_USER_LIMIT: ['You have already used this promo code.', 409],
+};
+
+function promoError(message, status = 400, details = {}) {
+  const err = new Error(message);
+  err.code = 'PROMO';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a promo code was refused or an admin payload rejected.
+ * `err.status` is the HTTP status.
+ */
+const isPromoError = (err) => err?.code === 'PROMO';
+
+const refusal = (reason) => promoError(...REFUSALS[reason], { reason: reason.toLowerCase() });
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// ── Checking ────────────────────────────────────────────────────────────────
+
+async function findByCode(code) {
+  const { data, error } = await supabaseAdmin
+    .from('promo_codes')
+    .select('*')
+    .eq('code', normalizeCode(code))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function countUserRedemptions(promoId, userId) {
+  const { count, error } = await supabaseAdmin
+    .from('promo_redemptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_id', promoId)
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Same checks as redeem_promo_code(), without taking a use
+async function checkUsable(promo, { userId, target, now = new Date() }) {
+  if (!promo || !promo.is_active) throw refusal('PROMO_INVALID');
+  if (promo.starts_at && new Date(promo.starts_at) > now) throw refusal('PROMO_NOT_STARTED');
+  if (promo.expires_at && new Date(promo.expires_at) <= now) throw refusal('PROMO_EXPIRED');
+  if (!(promo.applies_to || []).includes(target)) throw refusal('PROMO_NOT_APPLICABLE');
+  if (promo.max_redemptions && promo.redemption_count >= promo.max_redemptions) throw refusal('PROMO_EXHAUSTED');
+  if (promo.per_user_limit && await countUserRedemptions(promo.id, userId) >= promo.per_user_limit) {
+    throw refusal('PROMO_USER_LIMIT');
+  }
+}
+
+/**
+ * How much a promo takes off `amount` `currency`, never more than the amount.
+ */
+async function computeDiscount(promo, amount, currency) {
+  const toCurrency = async (value) => (await fx.convert(value, promo.currency || fx.DEFAULT_CURRENCY, currency)).amount;
+
+  let discount = promo.discount_type === 'percent'
+    ? roundMoney(Number(amount) * Number(promo.discount_value) / 100)
+    : await toCurrency(promo.discount_value);
+  if (promo.max_discount) discount = Math.min(discount, await toCurrency(promo.max_discount));
+  return roundMoney(Math.min(Math.max(discount, 0), Number(amount)));
+}
+
+// What a client may see about a code
+const describe = (promo) => ({
+  code: promo.code,
+  description: promo.description || null,
+  discount_type: promo.discount_type,
+  discount_value: Number(promo.discount_value),
+  currency: promo.currency,
+  max_discount: promo.max_discount !== null && promo.max_discount !== undefined ? Number(promo.max_discount) : null,
+  expires_at: promo.expires_at || null,
+});
+
+/**
+ * Check that `userId` may use `code` on a `target` purchase of `amount`
+ * `currency` and work out the discount. Takes no use; see redeem().
+ * @returns {Promise<{ promo: object, discount: number }>}
+ */
+async function validate({ code, userId, target, amount, currency, now = new Date() }) {
+  if (!TARGETS.includes(target)) throw promoError(`Unknown promo target "${target}".`);
+  const promo = normalizeCode(code) ? await findByCode(code) : null;
+  await checkUsable(promo, { userId, target, now });
+
+  const discount = await computeDiscount(promo, amount, currency);
+  return { promo: describe(promo), discount };
+}
+
+// ── Redemption ──────────────────────────────────────────────────────────────
+
+/**
+ * Record a use of `code` for a purchase that now exists. Throws a promo error
+ * if a limit was reached since validate().
+ */
+async function redeem({ code, userId, target, targetId, discount, currency }) {
+  const { data, error } = await supabaseAdmin.rpc('redeem_promo_code', {
+    p_code: normalizeCode(code),
+    p_user_id: userId,
+    p_target_type: target,
+    p_target_id: String(targetId),
+    p_discount_amount: roundMoney(discount),
+    p_currency: currency,
+  });
+
+  if (error) {
+    const reason = Object.keys(REFUSALS).find((key) => String(error.message || '').includes(key));
+    if (reason) throw refusal(reason);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Give back the use recorded for a purchase that failed or was cancelled.
+ * Safe to call when nothing was redeemed.
+ */
+async function release(target, targetId) {
+  const { error } = await supabaseAdmin.rpc('release_promo_redemption', {
+    p_target_type: target,
+    p_target_id: String(targetId),
+  });
+  if (error) console.error(`[promos] release error (${target} ${targetId}):`, error.message);
+}
+
+// ── Admin ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validate and pick the writable fields of a promo code payload.
+ * `partial` allows updates that only touch some fields.
+ */
+function sanitizePromo(body = {}, { partial = false } = {}) {
+  const data = {};
+  PROMO_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) data[key] = body[key] === '' ? null : body[key];
+  });
+
+  if (!partial || data.code !== undefined) {
+    data.code = normalizeCode(data.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(data.code)) {
+      throw promoError('code must be 3-32 letters, digits, dashes or underscores.');
+    }
+  }
+  if (!partial || data.discount_type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(data.discount_type)) throw promoError('discount_type must be percent or fixed.');
+  }
+  if (!partial || data.discount_value !== undefined) {
+    const value = Number(data.discount_value);
+    if (!(value > 0)) throw promoError('discount_value must be greater than 0.');
+    if (data.discount_type === 'percent' && value > 100) throw promoError('A percent discount cannot exceed 100.');
+    data.discount_value = roundMoney(value);
+  }
+  if (data.currency !== undefined) {
+    if (!fx.isSupportedCurrency(data.currency)) throw promoError('Unsupported currency.');
+    data.currency = fx.normalizeCurrency(data.currency);
+  }
+  if (data.max_discount !== undefined && data.max_discount !== null) {
+    if (!(Number(data.max_discount) > 0)) throw promoError('max_discount must be greater than 0.');
+    data.max_discount = roundMoney(data.max_discount);
+  }
+  if (data.applies_to !== undefined) {
+    const targets = Array.isArray(data.applies_to) ? data.applies_to : [data.applies_to];
+    if (targets.length === 0 || targets.some((t) => !TARGETS.includes(t))) {
+      throw promoError(`applies_to must list some of: ${TARGETS.join(', ')}.`);
+    }
+    data.applies_to = [...new Set(targets)];
+  }
+  ['max_redemptions', 'per_user_limit'].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null) {
+      if (!Number.isInteger(Number(data[key])) || Number(data[key]) < 1) throw promoError(`${key} must be a positive integer.`);
+      data[key] = Number(data[key]);
+    }
+  });
+  if (data.is_active !== undefined && typeof data.is_active !== 'boolean') {
+    throw promoError('is_active must be true or false.');
+  }
+  ['starts_at', 'expires_at'].forEach((key) => {
+    if (data[key] && Number.isNaN(new Date(data[key]).getTime())) throw promoError(`${key} must be a timestamp.`);
+  });
+  if (data.starts_at && data.expires_at && new Date(data.expires_at) <= new Date(data.starts_at)) {
+    throw promoError('expires_at must be after starts_at.');
+  }
+  return data;
+}
+
+module.exports = {
+  TARGETS,
+  isPromoError,
+  normalizeCode,
+  computeDiscount,
+  validate,
+  redeem,
+  release,
+  sanitizePromo,
+};
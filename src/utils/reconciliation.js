@@ -0,0 +1,335 @@
+/**
+ * reconciliation.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Nightly check that the money the platform records adds up, per currency:
+ *
+ *   ledger_identity – wallets + every system account sum to zero
+ *   account_drift   – a system account balance matches its ledger entries
+ *   wallet_drift    – a wallet balance matches its ledger entries
+ *   escrow          – the escrow account equals the price of open bookings
+ *   stripe_balance  – Stripe holds what the ledger says went through it
+ *                     (−stripe_clearing), within RECONCILIATION_TOLERANCE
+ *
+ * Each run is stored in `reconciliation_runs` with a per-currency summary, and
+ * every failed check becomes a `reconciliation_discrepancies` row whose
+ * details point at the bookings, wallets, transactions or payouts involved.
+ * Admins are notified when a run finds something.
+ *
+ * The Stripe side comes from stripeAdapter.js, so runs can use a mock.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const stripeAdapter = require('./stripeAdapter');
+
+// Bookings whose price is still held in escrow
+const ESCROW_STATUSES = ['pending', 'confirmed', 'disputed'];
+const DRILL_DOWN_LIMIT = 50;
+
+const getTolerance = () => (process.env.RECONCILIATION_TOLERANCE !== undefined
+  ? Math.max(0, Number(process.env.RECONCILIATION_TOLERANCE) || 0)
+  : 0.01);
+
+const round = ledger.roundMoney;
+const { readAll } = ledger;
+const differs = (a, b, tolerance = 0) => Math.abs(round(a) - round(b)) > tolerance;
+
+const sumBy = (rows, keyOf, amountOf) => rows.reduce((totals, row) => {
+  const key = keyOf(row);
+  totals[key] = round((totals[key] || 0) + amountOf(row));
+  return totals;
+}, {});
+
+// ── Checks ──────────────────────────────────────────────────────────────────
+
+async function recentTransactions(walletId) {
+  const { data } = await supabaseAdmin
+    .from('transactions')
+    .select('id, type, amount, status, description, journal_id, created_at')
+    .eq('wallet_id', walletId)
+    .order('created_at', { ascending: false })
+    .limit(20);
+  return data || [];
+}
+
+async function checkWalletDrift() {
+  const drift = await ledger.getWalletDrift();
+  return Promise.all(drift.map(async (wallet) => ({
+    kind: 'wallet_drift',
+    currency: wallet.currency || null,
+    expected: Number(wallet.ledger_balance),
+    actual: Number(wallet.stored_balance),
+    details: {
+      wallet_id: wallet.wallet_id,
+      user_id: wallet.user_id,
+      transactions: await recentTransactions(wallet.wallet_id),
+    },
+  })));
+}
+
+async function checkAccountDrift() {
+  const drift = await ledger.getAccountDrift();
+  return drift.map((row) => ({
+    kind: 'account_drift',
+    currency: row.currency,
+    expected: Number(row.ledger_balance),
+    actual: Number(row.stored_balance),
+    details: { account_code: row.account_code },
+  }));
+}
+
+// What escrow each booking should hold next to what the ledger holds for it.
+// Series holds are one journal for all occurrences, so every occurrence of a
+// held series counts as funded by it.
+async function escrowMismatches(bookings, currency) {
+  const entries = await readAll(() => supabaseAdmin
+    .from('ledger_entries')
+    .select('amount, ledger_journals!inner(reference_type, reference_id)')
+    .eq('account_code', ledger.ACCOUNTS.ESCROW)
+    .eq('currency', currency)
+    .order('id', { ascending: true }));
+
+  const byBooking = {};
+  const heldSeries = new Set();
+  entries.forEach(({ amount, ledger_journals: journal }) => {
+    if (journal.reference_type === 'booking') {
+      byBooking[journal.reference_id] = round((byBooking[journal.reference_id] || 0) + Number(amount));
+    } else if (journal.reference_type === 'booking_series') {
+      heldSeries.add(journal.reference_id);
+    }
+  });
+
+  return bookings
+    .map((booking) => {
+      const seriesHold = booking.series_id && heldSeries.has(booking.series_id) ? Number(booking.total_price) : 0;
+      const held = round((byBooking[booking.id] || 0) + seriesHold);
+      const expected = ESCROW_STATUSES.includes(booking.status) ? Number(booking.total_price) : 0;
+      return { booking_id: booking.id, status: booking.status, expected, held };
+    })
+    .filter((row) => differs(row.expected, row.held))
+    .slice(0, DRILL_DOWN_LIMIT);
+}
+
+async function checkEscrow(escrowBalances, bookings) {
+  const openByCurrency = sumBy(
+    bookings.filter((b) => ESCROW_STATUSES.includes(b.status)),
+    (b) => (b.currency || 'USD').toUpperCase(),
+    (b) => Number(b.total_price)
+  );
+
+  const currencies = new Set([...Object.keys(openByCurrency), ...Object.keys(escrowBalances)]);
+  const discrepancies = [];
+  for (const currency of currencies) {
+    const expected = openByCurrency[currency] || 0;
+    const actual = escrowBalances[currency] || 0;
+    if (!differs(expected, actual)) continue;
+
+    const inCurrency = bookings.filter((b) => (b.currency || 'USD').toUpperCase() === currency);
+    discrepancies.push({
+      kind: 'escrow',
+      currency,
+      expected,
+      actual,
+      details: { bookings: await escrowMismatches(inCurrency, currency) },
+    });
+  }
+  return { discrepancies, openByCurrency };
+}
+
+async function openPayouts(currency) {
+  const { data } = await supabaseAdmin
+    .from('payouts')
+    .select('id, user_id, amount, status, stripe_transfer_id, requested_at')
+    .eq('currency', currency)
+    .in('status', ['requested', 'processing'])
+    .order('requested_at', { ascending: true })
+    .limit(DRILL_DOWN_LIMIT);
+  return data || [];
+}
+
+async function checkStripe(expectedByCurrency) {
+  let stripeBalance;
+  try {
+    stripeBalance = await stripeAdapter.getBalance();
+  } catch (err) {
+    return {
+      balances: null,
+      discrepancies: [{ kind: 'stripe_balance', currency: null, expected: null, actual: null, details: { error: err.message } }],
+    };
+  }
+
+  const tolerance = getTolerance();
+  const currencies = new Set([...Object.keys(expectedByCurrency), ...Object.keys(stripeBalance.balances)]);
+  const discrepancies = [];
+  for (const currency of currencies) {
+    const expected = expectedByCurrency[currency] || 0;
+    const actual = Number(stripeBalance.balances[currency] || 0);
+    if (!differs(expected, actual, tolerance)) continue;
+    discrepancies.push({
+      kind: 'stripe_balance',
+      currency,
+      expected,
+      actual,
+      details: { source: stripeBalance.source, tolerance, open_payouts: await openPayouts(currency) },
+    });
+  }
+  return { balances: stripeBalance.balances, discrepancies };
+}
+
+// ── Runs ────────────────────────────────────────────────────────────────────
+
+async function notifyAdmins(run, count) {
+  const { data: admins } = await supabaseAdmin.from('profiles').select('id').eq('role', 'admin');
+  if (!admins || admins.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('notifications').insert(admins.map((admin) => ({
+    user_id: admin.id,
+    title: 'Reconciliation found discrepancies',
+    message: `The ${run.trigger} reconciliation run found ${count} discrepanc${count === 1 ? 'y' : 'ies'}.`,
+    type: 'admin_alert',
+    reference_id: run.id,
+    is_read: false,
+  })));
+  if (error) console.error('Reconciliation notification error:', error.message);
+}
+
+/**
+ * Run every check, store the run and its discrepancies and return the run.
+ * @param {object} [options]
+ * @param {string} [options.trigger] - cron | manual
+ */
+async function runReconciliation({ trigger = 'cron' } = {}) {
+  const { data: run, error: runError } = await supabaseAdmin
+    .from('reconciliation_runs')
+    .insert({ trigger, status: 'running' })
+    .select()
+    .single();
+
+  if (runError) throw runError;
+
+  try {
+    const [accounts, wallets, bookings] = await Promise.all([
+      ledger.getAccountBalances(),
+      readAll(() => supabaseAdmin.from('wallets').select('id, balance, currency').order('id', { ascending: true })),
+      readAll(() => supabaseAdmin
+        .from('bookings')
+        .select('id, status, total_price, currency, series_id')
+        .gt('total_price', 0)
+        .order('id', { ascending: true })),
+    ]);
+
+    const walletTotals = sumBy(wallets, (w) => w.currency, (w) => Number(w.balance));
+    const accountOf = (code) => accounts[code] || {};
+    const currencies = new Set([
+      ...Object.keys(walletTotals),
+      ...Object.values(accounts).flatMap((byCurrency) => Object.keys(byCurrency)),
+    ]);
+
+    const discrepancies = [];
+
+    // Journals balance per currency, so everything must net to zero
+    currencies.forEach((currency) => {
+      const total = round(Object.values(accounts).reduce((sum, byCurrency) => sum + (byCurrency[currency] || 0), walletTotals[currency] || 0));
+      if (total !== 0) {
+        discrepancies.push({ kind: 'ledger_identity', currency, expected: 0, actual: total, details: {} });
+      }
+    });
+
+    discrepancies.push(...await checkAccountDrift(), ...await checkWalletDrift());
+
+    const escrow = await checkEscrow(accountOf(ledger.ACCOUNTS.ESCROW), bookings);
+    discrepancies.push(...escrow.discrepancies);
+
+    const expectedStripe = {};
+    Object.entries(accountOf(ledger.ACCOUNTS.STRIPE_CLEARING)).forEach(([currency, balance]) => {
+      expectedStripe[currency] = round(-balance);
+    });
+    const stripe = await checkStripe(expectedStripe);
+    discrepancies.push(...stripe.discrepancies);
+
+    const summary = {};
+    currencies.forEach((currency) => {
+      summary[currency] = {
+        wallets: walletTotals[currency] || 0,
+        escrow: accountOf(ledger.ACCOUNTS.ESCROW)[currency] || 0,
+        open_bookings: escrow.openByCurrency[currency] || 0,
+        platform_revenue: accountOf(ledger.ACCOUNTS.PLATFORM_REVENUE)[currency] || 0,
+        fx_clearing: accountOf(ledger.ACCOUNTS.FX_CLEARING)[currency] || 0,
+        customer_receivables: accountOf(ledger.ACCOUNTS.CUSTOMER_RECEIVABLES)[currency] || 0,
+        opening_equity: accountOf(ledger.ACCOUNTS.OPENING_EQUITY)[currency] || 0,
+        expected_stripe: expectedStripe[currency] || 0,
+        stripe_balance: stripe.balances ? Number(stripe.balances[currency] || 0) : null,
+      };
+    });
+
+    if (discrepancies.length > 0) {
+      const { error } = await supabaseAdmin.from('reconciliation_discrepancies').insert(discrepancies.map((d) => ({
+        ...d,
+        run_id: run.id,
+        difference: d.expected !== null && d.actual !== null ? round(d.actual - d.expected) : null,
+      })));
+      if (error) throw error;
+    }
+
+    const { data: finished, error } = await supabaseAdmin
+      .from('reconciliation_runs')
+      .update({
+        status: discrepancies.length > 0 ? 'discrepancies' : 'ok',
+        summary,
+        discrepancy_count: discrepancies.length,
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (discrepancies.length > 0) await notifyAdmins(finished, discrepancies.length);
+    return finished;
+  } catch (err) {
+    await supabaseAdmin
+      .from('reconciliation_runs')
+      .update({ status: 'failed', error: err.message, finished_at: new Date().toISOString() })
+      .eq('id', run.id);
+    throw err;
+  }
+}
+
+async function listRuns({ limit = 30 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('reconciliation_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(Math.min(Number(limit) || 30, 100));
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * A run with its discrepancies, or null.
+ */
+async function getRun(runId) {
+  const { data: run } = await supabaseAdmin
+    .from('reconciliation_runs')
+    .select('*')
+    .eq('id', runId)
+    .maybeSingle();
+
+  if (!run) return null;
+
+  const { data: discrepancies, error } = await supabaseAdmin
+    .from('reconciliation_discrepancies')
+    .select('*')
+    .eq('run_id', runId)
+    .order('kind', { ascending: true });
+
+  if (error) throw error;
+  return { ...run, discrepancies: discrepancies || [] };
+}
+
+module.exports = {
+  runReconciliation,
+  listRuns,
+  getRun,
+};
@@ -0,0 +1,81 @@
+/**
+ * recurrence.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Expands a booking series rule into occurrence times. A small subset of
+ * RFC 5545 RRULE:
+ *
+ *   { frequency: 'weekly' | 'biweekly' | 'monthly', count?: n, until?: 'YYYY-MM-DD' }
+ *
+ * Occurrences keep the same local wall-clock time in the provider's timezone,
+ * so a 10:00 weekly lesson stays at 10:00 across DST changes. Monthly rules
+ * keep the day of month, falling back to the last day in shorter months.
+ */
+
+const { addDays, isDateString, toLocalDate, toLocalTime, zonedMinutesToUtc, parseTime } = require('./availability');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 26;
+const MAX_SPAN_DAYS = 366;
+
+function addMonths(dateStr, months, dayOfMonth) {
+  const [y, m] = dateStr.split('-').map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Why a rule is unusable, or null if it is fine.
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'recurrence is required.';
+  if (!FREQUENCIES.includes(rule.frequency)) return `recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}.`;
+  if (rule.count === undefined && rule.until === undefined) return 'recurrence needs a count or an until date.';
+  if (rule.count !== undefined) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES) {
+      return `recurrence.count must be between 2 and ${MAX_OCCURRENCES}.`;
+    }
+  }
+  if (rule.until !== undefined && !isDateString(rule.until)) return 'recurrence.until must be YYYY-MM-DD.';
+  return null;
+}
+
+/**
+ * Occurrence start times (UTC Dates) for a rule, first one being `start`.
+ *
+ * @param {object} params
+ * @param {string|Date} params.start
+ * @param {object}      params.rule      - { frequency, count?, until? }
+ * @param {string}      params.timezone  - provider's IANA zone
+ * @returns {Date[]}
+ */
+function expandOccurrences({ start, rule, timezone }) {
+  const first = new Date(start);
+  const firstDate = toLocalDate(first, timezone);
+  const minutes = parseTime(toLocalTime(first, timezone));
+  const dayOfMonth = Number(firstDate.slice(8, 10));
+
+  const count = rule.count !== undefined ? Number(rule.count) : MAX_OCCURRENCES;
+  const lastAllowed = addDays(firstDate, MAX_SPAN_DAYS);
+  const until = rule.until && rule.until < lastAllowed ? rule.until : lastAllowed;
+
+  const occurrences = [];
+  for (let i = 0; occurrences.length < Math.min(count, MAX_OCCURRENCES); i += 1) {
+    let date;
+    if (rule.frequency === 'monthly') date = addMonths(firstDate, i, dayOfMonth);
+    else date = addDays(firstDate, i * (rule.frequency === 'biweekly' ? 14 : 7));
+
+    if (date > until) break;
+    occurrences.push(i === 0 ? first : zonedMinutesToUtc(date, minutes, timezone));
+  }
+  return occurrences;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  validateRule,
+  expandOccurrences,
+};
@@ -0,0 +1,272 @@
+/**
+ * referrals.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Referral programme (see migrations/20261019_17_promo_referrals.sql).
+ *
+ * Every profile gets a shareable referral_code on first request. A new user
+ * enters one at signup (/auth/signup, /auth/ensure-social-profile) or later
+ * through POST /users/referral, as long as they have not booked anything yet.
+ * That links them to the referrer with a pending referral.
+ *
+ * When the referee's first paid booking as a client completes, both wallets
+ * are credited REFERRAL_REWARD_AMOUNT (default 5) USD, converted into each
+ * user's preferred currency, from the platform's promotions account. The
+ * ledger keys make the credits happen once even if completions race. Bookings
+ * with the referrer as provider do not count.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const fx = require('./fx');
+
+const REWARD_CURRENCY = 'USD';
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const getRewardAmount = () => (process.env.REFERRAL_REWARD_AMOUNT !== undefined
+  ? Math.max(0, Number(process.env.REFERRAL_REWARD_AMOUNT) || 0)
+  : 5);
+
+function referralError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'REFERRAL';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a referral code was refused. `err.status` is the HTTP status.
+ */
+const isReferralError = (err) => err?.code === 'REFERRAL';
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+async function notify(userId, title, message, referenceId) {
+  const { error } = await supabaseAdmin.from('notifications').insert({
+    user_id: userId,
+    title,
+    message,
+    type: 'referral',
+    reference_id: referenceId,
+    is_read: false,
+  });
+  if (error) console.error(`Referral notification error (${referenceId}):`, error.message);
+}
+
+// ── Codes ───────────────────────────────────────────────────────────────────
+
+/**
+ * The user's referral code, created the first time it is asked for.
+ */
+async function getReferralCode(userId) {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('referral_code')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!profile) throw referralError('Profile not found.', 404);
+  if (profile.referral_code) return profile.referral_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode();
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('profiles')
+      .update({ referral_code: code })
+      .eq('id', userId)
+      .is('referral_code', null)
+      .select('referral_code')
+      .maybeSingle();
+
+    // 23505: the code is taken, draw another one
+    if (updateError?.code === '23505') continue;
+    if (updateError) throw updateError;
+    if (updated) return updated.referral_code;
+
+    // A concurrent request gave the profile its code first
+    return getReferralCode(userId);
+  }
+  throw new Error('Could not generate a referral code.');
+}
+
+/**
+ * Link `userId` to the owner of `code`. Only before the user's first booking.
+ */
+async function applyReferral(userId, code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw referralError('A referral code is required.');
+
+  const { data: referrer, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('referral_code', normalized)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!referrer) throw referralError('Invalid referral code.', 404);
+  if (referrer.id === userId) throw referralError('You cannot use your own referral code.');
+
+  const [{ data: existing, error: existingError }, { count: bookings, error: bookingsError }] = await Promise.all([
+    supabaseAdmin.from('referrals').select('id').eq('referee_id', userId).maybeSingle(),
+    supabaseAdmin.from('bookings').select('id', { count: 'exact', head: true }).eq('client_id', userId),
+  ]);
+
+  if (existingError) throw existingError;
+  if (bookingsError) throw bookingsError;
+  if (existing) throw referralError('You have already used a referral code.', 409);
+  if (bookings > 0) throw referralError('Referral codes can only be used before your first booking.', 409);
+
+  const { data: referral, error: insertError } = await supabaseAdmin
+    .from('referrals')
+    .insert({ referrer_id: referrer.id, referee_id: userId, code: normalized, status: 'pending' })
+    .select()
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') throw referralError('You have already used a referral code.', 409);
+    throw insertError;
+  }
+
+  const { error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .update({ referred_by: referrer.id })
+    .eq('id', userId);
+  if (profileError) console.error(`Referral profile update error (${userId}):`, profileError.message);
+
+  const reward = fx.formatMoney(getRewardAmount(), REWARD_CURRENCY);
+  await notify(
+    referrer.id,
+    'New referral 🎉',
+    `Someone joined with your referral code. You both get ${reward} after their first completed booking.`,
+    referral.id
+  );
+
+  return referral;
+}
+
+// ── Rewards ─────────────────────────────────────────────────────────────────
+
+async function creditReward(referral, userId, role, amount) {
+  const currency = await fx.resolveUserCurrency(userId, null, REWARD_CURRENCY);
+  const { rate } = await fx.getRate(REWARD_CURRENCY, currency);
+  const wallet = await ledger.ensureWallet(userId, currency);
+
+  await ledger.creditPromotion({
+    walletId: wallet.id,
+    amount,
+    currency: REWARD_CURRENCY,
+    payment: { currency, rate },
+    type: 'referral_bonus',
+    description: role === 'referrer' ? 'Referral reward: your friend completed their first booking' : 'Welcome reward for joining with a referral',
+    referenceType: 'referral',
+    referenceId: referral.id,
+    idempotencyKey: `referral:${referral.id}:${role}`,
+  });
+  return ledger.toPaymentAmount(amount, REWARD_CURRENCY, { currency, rate });
+}
+
+/**
+ * Pay out the referral of a completed booking's client, if this is the
+ * booking that earns it. Returns the rewarded referral or null.
+ */
+async function rewardFirstBooking(booking) {
+  const paid = Number(booking.total_price) > 0 || Number(booking.discount_amount) > 0;
+  if (!paid) return null;
+
+  const { data: referral, error } = await supabaseAdmin
+    .from('referrals')
+    .select('*')
+    .eq('referee_id', booking.client_id)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!referral || referral.referrer_id === booking.provider_id) return null;
+
+  const amount = getRewardAmount();
+  if (!(amount > 0)) return null;
+
+  // Credit first: the keys make a retry or a racing completion a no-op
+  await creditReward(referral, referral.referrer_id, 'referrer', amount);
+  await creditReward(referral, referral.referee_id, 'referee', amount);
+
+  const { data: rewarded, error: updateError } = await supabaseAdmin
+    .from('referrals')
+    .update({
+      status: 'rewarded',
+      booking_id: booking.id,
+      reward_amount: amount,
+      reward_currency: REWARD_CURRENCY,
+      rewarded_at: new Date().toISOString(),
+    })
+    .eq('id', referral.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!rewarded) return null;
+
+  const reward = fx.formatMoney(amount, REWARD_CURRENCY);
+  await Promise.all([
+    notify(referral.referrer_id, 'Referral reward 💰', `Your friend completed their first booking. ${reward} was added to your wallet.`, referral.id),
+    notify(referral.referee_id, 'Welcome reward 💰', `Thanks for joining with a referral. ${reward} was added to your wallet.`, referral.id),
+  ]);
+  return rewarded;
+}
+
+// ── Summary ─────────────────────────────────────────────────────────────────
+
+/**
+ * The user's code, who referred them and the people they referred.
+ */
+async function getReferralSummary(userId) {
+  const code = await getReferralCode(userId);
+  const [{ data: referred, error }, { data: own, error: ownError }] = await Promise.all([
+    supabaseAdmin
+      .from('referrals')
+      .select('id, status, created_at, rewarded_at, reward_amount, reward_currency')
+      .eq('referrer_id', userId)
+      .order('created_at', { ascending: false }),
+    supabaseAdmin
+      .from('referrals')
+      .select('id, status, created_at, rewarded_at, reward_amount, reward_currency')
+      .eq('referee_id', userId)
+      .maybeSingle(),
+  ]);
+
+  if (error) throw error;
+  if (ownError) throw ownError;
+
+  const rows = referred || [];
+  const rewarded = rows.filter((r) => r.status === 'rewarded');
+  return {
+    code,
+    reward: { amount: getRewardAmount(), currency: REWARD_CURRENCY },
+    referred_by: own || null,
+    totals: {
+      referred: rows.length,
+      pending: rows.length - rewarded.length,
+      rewarded: rewarded.length,
+      earned: ledger.roundMoney(rewarded.reduce((sum, r) => sum + Number(r.reward_amount || 0), 0)),
+    },
+    referrals: rows,
+  };
+}
+
+module.exports = {
+  REWARD_CURRENCY,
+  isReferralError,
+  getReferralCode,
+  applyReferral,
+  rewardFirstBooking,
+  getReferralSummary,
+};
@@ -0,0 +1,340 @@
+/**
+ * rescheduleProposals.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Moving a booking by agreement. Either party proposes one or more new times,
+ * the other accepts one of them or declines:
+ *
+ *   pending ──accept──▶ accepted   (booking moved via `accept_reschedule`)
+ *      ├────decline──▶ declined
+ *      ├───withdraw──▶ withdrawn  (by the proposer)
+ *      └────(time)───▶ expired
+ *
+ * A booking has at most one pending proposal. Proposed times are checked
+ * against the provider's availability when proposed and again when accepted.
+ * Every step posts a system message into the booking chat and notifies the
+ * other party.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const chatRoutes = require('../routes/chatRoutes');
+const availability = require('./availability');
+const bookingLifecycle = require('./bookingLifecycle');
+
+const MAX_PROPOSED_TIMES = 3;
+const PROPOSAL_TTL_MS = 48 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+function proposalError(message, status, details = {}) {
+  const err = new Error(message);
+  err.code = 'RESCHEDULE_PROPOSAL';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a proposal action was refused. `err.status` is the HTTP status.
+ */
+const isProposalError = (err) => err?.code === 'RESCHEDULE_PROPOSAL';
+
+function formatTime(time, timezone) {
+  const text = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  }).format(new Date(time));
+  return `${text} (${timezone})`;
+}
+
+async function loadBookingForUser(bookingId, userId) {
+  const { data: booking } = await supabaseAdmin
+    .from('bookings')
+    .select('*, services(title), provider:profiles!provider_id(timezone)')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (!booking) throw proposalError('Booking not found.', 404);
+  const role = bookingLifecycle.roleFor(booking, userId);
+  if (!role) throw proposalError('Unauthorized action.', 403);
+
+  return { booking, role, timezone: availability.normalizeTimezone(booking.provider?.timezone) };
+}
+
+async function loadProposal(bookingId, proposalId) {
+  const { data: proposal } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .select('*')
+    .eq('id', proposalId)
+    .eq('booking_id', bookingId)
+    .maybeSingle();
+
+  if (!proposal) throw proposalError('Proposal not found.', 404);
+  return proposal;
+}
+
+// Compare-and-set on `pending` so a proposal is only ever closed once
+async function closeProposal(proposal, status, fields = {}) {
+  const { data: updated, error } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .update({ ...fields, status, updated_at: new Date().toISOString() })
+    .eq('id', proposal.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw proposalError('This proposal is no longer pending.', 409);
+  return updated;
+}
+
+// Expired proposals are closed lazily, whenever someone touches them
+async function expireIfStale(proposal) {
+  if (proposal.status !== 'pending' || new Date(proposal.expires_at) > new Date()) return proposal;
+  const { data: expired } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .update({ status: 'expired', updated_at: new Date().toISOString() })
+    .eq('id', proposal.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+  return expired || { ...proposal, status: 'expired' };
+}
+
+async function postChatAndNotify(booking, { recipientId, message, title, type }) {
+  try {
+    await chatRoutes.insertSystemMessage(booking.id, message);
+  } catch (chatError) {
+    console.error(`Reschedule chat message error (${booking.id}):`, chatError.message);
+  }
+
+  const { error } = await supabaseAdmin.from('notifications').insert({
+    user_id: recipientId,
+    title,
+    message,
+    type,
+    reference_id: booking.id,
+    is_read: false,
+  });
+  if (error) console.error(`Reschedule notification error (${booking.id}):`, error.message);
+}
+
+const otherPartyOf = (booking, role) => (role === 'client' ? booking.provider_id : booking.client_id);
+
+async function checkSlot(booking, scheduledTime) {
+  return availability.checkBookingSlot(booking.provider_id, {
+    scheduledTime,
+    pricingType: booking.pricing_type,
+    durationHours: booking.duration_hours,
+    excludeBookingId: booking.id,
+  });
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Proposals for a booking, newest first.
+ */
+async function listProposals({ bookingId, userId }) {
+  await loadBookingForUser(bookingId, userId);
+
+  const { data, error } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return Promise.all((data || []).map(expireIfStale));
+}
+
+/**
+ * @param {object}   params
+ * @param {string}   params.bookingId
+ * @param {string}   params.userId
+ * @param {string[]} params.proposedTimes - 1..MAX_PROPOSED_TIMES ISO timestamps
+ * @param {string}   [params.message]     - optional note to the other party
+ */
+async function propose({ bookingId, userId, proposedTimes, message = null }) {
+  const { booking, role, timezone } = await loadBookingForUser(bookingId, userId);
+
+  if (!OPEN_STATUSES.includes(booking.status)) {
+    throw proposalError(`Cannot reschedule a ${booking.status} booking.`, 409);
+  }
+  if (new Date(booking.scheduled_time) <= new Date()) {
+    throw proposalError('The scheduled time has passed.', 409);
+  }
+
+  const times = Array.isArray(proposedTimes) ? proposedTimes : [proposedTimes].filter(Boolean);
+  if (times.length === 0 || times.length > MAX_PROPOSED_TIMES) {
+    throw proposalError(`Propose between 1 and ${MAX_PROPOSED_TIMES} times.`, 400);
+  }
+  const parsed = times.map((t) => new Date(t));
+  if (parsed.some((d) => Number.isNaN(d.getTime()))) throw proposalError('Invalid proposed time.', 400);
+  const normalized = [...new Set(parsed.map((d) => d.toISOString()))].sort();
+
+  const conflicts = [];
+  for (const time of normalized) {
+    const slot = await checkSlot(booking, time);
+    if (!slot.available) conflicts.push({ scheduled_time: time, reason: slot.reason, message: slot.message });
+  }
+  if (conflicts.length > 0) {
+    throw proposalError('Some of the proposed times are not available.', 409, { conflicts });
+  }
+
+  const { data: open } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .select('*')
+    .eq('booking_id', booking.id)
+    .eq('status', 'pending')
+    .maybeSingle();
+  if (open && (await expireIfStale(open)).status === 'pending') {
+    throw proposalError('There is already an open reschedule proposal for this booking.', 409);
+  }
+
+  const expiresAt = Math.min(Date.now() + PROPOSAL_TTL_MS, new Date(normalized[0]).getTime());
+  const { data: proposal, error } = await supabaseAdmin
+    .from('booking_reschedule_proposals')
+    .insert({
+      booking_id: booking.id,
+      proposed_by: userId,
+      proposer_role: role,
+      proposed_times: normalized,
+      previous_time: booking.scheduled_time,
+      message,
+      expires_at: new Date(expiresAt).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // 23505 = unique_violation on the one-pending-proposal index
+    if (error.code === '23505') {
+      throw proposalError('There is already an open reschedule proposal for this booking.', 409);
+    }
+    throw error;
+  }
+
+  const options = normalized.map((t) => formatTime(t, timezone)).join(', ');
+  await postChatAndNotify(booking, {
+    recipientId: otherPartyOf(booking, role),
+    title: 'New Time Proposed 📅',
+    message: `The ${role} proposed to move "${booking.services?.title || 'Service'}" to: ${options}.`,
+    type: 'reschedule_proposal',
+  });
+
+  return proposal;
+}
+
+/**
+ * Accept a proposal. `scheduledTime` picks one of the proposed times and may
+ * be omitted when only one was proposed.
+ */
+async function accept({ bookingId, proposalId, userId, scheduledTime = null }) {
+  const { booking, role, timezone } = await loadBookingForUser(bookingId, userId);
+  const proposal = await expireIfStale(await loadProposal(bookingId, proposalId));
+
+  if (proposal.status !== 'pending') throw proposalError(`This proposal is ${proposal.status}.`, 409);
+  if (proposal.proposed_by === userId) throw proposalError('You cannot accept your own proposal.', 403);
+
+  let chosen = proposal.proposed_times.length === 1 ? proposal.proposed_times[0] : null;
+  if (scheduledTime) {
+    const wanted = new Date(scheduledTime).getTime();
+    chosen = proposal.proposed_times.find((t) => new Date(t).getTime() === wanted) || null;
+    if (!chosen) throw proposalError('scheduled_time must be one of the proposed times.', 400);
+  }
+  if (!chosen) throw proposalError('Pick one of the proposed times with scheduled_time.', 400);
+
+  const slot = await checkSlot(booking, chosen);
+  if (!slot.available) {
+    throw proposalError(slot.message, 409, { reason: slot.reason });
+  }
+
+  const accepted = await closeProposal(proposal, 'accepted', {
+    accepted_time: new Date(chosen).toISOString(),
+    responded_by: userId,
+    responded_at: new Date().toISOString(),
+  });
+
+  let moved;
+  try {
+    ({ booking: moved } = await bookingLifecycle.transitionBooking(booking, 'accept_reschedule', {
+      actorId: userId,
+      actorRole: role,
+      changes: { scheduled_time: accepted.accepted_time, ends_at: slot.ends_at },
+      metadata: { proposal_id: proposal.id },
+    }));
+  } catch (transitionError) {
+    // The booking did not move, so the proposal is still open.
+    await supabaseAdmin
+      .from('booking_reschedule_proposals')
+      .update({ status: 'pending', accepted_time: null, responded_by: null, responded_at: null })
+      .eq('id', proposal.id)
+      .eq('status', 'accepted');
+    if (transitionError.code === '23P01') {
+      throw proposalError('That time is already booked.', 409, { reason: 'conflict' });
+    }
+    throw transitionError;
+  }
+
+  await postChatAndNotify(booking, {
+    recipientId: proposal.proposed_by,
+    title: 'New Time Accepted ✅',
+    message: `The ${role} accepted the new time: ${formatTime(accepted.accepted_time, timezone)}.`,
+    type: 'reschedule_accepted',
+  });
+
+  return { proposal: accepted, booking: moved };
+}
+
+async function decline({ bookingId, proposalId, userId, reason = null }) {
+  const { booking, role } = await loadBookingForUser(bookingId, userId);
+  const proposal = await expireIfStale(await loadProposal(bookingId, proposalId));
+
+  if (proposal.status !== 'pending') throw proposalError(`This proposal is ${proposal.status}.`, 409);
+  if (proposal.proposed_by === userId) throw proposalError('Withdraw your own proposal instead.', 403);
+
+  const declined = await closeProposal(proposal, 'declined', {
+    responded_by: userId,
+    responded_at: new Date().toISOString(),
+    response_message: reason,
+  });
+
+  await postChatAndNotify(booking, {
+    recipientId: proposal.proposed_by,
+    title: 'New Time Declined',
+    message: `The ${role} declined the proposed new time${reason ? `: ${reason}` : '.'}`,
+    type: 'reschedule_declined',
+  });
+
+  return declined;
+}
+
+async function withdraw({ bookingId, proposalId, userId }) {
+  const { booking, role } = await loadBookingForUser(bookingId, userId);
+  const proposal = await loadProposal(bookingId, proposalId);
+
+  if (proposal.proposed_by !== userId) throw proposalError('Only the proposer can withdraw a proposal.', 403);
+  if (proposal.status !== 'pending') throw proposalError(`This proposal is ${proposal.status}.`, 409);
+
+  const withdrawn = await closeProposal(proposal, 'withdrawn');
+
+  await postChatAndNotify(booking, {
+    recipientId: otherPartyOf(booking, role),
+    title: 'Reschedule Withdrawn',
+    message: `The ${role} withdrew their reschedule proposal.`,
+    type: 'reschedule_withdrawn',
+  });
+
+  return withdrawn;
+}
+
+module.exports = {
+  MAX_PROPOSED_TIMES,
+  PROPOSAL_TTL_MS,
+  isProposalError,
+  listProposals,
+  propose,
+  accept,
+  decline,
+  withdraw,
+};
@@ -0,0 +1,304 @@
+/**
+ * statements.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Wallet transaction history and monthly statements, read from the
+ * `wallet_transaction_history` view (transactions plus the wallet balance
+ * after each row, see migrations/20261019_12_wallet_statements.sql).
+ *
+ * Statements show `signed_amount`, the row's effect on the balance (hold and
+ * payment rows store what left the wallet as a positive amount).
+ *
+ * Dates given as YYYY-MM-DD and statement months are calendar days in the
+ * user's profile timezone. Statements can be exported as JSON, CSV or PDF.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const availability = require('./availability');
+const fx = require('./fx');
+const { renderPdf, CHARS_PER_LINE } = require('./pdf');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// PostgREST caps a response at 1000 rows, so statements read in batches
+const BATCH_SIZE = 1000;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const HISTORY_COLUMNS = [
+  'id', 'type', 'amount', 'signed_amount', 'currency', 'original_amount', 'original_currency', 'fx_rate',
+  'status', 'description', 'reference_type', 'reference_id', 'created_at', 'balance_after',
+].join(', ');
+
+function statementError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'STATEMENT';
+  err.status = status;
+  return err;
+}
+
+/**
+ * True when a history/statement query was invalid. `err.status` is the HTTP status.
+ */
+const isStatementError = (err) => err?.code === 'STATEMENT';
+
+async function loadContext(userId, currency) {
+  const [resolved, { data: profile }] = await Promise.all([
+    fx.resolveUserCurrency(userId, currency),
+    supabaseAdmin.from('profiles').select('full_name, timezone').eq('id', userId).maybeSingle(),
+  ]);
+
+  const { data: wallet } = await supabaseAdmin
+    .from('wallets')
+    .select('id, balance, currency')
+    .eq('user_id', userId)
+    .eq('currency', resolved)
+    .maybeSingle();
+
+  return {
+    wallet,
+    currency: resolved,
+    name: profile?.full_name || '',
+    timezone: availability.normalizeTimezone(profile?.timezone),
+  };
+}
+
+function parseTypes(type) {
+  if (!type) return null;
+  const types = (Array.isArray(type) ? type : String(type).split(','))
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+  if (types.some((t) => !/^[a-z_]+$/.test(t))) throw statementError('Invalid transaction type.');
+  return types.length > 0 ? types : null;
+}
+
+// YYYY-MM-DD is a local day; `endOfDay` makes it an exclusive upper bound
+function parseBound(value, name, timezone, endOfDay = false) {
+  if (!value) return null;
+  if (availability.isDateString(value)) {
+    const day = endOfDay ? availability.addDays(value, 1) : value;
+    return availability.zonedMinutesToUtc(day, 0, timezone).toISOString();
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw statementError(`${name} must be a date (YYYY-MM-DD) or timestamp.`);
+  return date.toISOString();
+}
+
+// ── History ─────────────────────────────────────────────────────────────────
+
+/**
+ * One page of a wallet's transactions, newest first.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} [params.currency] - wallet; defaults to the preferred currency
+ * @param {string|string[]} [params.type] - e.g. 'deposit' or 'earning,commission'
+ * @param {string} [params.status]   - success | failed
+ * @param {string} [params.from]     - inclusive
+ * @param {string} [params.to]       - inclusive when a date
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ */
+async function listTransactions({ userId, currency, type, status, from, to, limit, offset }) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+  const { wallet, currency: resolved, timezone } = await loadContext(userId, currency);
+
+  const types = parseTypes(type);
+  const fromIso = parseBound(from, 'from', timezone);
+  const toIso = parseBound(to, 'to', timezone, true);
+
+  const page = { transactions: [], total: 0, limit: pageSize, offset: start, has_more: false, currency: resolved };
+  if (!wallet) return page;
+
+  let query = supabaseAdmin
+    .from('wallet_transaction_history')
+    .select(HISTORY_COLUMNS, { count: 'exact' })
+    .eq('wallet_id', wallet.id);
+
+  if (types) query = query.in('type', types);
+  if (status) query = query.eq('status', status);
+  if (fromIso) query = query.gte('created_at', fromIso);
+  if (toIso) query = query.lt('created_at', toIso);
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw error;
+
+  return {
+    ...page,
+    transactions: data || [],
+    total: count || 0,
+    has_more: start + (data || []).length < (count || 0),
+  };
+}
+
+// ── Statements ──────────────────────────────────────────────────────────────
+
+async function loadPeriod(walletId, fromIso, toIso) {
+  const rows = [];
+  for (let start = 0; ; start += BATCH_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from('wallet_transaction_history')
+      .select(HISTORY_COLUMNS)
+      .eq('wallet_id', walletId)
+      .gte('created_at', fromIso)
+      .lt('created_at', toIso)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(start, start + BATCH_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) return rows;
+  }
+}
+
+async function balanceBefore(walletId, iso) {
+  const { data, error } = await supabaseAdmin
+    .from('wallet_transaction_history')
+    .select('balance_after')
+    .eq('wallet_id', walletId)
+    .lt('created_at', iso)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return Number(data?.[0]?.balance_after || 0);
+}
+
+/**
+ * A month of one wallet: opening/closing balance, totals and every row.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.month      - YYYY-MM
+ * @param {string} [params.currency] - wallet; defaults to the preferred currency
+ */
+async function buildStatement({ userId, month, currency }) {
+  if (!MONTH_PATTERN.test(String(month || ''))) throw statementError('month must be YYYY-MM.');
+
+  const { wallet, currency: resolved, name, timezone } = await loadContext(userId, currency);
+  const [year, monthNumber] = month.split('-').map(Number);
+  const nextMonth = monthNumber === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+  const fromIso = availability.zonedMinutesToUtc(`${month}-01`, 0, timezone).toISOString();
+  const toIso = availability.zonedMinutesToUtc(`${nextMonth}-01`, 0, timezone).toISOString();
+
+  const lines = wallet ? await loadPeriod(wallet.id, fromIso, toIso) : [];
+  const openingBalance = wallet ? await balanceBefore(wallet.id, fromIso) : 0;
+
+  const totals = { money_in: 0, money_out: 0, by_type: {} };
+  lines.filter((line) => line.status === 'success').forEach((line) => {
+    const amount = Number(line.signed_amount);
+    if (amount >= 0) totals.money_in += amount;
+    else totals.money_out += -amount;
+    totals.by_type[line.type] = (totals.by_type[line.type] || 0) + amount;
+  });
+
+  const round = (amount) => Number(amount.toFixed(2));
+  Object.keys(totals.by_type).forEach((key) => { totals.by_type[key] = round(totals.by_type[key]); });
+
+  return {
+    account_holder: name,
+    currency: resolved,
+    period: { month, from: fromIso, to: toIso, timezone },
+    opening_balance: round(openingBalance),
+    closing_balance: lines.length > 0 ? round(Number(lines[lines.length - 1].balance_after)) : round(openingBalance),
+    totals: { ...totals, money_in: round(totals.money_in), money_out: round(totals.money_out) },
+    lines,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating text as a formula; amounts stay numbers
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(statement) {
+  const { timezone } = statement.period;
+  const header = ['date', 'time', 'type', 'description', 'amount', 'currency', 'status', 'balance_after', 'reference'];
+  const rows = statement.lines.map((line) => {
+    const at = new Date(line.created_at);
+    return [
+      availability.toLocalDate(at, timezone),
+      availability.toLocalTime(at, timezone),
+      line.type,
+      line.description,
+      Number(line.signed_amount).toFixed(2),
+      line.currency,
+      line.status,
+      Number(line.balance_after).toFixed(2),
+      line.reference_type ? `${line.reference_type}:${line.reference_id}` : '',
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toPdf(statement) {
+  const { period, currency } = statement;
+  const money = (amount) => fx.formatMoney(amount, currency);
+  const pad = (text, width, right = false) => {
+    const value = String(text ?? '').slice(0, width);
+    return right ? value.padStart(width) : value.padEnd(width);
+  };
+
+  const widths = { date: 16, type: 14, amount: 12, balance: 12 };
+  widths.description = CHARS_PER_LINE - widths.date - widths.type - widths.amount - widths.balance - 4;
+  const row = (date, type, description, amount, balance) => [
+    pad(date, widths.date),
+    pad(type, widths.type),
+    pad(description, widths.description),
+    pad(amount, widths.amount, true),
+    pad(balance, widths.balance, true),
+  ].join(' ');
+
+  const lines = [
+    { text: 'LifeKit - Wallet statement', bold: true },
+    '',
+    `Account holder:  ${statement.account_holder}`,
+    `Period:          ${period.month} (${period.timezone})`,
+    `Currency:        ${currency}`,
+    '',
+    `Opening balance: ${money(statement.opening_balance)}`,
+    `Money in:        ${money(statement.totals.money_in)}`,
+    `Money out:       ${money(statement.totals.money_out)}`,
+    { text: `Closing balance: ${money(statement.closing_balance)}`, bold: true },
+    '',
+    { text: row('Date', 'Type', 'Description', 'Amount', 'Balance'), bold: true },
+    '-'.repeat(CHARS_PER_LINE),
+  ];
+
+  statement.lines.forEach((line) => {
+    const at = new Date(line.created_at);
+    lines.push(row(
+      `${availability.toLocalDate(at, period.timezone)} ${availability.toLocalTime(at, period.timezone)}`,
+      line.type,
+      line.status === 'success' ? line.description : `${line.description || ''} (${line.status})`,
+      Number(line.signed_amount).toFixed(2),
+      Number(line.balance_after).toFixed(2)
+    ));
+  });
+  if (statement.lines.length === 0) lines.push('No transactions in this period.');
+
+  lines.push('', `Generated ${statement.generated_at}`);
+  return renderPdf(lines, { title: `Wallet statement ${period.month} ${currency}` });
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  isStatementError,
+  listTransactions,
+  buildStatement,
+  toCsv,
+  toPdf,
+};
@@ -0,0 +1,75 @@
+/**
+ * stripeAdapter.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * The Stripe reads the reconciliation job needs, behind a swappable adapter
+ * chosen with STRIPE_ADAPTER:
+ *
+ *   stripe (default) – the live API (STRIPE_SECRET_KEY)
+ *   mock             – balances from STRIPE_MOCK_BALANCES='{"USD":1200.5}'
+ *
+ * Tests and scripts can plug in their own:
+ *
+ *   stripeAdapter.registerAdapter('fake', { getBalance: async () => ({ USD: 10 }) });
+ *
+ * Balances are in major units per upper-case currency and include funds
+ * still pending in Stripe.
+ */
+
+const Stripe = require('stripe');
+
+function readMockBalances() {
+  try {
+    return JSON.parse(process.env.STRIPE_MOCK_BALANCES || '{}');
+  } catch (err) {
+    console.error('STRIPE_MOCK_BALANCES is not valid JSON, using none:', err.message);
+    return {};
+  }
+}
+
+const adapters = {
+  stripe: {
+    // Created on first use so the mock works without STRIPE_SECRET_KEY
+    getBalance: async () => {
+      const balance = await Stripe(process.env.STRIPE_SECRET_KEY).balance.retrieve();
+      const totals = {};
+      [...(balance.available || []), ...(balance.pending || [])].forEach(({ amount, currency }) => {
+        const code = currency.toUpperCase();
+        totals[code] = (totals[code] || 0) + amount / 100;
+      });
+      return totals;
+    },
+  },
+  mock: {
+    getBalance: async () => readMockBalances(),
+  },
+};
+
+/**
+ * Register an adapter. `adapter.getBalance()` resolves to `{ CODE: amount }`.
+ */
+function registerAdapter(name, adapter) {
+  if (!adapter || typeof adapter.getBalance !== 'function') {
+    throw new Error(`Stripe adapter "${name}" must implement getBalance().`);
+  }
+  adapters[name] = adapter;
+}
+
+function getAdapter() {
+  const name = process.env.STRIPE_ADAPTER || 'stripe';
+  if (!adapters[name]) throw new Error(`Unknown Stripe adapter "${name}".`);
+  return { name, ...adapters[name] };
+}
+
+/**
+ * @returns {Promise<{ source: string, balances: { [currency]: number } }>}
+ */
+async function getBalance() {
+  const adapter = getAdapter();
+  const balances = await adapter.getBalance();
+  return { source: adapter.name, balances };
+}
+
+module.exports = {
+  registerAdapter,
+  getBalance,
+};
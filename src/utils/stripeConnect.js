@@ -0,0 +1,178 @@
+/**
+ * stripeConnect.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Stripe Connect account status as mirrored on the profile: capabilities,
+ * outstanding requirements and whether payouts can be sent. `account.updated`
+ * keeps it current (see stripeEvents.js); syncAccount() refreshes it on
+ * demand, e.g. when the provider returns from onboarding. Accounts connected
+ * before the status was mirrored have never been synced; loadCurrentProfile()
+ * reads them from Stripe the first time they are needed.
+ *
+ * An account is payout-ready once details are submitted, Stripe has enabled
+ * payouts and nothing is past due. Until then getPayoutReadiness() says why.
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { supabaseAdmin } = require('../config/supabase');
+
+const STATUS_COLUMNS = [
+  'stripe_connect_id',
+  'stripe_charges_enabled',
+  'stripe_payouts_enabled',
+  'stripe_details_submitted',
+  'stripe_requirements_currently_due',
+  'stripe_requirements_past_due',
+  'stripe_requirements_eventually_due',
+  'stripe_disabled_reason',
+  'stripe_requirements_deadline',
+  'stripe_account_updated_at',
+].join(', ');
+
+/**
+ * Profile columns for a Stripe account object.
+ */
+function profileFieldsFromAccount(account) {
+  const requirements = account.requirements || {};
+  return {
+    stripe_charges_enabled: !!account.charges_enabled,
+    stripe_payouts_enabled: !!account.payouts_enabled,
+    stripe_details_submitted: !!account.details_submitted,
+    stripe_requirements_currently_due: requirements.currently_due || [],
+    stripe_requirements_past_due: requirements.past_due || [],
+    stripe_requirements_eventually_due: requirements.eventually_due || [],
+    stripe_disabled_reason: requirements.disabled_reason || null,
+    stripe_requirements_deadline: requirements.current_deadline
+      ? new Date(requirements.current_deadline * 1000).toISOString()
+      : null,
+    stripe_account_updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Whether a profile can receive payouts and, if not, why.
+ * @returns {{ ready: boolean, reason: string|null, message: string|null }}
+ */
+function getPayoutReadiness(profile) {
+  const blocked = (reason, message) => ({ ready: false, reason, message });
+
+  if (!profile?.stripe_connect_id) {
+    return blocked('not_connected', 'Connect a Stripe account to withdraw.');
+  }
+  if (!profile.stripe_details_submitted) {
+    return blocked('onboarding_incomplete', 'Finish Stripe onboarding to withdraw.');
+  }
+  if ((profile.stripe_requirements_past_due || []).length > 0) {
+    return blocked('requirements_past_due', 'Stripe needs more information before you can withdraw.');
+  }
+  if (!profile.stripe_payouts_enabled) {
+    return profile.stripe_disabled_reason
+      ? blocked('payouts_disabled', `Stripe has paused payouts on your account (${profile.stripe_disabled_reason}).`)
+      : blocked('payouts_disabled', 'Stripe has not enabled payouts on your account yet.');
+  }
+  return { ready: true, reason: null, message: null };
+}
+
+/**
+ * The status block the app shows on the wallet screen.
+ */
+function describeStatus(profile) {
+  return {
+    connected: !!profile?.stripe_connect_id,
+    details_submitted: !!profile?.stripe_details_submitted,
+    charges_enabled: !!profile?.stripe_charges_enabled,
+    payouts_enabled: !!profile?.stripe_payouts_enabled,
+    currently_due: profile?.stripe_requirements_currently_due || [],
+    past_due: profile?.stripe_requirements_past_due || [],
+    eventually_due: profile?.stripe_requirements_eventually_due || [],
+    disabled_reason: profile?.stripe_disabled_reason || null,
+    deadline: profile?.stripe_requirements_deadline || null,
+    updated_at: profile?.stripe_account_updated_at || null,
+    payout_readiness: getPayoutReadiness(profile),
+  };
+}
+
+async function loadProfile(userId) {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select(STATUS_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return profile;
+}
+
+/**
+ * Mirror an account object onto the profile that owns it.
+ */
+async function applyAccount(account) {
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update(profileFieldsFromAccount(account))
+    .eq('stripe_connect_id', account.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Fetch the user's Connect account from Stripe and store its status.
+ * Returns the refreshed profile columns.
+ */
+async function syncAccount(userId) {
+  const profile = await loadProfile(userId);
+  if (!profile?.stripe_connect_id) return profile;
+
+  const account = await stripe.accounts.retrieve(profile.stripe_connect_id);
+  await applyAccount(account);
+  return loadProfile(userId);
+}
+
+/**
+ * The user's profile with a status that has been read from Stripe at least
+ * once. A connected account that was never synced would otherwise look
+ * blocked from payouts.
+ */
+async function loadCurrentProfile(userId) {
+  const profile = await loadProfile(userId);
+  if (profile?.stripe_connect_id && !profile.stripe_account_updated_at) {
+    return syncAccount(userId);
+  }
+  return profile;
+}
+
+/**
+ * Sync every connected account that has never been read from Stripe.
+ * @returns {Promise<number>} accounts synced
+ */
+async function syncUnsyncedAccounts() {
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .not('stripe_connect_id', 'is', null)
+    .is('stripe_account_updated_at', null);
+
+  if (error) throw error;
+
+  let synced = 0;
+  for (const profile of profiles || []) {
+    try {
+      await syncAccount(profile.id);
+      synced++;
+    } catch (err) {
+      console.error(`[stripeConnect] sync error (${profile.id}):`, err.message);
+    }
+  }
+  return synced;
+}
+
+module.exports = {
+  STATUS_COLUMNS,
+  profileFieldsFromAccount,
+  getPayoutReadiness,
+  describeStatus,
+  loadProfile,
+  applyAccount,
+  syncAccount,
+  loadCurrentProfile,
+  syncUnsyncedAccounts,
+};
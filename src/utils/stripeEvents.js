@@ -0,0 +1,297 @@
+/**
+ * stripeEvents.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Applies Stripe events to wallets and profiles. Used by the signed webhook
+ * (POST /wallet/webhooks/stripe) and by the client-driven
+ * POST /wallet/confirm-deposit fast path, so both settle deposits the same way.
+ *
+ * Every handler is idempotent: Stripe retries deliveries and the app may
+ * confirm a deposit the webhook has already credited. Money movements are keyed
+ * on the Stripe object id (stripe_payment_id / transfer metadata) in the ledger.
+ * Payout transfers move their `payouts` row along (see payouts.js).
+ *
+ * Handlers take the plain event object, so they can be exercised with payloads
+ * built locally (see scripts/send_test_stripe_webhook.js).
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const payouts = require('./payouts');
+const stripeConnect = require('./stripeConnect');
+const { formatMoney } = require('./fx');
+
+async function notify(userId, title, message, type, referenceId = null) {
+  if (!userId) return;
+  const { error } = await supabaseAdmin.from('notifications').insert({
+    user_id: userId,
+    title,
+    message,
+    type,
+    reference_id: referenceId,
+    is_read: false,
+  });
+  if (error) console.error('[stripe] notification insert error:', error.message);
+}
+
+async function getWalletOwner(walletId) {
+  const { data: wallet } = await supabaseAdmin
+    .from('wallets')
+    .select('id, user_id, balance, currency')
+    .eq('id', walletId)
+    .maybeSingle();
+  return wallet;
+}
+
+/**
+ * Credit the wallet for a succeeded deposit PaymentIntent.
+ * @returns {Promise<{ credited: boolean, reason?: string }>}
+ */
+async function settleDepositIntent(paymentIntent) {
+  if (paymentIntent.status !== 'succeeded') {
+    return { credited: false, reason: 'not_succeeded' };
+  }
+  if (paymentIntent.metadata?.type !== 'wallet_deposit' || !paymentIntent.metadata?.walletId) {
+    return { credited: false, reason: 'not_a_deposit' };
+  }
+
+  // Deposits credited before the ledger existed have a transaction but no journal
+  const { data: legacyTx } = await supabaseAdmin
+    .from('transactions')
+    .select('id')
+    .eq('stripe_payment_id', paymentIntent.id)
+    .eq('status', 'success')
+    .is('journal_id', null)
+    .limit(1);
+
+  if (legacyTx && legacyTx.length > 0) {
+    return { credited: false, reason: 'already_processed' };
+  }
+
+  const journal = await ledger.creditDeposit({
+    walletId: paymentIntent.metadata.walletId,
+    amount: paymentIntent.amount_received ?? paymentIntent.amount,
+    currency: String(paymentIntent.currency || 'usd').toUpperCase(),
+    stripePaymentId: paymentIntent.id,
+  });
+
+  return journal.duplicate
+    ? { credited: false, reason: 'already_processed' }
+    : { credited: true };
+}
+
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  const result = await settleDepositIntent(toMajorUnits(paymentIntent));
+  if (result.credited) {
+    const wallet = await getWalletOwner(paymentIntent.metadata.walletId);
+    await notify(
+      wallet?.user_id,
+      'Wallet Topped Up 💳',
+      `${formatMoney(paymentIntent.amount / 100, String(paymentIntent.currency || 'usd').toUpperCase())} was added to your wallet.`,
+      'wallet_deposit',
+      paymentIntent.metadata.walletId
+    );
+  }
+  return result;
+}
+
+async function handlePaymentIntentFailed(paymentIntent) {
+  if (paymentIntent.metadata?.type !== 'wallet_deposit' || !paymentIntent.metadata?.walletId) {
+    return { recorded: false, reason: 'not_a_deposit' };
+  }
+
+  const reason = paymentIntent.last_payment_error?.message || 'Payment failed';
+  const description = `Card deposit failed: ${reason}`;
+
+  // One failed row per intent; a later retry that succeeds gets its own row.
+  const { data: existing } = await supabaseAdmin
+    .from('transactions')
+    .select('id')
+    .eq('stripe_payment_id', paymentIntent.id)
+    .eq('status', 'failed')
+    .limit(1);
+
+  if (existing && existing.length > 0) {
+    await supabaseAdmin.from('transactions').update({ description }).eq('id', existing[0].id);
+    return { recorded: false, reason: 'already_recorded' };
+  }
+
+  const { error } = await supabaseAdmin.from('transactions').insert({
+    wallet_id: paymentIntent.metadata.walletId,
+    type: 'deposit',
+    amount: paymentIntent.amount / 100,
+    currency: String(paymentIntent.currency || 'usd').toUpperCase(),
+    status: 'failed',
+    stripe_payment_id: paymentIntent.id,
+    description,
+  });
+  if (error) throw error;
+
+  const wallet = await getWalletOwner(paymentIntent.metadata.walletId);
+  await notify(wallet?.user_id, 'Deposit Failed', description, 'wallet_deposit_failed', paymentIntent.metadata.walletId);
+  return { recorded: true };
+}
+
+/**
+ * charge.refunded – take refunded deposit money back out of the wallet.
+ * amount_refunded is cumulative, so it doubles as the idempotency key and
+ * lets successive partial refunds each post only their delta.
+ */
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = typeof charge.payment_intent === 'string'
+    ? charge.payment_intent
+    : charge.payment_intent?.id;
+  if (!paymentIntentId) return { reversed: false, reason: 'no_payment_intent' };
+
+  const { data: depositTx } = await supabaseAdmin
+    .from('transactions')
+    .select('wallet_id')
+    .eq('stripe_payment_id', paymentIntentId)
+    .eq('type', 'deposit')
+    .eq('status', 'success')
+    .limit(1);
+
+  const walletId = depositTx?.[0]?.wallet_id;
+  if (!walletId) return { reversed: false, reason: 'not_a_deposit' };
+
+  const { data: priorRefunds } = await supabaseAdmin
+    .from('ledger_journals')
+    .select('idempotency_key')
+    .eq('reference_type', 'stripe_payment_intent')
+    .eq('reference_id', paymentIntentId)
+    .eq('kind', 'reversal');
+
+  const alreadyRefundedCents = Math.max(0, ...(priorRefunds || []).map((j) =>
+    Number(String(j.idempotency_key).split(':').pop()) || 0
+  ));
+  const deltaCents = charge.amount_refunded - alreadyRefundedCents;
+  if (deltaCents <= 0) return { reversed: false, reason: 'already_processed' };
+
+  const wallet = await getWalletOwner(walletId);
+  const journal = await ledger.debitDepositRefund({
+    walletId,
+    amount: deltaCents / 100,
+    stripePaymentId: paymentIntentId,
+    refundKey: charge.amount_refunded,
+  });
+
+  if (!journal.duplicate) {
+    await notify(
+      wallet?.user_id,
+      'Deposit Refunded',
+      `${formatMoney(deltaCents / 100, wallet?.currency)} of your card deposit was refunded to your card.`,
+      'wallet_deposit_refunded',
+      walletId
+    );
+  }
+  return { reversed: !journal.duplicate };
+}
+
+/**
+ * transfer.reversed – a provider payout came back; return it to the wallet.
+ * Withdrawals made before the payouts table carry no payoutId and are
+ * restored directly.
+ */
+async function handleTransferReversed(transfer) {
+  if (transfer.metadata?.payoutId) return payouts.markReversed(transfer);
+
+  const walletId = transfer.metadata?.walletId;
+  const reference = transfer.metadata?.withdrawalReference;
+  if (!walletId || !reference) return { restored: false, reason: 'not_a_withdrawal' };
+
+  const amount = (transfer.amount_reversed || transfer.amount) / 100;
+  const wallet = await getWalletOwner(walletId);
+  const journal = await ledger.reverseWithdrawal({ walletId, amount, currency: wallet?.currency, reference });
+
+  if (!journal.duplicate) {
+    await notify(
+      wallet?.user_id,
+      'Payout Reversed',
+      `Your payout of ${formatMoney(amount, wallet?.currency)} was reversed and returned to your wallet.`,
+      'withdrawal_reversed',
+      walletId
+    );
+  }
+  return { restored: !journal.duplicate };
+}
+
+/**
+ * payout.failed on a connected account – the provider's bank rejected a
+ * payout from their Stripe balance. The money went back to that balance, so
+ * the ledger is unchanged, but Stripe pauses payouts until the bank details
+ * are fixed: refresh the account status so withdrawals stop, and tell them.
+ */
+async function handleConnectPayoutFailed(bankPayout, event) {
+  if (!event.account) return { updated: false, reason: 'not_a_connect_payout' };
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('stripe_connect_id', event.account)
+    .maybeSingle();
+  if (!profile) return { updated: false, reason: 'unknown_account' };
+
+  await stripeConnect.syncAccount(profile.id);
+
+  const { data: sent } = await supabaseAdmin
+    .from('notifications')
+    .select('id')
+    .eq('type', 'bank_payout_failed')
+    .eq('reference_id', bankPayout.id)
+    .limit(1);
+  if (sent && sent.length > 0) return { updated: false, reason: 'already_processed' };
+
+  const amount = formatMoney(bankPayout.amount / 100, String(bankPayout.currency || 'usd').toUpperCase());
+  await notify(
+    profile.id,
+    'Bank Payout Failed',
+    `Stripe could not send ${amount} to your bank${bankPayout.failure_message ? ` (${bankPayout.failure_message})` : ''}. `
+      + 'The money is back in your Stripe balance; update your bank details in Stripe to receive it.',
+    'bank_payout_failed',
+    bankPayout.id
+  );
+  return { updated: true };
+}
+
+/**
+ * account.updated – mirror Connect capabilities and requirements onto the profile.
+ */
+async function handleAccountUpdated(account) {
+  await stripeConnect.applyAccount(account);
+  return { updated: true };
+}
+
+// The ledger works in major units; Stripe objects carry cents.
+function toMajorUnits(paymentIntent) {
+  return {
+    ...paymentIntent,
+    amount: paymentIntent.amount / 100,
+    amount_received: paymentIntent.amount_received != null ? paymentIntent.amount_received / 100 : undefined,
+  };
+}
+
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'transfer.created': payouts.markPaid,
+  'transfer.reversed': handleTransferReversed,
+  'account.updated': handleAccountUpdated,
+  'payout.failed': handleConnectPayoutFailed,
+};
+
+/**
+ * Dispatch a verified Stripe event. Unknown types are acknowledged and ignored.
+ * Handlers get the event object and the event (Connect events carry `account`).
+ */
+async function handleStripeEvent(event) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) return { handled: false };
+  const result = await handler(event.data.object, event);
+  return { handled: true, ...result };
+}
+
+module.exports = {
+  handleStripeEvent,
+  settleDepositIntent: (paymentIntent) => settleDepositIntent(toMajorUnits(paymentIntent)),
+  HANDLED_EVENT_TYPES: Object.keys(EVENT_HANDLERS),
+};
@@ -0,0 +1,1115 @@
+/**
+ * subscriptions.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Recurring plus/pro/business plans (see migrations/20261019_15_subscriptions.sql).
+ *
+ *   active ──renewal fails──▶ past_due ──grace ends──▶ expired
+ *     │                        └──paid──▶ active
+ *     └──cancel──▶ cancelled_at_period_end ──period ends──▶ cancelled
+ *
+ * Plans are priced in USD and paid from the wallet (at the current rate when
+ * it holds another currency) or off-session from a saved card. Yearly plans
+ * cost ten months. Changing plan mid-period credits the unused part of the
+ * current one and starts a new period, so an upgrade charges the difference
+ * and a downgrade puts the difference back into the wallet; a change can
+ * also be scheduled for the next renewal instead.
+ *
+ * A failed renewal keeps the plan for SUBSCRIPTION_GRACE_DAYS (default 3)
+ * while the daily cron retries (GET /cron/process-subscriptions), then the
+ * subscription expires. profiles.subscription_tier / subscription_expiry
+ * always mirror the live subscription.
+ *
+ * A promo code at signup discounts the first period only; `price` then holds
+ * what that period cost, so proration credits the discounted amount.
+ *
+ * When a card charge fails without a clear decline (timeout, network or
+ * Stripe error) the card may have been charged. The charge is kept `pending`
+ * and a new plan or plan change waits in the `pending` status until the cron
+ * finds the payment intent on Stripe and settles it either way.
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { addMonths, addYears, addDays } = require('date-fns');
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const fx = require('./fx');
+const promos = require('./promos');
+const invoices = require('./invoices');
+
+const PRICE_CURRENCY = 'USD';
+
+// Monthly prices; a year costs YEARLY_MONTHS of them
+const SUBSCRIPTION_PRICING = {
+  plus: 6.99,
+  pro: 17.99,
+  business: 44.99,
+};
+const YEARLY_MONTHS = 10;
+
+const INTERVALS = ['month', 'year'];
+const PAYMENT_METHODS = ['wallet', 'card'];
+const LIVE_STATUSES = ['active', 'past_due', 'cancelled_at_period_end'];
+// Also holds the user's one subscription, but grants nothing until settled
+const OPEN_STATUSES = [...LIVE_STATUSES, 'pending'];
+// Stripe errors that mean the card was not charged. Anything else leaves it
+// unknown whether the intent went through, so the charge stays pending.
+const DECLINED_ERROR_TYPES = ['StripeCardError', 'StripeInvalidRequestError'];
+// Pending card charges older than this are looked up on Stripe by the cron
+const SETTLE_AFTER_MS = 15 * 60 * 1000;
+const PENDING_MESSAGE = 'Your last card payment is still being confirmed. Try again later.';
+
+function subscriptionError(message, status = 400, details = {}) {
+  const err = new Error(message);
+  err.code = 'SUBSCRIPTION';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a subscription request was refused. `err.status` is the HTTP status.
+ */
+const isSubscriptionError = (err) => err?.code === 'SUBSCRIPTION';
+
+const getGraceDays = () => (process.env.SUBSCRIPTION_GRACE_DAYS !== undefined
+  ? Math.max(0, Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 0)
+  : 3);
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+async function notify(userId, title, message, type, referenceId) {
+  const { error } = await supabaseAdmin.from('notifications').insert({
+    user_id: userId,
+    title,
+    message,
+    type,
+    reference_id: referenceId,
+    is_read: false,
+  });
+  if (error) console.error(`Subscription notification error (${referenceId}):`, error.message);
+}
+
+// ── Plans ───────────────────────────────────────────────────────────────────
+
+function getPrice(tier, interval = 'month') {
+  const monthly = SUBSCRIPTION_PRICING[tier];
+  if (!monthly || !INTERVALS.includes(interval)) return null;
+  return ledger.roundMoney(interval === 'year' ? monthly * YEARLY_MONTHS : monthly);
+}
+
+function listPlans() {
+  return Object.keys(SUBSCRIPTION_PRICING).flatMap((tier) => INTERVALS.map((interval) => ({
+    tier,
+    interval,
+    price: getPrice(tier, interval),
+    currency: PRICE_CURRENCY,
+  })));
+}
+
+function parsePlan(tier, interval = 'month') {
+  const plan = { tier: normalize(tier), interval: normalize(interval) || 'month' };
+  if (!SUBSCRIPTION_PRICING[plan.tier]) {
+    throw subscriptionError('Invalid tier. Allowed values: plus, pro, business.');
+  }
+  if (!INTERVALS.includes(plan.interval)) {
+    throw subscriptionError('Invalid interval. Allowed values: month, year.');
+  }
+  return { ...plan, price: getPrice(plan.tier, plan.interval) };
+}
+
+const periodEndFrom = (start, interval) => (interval === 'year' ? addYears(start, 1) : addMonths(start, 1));
+
+const describeCharge = (tier, interval, kind) => `${tier} subscription (${interval}ly) — ${kind}`;
+
+// ── Payment ─────────────────────────────────────────────────────────────────
+
+// What a plan-currency amount costs in the payer's currency right now
+async function getPayment(userId, amount, payCurrency) {
+  const currency = await fx.resolveUserCurrency(userId, payCurrency);
+  const { rate } = await fx.getRate(PRICE_CURRENCY, currency);
+  return { currency, rate, amount: ledger.toPaymentAmount(amount, PRICE_CURRENCY, { currency, rate }) };
+}
+
+// All of a user's wallets share one Stripe customer (see walletRoutes)
+async function getStripeCustomerId(userId, email, currency) {
+  const { data: siblings, error } = await supabaseAdmin
+    .from('wallets')
+    .select('stripe_customer_id')
+    .eq('user_id', userId)
+    .not('stripe_customer_id', 'is', null)
+    .limit(1);
+
+  if (error) throw error;
+  if (siblings?.[0]?.stripe_customer_id) return siblings[0].stripe_customer_id;
+
+  const customer = await stripe.customers.create({ email });
+  const wallet = await ledger.ensureWallet(userId, currency);
+  await supabaseAdmin.from('wallets').update({ stripe_customer_id: customer.id }).eq('id', wallet.id);
+  return customer.id;
+}
+
+// Make sure a card the app collected belongs to the user's Stripe customer
+async function attachCard(userId, email, paymentMethodId, currency) {
+  if (!paymentMethodId) throw subscriptionError('payment_method_id is required to pay by card.');
+
+  const customerId = await getStripeCustomerId(userId, email, currency);
+  const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+  if (paymentMethod.customer && paymentMethod.customer !== customerId) {
+    throw subscriptionError('This card belongs to another customer.', 403);
+  }
+  if (!paymentMethod.customer) {
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+  }
+  return paymentMethodId;
+}
+
+async function recordCharge(subscription, charge) {
+  const { data, error } = await supabaseAdmin
+    .from('subscription_charges')
+    .insert({
+      subscription_id: subscription.id,
+      user_id: subscription.user_id,
+      tier: subscription.tier,
+      interval: subscription.interval,
+      currency: PRICE_CURRENCY,
+      payment_method: subscription.payment_method,
+      ...charge,
+    })
+    .select()
+    .single();
+
+  if (error) console.error(`Subscription charge record error (${subscription.id}):`, error.message);
+  return data;
+}
+
+// The card is charged: a failure from here on must not undo the
+// subscription. The purchase journal is keyed on the intent, so it can be
+// booked later from the charge row.
+async function bookCardPurchase(subscriptionId, { amount, payment, intentId, description }) {
+  try {
+    const journal = await ledger.recordCardPurchase({
+      amount,
+      currency: PRICE_CURRENCY,
+      payment: { currency: payment.currency, rate: payment.rate },
+      stripePaymentId: intentId,
+      description,
+      referenceType: 'subscription',
+      referenceId: subscriptionId,
+    });
+    return journal.journal_id;
+  } catch (err) {
+    console.error(`Subscription card purchase not booked (${subscriptionId}, ${intentId}):`, err.message);
+    return null;
+  }
+}
+
+async function chargeCard(subscription, amount, payment, description, key) {
+  const { data: wallets } = await supabaseAdmin
+    .from('wallets')
+    .select('stripe_customer_id')
+    .eq('user_id', subscription.user_id)
+    .not('stripe_customer_id', 'is', null)
+    .limit(1);
+
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.create({
+      amount: Math.round(payment.amount * 100),
+      currency: payment.currency.toLowerCase(),
+      customer: wallets?.[0]?.stripe_customer_id,
+      payment_method: subscription.stripe_payment_method_id,
+      off_session: true,
+      confirm: true,
+      description,
+      metadata: { type: 'subscription', subscriptionId: subscription.id, userId: subscription.user_id, chargeKey: key },
+    }, { idempotencyKey: key });
+  } catch (err) {
+    // Declines come back as errors; the intent (if any) is on the error
+    if (DECLINED_ERROR_TYPES.includes(err?.type)) {
+      return { ok: false, reason: err.message, intentId: err.raw?.payment_intent?.id || null };
+    }
+    console.error(`Subscription card charge unclear (${subscription.id}):`, err.message);
+    return { ok: false, pending: true, reason: err.message };
+  }
+
+  if (intent.status === 'processing') {
+    return { ok: false, pending: true, reason: 'Card payment processing.', intentId: intent.id };
+  }
+  if (intent.status !== 'succeeded') {
+    return { ok: false, reason: `Card payment ${intent.status.replace(/_/g, ' ')}.`, intentId: intent.id };
+  }
+
+  const journalId = await bookCardPurchase(subscription.id, { amount, payment, intentId: intent.id, description });
+  return { ok: true, journalId, intentId: intent.id };
+}
+
+async function chargeWallet(subscription, amount, payment, description, key) {
+  const { data: wallet, error } = await supabaseAdmin
+    .from('wallets')
+    .select('id')
+    .eq('user_id', subscription.user_id)
+    .eq('currency', payment.currency)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!wallet) return { ok: false, reason: 'Insufficient wallet balance.' };
+
+  try {
+    const journal = await ledger.chargeWallet({
+      walletId: wallet.id,
+      amount,
+      currency: PRICE_CURRENCY,
+      payment: { currency: payment.currency, rate: payment.rate },
+      description,
+      referenceType: 'subscription',
+      referenceId: subscription.id,
+      idempotencyKey: key,
+    });
+    return {
+      ok: true,
+      journalId: journal.journal_id,
+      walletBalance: journal.balances?.[wallet.id] !== undefined ? Number(journal.balances[wallet.id]) : null,
+    };
+  } catch (err) {
+    if (ledger.isInsufficientFunds(err)) return { ok: false, reason: 'Insufficient wallet balance.' };
+    // The reply may be lost after the journal committed
+    const { data: posted } = await supabaseAdmin
+      .from('ledger_journals')
+      .select('id')
+      .eq('idempotency_key', key)
+      .maybeSingle();
+    if (posted) return { ok: true, journalId: posted.id, walletBalance: null };
+    throw err;
+  }
+}
+
+const chargeStatus = (result) => {
+  if (result.ok) return 'succeeded';
+  return result.pending ? 'pending' : 'failed';
+};
+
+/**
+ * Take `amount` (plan currency) for a subscription from its payment method
+ * and record the attempt. Retrying the same kind and period never charges
+ * twice: wallet charges are keyed on it, card charges also on the attempt.
+ * `pending` means a card charge may or may not have gone through.
+ * @returns {Promise<{ ok: boolean, pending?: boolean, reason?: string, walletBalance?: number|null }>}
+ */
+async function collect(subscription, { kind, amount, periodStart, periodEnd }) {
+  const payment = await getPayment(subscription.user_id, amount, subscription.pay_currency);
+  const description = describeCharge(subscription.tier, subscription.interval, kind);
+  const key = `subscription:${subscription.id}:${kind}:${new Date(periodStart).toISOString()}`;
+  const cardKey = `${key}:${subscription.renewal_attempts || 0}`;
+
+  const result = subscription.payment_method === 'card'
+    ? await chargeCard(subscription, amount, payment, description, cardKey)
+    : await chargeWallet(subscription, amount, payment, description, key);
+
+  await recordCharge(subscription, {
+    kind,
+    amount,
+    paid_amount: payment.amount,
+    paid_currency: payment.currency,
+    status: chargeStatus(result),
+    failure_reason: result.ok || result.pending ? null : result.reason,
+    period_start: new Date(periodStart).toISOString(),
+    period_end: new Date(periodEnd).toISOString(),
+    journal_id: result.journalId || null,
+    stripe_payment_intent_id: result.intentId || null,
+    charge_key: subscription.payment_method === 'card' ? cardKey : null,
+  });
+
+  if (result.ok && result.journalId) {
+    try {
+      await invoices.issueForJournal(result.journalId);
+    } catch (invoiceError) {
+      console.error(`Invoice error (subscription ${subscription.id}):`, invoiceError.message);
+    }
+  }
+  return result;
+}
+
+// Unused time of a plan goes back to the wallet, whatever paid for it
+async function creditUnused(subscription, amount, periodStart) {
+  const payment = await getPayment(subscription.user_id, amount, subscription.pay_currency);
+  const wallet = await ledger.ensureWallet(subscription.user_id, payment.currency);
+
+  const journal = await ledger.creditPurchase({
+    walletId: wallet.id,
+    amount,
+    currency: PRICE_CURRENCY,
+    payment: { currency: payment.currency, rate: payment.rate },
+    description: `Unused ${subscription.tier} subscription time`,
+    referenceType: 'subscription',
+    referenceId: subscription.id,
+    idempotencyKey: `subscription:${subscription.id}:credit:${new Date(periodStart).toISOString()}`,
+  });
+
+  await recordCharge(subscription, {
+    kind: 'credit',
+    amount,
+    paid_amount: payment.amount,
+    paid_currency: payment.currency,
+    payment_method: 'wallet',
+    status: 'succeeded',
+    journal_id: journal.journal_id,
+  });
+}
+
+// ── Promo codes ─────────────────────────────────────────────────────────────
+
+async function checkPromo(userId, code, price) {
+  try {
+    return await promos.validate({ code, userId, target: 'subscription', amount: price, currency: PRICE_CURRENCY });
+  } catch (err) {
+    if (promos.isPromoError(err)) throw subscriptionError(err.message, err.status, err.details);
+    throw err;
+  }
+}
+
+async function redeemPromo(subscription, { promo, discount }) {
+  try {
+    await promos.redeem({
+      code: promo.code,
+      userId: subscription.user_id,
+      target: 'subscription',
+      targetId: subscription.id,
+      discount,
+      currency: PRICE_CURRENCY,
+    });
+  } catch (err) {
+    if (promos.isPromoError(err)) throw subscriptionError(err.message, err.status, err.details);
+    throw err;
+  }
+}
+
+// A 100% promo leaves nothing to collect, but the period is still on record
+async function recordFreePeriod(subscription, periodStart, periodEnd) {
+  await recordCharge(subscription, {
+    kind: 'initial',
+    amount: 0,
+    paid_amount: 0,
+    paid_currency: subscription.pay_currency,
+    status: 'succeeded',
+    period_start: new Date(periodStart).toISOString(),
+    period_end: new Date(periodEnd).toISOString(),
+  });
+  return { ok: true };
+}
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+// The live subscription, or one waiting for its card payment to settle
+async function getOpenSubscription(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', OPEN_STATUSES)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Compare-and-set on status and period so concurrent requests and the cron
+// cannot both move the same subscription
+async function moveSubscription(subscription, fields, fromStatuses = [subscription.status]) {
+  const { data, error } = await supabaseAdmin
+    .from('subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', subscription.id)
+    .in('status', fromStatuses)
+    .eq('current_period_end', subscription.current_period_end)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mirror a subscription onto the profile: the tier while it is live (through
+ * the grace period when past due) and `free` once it has ended.
+ */
+async function syncProfile(subscription) {
+  const live = LIVE_STATUSES.includes(subscription.status);
+  const update = live
+    ? {
+      subscription_tier: subscription.tier,
+      subscription_expiry: subscription.status === 'past_due'
+        ? subscription.grace_until
+        : subscription.current_period_end,
+      // Business tier unlocks verified badge
+      ...(subscription.tier === 'business' ? { is_verified_business: true } : {}),
+    }
+    : { subscription_tier: 'free', subscription_expiry: subscription.ended_at };
+
+  const { error } = await supabaseAdmin.from('profiles').update(update).eq('id', subscription.user_id);
+  if (error) throw error;
+}
+
+function describe(subscription) {
+  if (!subscription) return null;
+  return {
+    id: subscription.id,
+    tier: subscription.tier,
+    interval: subscription.interval,
+    price: Number(subscription.price),
+    currency: subscription.currency,
+    status: subscription.status,
+    payment_method: subscription.payment_method,
+    pay_currency: subscription.pay_currency,
+    current_period_start: subscription.current_period_start,
+    current_period_end: subscription.current_period_end,
+    promo_code: subscription.promo_code || null,
+    grace_until: subscription.grace_until,
+    renews: subscription.status === 'active',
+    last_renewal_error: subscription.last_renewal_error,
+    pending_change: subscription.pending_tier
+      ? {
+        tier: subscription.pending_tier,
+        interval: subscription.pending_interval,
+        price: getPrice(subscription.pending_tier, subscription.pending_interval),
+        effective_at: subscription.current_period_end,
+      }
+      : null,
+  };
+}
+
+/**
+ * The user's live subscription (null when none) and recent charges.
+ */
+async function getSubscription(userId) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription) return { subscription: null, charges: [] };
+
+  const { data: charges, error } = await supabaseAdmin
+    .from('subscription_charges')
+    .select('id, kind, tier, interval, amount, currency, paid_amount, paid_currency, payment_method, status, failure_reason, period_start, period_end, created_at')
+    .eq('subscription_id', subscription.id)
+    .order('created_at', { ascending: false })
+    .limit(24);
+
+  if (error) throw error;
+  return { subscription: describe(subscription), charges: charges || [] };
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Start a subscription and take the first period's payment.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.email           - for the Stripe customer when paying by card
+ * @param {string} params.tier            - plus | pro | business
+ * @param {string} [params.interval]      - month | year
+ * @param {string} [params.paymentMethod] - wallet | card
+ * @param {string} [params.paymentMethodId] - Stripe PaymentMethod when paying by card
+ * @param {string} [params.payCurrency]   - wallet/card currency; defaults to the preferred one
+ * @param {string} [params.promoCode]     - discounts the first period
+ */
+async function subscribe({ userId, email, tier, interval, paymentMethod = 'wallet', paymentMethodId = null, payCurrency = null, promoCode = null }) {
+  const plan = parsePlan(tier, interval);
+  const method = normalize(paymentMethod) || 'wallet';
+  if (!PAYMENT_METHODS.includes(method)) throw subscriptionError('payment_method must be wallet or card.');
+
+  if (await getOpenSubscription(userId)) {
+    throw subscriptionError('You already have a subscription. Change its plan instead.', 409);
+  }
+
+  const promo = promoCode ? await checkPromo(userId, promoCode, plan.price) : null;
+  // A promo code only discounts the first period; renewals charge the plan price
+  const firstPrice = promo ? ledger.roundMoney(plan.price - promo.discount) : plan.price;
+
+  const currency = await fx.resolveUserCurrency(userId, payCurrency);
+  const cardId = method === 'card' ? await attachCard(userId, email, paymentMethodId, currency) : null;
+
+  const start = new Date();
+  const end = periodEndFrom(start, plan.interval);
+
+  // Grant first, charge last: the row is removed again if payment fails
+  const { data: subscription, error } = await supabaseAdmin
+    .from('subscriptions')
+    .insert({
+      user_id: userId,
+      tier: plan.tier,
+      interval: plan.interval,
+      price: firstPrice,
+      currency: PRICE_CURRENCY,
+      status: 'active',
+      payment_method: method,
+      stripe_payment_method_id: cardId,
+      pay_currency: currency,
+      current_period_start: start.toISOString(),
+      current_period_end: end.toISOString(),
+      promo_code: promo ? promo.promo.code : null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') throw subscriptionError('You already have a subscription. Change its plan instead.', 409);
+    throw error;
+  }
+
+  const undo = async () => {
+    await supabaseAdmin.from('subscriptions').delete().eq('id', subscription.id);
+    if (promo) await promos.release('subscription', subscription.id);
+  };
+
+  let result;
+  try {
+    if (promo) await redeemPromo(subscription, promo);
+    result = firstPrice > 0
+      ? await collect(subscription, { kind: 'initial', amount: firstPrice, periodStart: start, periodEnd: end })
+      : await recordFreePeriod(subscription, start, end);
+  } catch (err) {
+    // collect() only throws before any money was taken
+    await undo();
+    throw err;
+  }
+  if (result.pending) {
+    // The card may have been charged: keep the row for the cron to settle
+    const pending = await moveSubscription(subscription, { status: 'pending' });
+    return { subscription: describe(pending || { ...subscription, status: 'pending' }), walletBalance: null };
+  }
+  if (!result.ok) {
+    await undo();
+    throw subscriptionError(result.reason, 402);
+  }
+
+  // Paid for: keep the subscription even if the profile lags behind
+  try {
+    await syncProfile(subscription);
+  } catch (err) {
+    console.error(`Subscription profile sync error (${subscription.id}):`, err.message);
+  }
+  return { subscription: describe(subscription), walletBalance: result.walletBalance ?? null };
+}
+
+/**
+ * What switching to a plan now would cost: the new price less the unused
+ * part of the current period. A negative amount_due is credited to the wallet.
+ */
+function quoteChange(subscription, plan, now = new Date()) {
+  const start = new Date(subscription.current_period_start).getTime();
+  const end = new Date(subscription.current_period_end).getTime();
+  const unused = end > start ? Math.min(Math.max((end - now.getTime()) / (end - start), 0), 1) : 0;
+  const credit = ledger.roundMoney(Number(subscription.price) * unused);
+
+  return {
+    tier: plan.tier,
+    interval: plan.interval,
+    price: plan.price,
+    credit,
+    amount_due: ledger.roundMoney(plan.price - credit),
+    currency: PRICE_CURRENCY,
+    period_start: new Date(now).toISOString(),
+    period_end: periodEndFrom(now, plan.interval).toISOString(),
+  };
+}
+
+async function requireActive(userId) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription) throw subscriptionError('You do not have a subscription.', 404);
+  if (subscription.status === 'pending') throw subscriptionError(PENDING_MESSAGE, 409);
+  if (subscription.status === 'past_due') {
+    throw subscriptionError('Your last renewal failed. Pay it before changing plan.', 409);
+  }
+  if (subscription.status === 'cancelled_at_period_end') {
+    throw subscriptionError('Your subscription is cancelled. Resume it before changing plan.', 409);
+  }
+  return subscription;
+}
+
+/**
+ * Preview a plan change without making it.
+ */
+async function previewChange({ userId, tier, interval }) {
+  const subscription = await requireActive(userId);
+  return quoteChange(subscription, parsePlan(tier, interval || subscription.interval));
+}
+
+/**
+ * Switch plan. Right away (prorated) by default, or at the next renewal
+ * with `atPeriodEnd`. Choosing the current plan drops a scheduled change.
+ */
+async function changePlan({ userId, tier, interval, atPeriodEnd = false }) {
+  const subscription = await requireActive(userId);
+  const plan = parsePlan(tier, interval || subscription.interval);
+
+  if (plan.tier === subscription.tier && plan.interval === subscription.interval) {
+    if (!subscription.pending_tier) throw subscriptionError('You are already on this plan.');
+    const updated = await moveSubscription(subscription, { pending_tier: null, pending_interval: null });
+    if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+    return { subscription: describe(updated), proration: null };
+  }
+
+  if (atPeriodEnd) {
+    const updated = await moveSubscription(subscription, { pending_tier: plan.tier, pending_interval: plan.interval });
+    if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+    return { subscription: describe(updated), proration: null };
+  }
+
+  const now = new Date();
+  const quote = quoteChange(subscription, plan, now);
+
+  const updated = await moveSubscription(subscription, {
+    tier: plan.tier,
+    interval: plan.interval,
+    price: plan.price,
+    current_period_start: quote.period_start,
+    current_period_end: quote.period_end,
+    pending_tier: null,
+    pending_interval: null,
+  });
+  if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+
+  const restore = (fields = {}) => supabaseAdmin
+    .from('subscriptions')
+    .update({
+      tier: subscription.tier,
+      interval: subscription.interval,
+      price: subscription.price,
+      current_period_start: subscription.current_period_start,
+      current_period_end: subscription.current_period_end,
+      pending_tier: subscription.pending_tier,
+      pending_interval: subscription.pending_interval,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', subscription.id);
+
+  let walletBalance = null;
+  try {
+    if (quote.amount_due > 0) {
+      const result = await collect(updated, {
+        kind: 'proration',
+        amount: quote.amount_due,
+        periodStart: quote.period_start,
+        periodEnd: quote.period_end,
+      });
+      if (result.pending) {
+        // Keep the current plan; the cron applies the new one if the card paid
+        await restore({ status: 'pending' });
+        return { subscription: describe({ ...subscription, status: 'pending' }), proration: quote, walletBalance: null };
+      }
+      if (!result.ok) {
+        await restore();
+        throw subscriptionError(result.reason, 402);
+      }
+      walletBalance = result.walletBalance ?? null;
+    } else if (quote.amount_due < 0) {
+      await creditUnused(updated, -quote.amount_due, quote.period_start);
+    }
+  } catch (err) {
+    if (!isSubscriptionError(err)) await restore();
+    throw err;
+  }
+
+  await syncProfile(updated);
+  return { subscription: describe(updated), proration: quote, walletBalance };
+}
+
+/**
+ * Stop renewing. The plan stays until the period ends; a past-due
+ * subscription ends right away since its period is already over.
+ */
+async function cancel({ userId }) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription) throw subscriptionError('You do not have a subscription.', 404);
+  if (subscription.status === 'pending') throw subscriptionError(PENDING_MESSAGE, 409);
+  if (subscription.status === 'cancelled_at_period_end') return describe(subscription);
+
+  const now = new Date().toISOString();
+  const updated = subscription.status === 'past_due'
+    ? await moveSubscription(subscription, { status: 'cancelled', cancel_requested_at: now, ended_at: now, grace_until: null })
+    : await moveSubscription(subscription, { status: 'cancelled_at_period_end', cancel_requested_at: now });
+  if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+
+  await syncProfile(updated);
+  return describe(updated);
+}
+
+/**
+ * Undo a cancellation before the period ends.
+ */
+async function resume({ userId }) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription || subscription.status !== 'cancelled_at_period_end') {
+    throw subscriptionError('There is no cancelled subscription to resume.', 409);
+  }
+
+  const updated = await moveSubscription(subscription, { status: 'active', cancel_requested_at: null });
+  if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+  return describe(updated);
+}
+
+/**
+ * Pay renewals from the wallet or a card from now on.
+ */
+async function updatePaymentMethod({ userId, email, paymentMethod, paymentMethodId = null, payCurrency = null }) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription) throw subscriptionError('You do not have a subscription.', 404);
+  if (subscription.status === 'pending') throw subscriptionError(PENDING_MESSAGE, 409);
+
+  const method = normalize(paymentMethod) || subscription.payment_method;
+  if (!PAYMENT_METHODS.includes(method)) throw subscriptionError('payment_method must be wallet or card.');
+
+  const currency = payCurrency ? await fx.resolveUserCurrency(userId, payCurrency) : subscription.pay_currency;
+  const cardId = method === 'card'
+    ? await attachCard(userId, email, paymentMethodId || subscription.stripe_payment_method_id, currency)
+    : null;
+
+  const updated = await moveSubscription(subscription, {
+    payment_method: method,
+    stripe_payment_method_id: cardId,
+    pay_currency: currency,
+  });
+  if (!updated) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+  return describe(updated);
+}
+
+// ── Renewals ───────────────────────────────────────────────────────────────
+
+// Move a subscription on once its renewal charge has gone through or failed
+async function settleRenewal(subscription, result, { tier, interval, periodStart, periodEnd }, now) {
+  if (result.ok) {
+    const renewed = await moveSubscription(subscription, {
+      status: 'active',
+      tier,
+      interval,
+      price: getPrice(tier, interval),
+      current_period_start: periodStart.toISOString(),
+      current_period_end: periodEnd.toISOString(),
+      pending_tier: null,
+      pending_interval: null,
+      grace_until: null,
+      renewal_attempts: 0,
+      last_renewal_error: null,
+    }, ['active', 'past_due']);
+    return renewed && { outcome: 'renewed', subscription: renewed };
+  }
+
+  const graceUntil = subscription.grace_until || addDays(periodStart, getGraceDays()).toISOString();
+  if (new Date(graceUntil) <= now) {
+    const expired = await moveSubscription(subscription, {
+      status: 'expired',
+      ended_at: now.toISOString(),
+      renewal_attempts: (subscription.renewal_attempts || 0) + 1,
+      last_renewal_error: result.reason,
+    }, ['active', 'past_due']);
+    return expired && { outcome: 'expired', subscription: expired };
+  }
+
+  const pastDue = await moveSubscription(subscription, {
+    status: 'past_due',
+    grace_until: graceUntil,
+    renewal_attempts: (subscription.renewal_attempts || 0) + 1,
+    last_renewal_error: result.reason,
+  }, ['active', 'past_due']);
+  return pastDue && { outcome: 'past_due', subscription: pastDue };
+}
+
+async function hasPendingCharge(subscriptionId) {
+  const { count, error } = await supabaseAdmin
+    .from('subscription_charges')
+    .select('id', { count: 'exact', head: true })
+    .eq('subscription_id', subscriptionId)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+  return count > 0;
+}
+
+// Charge the period that starts at current_period_end, applying any
+// scheduled plan change. Returns the moved subscription. A renewal whose
+// card charge is unclear stays put until settlePendingCharges() knows more.
+async function renew(subscription, now) {
+  if (await hasPendingCharge(subscription.id)) return { outcome: 'pending', subscription };
+
+  const tier = subscription.pending_tier || subscription.tier;
+  const interval = subscription.pending_interval || subscription.interval;
+  const periodStart = new Date(subscription.current_period_end);
+  const periodEnd = periodEndFrom(periodStart, interval);
+
+  const result = await collect({ ...subscription, tier, interval }, {
+    kind: 'renewal',
+    amount: getPrice(tier, interval),
+    periodStart,
+    periodEnd,
+  });
+  if (result.pending) return { outcome: 'pending', subscription };
+
+  return settleRenewal(subscription, result, { tier, interval, periodStart, periodEnd }, now);
+}
+
+const OUTCOME_NOTICES = {
+  renewed: (s) => ['Subscription Renewed', `Your ${s.tier} plan renewed until ${new Date(s.current_period_end).toDateString()}.`],
+  past_due: (s) => ['Subscription Payment Failed', `We couldn't renew your ${s.tier} plan (${s.last_renewal_error}). Top up your wallet or update your card before ${new Date(s.grace_until).toDateString()} to keep it.`],
+  expired: (s) => ['Subscription Expired', `Your ${s.tier} plan has ended because the renewal could not be paid.`],
+  cancelled: (s) => ['Subscription Ended', `Your ${s.tier} plan has ended as requested.`],
+};
+
+// `previousStatus` keeps daily retries from repeating the past-due notice
+async function applyOutcome(moved, previousStatus) {
+  if (!moved) return null;
+  if (moved.outcome === 'pending') return moved.outcome;
+  await syncProfile(moved.subscription);
+  if (!(moved.outcome === 'past_due' && previousStatus === 'past_due')) {
+    const [title, message] = OUTCOME_NOTICES[moved.outcome](moved.subscription);
+    await notify(moved.subscription.user_id, title, message, `subscription_${moved.outcome}`, moved.subscription.id);
+  }
+  return moved.outcome;
+}
+
+/**
+ * Pay a past-due renewal now (e.g. after topping up the wallet).
+ */
+async function retryPayment({ userId }) {
+  const subscription = await getOpenSubscription(userId);
+  if (!subscription || subscription.status !== 'past_due') {
+    throw subscriptionError('There is no failed renewal to pay.', 409);
+  }
+
+  const moved = await renew(subscription, new Date());
+  if (!moved) throw subscriptionError('Your subscription changed meanwhile. Try again.', 409);
+  if (moved.outcome === 'pending') throw subscriptionError(PENDING_MESSAGE, 409);
+  await applyOutcome(moved, subscription.status);
+  if (moved.outcome !== 'renewed') {
+    throw subscriptionError(moved.subscription.last_renewal_error || 'Payment failed.', 402, {
+      subscription: describe(moved.subscription),
+    });
+  }
+  return describe(moved.subscription);
+}
+
+// ── Unclear card charges ────────────────────────────────────────────────────
+
+// The intent a pending charge created, if any. Looked up by the subscription
+// in its metadata because Stripe forgets idempotency keys after a day.
+async function findChargeIntent(charge) {
+  const { data } = await stripe.paymentIntents.search({
+    query: `metadata['subscriptionId']:'${charge.subscription_id}'`,
+    limit: 100,
+  });
+  return (data || []).find((intent) => intent.metadata?.chargeKey === charge.charge_key) || null;
+}
+
+const SETTLED_NOTICES = {
+  started: (s) => ['Subscription Started', `Your ${s.tier} plan is active until ${new Date(s.current_period_end).toDateString()}.`],
+  declined: (s) => ['Subscription Payment Failed', `Your card payment for the ${s.tier} plan did not go through, so the plan was not started.`],
+  changed: (s) => ['Plan Changed', `You are now on the ${s.tier} plan until ${new Date(s.current_period_end).toDateString()}.`],
+  change_declined: (s) => ['Plan Change Failed', `Your card payment for the new plan did not go through. You stay on the ${s.tier} plan.`],
+};
+
+// Start or change the plan a pending subscription is waiting on, or drop it
+async function settleWaiting(subscription, charge, paid) {
+  let outcome;
+  let settled;
+  if (charge.kind === 'initial' && !paid) {
+    const { error } = await supabaseAdmin.from('subscriptions').delete().eq('id', subscription.id).eq('status', 'pending');
+    if (error) throw error;
+    if (subscription.promo_code) await promos.release('subscription', subscription.id);
+    outcome = 'declined';
+    settled = subscription;
+  } else {
+    const change = paid && charge.kind === 'proration'
+      ? {
+        tier: charge.tier,
+        interval: charge.interval,
+        price: getPrice(charge.tier, charge.interval),
+        current_period_start: charge.period_start,
+        current_period_end: charge.period_end,
+      }
+      : {};
+    settled = await moveSubscription(subscription, { status: 'active', ...change }, ['pending']);
+    if (!settled) return null;
+    await syncProfile(settled);
+    if (charge.kind === 'initial') outcome = 'started';
+    else outcome = paid ? 'changed' : 'change_declined';
+  }
+
+  const [title, message] = SETTLED_NOTICES[outcome](settled);
+  await notify(settled.user_id, title, message, `subscription_${outcome}`, settled.id);
+  return outcome;
+}
+
+async function settleCharge(charge, now) {
+  const intent = await findChargeIntent(charge);
+  // Still on its way; look again on the next run
+  if (intent?.status === 'processing') return null;
+  const paid = intent?.status === 'succeeded';
+
+  const payment = {
+    currency: charge.paid_currency,
+    rate: Number(charge.amount) > 0 ? Number(charge.paid_amount) / Number(charge.amount) : 1,
+  };
+  const journalId = paid
+    ? await bookCardPurchase(charge.subscription_id, {
+      amount: Number(charge.amount),
+      payment,
+      intentId: intent.id,
+      description: describeCharge(charge.tier, charge.interval, charge.kind),
+    })
+    : null;
+
+  // Compare-and-set so overlapping runs settle a charge once
+  const { data: claimed, error } = await supabaseAdmin
+    .from('subscription_charges')
+    .update({
+      status: paid ? 'succeeded' : 'failed',
+      failure_reason: paid ? null : (intent ? `Card payment ${intent.status.replace(/_/g, ' ')}.` : 'The card was not charged.'),
+      stripe_payment_intent_id: intent?.id || null,
+      journal_id: journalId,
+    })
+    .eq('id', charge.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claimed) return null;
+
+  if (journalId) {
+    try {
+      await invoices.issueForJournal(journalId);
+    } catch (invoiceError) {
+      console.error(`Invoice error (subscription ${charge.subscription_id}):`, invoiceError.message);
+    }
+  }
+
+  const { data: subscription, error: lookupError } = await supabaseAdmin
+    .from('subscriptions')
+    .select('*')
+    .eq('id', charge.subscription_id)
+    .maybeSingle();
+
+  if (lookupError) throw lookupError;
+  if (!subscription) return null;
+
+  if (charge.kind !== 'renewal') return settleWaiting(subscription, charge, paid);
+
+  const moved = await settleRenewal(subscription, { ok: paid, reason: claimed.failure_reason }, {
+    tier: charge.tier,
+    interval: charge.interval,
+    periodStart: new Date(charge.period_start),
+    periodEnd: new Date(charge.period_end),
+  }, now);
+  return applyOutcome(moved, subscription.status);
+}
+
+/**
+ * Settle card charges whose outcome was unclear when they were made, from
+ * the payment intent Stripe has for them. No intent means the card was
+ * never charged.
+ * @returns {Promise<number>} charges settled
+ */
+async function settlePendingCharges(now = new Date()) {
+  const { data: pending, error } = await supabaseAdmin
+    .from('subscription_charges')
+    .select('*')
+    .eq('status', 'pending')
+    .lt('created_at', new Date(now.getTime() - SETTLE_AFTER_MS).toISOString());
+
+  if (error) throw error;
+
+  let settled = 0;
+  for (const charge of pending || []) {
+    try {
+      if (await settleCharge(charge, now)) settled++;
+    } catch (err) {
+      console.error(`[subscriptions] settle error (${charge.id}):`, err.message);
+    }
+  }
+  return settled;
+}
+
+// Profiles still on a one-off purchase from before subscriptions existed
+async function downgradeLegacyExpired(now) {
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .in('subscription_tier', Object.keys(SUBSCRIPTION_PRICING))
+    .lt('subscription_expiry', now.toISOString());
+
+  if (error) throw error;
+  if (!profiles || profiles.length === 0) return 0;
+
+  const { data: live, error: liveError } = await supabaseAdmin
+    .from('subscriptions')
+    .select('user_id')
+    .in('user_id', profiles.map((p) => p.id))
+    .in('status', OPEN_STATUSES);
+
+  if (liveError) throw liveError;
+  const subscribed = new Set((live || []).map((s) => s.user_id));
+  const expired = profiles.filter((p) => !subscribed.has(p.id)).map((p) => p.id);
+  if (expired.length === 0) return 0;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('profiles')
+    .update({ subscription_tier: 'free' })
+    .in('id', expired);
+
+  if (updateError) throw updateError;
+  return expired.length;
+}
+
+/**
+ * Settle unclear card charges, renew subscriptions whose period has ended,
+ * retry past-due ones until their grace period is over, end cancelled ones
+ * and downgrade expired one-off purchases. Run daily.
+ * @returns {Promise<{ settled, renewed, past_due, pending, expired, cancelled, downgraded, errors }>}
+ */
+async function processDue(now = new Date()) {
+  const results = { settled: 0, renewed: 0, past_due: 0, pending: 0, expired: 0, cancelled: 0, downgraded: 0, errors: 0 };
+
+  results.settled = await settlePendingCharges(now);
+
+  const { data: due, error } = await supabaseAdmin
+    .from('subscriptions')
+    .select('*')
+    .in('status', LIVE_STATUSES)
+    .lte('current_period_end', now.toISOString());
+
+  if (error) throw error;
+
+  for (const subscription of due || []) {
+    try {
+      const moved = subscription.status === 'cancelled_at_period_end'
+        ? await moveSubscription(subscription, { status: 'cancelled', ended_at: now.toISOString() })
+          .then((cancelled) => cancelled && { outcome: 'cancelled', subscription: cancelled })
+        : await renew(subscription, now);
+
+      const outcome = await applyOutcome(moved, subscription.status);
+      if (outcome) results[outcome]++;
+    } catch (err) {
+      results.errors++;
+      console.error(`[subscriptions] renewal error (${subscription.id}):`, err.message);
+    }
+  }
+
+  results.downgraded = await downgradeLegacyExpired(now);
+  return results;
+}
+
+module.exports = {
+  PRICE_CURRENCY,
+  SUBSCRIPTION_PRICING,
+  isSubscriptionError,
+  getPrice,
+  listPlans,
+  getSubscription,
+  subscribe,
+  previewChange,
+  changePlan,
+  cancel,
+  resume,
+  updatePaymentMethod,
+  retryPayment,
+  settlePendingCharges,
+  processDue,
+};
@@ -0,0 +1,226 @@
+/**
+ * tips.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Tips on completed bookings (see migrations/20261019_18_tips.sql).
+ *
+ * The client of a completed paid booking can tip once, within
+ * TIP_WINDOW_DAYS (default 7) of completion. The tip is set in the booking
+ * currency and can be at most the booking price. It is paid from the client's
+ * wallet (at today's rate when that holds another currency) and the provider
+ * gets all of it: tips carry no commission.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const ledger = require('./ledger');
+const fx = require('./fx');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+const getWindowDays = () => (process.env.TIP_WINDOW_DAYS !== undefined
+  ? Math.max(0, Number(process.env.TIP_WINDOW_DAYS) || 0)
+  : 7);
+
+function tipError(message, status = 400, details = {}) {
+  const err = new Error(message);
+  err.code = 'TIP';
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * True when a tip was refused. `err.status` is the HTTP status.
+ */
+const isTipError = (err) => err?.code === 'TIP';
+
+const currencyOf = (booking) => (booking.currency || 'USD').toUpperCase();
+
+// What the client could have paid before any promo discount
+const maxTipOf = (booking) => ledger.roundMoney(Number(booking.total_price || 0) + Number(booking.discount_amount || 0));
+
+async function loadBooking(bookingId) {
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .select('*, services(title)')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw tipError('Booking not found.', 404);
+  return data;
+}
+
+async function getTip(bookingId) {
+  const { data, error } = await supabaseAdmin
+    .from('booking_tips')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// When the booking completed, from its lifecycle events
+async function completedAt(booking) {
+  const { data } = await supabaseAdmin
+    .from('booking_events')
+    .select('created_at')
+    .eq('booking_id', booking.id)
+    .eq('to_status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  return new Date(data?.[0]?.created_at || booking.updated_at);
+}
+
+/**
+ * Whether the client can still tip a booking, and how much.
+ * @returns {Promise<{ can_tip, reason, tip, max_amount, currency, window_ends_at }>}
+ */
+async function getTipStatus(booking, now = new Date()) {
+  const tip = await getTip(booking.id);
+  const status = { can_tip: false, reason: null, tip, max_amount: maxTipOf(booking), currency: currencyOf(booking), window_ends_at: null };
+
+  if (booking.status !== 'completed') return { ...status, reason: 'Only completed bookings can be tipped.' };
+  if (!(status.max_amount > 0)) return { ...status, reason: 'Skill swap bookings cannot be tipped.' };
+
+  const windowEndsAt = new Date((await completedAt(booking)).getTime() + getWindowDays() * 24 * 60 * 60 * 1000);
+  status.window_ends_at = windowEndsAt.toISOString();
+
+  if (tip) return { ...status, reason: 'This booking has already been tipped.' };
+  if (windowEndsAt <= now) return { ...status, reason: 'The tipping window for this booking has closed.' };
+  return { ...status, can_tip: true };
+}
+
+/**
+ * Tip status for one of the booking's parties.
+ */
+async function getTipStatusFor(bookingId, userId) {
+  const booking = await loadBooking(bookingId);
+  if (booking.client_id !== userId && booking.provider_id !== userId) throw tipError('Unauthorized action.', 403);
+  return getTipStatus(booking);
+}
+
+/**
+ * Tip the provider of a completed booking.
+ *
+ * @param {object} params
+ * @param {string} params.bookingId
+ * @param {string} params.clientId
+ * @param {number} params.amount        - in the booking currency
+ * @param {string} [params.message]     - shown to the provider
+ * @param {string} [params.payCurrency] - wallet to pay from (default: the one the booking was paid from)
+ * @returns {Promise<{ tip: object, walletBalance: number|null }>}
+ */
+async function tipBooking({ bookingId, clientId, amount, message = null, payCurrency = null }) {
+  const booking = await loadBooking(bookingId);
+  if (booking.client_id !== clientId) throw tipError('Only the client can tip for a booking.', 403);
+
+  const status = await getTipStatus(booking);
+  if (!status.can_tip) throw tipError(status.reason, 409, { window_ends_at: status.window_ends_at });
+
+  const tipAmount = ledger.roundMoney(amount);
+  if (!(tipAmount > 0)) throw tipError('amount must be greater than 0.');
+  if (tipAmount > status.max_amount) {
+    throw tipError('A tip cannot be more than the booking price.', 400, { max_amount: status.max_amount, currency: status.currency });
+  }
+  const note = typeof message === 'string' ? message.trim().slice(0, MAX_MESSAGE_LENGTH) || null : null;
+
+  const currency = currencyOf(booking);
+  let paymentCurrency;
+  let rate;
+  try {
+    paymentCurrency = await fx.resolveUserCurrency(clientId, payCurrency || booking.payment_currency, currency);
+    ({ rate } = await fx.getRate(currency, paymentCurrency));
+  } catch (err) {
+    if (fx.isFxError(err)) throw tipError(err.message, err.status);
+    throw err;
+  }
+  const payment = { currency: paymentCurrency, rate };
+
+  const [clientWallet, providerWallet] = await Promise.all([
+    ledger.ensureWallet(clientId, paymentCurrency),
+    ledger.ensureWallet(booking.provider_id, currency),
+  ]);
+
+  let journal;
+  try {
+    journal = await ledger.transferTip({
+      bookingId: booking.id,
+      clientWalletId: clientWallet.id,
+      providerWalletId: providerWallet.id,
+      amount: tipAmount,
+      currency,
+      payment,
+      description: `Tip for "${booking.services?.title || 'Service'}" (Booking #${booking.id})`,
+    });
+  } catch (err) {
+    if (ledger.isInsufficientFunds(err)) throw tipError('Insufficient wallet balance.', 402);
+    throw err;
+  }
+  // Another request tipped this booking a moment ago
+  if (journal.duplicate) throw tipError('You already tipped for this booking.', 409);
+
+  const { data: tip, error } = await supabaseAdmin
+    .from('booking_tips')
+    .insert({
+      booking_id: booking.id,
+      client_id: clientId,
+      provider_id: booking.provider_id,
+      amount: tipAmount,
+      currency,
+      paid_amount: journal.paid,
+      paid_currency: paymentCurrency,
+      fx_rate: rate,
+      message: note,
+      journal_id: journal.journal_id,
+    })
+    .select()
+    .single();
+
+  // The money has moved; the row only feeds stats
+  if (error) console.error(`Tip record error (${booking.id}):`, error.message);
+
+  const { error: notifyError } = await supabaseAdmin.from('notifications').insert({
+    user_id: booking.provider_id,
+    title: 'You received a tip 💝',
+    message: `Your client tipped ${fx.formatMoney(tipAmount, currency)} for "${booking.services?.title || 'Service'}".${note ? ` "${note}"` : ''}`,
+    type: 'booking_tip',
+    reference_id: booking.id,
+    is_read: false,
+  });
+  if (notifyError) console.error(`Tip notification error (${booking.id}):`, notifyError.message);
+
+  return {
+    tip: tip || { booking_id: booking.id, amount: tipAmount, currency, paid_amount: journal.paid, paid_currency: paymentCurrency },
+    walletBalance: journal.balances?.[clientWallet.id] !== undefined ? Number(journal.balances[clientWallet.id]) : null,
+  };
+}
+
+/**
+ * A provider's tips: count, totals per currency and the last `recent`.
+ */
+async function summarizeTips(providerId, { recent = 10 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('booking_tips')
+    .select('booking_id, amount, currency, message, created_at')
+    .eq('provider_id', providerId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const byCurrency = {};
+  (data || []).forEach((t) => {
+    byCurrency[t.currency] = ledger.roundMoney((byCurrency[t.currency] || 0) + Number(t.amount));
+  });
+  return { count: (data || []).length, by_currency: byCurrency, recent: (data || []).slice(0, recent) };
+}
+
+module.exports = {
+  isTipError,
+  getTipStatus,
+  getTipStatusFor,
+  tipBooking,
+  summarizeTips,
+};
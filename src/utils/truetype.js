@@ -0,0 +1,246 @@
+/**
+ * truetype.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * The parts of a TrueType font that pdf.js needs to embed it: the character
+ * map, glyph widths, the metrics for the font descriptor, and a subset of
+ * the outlines.
+ *
+ * Subsets keep every glyph at its original id and only drop the outlines
+ * that are not used, so text can be written as glyph ids (Identity-H) with
+ * an identity CIDToGIDMap.
+ */
+
+// Tables a PDF viewer needs to draw glyphs from an embedded TrueType font
+const SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// Composite glyph flags (see the `glyf` table specification)
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+function readTables(data) {
+  if (data.readUInt32BE(0) !== 0x00010000) throw new Error('Only TrueType outlines can be embedded.');
+  const tables = {};
+  for (let i = 0; i < data.readUInt16BE(4); i += 1) {
+    const entry = 12 + 16 * i;
+    tables[data.toString('latin1', entry, entry + 4)] = { offset: data.readUInt32BE(entry + 8), length: data.readUInt32BE(entry + 12) };
+  }
+  ['cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp'].forEach((tag) => {
+    if (!tables[tag]) throw new Error(`Font has no ${tag} table.`);
+  });
+  return tables;
+}
+
+// Code point → glyph id, from the Windows Unicode subtable (format 12 or 4)
+function readCmap(data, { offset }) {
+  const glyphs = new Map();
+  const subtables = [];
+  for (let i = 0; i < data.readUInt16BE(offset + 2); i += 1) {
+    const record = offset + 4 + 8 * i;
+    const platform = data.readUInt16BE(record);
+    const encoding = data.readUInt16BE(record + 2);
+    const start = offset + data.readUInt32BE(record + 4);
+    if (platform === 3 && (encoding === 1 || encoding === 10)) subtables.push({ start, format: data.readUInt16BE(start) });
+  }
+
+  const full = subtables.find((s) => s.format === 12);
+  if (full) {
+    for (let i = 0; i < data.readUInt32BE(full.start + 12); i += 1) {
+      const group = full.start + 16 + 12 * i;
+      const first = data.readUInt32BE(group);
+      const last = data.readUInt32BE(group + 4);
+      const glyph = data.readUInt32BE(group + 8);
+      for (let code = first; code <= last; code += 1) glyphs.set(code, glyph + code - first);
+    }
+    return glyphs;
+  }
+
+  const bmp = subtables.find((s) => s.format === 4);
+  if (!bmp) throw new Error('Font has no Unicode character map.');
+  const segments = data.readUInt16BE(bmp.start + 6) / 2;
+  const ends = bmp.start + 14;
+  const starts = ends + 2 * segments + 2;
+  const deltas = starts + 2 * segments;
+  const rangeOffsets = deltas + 2 * segments;
+  for (let i = 0; i < segments; i += 1) {
+    const first = data.readUInt16BE(starts + 2 * i);
+    const last = data.readUInt16BE(ends + 2 * i);
+    const delta = data.readInt16BE(deltas + 2 * i);
+    const rangeOffset = data.readUInt16BE(rangeOffsets + 2 * i);
+    for (let code = first; code <= last && code !== 0xffff; code += 1) {
+      let glyph = code;
+      if (rangeOffset) {
+        glyph = data.readUInt16BE(rangeOffsets + 2 * i + rangeOffset + 2 * (code - first));
+        if (!glyph) continue;
+      }
+      glyph = (glyph + delta) & 0xffff;
+      if (glyph) glyphs.set(code, glyph);
+    }
+  }
+  return glyphs;
+}
+
+// The PostScript name (name id 6), which PDF uses as the font's BaseFont
+function readPostScriptName(data, table) {
+  if (!table) return null;
+  const strings = table.offset + data.readUInt16BE(table.offset + 4);
+  for (let i = 0; i < data.readUInt16BE(table.offset + 2); i += 1) {
+    const record = table.offset + 6 + 12 * i;
+    if (data.readUInt16BE(record + 6) !== 6) continue;
+    const platform = data.readUInt16BE(record);
+    const start = strings + data.readUInt16BE(record + 10);
+    const raw = data.subarray(start, start + data.readUInt16BE(record + 8));
+    const name = platform === 3 ? Buffer.from(raw).swap16().toString('utf16le') : raw.toString('latin1');
+    return name.replace(/[^\x21-\x7e]|[[\](){}<>/%#]/g, '');
+  }
+  return null;
+}
+
+/**
+ * Parse a TrueType font file.
+ * @param {Buffer} data
+ * @returns {object} font — see the properties below; sizes are in 1/1000 em
+ */
+function parseFont(data) {
+  const tables = readTables(data);
+  const { head, hhea, hmtx, maxp } = tables;
+  const unitsPerEm = data.readUInt16BE(head.offset + 18);
+  const scale = (value) => Math.round((value * 1000) / unitsPerEm);
+  const metricCount = data.readUInt16BE(hhea.offset + 34);
+  const os2 = tables['OS/2'];
+  const ascent = scale(data.readInt16BE(hhea.offset + 4));
+  const glyphs = readCmap(data, tables.cmap);
+
+  return {
+    data,
+    tables,
+    glyphCount: data.readUInt16BE(maxp.offset + 4),
+    postScriptName: readPostScriptName(data, tables.name) || 'Embedded',
+    bbox: [36, 38, 40, 42].map((at) => scale(data.readInt16BE(head.offset + at))),
+    ascent,
+    descent: scale(data.readInt16BE(hhea.offset + 6)),
+    capHeight: os2 && data.readUInt16BE(os2.offset) >= 2 ? scale(data.readInt16BE(os2.offset + 88)) : ascent,
+    fixedPitch: Boolean(tables.post && data.readUInt32BE(tables.post.offset + 12)),
+    /** Glyph id for a code point, 0 (.notdef) when the font has none */
+    glyphFor: (codePoint) => glyphs.get(codePoint) || 0,
+    /** Advance width of a glyph */
+    widthOf: (glyph) => scale(data.readUInt16BE(hmtx.offset + 4 * Math.min(glyph, metricCount - 1))),
+  };
+}
+
+// Start and end of every glyph's outline in the glyf table
+function readLoca(font) {
+  const { data, tables, glyphCount } = font;
+  const long = data.readInt16BE(tables.head.offset + 50) === 1;
+  const offsets = [];
+  for (let i = 0; i <= glyphCount; i += 1) {
+    offsets.push(long ? data.readUInt32BE(tables.loca.offset + 4 * i) : 2 * data.readUInt16BE(tables.loca.offset + 2 * i));
+  }
+  return offsets;
+}
+
+// Glyphs a composite glyph is built from
+function componentsOf(outline) {
+  if (outline.length === 0 || outline.readInt16BE(0) >= 0) return [];
+  const components = [];
+  let at = 10;
+  let flags;
+  do {
+    flags = outline.readUInt16BE(at);
+    components.push(outline.readUInt16BE(at + 2));
+    at += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) at += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) at += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) at += 8;
+  } while (flags & MORE_COMPONENTS);
+  return components;
+}
+
+function checksum(table) {
+  const padded = Buffer.concat([table, Buffer.alloc((4 - (table.length % 4)) % 4)]);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  return sum;
+}
+
+function writeFont(tables) {
+  const tags = Object.keys(tables).sort();
+  const searchRange = 16 * 2 ** Math.floor(Math.log2(tags.length));
+  const header = Buffer.alloc(12 + 16 * tags.length);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(tags.length, 4);
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(Math.log2(searchRange / 16), 8);
+  header.writeUInt16BE(16 * tags.length - searchRange, 10);
+
+  const bodies = [];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const table = tables[tag];
+    const entry = 12 + 16 * i;
+    header.write(tag, entry, 'latin1');
+    header.writeUInt32BE(checksum(table), entry + 4);
+    header.writeUInt32BE(offset, entry + 8);
+    header.writeUInt32BE(table.length, entry + 12);
+    const padding = Buffer.alloc((4 - (table.length % 4)) % 4);
+    bodies.push(table, padding);
+    offset += table.length + padding.length;
+  });
+
+  const font = Buffer.concat([header, ...bodies]);
+  const head = 12 + 16 * tags.indexOf('head');
+  font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, header.readUInt32BE(head + 8) + 8);
+  return font;
+}
+
+/**
+ * A copy of the font with only the outlines of `glyphIds` (and the glyphs
+ * they are composed of). Glyph ids do not change.
+ * @param {object} font - from parseFont()
+ * @param {Iterable<number>} glyphIds
+ * @returns {Buffer}
+ */
+function subsetFont(font, glyphIds) {
+  const { data, tables, glyphCount } = font;
+  const loca = readLoca(font);
+  const outlineOf = (glyph) => data.subarray(tables.glyf.offset + loca[glyph], tables.glyf.offset + loca[glyph + 1]);
+
+  const keep = new Set();
+  const pending = [0, ...glyphIds];
+  while (pending.length) {
+    const glyph = pending.pop();
+    if (keep.has(glyph) || glyph >= glyphCount) continue;
+    keep.add(glyph);
+    pending.push(...componentsOf(outlineOf(glyph)));
+  }
+
+  const outlines = [];
+  const newLoca = Buffer.alloc(4 * (glyphCount + 1));
+  let offset = 0;
+  for (let glyph = 0; glyph < glyphCount; glyph += 1) {
+    newLoca.writeUInt32BE(offset, 4 * glyph);
+    if (!keep.has(glyph)) continue;
+    const outline = outlineOf(glyph);
+    const padding = Buffer.alloc((4 - (outline.length % 4)) % 4);
+    outlines.push(outline, padding);
+    offset += outline.length + padding.length;
+  }
+  newLoca.writeUInt32BE(offset, 4 * glyphCount);
+
+  const copy = (tag) => Buffer.from(data.subarray(tables[tag].offset, tables[tag].offset + tables[tag].length));
+  const subset = {};
+  SUBSET_TABLES.filter((tag) => tables[tag]).forEach((tag) => { subset[tag] = copy(tag); });
+  subset.glyf = Buffer.concat(outlines);
+  subset.loca = newLoca;
+  // Long loca offsets; the checksum adjustment is recomputed on write
+  subset.head.writeInt16BE(1, 50);
+  subset.head.writeUInt32BE(0, 8);
+  return writeFont(subset);
+}
+
+module.exports = {
+  parseFont,
+  subsetFont,
+};
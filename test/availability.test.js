@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const availability = require('../src/utils/availability');
+
+const PROVIDER = 'provider-1';
+// Monday 19 October 2026, 08:00 in Tbilisi (UTC+4)
+const NOW = new Date('2026-10-19T04:00:00Z');
+
+const check = (scheduledTime, options = {}) => availability.checkBookingSlot(PROVIDER, {
+  scheduledTime,
+  pricingType: 'hourly',
+  durationHours: 1,
+  now: NOW,
+  ...options,
+});
+
+beforeEach(() => {
+  reset();
+  db.profiles = [{ id: PROVIDER, timezone: 'Asia/Tbilisi', booking_buffer_minutes: 30 }];
+  db.provider_schedules = [
+    { provider_id: PROVIDER, day_of_week: 'monday', start_time: '09:00:00', end_time: '17:00:00', is_active: true },
+    { provider_id: PROVIDER, day_of_week: 2, start_time: '09:00', end_time: '12:00', is_active: true },
+  ];
+  db.provider_availability_overrides = [];
+  db.bookings = [{
+    id: 'booking-1',
+    provider_id: PROVIDER,
+    status: 'confirmed',
+    scheduled_time: '2026-10-19T08:00:00Z', // 12:00 local
+    pricing_type: 'hourly',
+    duration_hours: 1,
+  }];
+});
+
+test('parseTime and normalizeTimezone accept what the app stores', () => {
+  assert.equal(availability.parseTime('09:30:00'), 570);
+  assert.equal(availability.parseTime('24:00'), 1440);
+  assert.equal(availability.parseTime('25:00'), null);
+  assert.equal(availability.normalizeTimezone('Asia/Tbilisi'), 'Asia/Tbilisi');
+  assert.equal(availability.normalizeTimezone('Mars/Olympus'), availability.DEFAULT_TIMEZONE);
+});
+
+test('a booking inside working hours and clear of others is accepted', async () => {
+  const result = await check('2026-10-19T06:00:00Z'); // 10:00 local
+
+  assert.equal(result.available, true);
+  assert.equal(result.ends_at, '2026-10-19T07:00:00.000Z');
+});
+
+test('bookings overlapping another booking or its buffer are refused', async () => {
+  assert.equal((await check('2026-10-19T08:30:00Z')).reason, 'conflict');
+  assert.equal((await check('2026-10-19T09:15:00Z')).reason, 'conflict'); // inside the 30 min buffer
+  assert.equal((await check('2026-10-19T09:30:00Z')).available, true);
+});
+
+test('bookings outside working hours, in the past or unparseable are refused', async () => {
+  assert.equal((await check('2026-10-19T12:30:00Z')).reason, 'outside_working_hours'); // 16:30–17:30 local
+  assert.equal((await check('2026-10-19T03:00:00Z')).reason, 'in_past');
+  assert.equal((await check('soon')).reason, 'invalid_time');
+});
+
+test('a day off override closes the day', async () => {
+  db.provider_availability_overrides = [{ provider_id: PROVIDER, date: '2026-10-20', is_available: false }];
+
+  assert.equal((await check('2026-10-20T06:00:00Z')).reason, 'outside_working_hours');
+});
+
+test('hourly slots skip busy time and stop at the end of working hours', async () => {
+  const result = await availability.getAvailability(PROVIDER, {
+    from: '2026-10-20', to: '2026-10-20', pricingType: 'hourly', durationHours: 1, now: NOW,
+  });
+
+  assert.equal(result.timezone, 'Asia/Tbilisi');
+  const [day] = result.days;
+  assert.deepEqual(day.working_hours, [{ start: '09:00', end: '12:00' }]);
+  assert.deepEqual(day.slots.map((s) => s.start), [
+    '2026-10-20T05:00:00.000Z',
+    '2026-10-20T05:30:00.000Z',
+    '2026-10-20T06:00:00.000Z',
+    '2026-10-20T06:30:00.000Z',
+    '2026-10-20T07:00:00.000Z',
+  ]);
+});
+
+test('a fixed-price booking blocks its whole day', async () => {
+  db.bookings.push({
+    id: 'booking-2',
+    provider_id: PROVIDER,
+    status: 'pending',
+    scheduled_time: '2026-10-20T06:00:00Z',
+    pricing_type: 'fixed',
+  });
+
+  const result = await availability.getAvailability(PROVIDER, { from: '2026-10-20', to: '2026-10-20', now: NOW });
+
+  assert.deepEqual(result.days[0].slots, []);
+});
@@ -0,0 +1,177 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const bookingLifecycle = require('../src/utils/bookingLifecycle');
+
+function seedBooking(fields = {}) {
+  const booking = {
+    id: 'booking-1',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    status: 'pending',
+    total_price: 40,
+    client_confirmed: false,
+    provider_confirmed: false,
+    services: { title: 'Guitar lesson' },
+    ...fields,
+  };
+  db.bookings = [booking];
+  return { ...booking };
+}
+
+const refusalOf = (booking, event, role) => bookingLifecycle.checkTransition(booking, event, role);
+
+beforeEach(() => {
+  reset();
+  db.wallets = [
+    { id: 'wallet-client', user_id: 'client-1', balance: 0, currency: 'USD' },
+    { id: 'wallet-client-gel', user_id: 'client-1', balance: 0, currency: 'GEL' },
+    { id: 'wallet-provider', user_id: 'provider-1', balance: 0, currency: 'USD' },
+  ];
+});
+
+test('checkTransition refuses unknown events, wrong actors and illegal jumps', () => {
+  const booking = seedBooking();
+
+  assert.equal(refusalOf(booking, 'teleport', 'client').status, 400);
+  assert.equal(refusalOf(booking, 'confirm', 'client').status, 403);
+  assert.equal(refusalOf(booking, 'confirm', null).status, 403);
+  assert.equal(refusalOf({ ...booking, status: 'completed' }, 'cancel', 'provider').status, 409);
+  assert.equal(refusalOf(booking, 'confirm', 'provider'), null);
+});
+
+test('completion needs both confirmations', () => {
+  const booking = seedBooking({ status: 'confirmed', provider_confirmed: true });
+
+  assert.equal(refusalOf(booking, 'complete', 'client').message, 'Both parties must confirm completion.');
+  assert.equal(refusalOf({ ...booking, client_confirmed: true }, 'complete', 'client'), null);
+});
+
+test('roleFor tells the client from the provider', () => {
+  const booking = seedBooking();
+
+  assert.equal(bookingLifecycle.roleFor(booking, 'client-1'), 'client');
+  assert.equal(bookingLifecycle.roleFor(booking, 'provider-1'), 'provider');
+  assert.equal(bookingLifecycle.roleFor(booking, 'someone-else'), null);
+});
+
+test('a provider cancel refunds the client and records the event', async () => {
+  const booking = seedBooking({ status: 'confirmed' });
+
+  const result = await bookingLifecycle.transitionBooking(booking, 'cancel', { actorId: 'provider-1' });
+
+  assert.equal(result.booking.status, 'cancelled');
+  assert.equal(db.bookings[0].status, 'cancelled');
+  assert.equal(rpcCalls[0].args.p_kind, 'refund');
+  assert.equal(rpcCalls[0].args.p_idempotency_key, 'refund:booking-1:full');
+
+  const [recorded] = db.booking_events;
+  assert.equal(recorded.event, 'cancel');
+  assert.equal(recorded.from_status, 'confirmed');
+  assert.equal(recorded.actor_role, 'provider');
+  assert.equal(recorded.metadata.journal_id, result.funds.journal_id);
+
+  assert.deepEqual(db.notifications.map((n) => [n.user_id, n.title]), [['client-1', 'Booking Declined']]);
+});
+
+test('an admin cancel tells both sides it was an admin', async () => {
+  const booking = seedBooking();
+
+  await bookingLifecycle.transitionBooking(booking, 'cancel', { actorId: 'admin-1', actorRole: 'admin' });
+
+  assert.deepEqual(db.notifications.map((n) => n.user_id), ['client-1', 'provider-1']);
+  db.notifications.forEach((n) => {
+    assert.equal(n.title, 'Booking Cancelled');
+    assert.match(n.message, /An admin cancelled/);
+  });
+});
+
+test('a client cancel splits escrow per the booking\'s policy', async () => {
+  const scheduled = new Date(Date.now() + 5 * 60 * 60 * 1000).toISOString();
+  const booking = seedBooking({ status: 'confirmed', scheduled_time: scheduled, cancellation_policy: 'flexible' });
+
+  const result = await bookingLifecycle.transitionBooking(booking, 'client_cancel', { actorId: 'client-1' });
+
+  assert.deepEqual([result.funds.summary.refund, result.funds.summary.compensation], [20, 20]);
+  assert.equal(rpcCalls[0].args.p_idempotency_key, 'cancel:booking-1');
+  assert.equal(db.booking_events[0].metadata.settlement.refund_rate, 0.5);
+  assert.equal(result.funds.summary.commission, 1.6);
+  assert.match(db.notifications[0].message, /20\.00 USD has been refunded/);
+  assert.match(db.notifications[1].message, /You received 18\.40 USD as cancellation compensation/);
+});
+
+test('a booking paid from another currency is refunded into that wallet at the locked rate', async () => {
+  const scheduled = new Date(Date.now() + 5 * 60 * 60 * 1000).toISOString();
+  const booking = seedBooking({
+    status: 'confirmed', scheduled_time: scheduled, cancellation_policy: 'flexible', payment_currency: 'GEL', fx_rate: 2.7,
+  });
+
+  await bookingLifecycle.transitionBooking(booking, 'client_cancel', { actorId: 'client-1' });
+
+  const { p_entries: entries } = rpcCalls[0].args;
+  assert.deepEqual(entries.find((e) => e.wallet_id === 'wallet-client-gel'), { wallet_id: 'wallet-client-gel', amount: 54 });
+  assert.ok(entries.some((e) => e.wallet_id === 'wallet-provider'));
+  assert.match(db.notifications[0].message, /54\.00 GEL has been refunded/);
+});
+
+test('a client cannot cancel a confirmed booking once it has started', () => {
+  const booking = seedBooking({ status: 'confirmed', scheduled_time: new Date(Date.now() - 1000).toISOString() });
+
+  assert.equal(refusalOf(booking, 'client_cancel', 'client').message, 'The scheduled time has passed. Open a dispute instead.');
+  assert.equal(refusalOf(booking, 'cancel', 'client').status, 403);
+});
+
+test('a reschedule moves the booking back to pending and keeps the old time', async () => {
+  const booking = seedBooking({ status: 'confirmed', scheduled_time: '2099-01-01T10:00:00.000Z', ends_at: '2099-01-01T11:00:00.000Z' });
+  const changes = { scheduled_time: '2099-01-02T10:00:00.000Z', ends_at: '2099-01-02T11:00:00.000Z' };
+
+  await bookingLifecycle.transitionBooking(booking, 'reschedule', { actorId: 'client-1', changes });
+
+  assert.equal(db.bookings[0].status, 'pending');
+  assert.equal(db.bookings[0].scheduled_time, changes.scheduled_time);
+  assert.deepEqual(db.booking_events[0].metadata.previous, {
+    scheduled_time: '2099-01-01T10:00:00.000Z',
+    ends_at: '2099-01-01T11:00:00.000Z',
+  });
+});
+
+test('a booking another request already moved is refused and no money moves', async () => {
+  const booking = seedBooking();
+  db.bookings[0].status = 'cancelled';
+
+  await assert.rejects(
+    bookingLifecycle.transitionBooking(booking, 'confirm', { actorId: 'provider-1' }),
+    (err) => bookingLifecycle.isLifecycleError(err) && err.status === 409
+  );
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('a failed money movement puts the booking back', async () => {
+  const booking = seedBooking();
+  rpc.handler = () => ({ data: null, error: { message: 'connection reset' } });
+
+  await assert.rejects(
+    bookingLifecycle.transitionBooking(booking, 'cancel', { actorId: 'provider-1' }),
+    /connection reset/
+  );
+  assert.equal(db.bookings[0].status, 'pending');
+  assert.equal(db.booking_events, undefined);
+});
+
+test('a cancelled booking gives its promo code use back', async () => {
+  const booking = seedBooking({ promo_code: 'AUTUMN10', discount_amount: 4 });
+
+  await bookingLifecycle.transitionBooking(booking, 'cancel', { actorId: 'provider-1' });
+
+  assert.deepEqual(rpcCalls.map((c) => c.name), ['post_ledger_journal', 'release_promo_redemption']);
+  assert.deepEqual(rpcCalls[1].args, { p_target_type: 'booking', p_target_id: 'booking-1' });
+});
+
+test('free bookings change status without touching the ledger', async () => {
+  const booking = seedBooking({ total_price: 0 });
+
+  const result = await bookingLifecycle.transitionBooking(booking, 'cancel', { actorId: 'provider-1' });
+
+  assert.equal(result.funds, null);
+  assert.equal(rpcCalls.length, 0);
+});
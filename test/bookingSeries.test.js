@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const bookingSeries = require('../src/utils/bookingSeries');
+
+const quote = {
+  provider_id: 'provider-1',
+  service_id: 'service-1',
+  scheduled_time: '2099-03-02T10:00:00.000Z',
+  pricing_type: 'hourly',
+  duration_hours: 1,
+  currency: 'USD',
+  total: 30,
+  payment: { currency: 'USD', amount: 30, fx_rate: 1 },
+  breakdown: { platform_fee: 0, discount: 0, promo_code: null },
+};
+
+const create = (params = {}) => bookingSeries.createSeries({
+  clientId: 'client-1',
+  quote,
+  rule: { frequency: 'weekly', count: 3 },
+  ...params,
+});
+
+beforeEach(() => {
+  reset();
+  db.profiles = [{ id: 'provider-1', timezone: 'UTC', cancellation_policy: 'moderate' }];
+  db.provider_schedules = [];
+  db.provider_availability_overrides = [];
+  db.bookings = [];
+  db.wallets = [{ id: 'wallet-1', user_id: 'client-1', balance: 100, currency: 'USD' }];
+});
+
+test('a series books every occurrence and holds them in one journal', async () => {
+  const { series, bookings } = await create();
+
+  assert.deepEqual(bookings.map((b) => b.scheduled_time), [
+    '2099-03-02T10:00:00.000Z',
+    '2099-03-09T10:00:00.000Z',
+    '2099-03-16T10:00:00.000Z',
+  ]);
+  assert.ok(bookings.every((b) => b.series_id === series.id && b.cancellation_policy === 'moderate'));
+  assert.equal(rpcCalls.length, 1);
+  assert.equal(rpcCalls[0].args.p_idempotency_key, `hold_series:${series.id}`);
+});
+
+test('a clash fails the series unless the client skips it', async () => {
+  db.bookings = [{
+    id: 'booking-0',
+    provider_id: 'provider-1',
+    status: 'confirmed',
+    scheduled_time: '2099-03-09T10:30:00.000Z',
+    pricing_type: 'hourly',
+    duration_hours: 1,
+  }];
+
+  await assert.rejects(create(), (err) => bookingSeries.isSeriesError(err) && err.status === 409);
+  assert.equal(db.booking_series, undefined);
+
+  const { bookings, skipped } = await create({ skipUnavailable: true });
+  assert.equal(bookings.length, 2);
+  assert.equal(skipped[0].reason, 'conflict');
+});
+
+test('a series the wallet cannot cover is refused up front', async () => {
+  db.wallets[0].balance = 89.99;
+
+  await assert.rejects(create(), (err) => err.status === 402);
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('a failed hold removes the unfunded series', async () => {
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-1' } });
+
+  await assert.rejects(create(), /LEDGER_INSUFFICIENT_FUNDS/);
+  assert.deepEqual(db.bookings, []);
+  assert.deepEqual(db.booking_series, []);
+});
+
+test('summarizeSeries groups occurrences and finds the next one', () => {
+  const [group] = bookingSeries.summarizeSeries([
+    { id: 'b1', series_id: 's1', status: 'completed', scheduled_time: '2026-10-01T10:00:00Z' },
+    { id: 'b2', series_id: 's1', status: 'confirmed', scheduled_time: '2026-10-29T10:00:00Z' },
+    { id: 'b3', series_id: 's1', status: 'pending', scheduled_time: '2026-10-22T10:00:00Z' },
+    { id: 'b4', series_id: null, status: 'pending', scheduled_time: '2026-10-22T10:00:00Z' },
+  ], new Date('2026-10-19T00:00:00Z'));
+
+  assert.equal(group.total_occurrences, 3);
+  assert.equal(group.upcoming_occurrences, 2);
+  assert.equal(group.next_scheduled_time, '2026-10-22T10:00:00Z');
+});
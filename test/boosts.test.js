@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpcCalls, failingTables, reset } = require('./helpers/fakes');
+const boosts = require('../src/utils/boosts');
+
+const FUTURE = '2099-01-01T00:00:00.000Z';
+
+const services = [
+  { id: 's1', provider_id: 'p1' },
+  { id: 's2', provider_id: 'p2' },
+  { id: 's3', provider_id: 'p3' },
+  { id: 's4', provider_id: 'p4' },
+];
+
+const recorded = () => rpcCalls.filter((c) => c.name === 'record_boost_events').flatMap((c) => c.args.p_events);
+
+beforeEach(() => {
+  reset();
+  db.active_boosts = [
+    { id: 'b-profile', user_id: 'p2', profile_id: 'p2', boost_type: 'profile_7d', created_at: '2026-10-01T00:00:00Z', expires_at: FUTURE },
+    { id: 'b-service', user_id: 'p3', service_id: 's3', boost_type: 'service_7d', created_at: '2026-10-01T00:00:00Z', expires_at: FUTURE },
+    { id: 'b-expired', user_id: 'p4', service_id: 's4', boost_type: 'service_7d', created_at: '2026-09-01T00:00:00Z', expires_at: '2026-09-08T00:00:00Z' },
+    { id: 'b-opportunity', user_id: 'p1', boost_type: 'opportunity_3d', created_at: '2026-10-01T00:00:00Z', expires_at: FUTURE },
+  ];
+});
+
+afterEach(() => {
+  delete process.env.BOOST_SPONSORED_SLOTS;
+});
+
+test('boosted services move to the top as Sponsored, service boosts first', async () => {
+  const listed = await boosts.applyBoosts(services, { placement: 'popular' });
+
+  assert.deepEqual(listed.map((s) => s.id), ['s3', 's2', 's1', 's4']);
+  assert.deepEqual(listed[0].sponsored, { boost_id: 'b-service', label: boosts.SPONSORED_LABEL });
+  assert.equal(listed[1].sponsored.boost_id, 'b-profile');
+  assert.equal(listed[2].sponsored, null);
+  assert.deepEqual(recorded(), [
+    { boost_id: 'b-service', placement: 'popular', impressions: 1, clicks: 0 },
+    { boost_id: 'b-profile', placement: 'popular', impressions: 1, clicks: 0 },
+  ]);
+});
+
+test('sponsored slots are capped and only shown entries count as impressions', async () => {
+  process.env.BOOST_SPONSORED_SLOTS = '1';
+
+  const listed = await boosts.applyBoosts(services, { placement: 'search', visible: 0 });
+
+  assert.deepEqual(listed.map((s) => s.id), ['s3', 's1', 's2', 's4']);
+  assert.deepEqual(recorded(), []);
+});
+
+test('a listing still loads when boosts cannot be read', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  failingTables.add('active_boosts');
+
+  const listed = await boosts.applyBoosts(services, { placement: 'explore' });
+
+  assert.deepEqual(listed.map((s) => [s.id, s.sponsored]), services.map((s) => [s.id, null]));
+});
+
+test('a click counts only for a running boost of that service', async () => {
+  assert.equal(await boosts.recordClick('b-service', services[2], 'category'), true);
+  assert.equal(await boosts.recordClick('b-service', services[0], 'category'), false);
+  assert.equal(await boosts.recordClick('b-expired', services[3]), false);
+
+  assert.deepEqual(recorded(), [{ boost_id: 'b-service', placement: 'category', impressions: 0, clicks: 1 }]);
+});
+
+test('performance adds up views, clicks and bookings made while the boost ran', async () => {
+  db.boost_stats = [
+    { boost_id: 'b-service', day: '2026-10-02', placement: 'popular', impressions: 30, clicks: 2 },
+    { boost_id: 'b-service', day: '2026-10-02', placement: 'search', impressions: 10, clicks: 1 },
+    { boost_id: 'b-service', day: '2026-10-03', placement: 'popular', impressions: 40, clicks: 1 },
+  ];
+  db.bookings = [
+    { id: 'k1', service_id: 's3', provider_id: 'p3', created_at: '2026-10-02T10:00:00Z' },
+    { id: 'k2', service_id: 's3', provider_id: 'p3', created_at: '2026-09-20T10:00:00Z' },
+  ];
+
+  const performance = await boosts.getBoostPerformance('p3', 'b-service');
+
+  assert.deepEqual([performance.views, performance.clicks, performance.click_through_rate, performance.bookings], [80, 4, 0.05, 1]);
+  assert.deepEqual(performance.by_day, [
+    { day: '2026-10-02', views: 40, clicks: 3 },
+    { day: '2026-10-03', views: 40, clicks: 1 },
+  ]);
+  assert.deepEqual(performance.by_placement.search, { views: 10, clicks: 1 });
+  assert.equal(await boosts.getBoostPerformance('p2', 'b-service'), null);
+});
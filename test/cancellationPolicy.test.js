@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const cancellationPolicy = require('../src/utils/cancellationPolicy');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+function split(policy, hoursBeforeStart, fields = {}) {
+  return cancellationPolicy.computeCancellationSplit({
+    booking: {
+      total_price: 90,
+      status: 'confirmed',
+      scheduled_time: new Date(NOW.getTime() + hoursBeforeStart * HOUR).toISOString(),
+      ...fields,
+    },
+    policy,
+    now: NOW,
+  });
+}
+
+beforeEach(reset);
+
+test('each policy refunds by how long before the start the client cancels', () => {
+  assert.equal(split('flexible', 24).refund_rate, 1);
+  assert.equal(split('flexible', 23).refund_rate, 0.5);
+
+  assert.equal(split('moderate', 72).refund_rate, 1);
+  assert.equal(split('moderate', 30).refund_rate, 0.5);
+  assert.equal(split('moderate', 2).refund_rate, 0);
+
+  assert.equal(split('strict', 168).refund_rate, 1);
+  assert.equal(split('strict', 100).refund_rate, 0.5);
+  assert.equal(split('strict', 71).refund_rate, 0);
+});
+
+test('whatever is not refunded is compensation, to the cent', () => {
+  const result = split('flexible', 5, { total_price: 33.33 });
+
+  assert.equal(result.refund, 16.66);
+  assert.equal(result.compensation, 16.67);
+  assert.equal(result.hours_before_start, 5);
+});
+
+test('an unconfirmed booking is always refunded in full', () => {
+  const result = split('strict', 1, { status: 'pending' });
+
+  assert.equal(result.refund, 90);
+  assert.equal(result.compensation, 0);
+});
+
+test('an unknown policy falls back to flexible', () => {
+  assert.equal(split('lenient', 10).policy, cancellationPolicy.DEFAULT_POLICY);
+  assert.equal(split(undefined, 10).refund_rate, 0.5);
+});
+
+test('getProviderPolicy reads the provider profile and defaults when unset', async () => {
+  db.profiles = [{ id: 'provider-1', cancellation_policy: 'strict' }, { id: 'provider-2', cancellation_policy: null }];
+
+  assert.equal(await cancellationPolicy.getProviderPolicy('provider-1'), 'strict');
+  assert.equal(await cancellationPolicy.getProviderPolicy('provider-2'), 'flexible');
+});
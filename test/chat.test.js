@@ -0,0 +1,139 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, uploads, reset } = require('./helpers/fakes');
+const chat = require('../src/utils/chat');
+
+const CLIENT_PREFIX = 'chats/booking-1/client-1/';
+
+const send = (body, senderId = 'client-1') => chat.sendMessage({ bookingId: 'booking-1', senderId, body });
+
+const refusedWith = (status, pattern) => (err) => chat.isChatError(err) && err.status === status && pattern.test(err.message);
+
+beforeEach(() => {
+  reset();
+  db.bookings = [{
+    id: 'booking-1',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    status: 'confirmed',
+    currency: 'gel',
+    services: { title: 'Guitar lesson' },
+  }];
+});
+
+test('a text message is stored and the other party is notified', async () => {
+  const message = await send({ content: '  See you at ten  ' });
+
+  assert.deepEqual([message.type, message.content, message.is_deleted], ['text', 'See you at ten', false]);
+  assert.equal(db.notifications[0].user_id, 'provider-1');
+  assert.equal(db.notifications[0].message, 'Regarding Guitar lesson: "See you at ten"');
+  assert.ok(db.bookings[0].updated_at);
+});
+
+test('only the booking\'s parties can chat, and not once it is finished', async () => {
+  await assert.rejects(send({ content: 'Hi' }, 'stranger'), refusedWith(403, /Unauthorized/));
+
+  db.bookings[0].status = 'completed';
+  await assert.rejects(send({ content: 'Hi' }), refusedWith(403, /closed/));
+});
+
+test('attachments are uploaded into the sender\'s folder and sent by path', async () => {
+  const file = { originalname: 'score sheet.pdf', mimetype: 'application/pdf', size: 2048, buffer: Buffer.from('pdf') };
+
+  const uploaded = await chat.uploadAttachment({ bookingId: 'booking-1', userId: 'client-1', file });
+  assert.ok(uploaded.path.startsWith(CLIENT_PREFIX));
+  assert.match(uploaded.path, /_score_sheet\.pdf$/);
+  assert.deepEqual(uploads.map((u) => [u.bucket, u.contentType]), [[chat.CHAT_BUCKET, 'application/pdf']]);
+
+  assert.deepEqual(db.chat_attachments.map((a) => [a.path, a.uploader_id, a.mime_type, a.size]), [[uploaded.path, 'client-1', 'application/pdf', 2048]]);
+
+  // Only the path counts: what the upload recorded wins over the request
+  const message = await send({ type: 'file', attachments: [{ ...uploaded, name: 'invoice.exe', mime_type: 'image/png', size: 1 }] });
+  assert.deepEqual(
+    [message.attachments[0].name, message.attachments[0].mime_type, message.attachments[0].size],
+    ['score sheet.pdf', 'application/pdf', 2048]
+  );
+  assert.equal(message.attachments[0].url, `https://storage.test/${chat.CHAT_BUCKET}/${uploaded.path}?expires=3600`);
+  assert.equal(db.notifications[0].message, 'Regarding Guitar lesson: "📎 File"');
+
+  await assert.rejects(
+    chat.uploadAttachment({ bookingId: 'booking-1', userId: 'client-1', file: { ...file, mimetype: 'application/x-msdownload' } }),
+    refusedWith(400, /Only images, PDFs/)
+  );
+});
+
+test('attachments from elsewhere, never uploaded or not images in image messages are refused', async () => {
+  db.chat_attachments = [
+    { path: 'chats/booking-1/provider-1/a.pdf', uploader_id: 'provider-1', name: 'a.pdf', mime_type: 'application/pdf', size: 10 },
+    { path: `${CLIENT_PREFIX}b.pdf`, uploader_id: 'client-1', name: 'b.pdf', mime_type: 'application/pdf', size: 10 },
+  ];
+
+  await assert.rejects(send({ type: 'file', attachments: ['chats/booking-1/provider-1/a.pdf'] }), refusedWith(400, /uploaded to this conversation/));
+  await assert.rejects(send({ type: 'file', attachments: [`${CLIENT_PREFIX}../provider-1/a.pdf`] }), refusedWith(400, /uploaded to this conversation/));
+  await assert.rejects(send({ type: 'file', attachments: [`${CLIENT_PREFIX}missing.pdf`] }), refusedWith(400, /uploaded to this conversation/));
+  await assert.rejects(
+    send({ type: 'image', attachments: [{ path: `${CLIENT_PREFIX}b.pdf`, mime_type: 'image/png' }] }),
+    refusedWith(400, /only carry images/)
+  );
+  await assert.rejects(send({ type: 'file', attachments: [] }), refusedWith(400, /at least one/));
+});
+
+test('locations need coordinates and only the provider can make an offer', async () => {
+  const location = await send({ type: 'location', metadata: { latitude: 41.7151, longitude: 44.8271, label: 'Rustaveli Ave' } });
+  assert.equal(chat.previewOf(location), '📍 Rustaveli Ave');
+  await assert.rejects(send({ type: 'location', metadata: { latitude: 91, longitude: 0 } }), refusedWith(400, /latitude/));
+
+  await assert.rejects(send({ type: 'offer', metadata: { amount: 60 } }), refusedWith(403, /Only the provider/));
+  const offer = await send({ type: 'offer', metadata: { amount: '60' } }, 'provider-1');
+  assert.deepEqual(offer.metadata, { amount: 60, currency: 'GEL' });
+  assert.equal(chat.previewOf(offer), '💰 Price offer: 60.00 GEL');
+
+  await assert.rejects(send({ type: 'system', content: 'Booking confirmed' }), refusedWith(400, /type must be one of/));
+});
+
+test('a page of messages comes back oldest first with a cursor to older ones', async () => {
+  const idOf = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+  // Newest first, as the query orders them
+  db.messages = [3, 2, 1].map((n) => ({
+    id: idOf(n), booking_id: 'booking-1', sender_id: 'client-1', type: 'text', content: `Message ${n}`,
+    created_at: `2026-10-19T10:0${n}:00.000Z`,
+  }));
+
+  const page = await chat.listMessages({ bookingId: 'booking-1', userId: 'provider-1', limit: 2 });
+
+  assert.deepEqual(page.messages.map((m) => m.id), [idOf(2), idOf(3)]);
+  assert.equal(page.has_more, true);
+  assert.deepEqual(JSON.parse(Buffer.from(page.next_cursor, 'base64url').toString()), ['2026-10-19T10:02:00.000Z', idOf(2)]);
+  await chat.listMessages({ bookingId: 'booking-1', userId: 'provider-1', before: page.next_cursor });
+});
+
+test('a cursor that is not a timestamp and a message id is refused', async () => {
+  const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const id = '00000000-0000-4000-8000-000000000001';
+
+  for (const before of [
+    'nonsense',
+    cursorOf(['2026-10-19T10:02:00.000Z', '1",id.gt."0']),
+    cursorOf(['2026-10-19T10:02:00.000Z', 42]),
+    cursorOf(['2026-10-19",id.gt."0', id]),
+    cursorOf(['1760000000000', id]),
+  ]) {
+    await assert.rejects(chat.listMessages({ bookingId: 'booking-1', userId: 'provider-1', before }), refusedWith(400, /Invalid cursor/));
+  }
+});
+
+test('editing keeps the previous version and deleting leaves a tombstone', async () => {
+  const message = await send({ content: 'See you at ten' });
+
+  const edited = await chat.editMessage({ messageId: message.id, userId: 'client-1', content: 'See you at eleven' });
+  assert.equal(edited.content, 'See you at eleven');
+  assert.ok(edited.edited_at);
+  await assert.rejects(chat.editMessage({ messageId: message.id, userId: 'provider-1', content: 'No' }), refusedWith(403, /your own/));
+
+  const deleted = await chat.deleteMessage({ messageId: message.id, userId: 'client-1' });
+  assert.deepEqual([deleted.content, deleted.is_deleted], [null, true]);
+  assert.equal(chat.previewOf(deleted), 'Message deleted');
+  assert.deepEqual(db.message_revisions.map((r) => [r.action, r.content]), [['edit', 'See you at ten'], ['delete', 'See you at eleven']]);
+
+  await assert.rejects(chat.deleteMessage({ messageId: message.id, userId: 'client-1' }), refusedWith(409, /was deleted/));
+});
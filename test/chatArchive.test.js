@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const chatArchive = require('../src/utils/chatArchive');
+
+// Text as it appears in a PDF content stream
+const pdfText = (text) => text.replace(/[\\()]/g, '\\$&');
+
+const refusedWith = (status) => (err) => chatArchive.isArchiveError(err) && err.status === status;
+
+beforeEach(() => {
+  reset();
+  db.bookings = [{
+    id: 'booking-1',
+    status: 'completed',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    currency: 'GEL',
+    total_price: 45,
+    scheduled_time: '2026-10-12T10:00:00Z',
+    updated_at: '2026-10-12T12:00:00Z',
+    services: { title: 'Guitar lesson' },
+    client: { id: 'client-1', full_name: 'Nino B.' },
+    provider: { id: 'provider-1', full_name: 'Гиорги К.' },
+  }];
+  db.messages = [
+    { id: 'message-1', booking_id: 'booking-1', sender_id: null, type: 'system', content: 'Booking confirmed', created_at: '2026-10-10T09:00:00Z' },
+    {
+      id: 'message-2', booking_id: 'booking-1', sender_id: 'client-1', type: 'text', content: 'Call me on •••',
+      moderation_flags: ['phone'], edited_at: '2026-10-10T09:06:00Z', created_at: '2026-10-10T09:05:00Z', read_at: '2026-10-10T09:10:00Z',
+    },
+    {
+      id: 'message-3', booking_id: 'booking-1', sender_id: 'provider-1', type: 'text', content: null, attachments: [],
+      deleted_at: '2026-10-10T09:20:00Z', created_at: '2026-10-10T09:15:00Z',
+    },
+    {
+      id: 'message-4', booking_id: 'booking-1', sender_id: 'provider-1', type: 'offer', content: 'Спасибо!',
+      metadata: { amount: 60, currency: 'GEL' }, created_at: '2026-10-10T09:30:00Z',
+    },
+  ];
+  db.message_revisions = [
+    { message_id: 'message-2', action: 'edit', content: 'Call me', attachments: [], created_at: '2026-10-10T09:06:00Z' },
+    { message_id: 'message-3', action: 'delete', content: 'My number is in my bio', attachments: [], created_at: '2026-10-10T09:20:00Z' },
+  ];
+  db.moderation_cases = [{
+    id: 'case-1', booking_id: 'booking-1', message_id: 'message-2', status: 'open', categories: ['phone'], action: 'mask',
+    original: { content: 'Call me on 555 123 456 78' }, created_at: '2026-10-10T09:06:00Z',
+  }];
+});
+
+test('the archive lists closed bookings with their last message', async () => {
+  db.bookings.push({ id: 'booking-2', status: 'confirmed', client_id: 'client-1', provider_id: 'provider-1' });
+
+  const archive = await chatArchive.listArchive('client-1');
+
+  assert.equal(archive.total, 1);
+  const [conversation] = archive.conversations;
+  assert.deepEqual([conversation.booking_id, conversation.message_count], ['booking-1', 4]);
+  assert.equal(conversation.other_user.id, 'provider-1');
+});
+
+test('a party\'s transcript shows the chat as delivered, without history', async () => {
+  const transcript = await chatArchive.buildTranscript('booking-1', { userId: 'client-1' });
+
+  assert.equal(transcript.message_count, 4);
+  assert.deepEqual(transcript.messages.map((m) => m.sender), ['system', 'client', 'provider', 'provider']);
+  assert.equal(transcript.messages[0].sender_name, 'LifeKit');
+  assert.equal(transcript.messages[1].content, 'Call me on •••');
+  assert.equal(transcript.messages[2].is_deleted, true);
+  assert.equal(transcript.messages[1].revisions, undefined);
+  assert.equal(transcript.admin_copy, false);
+});
+
+test('only the parties of a closed or disputed booking can export it', async () => {
+  await assert.rejects(chatArchive.buildTranscript('booking-1', { userId: 'stranger' }), refusedWith(403));
+  await assert.rejects(chatArchive.buildTranscript('booking-9', { userId: 'client-1' }), refusedWith(404));
+
+  db.bookings[0].status = 'confirmed';
+  await assert.rejects(chatArchive.buildTranscript('booking-1', { userId: 'client-1' }), refusedWith(409));
+
+  db.bookings[0].status = 'disputed';
+  assert.equal((await chatArchive.buildTranscript('booking-1', { userId: 'provider-1' })).booking.status, 'disputed');
+});
+
+test('the admin copy adds edit history, deleted text and what moderation masked', async () => {
+  db.bookings[0].status = 'confirmed';
+
+  const transcript = await chatArchive.buildTranscript('booking-1', { admin: true });
+
+  const [, edited, deleted] = transcript.messages;
+  assert.deepEqual(edited.revisions.map((r) => [r.action, r.content]), [['edit', 'Call me']]);
+  assert.equal(edited.moderation_cases[0].original.content, 'Call me on 555 123 456 78');
+  assert.deepEqual(deleted.revisions.map((r) => r.content), ['My number is in my bio']);
+});
+
+test('the PDF transliterates names and text and marks deleted and moderated messages', async () => {
+  const transcript = await chatArchive.buildTranscript('booking-1', { admin: true });
+
+  const pdf = chatArchive.toPdf(transcript).toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4'));
+  [
+    'Nino B. (client, read 2026-10-10 09:10 UTC)',
+    'Giorgi K. (provider)',
+    'Spasibo!',
+    'Price offer: 60.00 GEL',
+    'Call me on ***',
+    '(message deleted 2026-10-10 09:20 UTC)',
+    '(moderated: phone)',
+    'Written before moderation (case open):',
+  ].forEach((text) => assert.ok(pdf.includes(pdfText(text)), text));
+});
@@ -0,0 +1,86 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const commission = require('../src/utils/commission');
+
+const FACTS = { subscription_tier: 'pro', category_ids: ['cat-music'], founding_member: false, on_trial: false };
+const AT = new Date('2026-10-19T12:00:00Z');
+
+const rule = (fields) => ({ id: fields.name, is_active: true, priority: 0, ...fields });
+
+beforeEach(reset);
+
+test('without a matching rule the default rate applies', () => {
+  assert.deepEqual(commission.pickRule([rule({ name: 'basic', rate: 0.05, subscription_tier: 'basic' })], FACTS, AT), {
+    rate: commission.DEFAULT_RATE, rule_id: null, rule_name: 'default',
+  });
+});
+
+test('priority wins, then the more specific rule, then the lower rate', () => {
+  const pro = rule({ name: 'pro', rate: 0.06, subscription_tier: 'pro' });
+  const proMusic = rule({ name: 'pro-music', rate: 0.07, subscription_tier: 'pro', category_id: 'cat-music' });
+  const everyone = rule({ name: 'everyone', rate: 0.1, priority: 5 });
+
+  assert.equal(commission.pickRule([pro, proMusic], FACTS, AT).rule_name, 'pro-music');
+  assert.equal(commission.pickRule([pro, proMusic, everyone], FACTS, AT).rule_name, 'everyone');
+  assert.equal(commission.pickRule([pro, { ...pro, name: 'cheaper', rate: 0.04 }], FACTS, AT).rule_name, 'cheaper');
+});
+
+test('inactive rules and rules outside their window are skipped', () => {
+  const rules = [
+    rule({ name: 'off', rate: 0.01, is_active: false }),
+    rule({ name: 'future', rate: 0.02, starts_at: '2026-11-01T00:00:00Z' }),
+    rule({ name: 'past', rate: 0.03, ends_at: '2026-10-19T12:00:00Z' }),
+    rule({ name: 'founders', rate: 0.04, founding_member: true }),
+  ];
+
+  assert.equal(commission.pickRule(rules, FACTS, AT).rule_name, 'default');
+});
+
+test('sanitizeRule keeps known fields and refuses bad values', () => {
+  assert.deepEqual(commission.sanitizeRule({ name: 'Trial', rate: '0.03', on_trial: true, subscription_tier: 'PRO', extra: 1 }), {
+    name: 'Trial', rate: 0.03, on_trial: true, subscription_tier: 'pro',
+  });
+  assert.deepEqual(commission.sanitizeRule({ priority: '2' }, { partial: true }), { priority: 2 });
+
+  const refused = (body) => assert.throws(() => commission.sanitizeRule(body), (err) => commission.isCommissionError(err) && err.status === 400);
+  refused({ rate: 0.1 });
+  refused({ name: 'Greedy', rate: 0.6 });
+  refused({ name: 'Trial', rate: 0.03, on_trial: 'yes' });
+  refused({ name: 'Window', rate: 0.03, starts_at: '2026-11-01', ends_at: '2026-10-01' });
+});
+
+test('a booking is matched on its provider and the parent of its category', async () => {
+  db.commission_rules = [
+    rule({ name: 'trial', rate: 0.03, on_trial: true, priority: 1 }),
+    rule({ name: 'music', rate: 0.05, category_id: 'cat-music' }),
+  ];
+  db.profiles = [{ id: 'provider-1', subscription_tier: 'Pro', trial_end_date: '2020-01-01' }];
+  db.service_categories = [{ id: 'cat-guitar', parent_category_id: 'cat-music' }];
+  db.services = [{ id: 'service-1', category_id: 'cat-guitar' }];
+
+  const picked = await commission.resolveForBooking({ provider_id: 'provider-1', service_id: 'service-1' });
+  assert.deepEqual(picked, { rate: 0.05, rule_id: 'music', rule_name: 'music' });
+
+  db.profiles[0].trial_end_date = '2099-01-01';
+  assert.equal((await commission.resolveForBooking({ provider_id: 'provider-1', services: { category_id: null } })).rule_name, 'trial');
+});
+
+test('earnings are net of commission and kept apart per currency', async () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  db.wallets = [
+    { id: 'wallet-usd', user_id: 'provider-1', currency: 'USD' },
+    { id: 'wallet-gel', user_id: 'provider-1', currency: 'GEL' },
+  ];
+  db.transactions = [
+    { id: 1, wallet_id: 'wallet-usd', type: 'earning', amount: 100, created_at: '2026-10-19T09:00:00Z' },
+    { id: 2, wallet_id: 'wallet-usd', type: 'commission', amount: -8, created_at: '2026-10-19T09:00:00Z' },
+    { id: 3, wallet_id: 'wallet-usd', type: 'withdrawal', amount: -50, created_at: '2026-10-18T09:00:00Z' },
+    { id: 4, wallet_id: 'wallet-gel', type: 'earning', amount: 27, created_at: '2026-10-01T09:00:00Z' },
+  ];
+
+  const summary = await commission.summarizeEarnings('provider-1', { now });
+
+  assert.deepEqual(summary.by_currency, { USD: 92, GEL: 27 });
+  assert.deepEqual(summary.chart_by_currency, { USD: [0, 0, 0, 0, 0, 0, 92] });
+});
@@ -0,0 +1,81 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, failingTables, reset } = require('./helpers/fakes');
+const entitlements = require('../src/utils/entitlements');
+const requireEntitlement = require('../src/middleware/entitlementMiddleware');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function fakeResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+beforeEach(reset);
+
+test('the effective tier drops to free on expiry and rises to pro during a trial', () => {
+  assert.equal(entitlements.resolveTier({ subscription_tier: 'PLUS' }, NOW), 'plus');
+  assert.equal(entitlements.resolveTier({ subscription_tier: 'pro', subscription_expiry: '2026-10-01' }, NOW), 'free');
+  assert.equal(entitlements.resolveTier({ subscription_tier: 'plus', trial_end_date: '2026-11-01' }, NOW), 'pro');
+  assert.equal(entitlements.resolveTier({ subscription_tier: 'business', trial_end_date: '2026-11-01' }, NOW), 'business');
+  assert.equal(entitlements.resolveTier(null, NOW), 'free');
+  assert.equal(entitlements.getTierWeight('gold'), 1);
+});
+
+test('limits and minimum tiers say what an upgrade would unlock', async () => {
+  db.profiles = [{ id: 'user-1', subscription_tier: 'plus' }];
+  db.purchased_ai_tools = [{ user_id: 'user-1', tool_key: 'relocation_plan', purchased_at: '2026-10-01T00:00:00Z' }];
+
+  const resolved = await entitlements.getEntitlements('user-1', NOW);
+
+  assert.deepEqual(resolved.features['services.max'], { allowed: true, limit: 1, unlimited: false, upgrade_to: 'pro' });
+  assert.equal(entitlements.limitOf(resolved, 'communities.max'), 3);
+  assert.deepEqual(resolved.features['ai.chat'], { allowed: false, required_tier: 'pro', upgrade_to: 'pro' });
+  assert.equal(resolved.features['ai_tool.relocation_plan'].allowed, true);
+  assert.equal(resolved.features['ai_tool.cv_resume_builder'].allowed, false);
+  assert.deepEqual(resolved.ai_tools, ['relocation_plan']);
+});
+
+test('a business plan has no listing limit', async () => {
+  db.profiles = [{ id: 'user-1', subscription_tier: 'business' }];
+
+  const resolved = await entitlements.getEntitlements('user-1', NOW);
+
+  assert.equal(entitlements.limitOf(resolved, 'services.max'), Infinity);
+  assert.equal(resolved.features['services.max'].upgrade_to, null);
+});
+
+test('the middleware lets entitled users through and tells the rest what to buy', async () => {
+  db.profiles = [{ id: 'user-1', subscription_tier: 'free' }, { id: 'user-2', subscription_tier: 'pro' }];
+  const gate = requireEntitlement('ai.chat');
+
+  const denied = fakeResponse();
+  let passed = false;
+  await gate({ user: { id: 'user-1' } }, denied, () => { passed = true; });
+  assert.equal(passed, false);
+  assert.equal(denied.statusCode, 403);
+  assert.deepEqual(denied.body, {
+    error: 'AI features require a Pro or Business subscription.',
+    requires_upgrade: true,
+    feature: 'ai.chat',
+    current_tier: 'free',
+    upgrade_to: 'pro',
+  });
+
+  const req = { user: { id: 'user-2' } };
+  await gate(req, fakeResponse(), () => { passed = true; });
+  assert.equal(passed, true);
+  assert.equal(req.entitlements.tier, 'pro');
+});
+
+test('the middleware fails closed when entitlements cannot be read', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  failingTables.add('profiles');
+  const res = fakeResponse();
+
+  await requireEntitlement('ai.chat')({ user: { id: 'user-1' } }, res, () => assert.fail('next() was called'));
+
+  assert.equal(res.statusCode, 500);
+});
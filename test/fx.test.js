@@ -0,0 +1,49 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const fx = require('../src/utils/fx');
+
+beforeEach(reset);
+
+test('normalizeCurrency upper-cases supported codes and refuses the rest', () => {
+  assert.equal(fx.normalizeCurrency('gel'), 'GEL');
+  assert.equal(fx.normalizeCurrency(''), fx.DEFAULT_CURRENCY);
+  assert.throws(() => fx.normalizeCurrency('BTC'), (err) => fx.isFxError(err) && err.status === 400);
+});
+
+test('cross rates go through the provider base currency', async () => {
+  assert.equal((await fx.getRate('USD', 'GEL')).rate, 2.7);
+  assert.equal((await fx.getRate('GEL', 'EUR')).rate, Number((0.92 / 2.7).toFixed(6)));
+  assert.equal((await fx.getRate('EUR', 'EUR')).source, 'identity');
+});
+
+test('convert keeps both sides of the conversion', async () => {
+  const converted = await fx.convert(19.99, 'USD', 'GEL');
+
+  assert.deepEqual(converted, {
+    amount: 53.97,
+    currency: 'GEL',
+    original_amount: 19.99,
+    original_currency: 'USD',
+    rate: 2.7,
+    source: 'fixed',
+  });
+});
+
+test('a registered provider is used when selected and must serve the pair', async (t) => {
+  fx.registerProvider('test', { getRates: async () => ({ base: 'EUR', rates: { USD: 1.25 } }) });
+  process.env.FX_PROVIDER = 'test';
+  t.after(() => { delete process.env.FX_PROVIDER; });
+
+  assert.equal((await fx.getRate('EUR', 'USD')).rate, 1.25);
+  await assert.rejects(fx.getRate('USD', 'GEL'), (err) => fx.isFxError(err) && err.status === 503);
+  assert.throws(() => fx.registerProvider('broken', {}), /must implement getRates/);
+});
+
+test('resolveUserCurrency prefers the request, then the profile, then the fallback', async () => {
+  db.profiles = [{ id: 'user-1', preferred_currency: 'gel' }, { id: 'user-2', preferred_currency: 'XYZ' }];
+
+  assert.equal(await fx.resolveUserCurrency('user-1', 'eur'), 'EUR');
+  assert.equal(await fx.resolveUserCurrency('user-1'), 'GEL');
+  assert.equal(await fx.resolveUserCurrency('user-2', null, 'EUR'), 'EUR');
+});
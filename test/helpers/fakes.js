@@ -0,0 +1,182 @@
+/**
+ * fakes.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * In-memory stand-ins for Supabase and Stripe. Require this before any module
+ * under src/: it swaps config/supabase and the stripe package for fakes, so
+ * tests run without network access or credentials.
+ *
+ * The Supabase fake supports the query builder calls the utils use. Filters
+ * are applied; order() and or() are accepted and ignored. Inserted rows get
+ * the column defaults set in `defaults[table]`; upserts match rows on their
+ * `onConflict` columns (default id). Every query on a table listed
+ * in `failingTables` returns an error. RPCs are recorded in
+ * `rpcCalls` and answered by `rpc.handler`. Storage uploads are kept in
+ * `uploads` and signed URLs point nowhere.
+ */
+
+const Module = require('module');
+
+process.env.QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || 'test-quote-secret';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fake';
+
+const db = {};
+const defaults = {};
+const rpcCalls = [];
+const rpc = { handler: null };
+const failingTables = new Set();
+const uploads = [];
+
+const readPath = (row, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), row);
+
+function query(table) {
+  const state = { filters: [], op: 'select', payload: null, conflict: null, single: null, range: null, limit: null, head: false };
+
+  const run = () => {
+    if (failingTables.has(table)) return { data: null, error: { message: `${table} is unavailable` } };
+    db[table] = db[table] || [];
+    let rows;
+    if (state.op === 'insert') {
+      rows = (Array.isArray(state.payload) ? state.payload : [state.payload]).map((row) => ({
+        id: `${table}-${db[table].length + 1}`,
+        created_at: new Date().toISOString(),
+        ...defaults[table],
+        ...row,
+      }));
+      db[table].push(...rows);
+    } else if (state.op === 'upsert') {
+      rows = (Array.isArray(state.payload) ? state.payload : [state.payload]).map((row) => {
+        const existing = db[table].find((stored) => state.conflict.every((column) => stored[column] === row[column]));
+        if (existing) return Object.assign(existing, row);
+        const inserted = { id: `${table}-${db[table].length + 1}`, created_at: new Date().toISOString(), ...defaults[table], ...row };
+        db[table].push(inserted);
+        return inserted;
+      });
+    } else {
+      rows = db[table].filter((row) => state.filters.every((match) => match(row)));
+      if (state.op === 'update') rows.forEach((row) => Object.assign(row, state.payload));
+      if (state.op === 'delete') db[table] = db[table].filter((row) => !rows.includes(row));
+    }
+    // Callers get copies, as they would over the network
+    rows = rows.map((row) => ({ ...row }));
+    const count = rows.length;
+    if (state.range) rows = rows.slice(state.range[0], state.range[1] + 1);
+    if (state.limit) rows = rows.slice(0, state.limit);
+    if (state.head) return { data: null, count, error: null };
+    if (state.single === 'one' && rows.length !== 1) return { data: null, error: { message: 'Expected one row' } };
+    if (state.single) return { data: rows[0] || null, error: null };
+    return { data: rows, count, error: null };
+  };
+
+  const builder = {
+    select(columns, options = {}) { state.head = !!options.head; return builder; },
+    insert(payload) { state.op = 'insert'; state.payload = payload; return builder; },
+    update(payload) { state.op = 'update'; state.payload = payload; return builder; },
+    upsert(payload, options = {}) {
+      state.op = 'upsert';
+      state.payload = payload;
+      state.conflict = (options.onConflict || 'id').split(',');
+      return builder;
+    },
+    delete() { state.op = 'delete'; return builder; },
+    eq(column, value) { state.filters.push((row) => readPath(row, column) === value); return builder; },
+    neq(column, value) { state.filters.push((row) => readPath(row, column) !== value); return builder; },
+    in(column, values) { state.filters.push((row) => values.includes(readPath(row, column))); return builder; },
+    is(column, value) { state.filters.push((row) => (readPath(row, column) ?? null) === value); return builder; },
+    not(column, op, value) { state.filters.push((row) => (readPath(row, column) ?? null) !== value); return builder; },
+    lt(column, value) { state.filters.push((row) => readPath(row, column) < value); return builder; },
+    lte(column, value) { state.filters.push((row) => readPath(row, column) <= value); return builder; },
+    gt(column, value) { state.filters.push((row) => readPath(row, column) > value); return builder; },
+    gte(column, value) { state.filters.push((row) => readPath(row, column) >= value); return builder; },
+    or() { return builder; },
+    order() { return builder; },
+    limit(n) { state.limit = n; return builder; },
+    range(from, to) { state.range = [from, to]; return builder; },
+    maybeSingle() { state.single = 'maybe'; return builder; },
+    single() { state.single = 'one'; return builder; },
+    then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); },
+  };
+  return builder;
+}
+
+const storage = {
+  from(bucket) {
+    return {
+      async upload(path, body, options = {}) {
+        uploads.push({ bucket, path, contentType: options.contentType });
+        return { data: { path }, error: null };
+      },
+      async createSignedUrls(paths, expiresIn) {
+        return { data: paths.map((path) => ({ path, signedUrl: `https://storage.test/${bucket}/${path}?expires=${expiresIn}` })), error: null };
+      },
+    };
+  },
+};
+
+const supabaseAdmin = {
+  from: query,
+  storage,
+  async rpc(name, args) {
+    rpcCalls.push({ name, args });
+    if (rpc.handler) return rpc.handler(name, args);
+    return { data: { journal_id: `journal-${rpcCalls.length}`, duplicate: false, balances: {} }, error: null };
+  },
+};
+
+// One Stripe client shared by every module; tests replace its methods
+const stripe = {
+  customers: { create: async () => ({ id: 'cus_test' }) },
+  paymentMethods: {
+    retrieve: async (id) => ({ id, customer: null }),
+    attach: async (id) => ({ id }),
+  },
+  paymentIntents: {
+    create: async () => ({ id: 'pi_test', status: 'succeeded' }),
+    search: async () => ({ data: [] }),
+  },
+  transfers: {
+    create: async () => ({ id: 'tr_test' }),
+    list: async () => ({ data: [] }),
+    retrieve: async (id) => ({ id, amount: 0, amount_reversed: 0 }),
+  },
+  accounts: { retrieve: async (id) => ({ id }) },
+};
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...rest) {
+  if (/[\\/]config[\\/]supabase$/.test(request)) return { supabase: supabaseAdmin, supabaseAdmin };
+  if (request === 'stripe') return () => stripe;
+  return originalLoad.call(this, request, ...rest);
+};
+
+/**
+ * A Stripe API error of the given type, shaped like the ones stripe-node throws.
+ */
+function stripeError(type, message = type) {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+/**
+ * Empty every table and forget defaults, uploads, recorded RPCs and overrides.
+ */
+function reset() {
+  Object.keys(db).forEach((table) => delete db[table]);
+  Object.keys(defaults).forEach((table) => delete defaults[table]);
+  rpcCalls.length = 0;
+  uploads.length = 0;
+  rpc.handler = null;
+  failingTables.clear();
+}
+
+module.exports = {
+  db,
+  defaults,
+  rpc,
+  rpcCalls,
+  failingTables,
+  uploads,
+  stripe,
+  stripeError,
+  reset,
+};
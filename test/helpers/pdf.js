@@ -0,0 +1,47 @@
+// Reads the lines of text back out of a PDF written by src/utils/pdf.js
+// (one BT … ET block per line, embedded fonts decoded with their ToUnicode maps).
+
+function objectsOf(source) {
+  return new Map([...source.matchAll(/(\d+) 0 obj\n([\s\S]*?)\nendobj\n/g)].map(([, id, body]) => [id, body]));
+}
+
+function toUnicodeMaps(source, objects) {
+  const maps = {};
+  for (const [, name, id] of source.matchAll(/\/(F\d+) (\d+) 0 R/g)) {
+    const cmapId = objects.get(id)?.match(/\/ToUnicode (\d+) 0 R/)?.[1];
+    if (!cmapId || maps[name]) continue;
+    const chars = new Map();
+    for (const [, block] of objects.get(cmapId).matchAll(/beginbfchar\n([\s\S]*?)\nendbfchar/g)) {
+      for (const [, glyph, text] of block.matchAll(/<([0-9A-F]{4})> <([0-9A-F]+)>/g)) {
+        chars.set(glyph, Buffer.from(text, 'hex').swap16().toString('utf16le'));
+      }
+    }
+    maps[name] = chars;
+  }
+  return maps;
+}
+
+/**
+ * The text of every line, in order.
+ * @param {Buffer} pdf
+ * @returns {string[]}
+ */
+function pdfLines(pdf) {
+  const source = pdf.toString('latin1');
+  const objects = objectsOf(source);
+  const maps = toUnicodeMaps(source, objects);
+  const contents = [...objects.values()].filter((body) => body.includes('stream\n') && !body.includes('/Filter') && !body.includes('begincmap'));
+
+  return contents.flatMap((content) => [...content.matchAll(/BT ([\s\S]*?) ET/g)].map(([, ops]) => {
+    let font = null;
+    let text = '';
+    for (const [, name, hex, literal] of ops.matchAll(/\/(F\d+) [\d.]+ Tf|<([0-9A-F]+)> Tj|\(((?:\\.|[^\\)])*)\) Tj/g)) {
+      if (name) font = name;
+      else if (hex) text += hex.match(/.{4}/g).map((glyph) => maps[font].get(glyph)).join('');
+      else text += literal.replace(/\\(.)/g, '$1');
+    }
+    return text;
+  }));
+}
+
+module.exports = { pdfLines };
@@ -0,0 +1,97 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const inquiries = require('../src/utils/inquiries');
+const chat = require('../src/utils/chat');
+
+const ask = (params = {}) => inquiries.openInquiry({
+  clientId: 'client-1',
+  serviceId: 'service-1',
+  body: { content: 'Do you teach beginners?' },
+  ...params,
+});
+
+const refusedWith = (status, pattern) => (err) => inquiries.isInquiryError(err) && err.status === status && pattern.test(err.message);
+
+beforeEach(() => {
+  reset();
+  db.services = [
+    { id: 'service-1', provider_id: 'provider-1', status: 'active' },
+    { id: 'service-2', provider_id: 'provider-1', status: 'paused' },
+  ];
+  db.profiles = [{ id: 'provider-1' }];
+});
+
+test('asking opens an inquiry and asking again continues it', async () => {
+  const first = await ask();
+
+  assert.equal(first.created, true);
+  assert.deepEqual([first.inquiry.provider_id, first.inquiry.service_id, first.inquiry.status], ['provider-1', 'service-1', 'open']);
+  assert.equal(first.message.inquiry_id, first.inquiry.id);
+  assert.equal(db.notifications[0].user_id, 'provider-1');
+
+  const second = await ask({ body: { content: 'And on weekends?' } });
+  assert.equal(second.created, false);
+  assert.equal(second.inquiry.id, first.inquiry.id);
+
+  const general = await ask({ serviceId: null, providerId: 'provider-1' });
+  assert.notEqual(general.inquiry.id, first.inquiry.id);
+  assert.equal(db.inquiries.length, 2);
+});
+
+test('inquiries need an available target other than yourself', async () => {
+  await assert.rejects(ask({ serviceId: 'service-2' }), refusedWith(400, /not currently available/));
+  await assert.rejects(ask({ serviceId: 'service-9' }), refusedWith(404, /Service not found/));
+  await assert.rejects(ask({ serviceId: null }), refusedWith(400, /service_id or provider_id/));
+  await assert.rejects(ask({ clientId: 'provider-1' }), refusedWith(400, /yourself/));
+});
+
+test('a rejected first message leaves no empty inquiry behind', async () => {
+  await assert.rejects(ask({ body: { content: '   ' } }), (err) => chat.isChatError(err));
+
+  assert.equal(db.inquiries.length, 0);
+});
+
+test('either party can close an open inquiry, which then takes no messages', async () => {
+  const { inquiry } = await ask();
+
+  await assert.rejects(inquiries.closeInquiry(inquiry.id, 'stranger'), refusedWith(403, /Unauthorized/));
+  const closed = await inquiries.closeInquiry(inquiry.id, 'provider-1');
+
+  assert.deepEqual([closed.status, closed.closed_by], ['closed', 'provider-1']);
+  assert.deepEqual(db.messages.map((m) => m.type), ['text', 'system']);
+  await assert.rejects(inquiries.closeInquiry(inquiry.id, 'client-1'), refusedWith(409, /already closed/));
+  await assert.rejects(
+    chat.sendMessage({ inquiryId: inquiry.id, senderId: 'client-1', body: { content: 'Hello?' } }),
+    (err) => chat.isChatError(err) && err.status === 403 && /inquiry is closed/.test(err.message)
+  );
+});
+
+test('booking from an inquiry moves its messages into the booking chat', async () => {
+  const { inquiry } = await ask();
+
+  await assert.rejects(
+    inquiries.checkConvertible(inquiry.id, { clientId: 'client-1', providerId: 'provider-2' }),
+    refusedWith(400, /not offered by this inquiry's provider/)
+  );
+  await assert.rejects(
+    inquiries.checkConvertible(inquiry.id, { clientId: 'provider-1', providerId: 'provider-1' }),
+    refusedWith(403, /Only the client/)
+  );
+  await inquiries.checkConvertible(inquiry.id, { clientId: 'client-1', providerId: 'provider-1' });
+
+  const converted = await inquiries.convertToBooking(inquiry.id, { id: 'booking-1' });
+
+  assert.deepEqual([converted.status, converted.booking_id], ['converted', 'booking-1']);
+  assert.deepEqual(db.messages.map((m) => [m.booking_id, m.type]), [['booking-1', 'text'], ['booking-1', 'system']]);
+  assert.equal(await inquiries.convertToBooking(inquiry.id, { id: 'booking-2' }), null);
+});
+
+test('markRead marks only the other party\'s messages in the inquiry', async () => {
+  const { inquiry } = await ask();
+  await chat.sendMessage({ inquiryId: inquiry.id, senderId: 'provider-1', body: { content: 'Yes, from scratch.' } });
+
+  await chat.markRead({ inquiryId: inquiry.id, userId: 'client-1' });
+
+  assert.deepEqual(db.messages.map((m) => [m.sender_id, m.is_read]), [['client-1', false], ['provider-1', true]]);
+});
@@ -0,0 +1,158 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, defaults, reset } = require('./helpers/fakes');
+const invoices = require('../src/utils/invoices');
+const { transliterate, CHARS_PER_LINE } = require('../src/utils/pdf');
+const { pdfLines } = require('./helpers/pdf');
+
+function seedBooking(fields = {}) {
+  db.bookings = [{
+    id: 'booking-1',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    status: 'completed',
+    pricing_type: 'hourly',
+    duration_hours: 2,
+    currency: 'usd',
+    price_breakdown: { unit_price: 25, base: 50, options: [{ name: 'Sheet music', price: 4.5 }] },
+    discount_amount: 5,
+    promo_code: 'AUTUMN10',
+    platform_fee: 4.95,
+    total_price: 54.45,
+    commission_rate: 0.1,
+    commission_amount: 5.45,
+    payment_currency: 'GEL',
+    payment_amount: 147.02,
+    fx_rate: 2.7,
+    scheduled_time: '2026-10-12T10:00:00Z',
+    services: { title: 'Guitar lesson' },
+    ...fields,
+  }];
+}
+
+beforeEach(() => {
+  reset();
+  delete process.env.INVOICE_TAX_RATE;
+  defaults.invoices = { number: 'LK-2026-000001', issued_at: '2026-10-19T12:00:00.000Z' };
+  db.profiles = [
+    { id: 'client-1', full_name: 'Nino B.', email: 'nino@example.com' },
+    { id: 'provider-1', full_name: 'Giorgi K.', billing_name: 'GK Music LLC', tax_id: '405123456' },
+  ];
+  seedBooking();
+});
+
+test('a booking invoice lists the service, options, promo discount and fee', async () => {
+  const invoice = await invoices.issueForBooking('booking-1');
+
+  assert.deepEqual(invoice.line_items.map((l) => [l.type, l.quantity, l.amount]), [
+    ['service', 2, 50], ['option', 1, 4.5], ['discount', 1, -5], ['fee', 1, 4.95],
+  ]);
+  assert.deepEqual([invoice.subtotal, invoice.discount, invoice.fees, invoice.total], [54.5, 5, 4.95, 54.45]);
+  assert.deepEqual(invoice.seller, { name: 'GK Music LLC', address: null, tax_id: '405123456', email: null });
+  assert.deepEqual([invoice.paid_amount, invoice.paid_currency], [147.02, 'GEL']);
+
+  assert.equal((await invoices.issueForBooking('booking-1')).id, invoice.id);
+  assert.equal(db.invoices.length, 1);
+});
+
+test('tax is included in the provider\'s part only', async () => {
+  process.env.INVOICE_TAX_RATE = '0.18';
+
+  const invoice = await invoices.issueForBooking('booking-1');
+
+  assert.equal(invoice.tax_amount, 7.55); // 49.50 includes 18%
+});
+
+test('bookings that are not completed or free get no invoice', async () => {
+  seedBooking({ status: 'confirmed' });
+  await assert.rejects(invoices.issueForBooking('booking-1'), (err) => invoices.isInvoiceError(err) && err.status === 409);
+
+  seedBooking({ total_price: 0 });
+  await assert.rejects(invoices.issueForBooking('booking-1'), (err) => err.status === 409);
+});
+
+test('only the booking\'s parties see its invoice, and only the seller sees the commission', async () => {
+  await assert.rejects(invoices.getBookingInvoice('booking-1', 'stranger'), (err) => err.status === 403);
+
+  const invoice = await invoices.getBookingInvoice('booking-1', 'client-1');
+  const buyerView = invoices.present(invoice, 'client-1');
+  const sellerView = invoices.present(invoice, 'provider-1');
+
+  assert.equal(buyerView.role, 'buyer');
+  assert.equal(buyerView.commission, undefined);
+  assert.equal(buyerView.commission_amount, undefined);
+  assert.deepEqual(sellerView.commission, { rate: 0.1, amount: 5.45, earnings: 49.05 });
+});
+
+test('a purchase journal is invoiced by the platform to the wallet that paid', async () => {
+  db.ledger_journals = [{
+    id: 'journal-1', kind: 'purchase', reference_type: 'boost', reference_id: 'boost-1', description: 'Boost: 7 days', created_at: '2026-10-18T09:00:00Z',
+  }];
+  db.transactions = [{
+    id: 'tx-1',
+    journal_id: 'journal-1',
+    type: 'payment',
+    amount: -13.5,
+    currency: 'GEL',
+    original_amount: 5,
+    original_currency: 'USD',
+    fx_rate: 2.7,
+    wallets: { user_id: 'client-1' },
+    ledger_journals: { kind: 'purchase', reference_type: 'boost', reference_id: 'boost-1' },
+  }];
+
+  const invoice = await invoices.getTransactionInvoice('tx-1', 'client-1');
+
+  assert.equal(invoice.seller.name, 'LifeKit');
+  assert.equal(invoice.buyer_id, 'client-1');
+  assert.deepEqual(invoice.line_items, [{ type: 'boost', description: 'Boost: 7 days', quantity: 1, unit_price: 5, amount: 5 }]);
+  assert.deepEqual([invoice.total, invoice.currency, invoice.paid_currency], [5, 'USD', 'GEL']);
+
+  await assert.rejects(invoices.getTransactionInvoice('tx-1', 'provider-1'), (err) => err.status === 404);
+});
+
+test('a tip transaction has no invoice of its own', async () => {
+  db.transactions = [{
+    id: 'tx-2',
+    journal_id: 'journal-2',
+    wallets: { user_id: 'client-1' },
+    ledger_journals: { kind: 'tip', reference_type: 'booking', reference_id: 'booking-1' },
+  }];
+
+  await assert.rejects(invoices.getTransactionInvoice('tx-2', 'client-1'), (err) => err.status === 404);
+  assert.equal(db.invoices, undefined);
+});
+
+test('sanitizeBillingDetails trims, clears and refuses bad fields', () => {
+  assert.deepEqual(invoices.sanitizeBillingDetails({ billing_name: '  GK Music  ', tax_id: '' }), { billing_name: 'GK Music', tax_id: null });
+  assert.throws(() => invoices.sanitizeBillingDetails({}), /Nothing to update/);
+  assert.throws(() => invoices.sanitizeBillingDetails({ tax_id: 42 }), /tax_id must be text/);
+});
+
+test('Georgian and Russian PDFs embed Unicode fonts and read like the JSON', async () => {
+  const invoice = await invoices.issueForBooking('booking-1');
+
+  const georgian = invoices.toPdf(invoice, 'client-1', 'ka');
+  const source = georgian.toString('latin1');
+  assert.ok(source.startsWith('%PDF-1.4'));
+  assert.match(source, /\/Subtype \/Type0 \/BaseFont \/[A-Z]{6}\+NotoSansGeorgian-Regular \/Encoding \/Identity-H/);
+  assert.match(source, /\/Subtype \/CIDFontType2 .* \/CIDToGIDMap \/Identity \/W \[/);
+
+  const lines = pdfLines(georgian);
+  assert.equal(lines[0], 'GK Music LLC - Ინვოისი LK-2026-000001');
+  assert.ok(lines.every((line) => !line.includes('?')));
+  // Columns are padded by characters, as printed
+  assert.equal([...lines.find((line) => line.includes('Სულ'))].length, CHARS_PER_LINE);
+
+  const russian = pdfLines(invoices.toPdf(invoice, 'client-1', 'ru'));
+  assert.equal(russian[0], 'GK Music LLC - Счёт LK-2026-000001');
+  assert.ok(russian.includes('Оплачен полностью'));
+});
+
+test('transliterate spells Georgian and Russian in Latin letters', () => {
+  assert.equal(transliterate('Ინვოისი'), 'Invoisi');
+  assert.equal(transliterate('კალათა'), "k'alata");
+  assert.equal(transliterate('Счёт-фактура'), 'Schet-faktura');
+  assert.equal(transliterate('call me at •••'), 'call me at ***');
+  assert.equal(transliterate('Total €'), 'Total €');
+});
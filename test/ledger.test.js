@@ -0,0 +1,232 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const ledger = require('../src/utils/ledger');
+
+// Wallet entries carry no currency: they are in their wallet's
+const WALLET_CURRENCY = { 'wallet-usd': 'USD', 'wallet-gel': 'GEL', 'provider-usd': 'USD' };
+const GEL_PAYMENT = { currency: 'GEL', rate: 2.7 };
+
+function lastCall() {
+  const call = rpcCalls[rpcCalls.length - 1];
+  assert.equal(call.name, 'post_ledger_journal');
+  return call.args;
+}
+
+// Sum of the entries per currency, in cents so rounding shows up
+function totalsByCurrency(entries) {
+  const totals = {};
+  entries.forEach((entry) => {
+    const currency = entry.wallet_id ? WALLET_CURRENCY[entry.wallet_id] : entry.currency;
+    assert.ok(currency, `entry without a currency: ${JSON.stringify(entry)}`);
+    totals[currency] = (totals[currency] || 0) + Math.round(entry.amount * 100);
+  });
+  return totals;
+}
+
+function assertBalanced(entries) {
+  Object.entries(totalsByCurrency(entries)).forEach(([currency, cents]) => {
+    assert.equal(cents, 0, `${currency} entries sum to ${cents / 100}`);
+  });
+}
+
+beforeEach(reset);
+
+test('postJournal rounds amounts to cents and drops zero entries', async () => {
+  await ledger.postJournal({
+    kind: 'adjustment',
+    entries: [
+      { wallet_id: 'wallet-usd', amount: 10.004 },
+      { account_code: 'escrow', amount: 0, currency: 'USD' },
+      { account_code: 'stripe_clearing', amount: -10.001, currency: 'USD' },
+    ],
+  });
+
+  assert.deepEqual(lastCall().p_entries, [
+    { wallet_id: 'wallet-usd', amount: 10 },
+    { account_code: 'stripe_clearing', amount: -10, currency: 'USD' },
+  ]);
+});
+
+test('postJournal reports a wallet going negative as INSUFFICIENT_FUNDS', async () => {
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-usd' } });
+
+  await assert.rejects(
+    ledger.chargeWallet({ walletId: 'wallet-usd', amount: 5, description: 'Boost' }),
+    (err) => ledger.isInsufficientFunds(err)
+  );
+});
+
+test('postJournal treats a lost race on the idempotency key as a duplicate', async () => {
+  rpc.handler = () => ({
+    data: null,
+    error: { code: '23505', message: 'duplicate key value violates unique constraint "ledger_journals_idempotency_key_key"' },
+  });
+
+  const journal = await ledger.holdBookingFunds({ bookingId: 'b1', clientWalletId: 'wallet-usd', amount: 20 });
+  assert.equal(journal.duplicate, true);
+});
+
+test('postJournal rethrows any other unique violation', async () => {
+  rpc.handler = () => ({
+    data: null,
+    error: { code: '23505', message: 'duplicate key value violates unique constraint "transactions_pkey"' },
+  });
+
+  await assert.rejects(
+    ledger.holdBookingFunds({ bookingId: 'b1', clientWalletId: 'wallet-usd', amount: 20 }),
+    (err) => err.code === '23505'
+  );
+});
+
+test('booking journals balance in the booking currency', async () => {
+  await ledger.holdBookingFunds({ bookingId: 'b1', clientWalletId: 'wallet-usd', amount: 80 });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'hold:b1');
+
+  const release = await ledger.releaseBookingFunds({
+    bookingId: 'b1', providerWalletId: 'provider-usd', amount: 33.33, commissionRate: 0.15,
+  });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(release.commission, 5);
+  assert.equal(release.earnings, 28.33);
+  assert.deepEqual(lastCall().p_transactions.map((t) => [t.type, t.amount]), [['earning', 33.33], ['commission', -5]]);
+
+  await ledger.refundBookingFunds({ bookingId: 'b2', clientWalletId: 'wallet-usd', amount: 33.33, key: 'partial' });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'refund:b2:partial');
+
+  await ledger.settleBookingCancellation({
+    bookingId: 'b3', clientWalletId: 'wallet-usd', providerWalletId: 'provider-usd', refund: 22.75, compensation: 22.75,
+  });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_transactions.length, 2);
+});
+
+test('the platform fee is kept whole and commission comes out of the rest', async () => {
+  const release = await ledger.releaseBookingFunds({
+    bookingId: 'b1', providerWalletId: 'provider-usd', amount: 80, commissionRate: 0.15, platformFee: 3.33,
+  });
+
+  assertBalanced(lastCall().p_entries);
+  assert.equal(release.commission, ledger.roundMoney((80 - 3.33) * 0.15));
+});
+
+test('a promo subsidy is paid from promotions so the provider earns the full price', async () => {
+  const release = await ledger.releaseBookingFunds({
+    bookingId: 'b1', providerWalletId: 'provider-usd', amount: 72, commissionRate: 0.1, subsidy: 8,
+  });
+
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_entries.find((e) => e.account_code === ledger.ACCOUNTS.PROMOTIONS).amount, -8);
+  assert.deepEqual([release.earnings, release.commission, release.subsidy], [72, 8, 8]);
+});
+
+test('creditPromotion pays a wallet from promotions in the wallet currency', async () => {
+  await ledger.creditPromotion({
+    walletId: 'wallet-gel', amount: 5, payment: GEL_PAYMENT, type: 'referral_bonus', idempotencyKey: 'referral:r1:referee',
+  });
+
+  assertBalanced(lastCall().p_entries);
+  assert.deepEqual(lastCall().p_transactions.map((t) => [t.type, t.amount]), [['referral_bonus', 13.5]]);
+  assert.equal(lastCall().p_idempotency_key, 'referral:r1:referee');
+});
+
+test('journals paid from another currency balance in both through fx_clearing', async () => {
+  await ledger.holdBookingFunds({ bookingId: 'b1', clientWalletId: 'wallet-gel', amount: 19.99, payment: GEL_PAYMENT });
+  assertBalanced(lastCall().p_entries);
+  assert.deepEqual(Object.keys(totalsByCurrency(lastCall().p_entries)).sort(), ['GEL', 'USD']);
+  assert.equal(lastCall().p_transactions[0].amount, 53.97);
+
+  await ledger.refundBookingFunds({ bookingId: 'b1', clientWalletId: 'wallet-gel', amount: 19.99, payment: GEL_PAYMENT });
+  assertBalanced(lastCall().p_entries);
+
+  await ledger.settleBookingCancellation({
+    bookingId: 'b2', clientWalletId: 'wallet-gel', providerWalletId: 'provider-usd', refund: 10.01, compensation: 10.01, payment: GEL_PAYMENT,
+  });
+  assertBalanced(lastCall().p_entries);
+
+  await ledger.chargeWallet({ walletId: 'wallet-gel', amount: 6.99, payment: GEL_PAYMENT, description: 'Plus' });
+  assertBalanced(lastCall().p_entries);
+});
+
+test('a tip paid from another currency balances and is keyed on the booking', async () => {
+  const journal = await ledger.transferTip({
+    bookingId: 'b1', clientWalletId: 'wallet-gel', providerWalletId: 'provider-usd', amount: 7.77, payment: GEL_PAYMENT,
+  });
+
+  assertBalanced(lastCall().p_entries);
+  assert.equal(journal.paid, 20.98);
+  assert.equal(lastCall().p_idempotency_key, 'tip:b1');
+});
+
+test('a series hold funds every paid occurrence in one journal', async () => {
+  await ledger.holdSeriesFunds({
+    seriesId: 's1',
+    clientWalletId: 'wallet-gel',
+    payment: GEL_PAYMENT,
+    occurrences: [{ bookingId: 'b1', amount: 10.01 }, { bookingId: 'b2', amount: 0 }, { bookingId: 'b3', amount: 10.01 }],
+  });
+
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_transactions.length, 2);
+  assert.equal(lastCall().p_idempotency_key, 'hold_series:s1');
+});
+
+test('Stripe journals balance and are keyed on the Stripe object', async () => {
+  await ledger.creditDeposit({ walletId: 'wallet-usd', amount: 25, stripePaymentId: 'pi_1' });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'deposit:pi_1');
+
+  await ledger.debitWithdrawal({ walletId: 'wallet-usd', amount: 50, reference: 'tr_1' });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'withdrawal:tr_1');
+
+  await ledger.reverseWithdrawal({ walletId: 'wallet-usd', amount: 50, reference: 'tr_1' });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'withdrawal_reversal:tr_1');
+
+  await ledger.reverseWithdrawal({ walletId: 'wallet-usd', amount: 20, reference: 'p1', reversalKey: 2000 });
+  assertBalanced(lastCall().p_entries);
+  assert.equal(lastCall().p_idempotency_key, 'withdrawal_reversal:p1:2000');
+});
+
+test('company withdrawals may not overdraw platform revenue', async () => {
+  await ledger.withdrawPlatformFunds({ amount: 100, reference: 'key-123456' });
+
+  const entries = lastCall().p_entries;
+  assertBalanced(entries);
+  const revenue = entries.find((e) => e.account_code === ledger.ACCOUNTS.PLATFORM_REVENUE);
+  assert.equal(revenue.amount, -100);
+  assert.equal(revenue.no_overdraft, true);
+  assert.equal(lastCall().p_idempotency_key, 'platform_withdrawal:key-123456');
+});
+
+test('a company withdrawal is found again by its reference', async () => {
+  db.ledger_journals = [{
+    id: 'journal-1',
+    kind: 'withdrawal',
+    idempotency_key: 'platform_withdrawal:key-123456',
+    description: 'Admin Payout to Bank',
+    ledger_entries: [
+      { account_code: ledger.ACCOUNTS.STRIPE_CLEARING, amount: '100.00', currency: 'GEL' },
+      { account_code: ledger.ACCOUNTS.PLATFORM_REVENUE, amount: '-100.00', currency: 'GEL' },
+    ],
+  }];
+
+  const withdrawal = await ledger.getPlatformWithdrawal('key-123456');
+
+  assert.deepEqual([withdrawal.id, withdrawal.type, withdrawal.amount, withdrawal.currency], ['journal-1', 'admin_withdrawal', -100, 'GEL']);
+  assert.equal(withdrawal.ledger_entries, undefined);
+  assert.equal(await ledger.getPlatformWithdrawal('key-999999'), null);
+});
+
+test('ensureWallet opens an empty wallet per user and currency', async () => {
+  db.wallets = [{ id: 'wallet-usd', user_id: 'user-1', balance: 12, currency: 'USD' }];
+
+  assert.equal((await ledger.ensureWallet('user-1')).id, 'wallet-usd');
+
+  const created = await ledger.ensureWallet('user-1', 'GEL');
+  assert.deepEqual([created.balance, created.currency], [0, 'GEL']);
+  assert.equal(db.wallets.length, 2);
+});
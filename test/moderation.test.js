@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const moderation = require('../src/utils/moderation');
+const chat = require('../src/utils/chat');
+
+const MASK_ALL = Object.fromEntries(moderation.CATEGORIES.map((category) => [category, 'mask']));
+
+const categoriesIn = (text) => [...new Set(moderation.scan(text).map((finding) => finding.category))].sort();
+
+const maskedText = (text) => moderation.screenMessage({ content: text }, MASK_ALL).row.content;
+
+beforeEach(() => {
+  reset();
+  db.bookings = [{ id: 'booking-1', client_id: 'client-1', provider_id: 'provider-1', status: 'confirmed', services: { title: 'Guitar lesson' } }];
+});
+
+test('contact details are found however they are written', () => {
+  assert.equal(maskedText('Call me on +995 555 12-34-56 tonight'), 'Call me on ••• tonight');
+  assert.equal(maskedText('five five five one two three four five six'), '•••');
+  assert.equal(maskedText('nino.b at gmail dot com'), '•••');
+  assert.equal(maskedText('Write to nino@example.ge'), 'Write to •••');
+  assert.deepEqual(categoriesIn('pay me in cash or paypal.me/nino'), ['payment']);
+  assert.deepEqual(categoriesIn('text me on WhatsApp or t.me/nino_b'), ['messenger']);
+  assert.deepEqual(categoriesIn('მომწერე ვოცაპზე'), ['messenger']);
+  assert.deepEqual(categoriesIn('давай наличными'), ['payment']);
+});
+
+test('prices, times, dates and ordinary words pass', () => {
+  [
+    'The lesson is 45 GEL for 1.5 hours',
+    'See you on 2026-10-21 at 10:30',
+    'Meet me at the Rustaveli metro at 5. Bye',
+    'Booking #12345, room 204',
+    'I will bring the sheet music',
+  ].forEach((text) => assert.deepEqual(moderation.scan(text), [], text));
+});
+
+test('only card numbers that pass the Luhn check count', () => {
+  assert.deepEqual(categoriesIn('card 4111 1111 1111 1111'), ['payment']);
+  assert.equal(moderation.scan('order 4111 1111 1111 1112').filter((f) => f.detector === 'card').length, 0);
+});
+
+test('the policy decides between ignoring, flagging and masking', () => {
+  const row = { content: 'Call +995 555 123 456, idiot', metadata: {} };
+
+  const flagged = moderation.screenMessage(row, { phone: 'flag', abuse: 'off' });
+  assert.equal(flagged.row.content, row.content);
+  assert.deepEqual([flagged.action, flagged.flags], ['flag', ['phone']]);
+
+  const masked = moderation.screenMessage(row, { phone: 'mask', abuse: 'flag' });
+  assert.equal(masked.row.content, 'Call •••, idiot');
+  assert.deepEqual([masked.action, masked.flags.sort()], ['mask', ['abuse', 'phone']]);
+  assert.equal(masked.original.content, row.content);
+
+  const clean = moderation.screenMessage({ content: 'See you at ten' }, MASK_ALL);
+  assert.deepEqual([clean.action, clean.row.moderation_flags], [null, []]);
+});
+
+test('a sent message is masked and the original kept in a case for admins', async () => {
+  db.chat_moderation_policies = [{ category: 'messenger', action: 'mask' }];
+
+  const message = await chat.sendMessage({ bookingId: 'booking-1', senderId: 'client-1', body: { content: 'Add me on telegram @nino_b' } });
+
+  assert.equal(message.content, 'Add me on ••• •••');
+  assert.deepEqual(message.moderation_flags, ['messenger']);
+  const [moderationCase] = db.moderation_cases;
+  assert.deepEqual([moderationCase.source, moderationCase.action, moderationCase.booking_id], ['send', 'mask', 'booking-1']);
+  assert.equal(moderationCase.original.content, 'Add me on telegram @nino_b');
+});
+
+test('an edit is screened like a new message', async () => {
+  const message = await chat.sendMessage({ bookingId: 'booking-1', senderId: 'client-1', body: { content: 'See you at ten' } });
+
+  const edited = await chat.editMessage({ messageId: message.id, userId: 'client-1', content: 'or mail nino@example.ge' });
+
+  assert.equal(edited.content, 'or mail •••');
+  assert.equal(db.moderation_cases[0].source, 'edit');
+});
+
+test('registered detectors join the pipeline and a broken one is skipped', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  moderation.registerDetector({ category: 'test_links', name: 'example', detect: (text) => (text.includes('example.org') ? [{ start: 0, end: text.length }] : []) });
+  moderation.registerDetector({ category: 'test_links', name: 'broken', detect: () => { throw new Error('boom'); } });
+
+  assert.deepEqual(categoriesIn('visit example.org'), ['test_links']);
+  assert.equal(moderation.screenMessage({ content: 'visit example.org' }, {}).action, 'flag');
+  assert.throws(() => moderation.registerDetector({ category: 'x' }), /needs a category, a name/);
+});
+
+test('cases are resolved once and policy changes are validated', async () => {
+  db.moderation_cases = [{ id: 'case-1', status: 'open', sender_id: 'client-1' }];
+
+  const resolved = await moderation.resolveCase('case-1', { status: 'dismissed', note: '  A price, not a phone  ' }, 'admin-1');
+  assert.deepEqual([resolved.status, resolved.resolution_note, resolved.resolved_by], ['dismissed', 'A price, not a phone', 'admin-1']);
+
+  const refused = (status, pattern) => (err) => moderation.isModerationError(err) && err.status === status && pattern.test(err.message);
+  await assert.rejects(moderation.resolveCase('case-1', { status: 'actioned' }, 'admin-1'), refused(409, /already dismissed/));
+  await assert.rejects(moderation.resolveCase('case-9', { status: 'actioned' }, 'admin-1'), refused(404, /not found/));
+  await assert.rejects(moderation.resolveCase('case-1', { status: 'open' }, 'admin-1'), refused(400, /dismissed or actioned/));
+  await assert.rejects(moderation.updatePolicy('weather', 'mask', 'admin-1'), refused(404, /category/));
+  await assert.rejects(moderation.updatePolicy('phone', 'ban', 'admin-1'), refused(400, /action/));
+});
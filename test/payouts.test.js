@@ -0,0 +1,186 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, defaults, rpc, rpcCalls, stripe, stripeError, reset } = require('./helpers/fakes');
+const payouts = require('../src/utils/payouts');
+
+function seedPayout(fields = {}) {
+  const payout = {
+    id: 'payout-1',
+    user_id: 'user-1',
+    wallet_id: 'wallet-1',
+    amount: 25,
+    currency: 'USD',
+    destination: 'acct_1',
+    status: 'requested',
+    stripe_transfer_id: null,
+    ...fields,
+  };
+  db.payouts = [payout];
+  return { ...payout };
+}
+
+const reversals = () => rpcCalls.filter((call) => call.args.p_kind === 'reversal');
+
+beforeEach(reset);
+
+function seedProvider({ balance = 100, currency = 'USD', recentEarnings = 0 } = {}) {
+  defaults.payouts = { status: 'requested' };
+  db.profiles = [{
+    id: 'user-1',
+    stripe_connect_id: 'acct_1',
+    stripe_details_submitted: true,
+    stripe_payouts_enabled: true,
+    stripe_account_updated_at: new Date().toISOString(),
+  }];
+  db.wallets = [{ id: 'wallet-1', user_id: 'user-1', balance, currency }];
+  db.transactions = [{
+    wallet_id: 'wallet-1', type: 'earning', status: 'success', amount: recentEarnings, created_at: new Date().toISOString(),
+  }];
+}
+
+const request = (fields = {}) => payouts.requestPayout({ userId: 'user-1', currency: 'USD', ...fields });
+const refusedWith = (pattern) => (err) => payouts.isPayoutError(err) && pattern.test(err.message);
+
+test('a requested payout debits the wallet keyed on the payout', async () => {
+  seedProvider({ recentEarnings: 30 });
+
+  const payout = await request();
+
+  assert.equal(payout.amount, 70);
+  assert.equal(payout.destination, 'acct_1');
+  assert.equal(rpcCalls[0].args.p_idempotency_key, `withdrawal:${payout.id}`);
+});
+
+test('held earnings, the minimum and a missing account refuse the payout', async () => {
+  seedProvider({ recentEarnings: 95 });
+  await assert.rejects(request({ amount: 20 }), refusedWith(/held for 7 days/));
+  await assert.rejects(request({ amount: 5 }), refusedWith(/minimum payout is 10\.00 USD/));
+
+  seedProvider({ currency: 'GEL' });
+  await assert.rejects(request({ currency: 'GEL', amount: 20 }), refusedWith(/minimum payout is 27\.00 GEL/));
+
+  db.profiles[0].stripe_payouts_enabled = false;
+  await assert.rejects(request(), (err) => err.status === 403 && err.details.reason === 'payouts_disabled');
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('a payout the wallet no longer covers is dropped', async () => {
+  seedProvider();
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-1' } });
+
+  await assert.rejects(request({ amount: 50 }), refusedWith(/Insufficient funds/));
+  assert.deepEqual(db.payouts, []);
+});
+
+test('partial reversals return only what came back since the last one', async () => {
+  seedPayout({ status: 'paid', stripe_transfer_id: 'tr_1', reversed_amount: 10 });
+
+  const partial = await payouts.markReversed({ id: 'tr_1', amount: 2500, amount_reversed: 1500 });
+  assert.equal(partial.restored, true);
+  assert.equal(reversals()[0].args.p_idempotency_key, 'withdrawal_reversal:payout-1:1500');
+  assert.equal(db.payouts[0].status, 'paid');
+  assert.equal(db.payouts[0].reversed_amount, 15);
+
+  await payouts.markReversed({ id: 'tr_1', amount: 2500, amount_reversed: 2500 });
+  assert.equal(db.payouts[0].status, 'reversed');
+  assert.equal((await payouts.markReversed({ id: 'tr_1', amount: 2500, amount_reversed: 2500 })).reason, 'already_processed');
+});
+
+test('a created transfer is stored on the processing payout', async (t) => {
+  const create = t.mock.method(stripe.transfers, 'create', async () => ({ id: 'tr_1' }));
+  const payout = seedPayout();
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(processed.status, 'processing');
+  assert.equal(processed.stripe_transfer_id, 'tr_1');
+  const [params, options] = create.mock.calls[0].arguments;
+  assert.equal(params.amount, 2500);
+  assert.equal(params.transfer_group, 'payout:payout-1');
+  assert.equal(options.idempotencyKey, 'payout:payout-1');
+  assert.equal(reversals().length, 0);
+});
+
+test('a transfer Stripe rejects fails the payout and returns the money', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.transfers, 'create', async () => {
+    throw stripeError('StripeInvalidRequestError', 'Insufficient funds in Stripe account');
+  });
+  const payout = seedPayout();
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(processed.status, 'failed');
+  assert.equal(processed.failure_reason, 'Insufficient funds in Stripe account');
+  assert.equal(reversals().length, 1);
+  assert.equal(reversals()[0].args.p_idempotency_key, 'withdrawal_reversal:payout-1');
+  assert.equal(db.notifications.length, 1);
+});
+
+test('an unclear transfer error keeps the payout processing and the money with Stripe', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.transfers, 'create', async () => {
+    throw stripeError('StripeConnectionError', 'socket hang up');
+  });
+  const payout = seedPayout();
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(processed.status, 'processing');
+  assert.equal(db.payouts[0].status, 'processing');
+  assert.equal(reversals().length, 0);
+});
+
+test('a retry picks up the transfer an earlier attempt created', async (t) => {
+  const list = t.mock.method(stripe.transfers, 'list', async () => ({ data: [{ id: 'tr_earlier' }] }));
+  const create = t.mock.method(stripe.transfers, 'create', async () => ({ id: 'tr_new' }));
+  const payout = seedPayout({ status: 'processing' });
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(list.mock.calls[0].arguments[0].transfer_group, 'payout:payout-1');
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(processed.stripe_transfer_id, 'tr_earlier');
+});
+
+test('a retry without an earlier transfer creates it with the same idempotency key', async (t) => {
+  const create = t.mock.method(stripe.transfers, 'create', async () => ({ id: 'tr_retry' }));
+  const payout = seedPayout({ status: 'processing' });
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(create.mock.calls[0].arguments[1].idempotencyKey, 'payout:payout-1');
+  assert.equal(processed.stripe_transfer_id, 'tr_retry');
+});
+
+test('a payout that already has its transfer is left alone', async (t) => {
+  const create = t.mock.method(stripe.transfers, 'create', async () => ({ id: 'tr_again' }));
+  const payout = seedPayout({ status: 'processing', stripe_transfer_id: 'tr_1' });
+
+  const processed = await payouts.processPayout(payout);
+
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(processed.stripe_transfer_id, 'tr_1');
+});
+
+test('the scheduled run retries stale processing payouts until the transfer goes through', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let attempt = 0;
+  t.mock.method(stripe.transfers, 'create', async () => {
+    attempt++;
+    if (attempt === 1) throw stripeError('StripeAPIError', 'Stripe is unavailable');
+    return { id: 'tr_settled' };
+  });
+  const payout = seedPayout();
+
+  await payouts.processPayout(payout);
+  assert.equal(db.payouts[0].status, 'processing');
+
+  // Long enough after processing_at for the sync to pick it up
+  const later = new Date(Date.now() + 60 * 60 * 1000);
+  const results = await payouts.runScheduledPayouts(later);
+
+  assert.equal(results.synced, 1);
+  assert.equal(db.payouts[0].stripe_transfer_id, 'tr_settled');
+  assert.equal(reversals().length, 0);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const presence = require('../src/utils/presence');
+const chat = require('../src/utils/chat');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+
+const conversation = { bookingId: 'booking-1' };
+
+beforeEach(() => {
+  reset();
+  db.bookings = [{ id: 'booking-1', client_id: 'client-1', provider_id: 'provider-1', status: 'confirmed', services: { title: 'Guitar lesson' } }];
+  db.profiles = [
+    { id: 'client-1', last_seen_at: null, show_last_seen: true },
+    { id: 'provider-1', last_seen_at: null, show_last_seen: true },
+  ];
+});
+
+test('a user is online for two minutes after they were last seen', () => {
+  const viewer = { show_last_seen: true };
+
+  assert.deepEqual(presence.presenceOf({ last_seen_at: minutesAgo(1) }, viewer, NOW), { is_online: true, last_seen_at: minutesAgo(1) });
+  assert.equal(presence.presenceOf({ last_seen_at: minutesAgo(3) }, viewer, NOW).is_online, false);
+  assert.deepEqual(presence.presenceOf({ last_seen_at: null }, viewer, NOW), { is_online: false, last_seen_at: null });
+});
+
+test('hiding last seen hides it both ways', () => {
+  const hidden = { is_online: null, last_seen_at: null };
+
+  assert.deepEqual(presence.presenceOf({ last_seen_at: minutesAgo(1), show_last_seen: false }, {}, NOW), hidden);
+  assert.deepEqual(presence.presenceOf({ last_seen_at: minutesAgo(1) }, { show_last_seen: false }, NOW), hidden);
+});
+
+test('fetching a conversation delivers the other party\'s messages', async () => {
+  db.messages = [
+    { id: 'message-2', booking_id: 'booking-1', sender_id: 'client-1', content: 'Hi', created_at: minutesAgo(1) },
+    { id: 'message-1', booking_id: 'booking-1', sender_id: 'provider-1', content: 'Hello', created_at: minutesAgo(2) },
+  ];
+
+  const page = await chat.listMessages({ ...conversation, userId: 'provider-1' });
+
+  const byId = Object.fromEntries(page.messages.map((m) => [m.id, m]));
+  assert.ok(byId['message-2'].delivered_at);
+  assert.equal(byId['message-1'].delivered_at, undefined);
+  assert.equal(db.messages[0].delivered_at, byId['message-2'].delivered_at);
+});
+
+test('the app can acknowledge delivery of messages in its own conversations only', async () => {
+  db.messages = [{ id: 'message-1', booking_id: 'booking-1', sender_id: 'client-1', content: 'Hi' }];
+
+  const result = await chat.markDelivered({ messageIds: ['message-1', 'message-1', 42], userId: 'provider-1' });
+  assert.deepEqual(result.delivered, ['message-1']);
+  assert.equal((await chat.markDelivered({ messageIds: ['message-1'], userId: 'provider-1' })).delivered.length, 0);
+
+  await assert.rejects(chat.markDelivered({ messageIds: ['message-1'], userId: 'stranger' }), (err) => err.status === 403);
+  await assert.rejects(chat.markDelivered({ messageIds: [], userId: 'provider-1' }), /at least one message id/);
+});
+
+test('reading up to a message marks it and earlier ones read and delivered', async () => {
+  db.messages = [
+    { id: 'message-1', booking_id: 'booking-1', sender_id: 'client-1', is_read: false, created_at: minutesAgo(3) },
+    { id: 'message-2', booking_id: 'booking-1', sender_id: 'client-1', is_read: false, created_at: minutesAgo(2) },
+    { id: 'message-3', booking_id: 'booking-1', sender_id: 'client-1', is_read: false, created_at: minutesAgo(1) },
+    { id: 'message-4', booking_id: 'booking-1', sender_id: 'provider-1', is_read: false, created_at: minutesAgo(1) },
+  ];
+
+  const result = await chat.markRead({ ...conversation, userId: 'provider-1', upTo: 'message-2' });
+
+  assert.equal(result.read, 2);
+  assert.deepEqual(db.messages.map((m) => [m.is_read, !!m.delivered_at]), [[true, true], [true, true], [false, false], [false, false]]);
+  assert.ok(db.profiles[1].last_seen_at);
+  await assert.rejects(chat.markRead({ ...conversation, userId: 'provider-1', upTo: 'message-9' }), (err) => err.status === 404);
+});
+
+test('typing shows until it is cleared by sending', async () => {
+  const started = await chat.setTyping({ ...conversation, userId: 'client-1' });
+  assert.deepEqual(started, { typing: true, expires_in_ms: presence.TYPING_TTL_MS });
+  assert.equal(db.chat_activity.length, 1);
+
+  const seenByProvider = await chat.getPresence({ ...conversation, userId: 'provider-1' });
+  assert.equal(seenByProvider.user_id, 'client-1');
+  assert.equal(seenByProvider.is_typing, true);
+  assert.equal(seenByProvider.is_online, true);
+
+  await chat.sendMessage({ ...conversation, senderId: 'client-1', body: { content: 'On my way' } });
+  assert.equal(db.chat_activity.length, 1);
+  assert.equal((await chat.getPresence({ ...conversation, userId: 'provider-1' })).is_typing, false);
+});
+
+test('typing in a finished booking is refused', async () => {
+  db.bookings[0].status = 'completed';
+
+  await assert.rejects(chat.setTyping({ ...conversation, userId: 'client-1' }), (err) => err.status === 403);
+});
@@ -0,0 +1,115 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const pricing = require('../src/utils/pricing');
+
+const SCHEDULED = '2026-11-02T10:00:00.000Z';
+
+const quoteFor = (params = {}) => pricing.createQuote({
+  clientId: 'client-1',
+  serviceId: 'service-1',
+  scheduledTime: SCHEDULED,
+  ...params,
+});
+
+const rejectsWith = (promise, status, message) => assert.rejects(
+  promise,
+  (err) => pricing.isPricingError(err) && err.status === status && (!message || message.test(err.message))
+);
+
+beforeEach(() => {
+  reset();
+  delete process.env.BOOKING_PLATFORM_FEE_RATE;
+  db.services = [{
+    id: 'service-1',
+    provider_id: 'provider-1',
+    title: 'Guitar lesson',
+    price: 25,
+    currency: 'usd',
+    pricing_type: 'hourly',
+    service_options: [{ id: 7, name: 'Sheet music', price: 4.5 }],
+    is_skill_swap_available: true,
+    status: 'active',
+  }];
+});
+
+test('the quote prices hours, options and the platform fee on the server', async () => {
+  process.env.BOOKING_PLATFORM_FEE_RATE = '0.1';
+
+  const { quote } = await quoteFor({ durationHours: 1.5, options: [7] });
+
+  assert.equal(quote.currency, 'USD');
+  assert.equal(quote.breakdown.base, 37.5);
+  assert.equal(quote.breakdown.options_total, 4.5);
+  assert.equal(quote.breakdown.platform_fee, 4.2);
+  assert.equal(quote.total, 46.2);
+  assert.deepEqual(quote.payment, { currency: 'USD', amount: 46.2, fx_rate: 1, fx_source: 'identity' });
+});
+
+test('the quote locks the rate into the client\'s preferred currency', async () => {
+  db.profiles = [{ id: 'client-1', preferred_currency: 'GEL' }];
+
+  const { quote } = await quoteFor({ durationHours: 1 });
+  assert.deepEqual(quote.payment, { currency: 'GEL', amount: 67.5, fx_rate: 2.7, fx_source: 'fixed' });
+
+  await rejectsWith(quoteFor({ durationHours: 1, payCurrency: 'BTC' }), 400, /Unsupported currency/);
+});
+
+test('a skill swap quote is free', async () => {
+  const { quote } = await quoteFor({ skillSwap: true, options: ['Sheet music'] });
+
+  assert.equal(quote.total, 0);
+  assert.deepEqual(quote.breakdown.options, []);
+});
+
+test('bad requests are refused before anything is priced', async () => {
+  await rejectsWith(quoteFor({ durationHours: 0.25 }), 400, /duration_hours/);
+  await rejectsWith(quoteFor({ options: ['Backing track'] }), 400, /Unknown service option/);
+  await rejectsWith(quoteFor({ promoCode: 'FREE' }), 400, /Invalid promo code/);
+  await rejectsWith(quoteFor({ clientId: 'provider-1' }), 400, /your own service/);
+  await rejectsWith(quoteFor({ serviceId: 'service-2' }), 404);
+});
+
+test('a promo code comes off the subtotal before the platform fee', async () => {
+  process.env.BOOKING_PLATFORM_FEE_RATE = '0.1';
+  db.promo_codes = [{
+    id: 'promo-1', code: 'AUTUMN10', discount_type: 'percent', discount_value: 10, currency: 'USD', applies_to: ['booking'], is_active: true,
+  }];
+
+  const { quote } = await quoteFor({ durationHours: 2, promoCode: 'autumn10' });
+
+  assert.equal(quote.breakdown.discount, 5);
+  assert.equal(quote.breakdown.promo_code, 'AUTUMN10');
+  assert.equal(quote.breakdown.platform_fee, 4.5);
+  assert.equal(quote.total, 49.5);
+});
+
+test('verifyQuote returns the signed quote to the client it was issued to', async () => {
+  const { quote, token } = await quoteFor();
+
+  assert.deepEqual(pricing.verifyQuote(token, 'client-1'), quote);
+  assert.throws(() => pricing.verifyQuote(token, 'client-2'), (err) => err.status === 403);
+});
+
+test('verifyQuote refuses a tampered, unsigned or expired quote', async (t) => {
+  const { quote, token } = await quoteFor();
+  const [, signature] = token.split('.');
+  const cheaper = Buffer.from(JSON.stringify({ ...quote, total: 1 })).toString('base64url');
+
+  assert.throws(() => pricing.verifyQuote(`${cheaper}.${signature}`, 'client-1'), /Invalid quote/);
+  assert.throws(() => pricing.verifyQuote(undefined, 'client-1'), /A valid quote is required/);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + pricing.QUOTE_TTL_MS + 1000 });
+  assert.throws(() => pricing.verifyQuote(token, 'client-1'), (err) => err.status === 410);
+});
+
+test('without a signing secret quoting fails with a server error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { token } = await quoteFor();
+  const secret = process.env.QUOTE_SIGNING_SECRET;
+  delete process.env.QUOTE_SIGNING_SECRET;
+  t.after(() => { process.env.QUOTE_SIGNING_SECRET = secret; });
+
+  await rejectsWith(quoteFor(), 500);
+  assert.throws(() => pricing.verifyQuote(token, 'client-1'), (err) => pricing.isPricingError(err) && err.status === 500);
+});
@@ -0,0 +1,124 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const promos = require('../src/utils/promos');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const validate = (params = {}) => promos.validate({
+  code: 'autumn10',
+  userId: 'user-1',
+  target: 'booking',
+  amount: 80,
+  currency: 'USD',
+  now: NOW,
+  ...params,
+});
+
+const refusedFor = (reason) => (err) => promos.isPromoError(err) && err.details.reason === reason;
+
+function seedPromo(fields = {}) {
+  db.promo_codes = [{
+    id: 'promo-1',
+    code: 'AUTUMN10',
+    discount_type: 'percent',
+    discount_value: 10,
+    currency: 'USD',
+    max_discount: null,
+    applies_to: ['booking', 'subscription'],
+    starts_at: null,
+    expires_at: null,
+    max_redemptions: null,
+    redemption_count: 0,
+    per_user_limit: null,
+    is_active: true,
+    ...fields,
+  }];
+}
+
+beforeEach(() => {
+  reset();
+  seedPromo();
+});
+
+test('a percent code takes its share off, capped by max_discount', async () => {
+  const { promo, discount } = await validate();
+  assert.equal(promo.code, 'AUTUMN10');
+  assert.equal(discount, 8);
+
+  seedPromo({ max_discount: 5 });
+  assert.equal((await validate()).discount, 5);
+});
+
+test('a fixed code is converted into the purchase currency and never exceeds it', async () => {
+  seedPromo({ discount_type: 'fixed', discount_value: 10 });
+
+  assert.equal((await validate({ currency: 'GEL', amount: 100 })).discount, 27);
+  assert.equal((await validate({ amount: 6 })).discount, 6);
+});
+
+test('codes outside their window, target or limits are refused', async () => {
+  await assert.rejects(validate({ code: 'NOPE' }), refusedFor('promo_invalid'));
+  await assert.rejects(validate({ target: 'boost' }), refusedFor('promo_not_applicable'));
+
+  seedPromo({ starts_at: '2026-11-01T00:00:00Z' });
+  await assert.rejects(validate(), refusedFor('promo_not_started'));
+
+  seedPromo({ expires_at: '2026-10-19T12:00:00Z' });
+  await assert.rejects(validate(), refusedFor('promo_expired'));
+
+  seedPromo({ max_redemptions: 3, redemption_count: 3 });
+  await assert.rejects(validate(), (err) => refusedFor('promo_exhausted')(err) && err.status === 409);
+
+  seedPromo({ per_user_limit: 1 });
+  db.promo_redemptions = [
+    { promo_id: 'promo-1', user_id: 'user-1', status: 'released' },
+    { promo_id: 'promo-1', user_id: 'user-2', status: 'active' },
+  ];
+  assert.equal((await validate()).discount, 8);
+  db.promo_redemptions.push({ promo_id: 'promo-1', user_id: 'user-1', status: 'active' });
+  await assert.rejects(validate(), refusedFor('promo_user_limit'));
+});
+
+test('redeem maps a limit raised under the lock to a promo refusal', async () => {
+  await promos.redeem({ code: ' autumn10 ', userId: 'user-1', target: 'booking', targetId: 42, discount: 8.004, currency: 'USD' });
+  assert.deepEqual(rpcCalls[0], {
+    name: 'redeem_promo_code',
+    args: {
+      p_code: 'AUTUMN10', p_user_id: 'user-1', p_target_type: 'booking', p_target_id: '42', p_discount_amount: 8, p_currency: 'USD',
+    },
+  });
+
+  rpc.handler = () => ({ data: null, error: { message: 'PROMO_EXHAUSTED' } });
+  await assert.rejects(
+    promos.redeem({ code: 'AUTUMN10', userId: 'user-1', target: 'booking', targetId: 42, discount: 8, currency: 'USD' }),
+    refusedFor('promo_exhausted')
+  );
+
+  rpc.handler = () => ({ data: null, error: { message: 'connection reset' } });
+  await assert.rejects(
+    promos.redeem({ code: 'AUTUMN10', userId: 'user-1', target: 'booking', targetId: 42, discount: 8, currency: 'USD' }),
+    (err) => !promos.isPromoError(err)
+  );
+});
+
+test('sanitizePromo normalises a payload and rejects bad fields', () => {
+  const data = promos.sanitizePromo({
+    code: ' spring-25 ', discount_type: 'percent', discount_value: '25', applies_to: ['booking', 'booking'], max_redemptions: '100',
+  });
+  assert.deepEqual(data, {
+    code: 'SPRING-25', discount_type: 'percent', discount_value: 25, applies_to: ['booking'], max_redemptions: 100,
+  });
+
+  const rejects = (body, pattern, options) => assert.throws(
+    () => promos.sanitizePromo(body, options),
+    (err) => promos.isPromoError(err) && pattern.test(err.message)
+  );
+  rejects({ code: 'X', discount_type: 'percent', discount_value: 5 }, /code must be/);
+  rejects({ code: 'BIG', discount_type: 'percent', discount_value: 150 }, /cannot exceed 100/);
+  rejects({ code: 'ODD', discount_type: 'bogo', discount_value: 5 }, /discount_type/);
+  rejects({ applies_to: ['gift_card'] }, /applies_to/, { partial: true });
+  rejects({ starts_at: '2026-11-01', expires_at: '2026-10-01' }, /after starts_at/, { partial: true });
+
+  assert.deepEqual(promos.sanitizePromo({ is_active: false }, { partial: true }), { is_active: false });
+});
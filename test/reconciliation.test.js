@@ -0,0 +1,87 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, defaults, failingTables, reset } = require('./helpers/fakes');
+const reconciliation = require('../src/utils/reconciliation');
+const stripeAdapter = require('../src/utils/stripeAdapter');
+
+const stripeHolds = { balances: {} };
+stripeAdapter.registerAdapter('test', { getBalance: async () => stripeHolds.balances });
+
+const account = (code, balance, currency = 'USD') => ({ account_code: code, currency, balance });
+
+// A client deposited 100 through Stripe and booked 40 of it
+function seedBalancedBooks() {
+  db.wallets = [{ id: 'wallet-1', balance: 60, currency: 'USD' }];
+  db.ledger_account_balances = [account('stripe_clearing', -100), account('escrow', 40)];
+  db.bookings = [{ id: 'booking-1', status: 'confirmed', total_price: 40, currency: 'USD', series_id: null }];
+  db.ledger_entries = [{ account_code: 'escrow', currency: 'USD', amount: 40, ledger_journals: { reference_type: 'booking', reference_id: 'booking-1' } }];
+  db.profiles = [{ id: 'admin-1', role: 'admin' }];
+  stripeHolds.balances = { USD: 100 };
+}
+
+beforeEach(() => {
+  reset();
+  defaults.reconciliation_runs = { started_at: new Date().toISOString() };
+  process.env.STRIPE_ADAPTER = 'test';
+  seedBalancedBooks();
+});
+
+afterEach(() => {
+  delete process.env.STRIPE_ADAPTER;
+});
+
+test('books that add up make an ok run with a per-currency summary', async () => {
+  const run = await reconciliation.runReconciliation({ trigger: 'manual' });
+
+  assert.equal(run.status, 'ok');
+  assert.equal(run.discrepancy_count, 0);
+  assert.deepEqual(
+    [run.summary.USD.wallets, run.summary.USD.escrow, run.summary.USD.open_bookings, run.summary.USD.expected_stripe],
+    [60, 40, 40, 100]
+  );
+  assert.equal(db.notifications, undefined);
+});
+
+test('escrow that does not match open bookings is drilled down to the booking', async () => {
+  db.bookings[0].status = 'completed';
+  db.wallets[0].balance = 100;
+  db.ledger_account_balances[0].balance = -140;
+  stripeHolds.balances = { USD: 140 };
+
+  const run = await reconciliation.runReconciliation();
+  const { discrepancies } = await reconciliation.getRun(run.id);
+
+  assert.equal(run.status, 'discrepancies');
+  assert.deepEqual(discrepancies.map((d) => [d.kind, d.expected, d.actual, d.difference]), [['escrow', 0, 40, 40]]);
+  assert.deepEqual(discrepancies[0].details.bookings, [{ booking_id: 'booking-1', status: 'completed', expected: 0, held: 40 }]);
+  assert.equal(db.notifications[0].user_id, 'admin-1');
+});
+
+test('unbalanced books and a Stripe balance off beyond the tolerance are reported', async () => {
+  db.wallets[0].balance = 61;
+  stripeHolds.balances = { USD: 99.5 };
+
+  const run = await reconciliation.runReconciliation();
+  const { discrepancies } = await reconciliation.getRun(run.id);
+
+  assert.deepEqual(discrepancies.map((d) => [d.kind, d.difference]), [['ledger_identity', 1], ['stripe_balance', -0.5]]);
+  assert.equal(discrepancies[1].details.tolerance, 0.01);
+});
+
+test('an unreachable Stripe is a discrepancy rather than a failed run', async () => {
+  stripeAdapter.registerAdapter('down', { getBalance: async () => { throw new Error('Stripe is unavailable'); } });
+  process.env.STRIPE_ADAPTER = 'down';
+
+  const run = await reconciliation.runReconciliation();
+  const { discrepancies } = await reconciliation.getRun(run.id);
+
+  assert.equal(run.summary.USD.stripe_balance, null);
+  assert.deepEqual(discrepancies[0].details, { error: 'Stripe is unavailable' });
+});
+
+test('a check that cannot read its data fails the run', async () => {
+  failingTables.add('ledger_account_balances');
+
+  await assert.rejects(reconciliation.runReconciliation(), { message: 'ledger_account_balances is unavailable' });
+  assert.equal(db.reconciliation_runs[0].status, 'failed');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakes');
+const recurrence = require('../src/utils/recurrence');
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+test('validateRule needs a known frequency and a count or an end date', () => {
+  assert.match(recurrence.validateRule(null), /required/);
+  assert.match(recurrence.validateRule({ frequency: 'daily', count: 3 }), /frequency/);
+  assert.match(recurrence.validateRule({ frequency: 'weekly' }), /count or an until/);
+  assert.match(recurrence.validateRule({ frequency: 'weekly', count: 1 }), /between 2/);
+  assert.match(recurrence.validateRule({ frequency: 'weekly', count: 27 }), /between 2/);
+  assert.match(recurrence.validateRule({ frequency: 'weekly', until: '1/12/2026' }), /YYYY-MM-DD/);
+  assert.equal(recurrence.validateRule({ frequency: 'biweekly', until: '2026-12-01' }), null);
+});
+
+test('weekly occurrences keep the local time across a DST change', () => {
+  // 10:00 in Berlin; clocks go back on 25 October 2026
+  const occurrences = recurrence.expandOccurrences({
+    start: '2026-10-19T08:00:00Z',
+    rule: { frequency: 'weekly', count: 3 },
+    timezone: 'Europe/Berlin',
+  });
+
+  assert.deepEqual(iso(occurrences), [
+    '2026-10-19T08:00:00.000Z',
+    '2026-10-26T09:00:00.000Z',
+    '2026-11-02T09:00:00.000Z',
+  ]);
+});
+
+test('monthly occurrences fall back to the last day of shorter months', () => {
+  const occurrences = recurrence.expandOccurrences({
+    start: '2027-01-31T10:00:00Z',
+    rule: { frequency: 'monthly', count: 3 },
+    timezone: 'UTC',
+  });
+
+  assert.deepEqual(iso(occurrences), [
+    '2027-01-31T10:00:00.000Z',
+    '2027-02-28T10:00:00.000Z',
+    '2027-03-31T10:00:00.000Z',
+  ]);
+});
+
+test('an until date ends the series and the length is capped', () => {
+  const until = recurrence.expandOccurrences({
+    start: '2026-10-19T10:00:00Z',
+    rule: { frequency: 'biweekly', until: '2026-11-16' },
+    timezone: 'UTC',
+  });
+  assert.equal(until.length, 3);
+
+  const capped = recurrence.expandOccurrences({
+    start: '2026-10-19T10:00:00Z',
+    rule: { frequency: 'weekly', until: '2030-01-01' },
+    timezone: 'UTC',
+  });
+  assert.equal(capped.length, recurrence.MAX_OCCURRENCES);
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpcCalls, reset } = require('./helpers/fakes');
+const referrals = require('../src/utils/referrals');
+
+const booking = (fields = {}) => ({
+  id: 'booking-1',
+  client_id: 'referee-1',
+  provider_id: 'provider-1',
+  total_price: 40,
+  ...fields,
+});
+
+const refusedWith = (status, pattern) => (err) => referrals.isReferralError(err) && err.status === status && pattern.test(err.message);
+
+beforeEach(() => {
+  reset();
+  delete process.env.REFERRAL_REWARD_AMOUNT;
+  db.profiles = [
+    { id: 'referrer-1', referral_code: 'FRIEND23', preferred_currency: 'GEL' },
+    { id: 'referee-1', referral_code: null },
+  ];
+  db.wallets = [{ id: 'wallet-referrer', user_id: 'referrer-1', balance: 0, currency: 'GEL' }];
+});
+
+test('a profile gets a readable referral code once', async () => {
+  const code = await referrals.getReferralCode('referee-1');
+
+  assert.match(code, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(db.profiles[1].referral_code, code);
+  assert.equal(await referrals.getReferralCode('referee-1'), code);
+  await assert.rejects(referrals.getReferralCode('nobody'), refusedWith(404, /Profile not found/));
+});
+
+test('applying a code links the referee and tells the referrer', async () => {
+  const referral = await referrals.applyReferral('referee-1', ' friend23 ');
+
+  assert.deepEqual([referral.referrer_id, referral.code, referral.status], ['referrer-1', 'FRIEND23', 'pending']);
+  assert.equal(db.profiles[1].referred_by, 'referrer-1');
+  assert.equal(db.notifications[0].user_id, 'referrer-1');
+  assert.match(db.notifications[0].message, /You both get 5\.00 USD/);
+
+  await assert.rejects(referrals.applyReferral('referee-1', 'FRIEND23'), refusedWith(409, /already used/));
+});
+
+test('own, unknown and late codes are refused', async () => {
+  await assert.rejects(referrals.applyReferral('referrer-1', 'FRIEND23'), refusedWith(400, /your own/));
+  await assert.rejects(referrals.applyReferral('referee-1', 'NOSUCH'), refusedWith(404, /Invalid referral code/));
+
+  db.bookings = [{ id: 'booking-0', client_id: 'referee-1' }];
+  await assert.rejects(referrals.applyReferral('referee-1', 'FRIEND23'), refusedWith(409, /before your first booking/));
+});
+
+test('the first completed booking rewards both sides in their own currency', async () => {
+  db.referrals = [{ id: 'referral-1', referrer_id: 'referrer-1', referee_id: 'referee-1', status: 'pending' }];
+
+  const rewarded = await referrals.rewardFirstBooking(booking());
+
+  assert.deepEqual([rewarded.status, rewarded.booking_id, rewarded.reward_amount], ['rewarded', 'booking-1', 5]);
+  assert.deepEqual(rpcCalls.map((c) => c.args.p_idempotency_key), ['referral:referral-1:referrer', 'referral:referral-1:referee']);
+
+  const referrerCredit = rpcCalls[0].args.p_transactions[0];
+  assert.deepEqual([referrerCredit.wallet_id, referrerCredit.type, referrerCredit.amount], ['wallet-referrer', 'referral_bonus', 13.5]);
+  assert.equal(db.wallets.find((w) => w.user_id === 'referee-1').currency, 'USD');
+  assert.deepEqual(db.notifications.map((n) => n.user_id), ['referrer-1', 'referee-1']);
+
+  assert.equal(await referrals.rewardFirstBooking(booking({ id: 'booking-2' })), null);
+  assert.equal(rpcCalls.length, 2);
+});
+
+test('free bookings and bookings with the referrer do not earn the reward', async () => {
+  db.referrals = [{ id: 'referral-1', referrer_id: 'referrer-1', referee_id: 'referee-1', status: 'pending' }];
+
+  assert.equal(await referrals.rewardFirstBooking(booking({ total_price: 0 })), null);
+  assert.equal(await referrals.rewardFirstBooking(booking({ provider_id: 'referrer-1' })), null);
+  assert.equal(rpcCalls.length, 0);
+  assert.equal(db.referrals[0].status, 'pending');
+});
+
+test('the summary counts rewarded referrals and what they earned', async () => {
+  db.referrals = [
+    { id: 'referral-1', referrer_id: 'referrer-1', referee_id: 'referee-1', status: 'rewarded', reward_amount: 5 },
+    { id: 'referral-2', referrer_id: 'referrer-1', referee_id: 'referee-2', status: 'pending' },
+  ];
+
+  const summary = await referrals.getReferralSummary('referrer-1');
+
+  assert.equal(summary.code, 'FRIEND23');
+  assert.deepEqual(summary.totals, { referred: 2, pending: 1, rewarded: 1, earned: 5 });
+  assert.equal(summary.referred_by, null);
+});
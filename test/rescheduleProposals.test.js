@@ -0,0 +1,97 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, defaults, reset } = require('./helpers/fakes');
+const rescheduleProposals = require('../src/utils/rescheduleProposals');
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  reset();
+  defaults.booking_reschedule_proposals = { status: 'pending' };
+  db.profiles = [{ id: 'provider-1', timezone: 'UTC' }];
+  db.provider_schedules = [];
+  db.provider_availability_overrides = [];
+  db.bookings = [{
+    id: 'booking-1',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    status: 'confirmed',
+    total_price: 40,
+    pricing_type: 'hourly',
+    duration_hours: 1,
+    scheduled_time: '2099-05-01T10:00:00.000Z',
+    services: { title: 'Guitar lesson' },
+    provider: { timezone: 'UTC' },
+  }];
+});
+
+const propose = (proposedTimes, userId = 'client-1') => rescheduleProposals.propose({
+  bookingId: 'booking-1', userId, proposedTimes,
+});
+
+const refusedWith = (status) => (err) => rescheduleProposals.isProposalError(err) && err.status === status;
+
+test('a proposal is recorded, posted to the chat and sent to the other party', async () => {
+  const proposal = await propose(['2099-05-03T10:00:00Z', '2099-05-02T10:00:00Z', '2099-05-02T10:00:00.000Z']);
+
+  assert.deepEqual(proposal.proposed_times, ['2099-05-02T10:00:00.000Z', '2099-05-03T10:00:00.000Z']);
+  assert.equal(proposal.proposer_role, 'client');
+  assert.equal(proposal.previous_time, '2099-05-01T10:00:00.000Z');
+  assert.ok(new Date(proposal.expires_at) - Date.now() <= rescheduleProposals.PROPOSAL_TTL_MS);
+  assert.equal(db.messages.length, 1);
+  assert.deepEqual(db.notifications.map((n) => [n.user_id, n.type]), [['provider-1', 'reschedule_proposal']]);
+});
+
+test('bad, busy or extra proposals are refused', async () => {
+  await assert.rejects(propose([]), refusedWith(400));
+  await assert.rejects(propose(['next week']), refusedWith(400));
+  await assert.rejects(propose(['2099-05-02T10:00:00Z', '2099-05-03T10:00:00Z', '2099-05-04T10:00:00Z', '2099-05-05T10:00:00Z']), refusedWith(400));
+  await assert.rejects(propose(['2099-05-02T10:00:00Z'], 'stranger'), refusedWith(403));
+
+  db.bookings.push({
+    id: 'booking-2', provider_id: 'provider-1', status: 'confirmed',
+    scheduled_time: '2099-05-02T10:00:00.000Z', pricing_type: 'hourly', duration_hours: 1,
+  });
+  await assert.rejects(propose(['2099-05-02T10:00:00Z']), (err) => err.status === 409 && err.details.conflicts.length === 1);
+
+  await propose(['2099-05-03T10:00:00Z']);
+  await assert.rejects(propose(['2099-05-04T10:00:00Z'], 'provider-1'), refusedWith(409));
+});
+
+test('the other party accepts one of the proposed times and the booking moves', async () => {
+  const proposal = await propose(['2099-05-02T10:00:00Z', '2099-05-03T10:00:00Z']);
+  const accept = (fields) => rescheduleProposals.accept({ bookingId: 'booking-1', proposalId: proposal.id, ...fields });
+
+  await assert.rejects(accept({ userId: 'client-1' }), refusedWith(403));
+  await assert.rejects(accept({ userId: 'provider-1' }), refusedWith(400));
+  await assert.rejects(accept({ userId: 'provider-1', scheduledTime: '2099-05-04T10:00:00Z' }), refusedWith(400));
+
+  const result = await accept({ userId: 'provider-1', scheduledTime: '2099-05-03T10:00:00Z' });
+
+  assert.equal(result.proposal.status, 'accepted');
+  assert.equal(db.bookings[0].scheduled_time, '2099-05-03T10:00:00.000Z');
+  assert.equal(db.bookings[0].ends_at, '2099-05-03T11:00:00.000Z');
+  assert.equal(db.bookings[0].status, 'confirmed');
+  assert.equal(db.booking_events[0].metadata.proposal_id, proposal.id);
+  assert.equal(db.notifications.at(-1).user_id, 'client-1');
+});
+
+test('an expired proposal cannot be accepted or declined', async () => {
+  const proposal = await propose(['2099-05-02T10:00:00Z']);
+  db.booking_reschedule_proposals[0].expires_at = new Date(Date.now() - HOUR).toISOString();
+
+  await assert.rejects(
+    rescheduleProposals.decline({ bookingId: 'booking-1', proposalId: proposal.id, userId: 'provider-1' }),
+    (err) => err.status === 409 && err.message === 'This proposal is expired.'
+  );
+  assert.equal(db.booking_reschedule_proposals[0].status, 'expired');
+});
+
+test('only the proposer can withdraw, and only while pending', async () => {
+  const proposal = await propose(['2099-05-02T10:00:00Z']);
+  const withdraw = (userId) => rescheduleProposals.withdraw({ bookingId: 'booking-1', proposalId: proposal.id, userId });
+
+  await assert.rejects(withdraw('provider-1'), refusedWith(403));
+  assert.equal((await withdraw('client-1')).status, 'withdrawn');
+  await assert.rejects(withdraw('client-1'), refusedWith(409));
+});
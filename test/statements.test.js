@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, reset } = require('./helpers/fakes');
+const statements = require('../src/utils/statements');
+const { renderPdf } = require('../src/utils/pdf');
+const { pdfLines } = require('./helpers/pdf');
+
+function line(id, createdAt, signedAmount, balanceAfter, fields = {}) {
+  return {
+    id,
+    wallet_id: 'wallet-1',
+    type: signedAmount >= 0 ? 'deposit' : 'payment',
+    amount: Math.abs(signedAmount),
+    signed_amount: signedAmount,
+    currency: 'USD',
+    status: 'success',
+    description: `Row ${id}`,
+    created_at: createdAt,
+    balance_after: balanceAfter,
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  reset();
+  db.profiles = [{ id: 'user-1', full_name: 'Nino B.', timezone: 'Asia/Tbilisi', preferred_currency: 'USD' }];
+  db.wallets = [{ id: 'wallet-1', user_id: 'user-1', balance: 65, currency: 'USD' }];
+  db.wallet_transaction_history = [
+    line(1, '2026-09-30T19:30:00Z', 50, 50), // 23:30 on 30 September in Tbilisi
+    line(2, '2026-09-30T20:30:00Z', 30, 80), // 00:30 on 1 October in Tbilisi
+    line(3, '2026-10-05T10:00:00Z', -20, 60, { description: '=HYPERLINK("x")' }),
+    line(4, '2026-10-06T10:00:00Z', -5, 60, { status: 'failed' }),
+    line(5, '2026-11-01T10:00:00Z', 5, 65),
+  ];
+});
+
+test('history pages through the wallet and filters by type and local day', async () => {
+  const page = await statements.listTransactions({ userId: 'user-1', limit: 2, offset: 1 });
+  assert.deepEqual([page.transactions.length, page.total, page.has_more], [2, 5, true]);
+
+  const payments = await statements.listTransactions({ userId: 'user-1', type: 'payment', from: '2026-10-01', to: '2026-10-05' });
+  assert.deepEqual(payments.transactions.map((t) => t.id), [3]);
+
+  await assert.rejects(statements.listTransactions({ userId: 'user-1', from: 'last week' }), statements.isStatementError);
+  await assert.rejects(statements.listTransactions({ userId: 'user-1', type: 'deposit;drop' }), statements.isStatementError);
+});
+
+test('a user without a wallet in the currency gets an empty page', async () => {
+  const page = await statements.listTransactions({ userId: 'user-1', currency: 'GEL' });
+
+  assert.deepEqual([page.transactions, page.total, page.currency], [[], 0, 'GEL']);
+});
+
+test('a monthly statement follows the user\'s timezone and counts only settled rows', async () => {
+  const statement = await statements.buildStatement({ userId: 'user-1', month: '2026-10' });
+
+  assert.equal(statement.period.from, '2026-09-30T20:00:00.000Z');
+  assert.deepEqual(statement.lines.map((l) => l.id), [2, 3, 4]);
+  assert.equal(statement.opening_balance, 50);
+  assert.equal(statement.closing_balance, 60);
+  assert.deepEqual(statement.totals, { money_in: 30, money_out: 20, by_type: { deposit: 30, payment: -20 } });
+
+  await assert.rejects(statements.buildStatement({ userId: 'user-1', month: '2026-13' }), (err) => err.status === 400);
+});
+
+test('CSV export uses local times and keeps formulas inert', async () => {
+  const csv = statements.toCsv(await statements.buildStatement({ userId: 'user-1', month: '2026-10' }));
+  const rows = csv.trim().split('\r\n');
+
+  assert.equal(rows[0], 'date,time,type,description,amount,currency,status,balance_after,reference');
+  assert.ok(rows[1].startsWith('2026-10-01,00:30,deposit,Row 2,30.00,USD'));
+  assert.match(rows[2], /,"'=HYPERLINK\(""x""\)",-20\.00,/);
+});
+
+test('the PDF writer breaks pages, transliterates Georgian and replaces other characters outside Latin-1', () => {
+  const lines = Array.from({ length: 130 }, (_, i) => `Line ${i} ქართული 日本 (note)`);
+  const pdf = renderPdf(lines, { title: 'Test' }).toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4'));
+  assert.match(pdf, /\/Count 3 >>/);
+  assert.match(pdf, /\(Line 0 kartuli \?{2} \\\(note\\\)\) Tj/);
+  assert.match(pdf, /Page 3 of 3/);
+  assert.ok(pdf.endsWith('%%EOF\n'));
+
+  assert.ok(statements.toPdf({
+    account_holder: 'Nino B.',
+    currency: 'USD',
+    period: { month: '2026-10', timezone: 'UTC' },
+    opening_balance: 0,
+    closing_balance: 0,
+    totals: { money_in: 0, money_out: 0, by_type: {} },
+    lines: [],
+    generated_at: '2026-10-19T00:00:00Z',
+  }).toString('latin1').includes('No transactions in this period.'));
+});
+
+test('with Unicode fonts the PDF writer prints Georgian and Russian as they are', () => {
+  const pdf = renderPdf([{ text: 'ქართული Русский 日本 (note)', bold: true }, 'Line 2'], { title: 'Выписка', unicode: true });
+
+  assert.deepEqual(pdfLines(pdf), ['ქართული Русский ?? (note)', 'Line 2', 'Page 1 of 1']);
+  const source = pdf.toString('latin1');
+  assert.match(source, /\/Title <FEFF0412044B043F04380441043A0430>/);
+  assert.equal(source.match(/\/FontFile2/g).length, 3);
+  assert.match(source, /\/ToUnicode \d+ 0 R/);
+});
@@ -0,0 +1,69 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, stripe, reset } = require('./helpers/fakes');
+const stripeConnect = require('../src/utils/stripeConnect');
+
+const READY = {
+  stripe_connect_id: 'acct_1',
+  stripe_details_submitted: true,
+  stripe_payouts_enabled: true,
+  stripe_requirements_past_due: [],
+};
+
+const reasonFor = (fields) => stripeConnect.getPayoutReadiness({ ...READY, ...fields }).reason;
+
+beforeEach(reset);
+
+test('payout readiness says what is still missing', () => {
+  assert.equal(stripeConnect.getPayoutReadiness(null).reason, 'not_connected');
+  assert.equal(reasonFor({ stripe_details_submitted: false }), 'onboarding_incomplete');
+  assert.equal(reasonFor({ stripe_requirements_past_due: ['external_account'] }), 'requirements_past_due');
+  assert.match(
+    stripeConnect.getPayoutReadiness({ ...READY, stripe_payouts_enabled: false, stripe_disabled_reason: 'rejected.fraud' }).message,
+    /\(rejected\.fraud\)/
+  );
+  assert.deepEqual(stripeConnect.getPayoutReadiness(READY), { ready: true, reason: null, message: null });
+});
+
+test('an account object maps onto the profile columns', () => {
+  const fields = stripeConnect.profileFieldsFromAccount({
+    id: 'acct_1',
+    payouts_enabled: true,
+    requirements: { currently_due: ['individual.id_number'], disabled_reason: 'requirements.past_due', current_deadline: 1792454400 },
+  });
+
+  assert.equal(fields.stripe_payouts_enabled, true);
+  assert.equal(fields.stripe_charges_enabled, false);
+  assert.deepEqual(fields.stripe_requirements_currently_due, ['individual.id_number']);
+  assert.deepEqual(fields.stripe_requirements_past_due, []);
+  assert.equal(fields.stripe_requirements_deadline, '2026-10-20T00:00:00.000Z');
+});
+
+test('an account connected before the status was mirrored is read from Stripe once', async (t) => {
+  const retrieve = t.mock.method(stripe.accounts, 'retrieve', async (id) => ({
+    id, details_submitted: true, payouts_enabled: true, requirements: {},
+  }));
+  db.profiles = [{ id: 'user-1', stripe_connect_id: 'acct_1', stripe_account_updated_at: null }];
+
+  const profile = await stripeConnect.loadCurrentProfile('user-1');
+  assert.equal(stripeConnect.getPayoutReadiness(profile).ready, true);
+
+  await stripeConnect.loadCurrentProfile('user-1');
+  assert.equal(retrieve.mock.callCount(), 1);
+});
+
+test('the unsynced sweep keeps going past an account Stripe cannot read', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.accounts, 'retrieve', async (id) => {
+    if (id === 'acct_gone') throw new Error('No such account');
+    return { id, payouts_enabled: true };
+  });
+  db.profiles = [
+    { id: 'user-1', stripe_connect_id: 'acct_gone', stripe_account_updated_at: null },
+    { id: 'user-2', stripe_connect_id: 'acct_2', stripe_account_updated_at: null },
+    { id: 'user-3', stripe_connect_id: null, stripe_account_updated_at: null },
+  ];
+
+  assert.equal(await stripeConnect.syncUnsyncedAccounts(), 1);
+  assert.equal(db.profiles[1].stripe_payouts_enabled, true);
+});
@@ -0,0 +1,123 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const stripeEvents = require('../src/utils/stripeEvents');
+
+const event = (type, object) => ({ id: 'evt_1', type, data: { object } });
+
+const depositIntent = (fields = {}) => ({
+  id: 'pi_1',
+  status: 'succeeded',
+  amount: 2500,
+  amount_received: 2500,
+  currency: 'gel',
+  metadata: { type: 'wallet_deposit', walletId: 'wallet-1' },
+  ...fields,
+});
+
+beforeEach(() => {
+  reset();
+  db.wallets = [{ id: 'wallet-1', user_id: 'user-1', balance: 10, currency: 'GEL' }];
+});
+
+test('a succeeded deposit intent credits the wallet in major units', async () => {
+  const result = await stripeEvents.handleStripeEvent(event('payment_intent.succeeded', depositIntent()));
+
+  assert.deepEqual(result, { handled: true, credited: true });
+  const [call] = rpcCalls;
+  assert.equal(call.args.p_idempotency_key, 'deposit:pi_1');
+  assert.deepEqual(call.args.p_entries.find((e) => e.wallet_id), { wallet_id: 'wallet-1', amount: 25, currency: 'GEL' });
+  assert.equal(db.notifications[0].user_id, 'user-1');
+  assert.match(db.notifications[0].message, /^25\.00 GEL was added/);
+});
+
+test('a redelivered deposit is credited once', async () => {
+  rpc.handler = () => ({ data: { journal_id: 'journal-1', duplicate: true, balances: {} }, error: null });
+
+  const result = await stripeEvents.handleStripeEvent(event('payment_intent.succeeded', depositIntent()));
+
+  assert.deepEqual(result, { handled: true, credited: false, reason: 'already_processed' });
+  assert.equal(db.notifications, undefined);
+});
+
+test('a deposit credited before the ledger is not credited again', async () => {
+  db.transactions = [{ id: 'tx-1', stripe_payment_id: 'pi_1', status: 'success', journal_id: null }];
+
+  const result = await stripeEvents.settleDepositIntent(depositIntent());
+
+  assert.equal(result.reason, 'already_processed');
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('intents that are not wallet deposits are ignored', async () => {
+  const result = await stripeEvents.handleStripeEvent(event('payment_intent.succeeded', depositIntent({ metadata: {} })));
+
+  assert.equal(result.reason, 'not_a_deposit');
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('charge.refunded claws back only what was refunded since the last event', async () => {
+  db.transactions = [{ wallet_id: 'wallet-1', stripe_payment_id: 'pi_1', type: 'deposit', status: 'success' }];
+  db.ledger_journals = [{
+    idempotency_key: 'deposit_refund:pi_1:1000',
+    reference_type: 'stripe_payment_intent',
+    reference_id: 'pi_1',
+    kind: 'reversal',
+  }];
+
+  const result = await stripeEvents.handleStripeEvent(event('charge.refunded', { payment_intent: 'pi_1', amount_refunded: 2500 }));
+
+  assert.equal(result.reversed, true);
+  const [call] = rpcCalls;
+  assert.equal(call.name, 'post_deposit_refund');
+  assert.equal(call.args.p_amount, 15);
+  assert.equal(call.args.p_refund_key, '2500');
+});
+
+test('a refund already taken back moves nothing', async () => {
+  db.transactions = [{ wallet_id: 'wallet-1', stripe_payment_id: 'pi_1', type: 'deposit', status: 'success' }];
+  db.ledger_journals = [{
+    idempotency_key: 'deposit_refund:pi_1:2500',
+    reference_type: 'stripe_payment_intent',
+    reference_id: 'pi_1',
+    kind: 'reversal',
+  }];
+
+  const result = await stripeEvents.handleStripeEvent(event('charge.refunded', { payment_intent: 'pi_1', amount_refunded: 2500 }));
+
+  assert.equal(result.reason, 'already_processed');
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('account.updated mirrors the account onto its profile', async () => {
+  db.profiles = [{ id: 'user-1', stripe_connect_id: 'acct_1', stripe_payouts_enabled: true }];
+
+  await stripeEvents.handleStripeEvent(event('account.updated', {
+    id: 'acct_1', payouts_enabled: false, requirements: { past_due: ['external_account'] },
+  }));
+
+  assert.equal(db.profiles[0].stripe_payouts_enabled, false);
+  assert.deepEqual(db.profiles[0].stripe_requirements_past_due, ['external_account']);
+});
+
+test('a failed bank payout on a connected account refreshes it and tells the provider once', async () => {
+  db.profiles = [{ id: 'user-1', stripe_connect_id: 'acct_1' }];
+  const failed = {
+    ...event('payout.failed', { id: 'po_1', amount: 4000, currency: 'usd', failure_message: 'Account closed' }),
+    account: 'acct_1',
+  };
+
+  assert.equal((await stripeEvents.handleStripeEvent(failed)).updated, true);
+  assert.equal(db.profiles[0].stripe_payouts_enabled, false);
+  assert.match(db.notifications[0].message, /could not send 40\.00 USD to your bank \(Account closed\)/);
+
+  assert.equal((await stripeEvents.handleStripeEvent(failed)).reason, 'already_processed');
+  assert.equal(db.notifications.length, 1);
+
+  const platformPayout = event('payout.failed', { id: 'po_2', amount: 100, currency: 'usd' });
+  assert.equal((await stripeEvents.handleStripeEvent(platformPayout)).reason, 'not_a_connect_payout');
+});
+
+test('unknown event types are acknowledged and ignored', async () => {
+  assert.deepEqual(await stripeEvents.handleStripeEvent(event('customer.created', {})), { handled: false });
+});
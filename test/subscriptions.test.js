@@ -0,0 +1,225 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, failingTables, stripe, stripeError, reset } = require('./helpers/fakes');
+const subscriptions = require('../src/utils/subscriptions');
+const ledger = require('../src/utils/ledger');
+
+const USER = 'user-1';
+
+function subscribeByCard() {
+  return subscriptions.subscribe({
+    userId: USER,
+    email: 'user@example.com',
+    tier: 'pro',
+    paymentMethod: 'card',
+    paymentMethodId: 'pm_1',
+    payCurrency: 'USD',
+  });
+}
+
+function subscribeByWallet() {
+  return subscriptions.subscribe({ userId: USER, tier: 'plus', payCurrency: 'USD' });
+}
+
+beforeEach(() => {
+  reset();
+  db.wallets = [{ id: 'wallet-1', user_id: USER, currency: 'USD', balance: 100, stripe_customer_id: 'cus_1' }];
+});
+
+test('a declined card removes the new subscription', async (t) => {
+  t.mock.method(stripe.paymentIntents, 'create', async () => {
+    throw stripeError('StripeCardError', 'Your card was declined.');
+  });
+
+  await assert.rejects(subscribeByCard(), (err) => err.status === 402 && err.message === 'Your card was declined.');
+  assert.equal(db.subscriptions.length, 0);
+  assert.equal(db.subscription_charges[0].status, 'failed');
+});
+
+test('an unclear card error leaves the new subscription pending', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.paymentIntents, 'create', async () => {
+    throw stripeError('StripeConnectionError', 'socket hang up');
+  });
+
+  const result = await subscribeByCard();
+
+  assert.equal(result.subscription.status, 'pending');
+  assert.equal(db.subscriptions.length, 1);
+  assert.equal(db.subscriptions[0].status, 'pending');
+  const [charge] = db.subscription_charges;
+  assert.equal(charge.status, 'pending');
+  assert.match(charge.charge_key, /^subscription:/);
+  assert.equal(db.profiles, undefined);
+});
+
+test('the cron starts a pending subscription once it finds the charged intent', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.paymentIntents, 'create', async () => {
+    throw stripeError('StripeAPIError', 'Stripe is unavailable');
+  });
+  await subscribeByCard();
+  const [charge] = db.subscription_charges;
+  const search = t.mock.method(stripe.paymentIntents, 'search', async () => ({
+    data: [{ id: 'pi_late', status: 'succeeded', metadata: { chargeKey: charge.charge_key } }],
+  }));
+
+  const later = new Date(Date.now() + 60 * 60 * 1000);
+  assert.equal(await subscriptions.settlePendingCharges(later), 1);
+
+  assert.match(search.mock.calls[0].arguments[0].query, new RegExp(db.subscriptions[0].id));
+  assert.equal(db.subscriptions[0].status, 'active');
+  assert.equal(charge.status, 'succeeded');
+  assert.equal(charge.stripe_payment_intent_id, 'pi_late');
+  assert.ok(rpcCalls.some((call) => call.args.p_idempotency_key === 'card_purchase:pi_late'));
+});
+
+test('the cron removes a pending subscription whose card was never charged', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.paymentIntents, 'create', async () => {
+    throw stripeError('StripeConnectionError', 'socket hang up');
+  });
+  await subscribeByCard();
+
+  const later = new Date(Date.now() + 60 * 60 * 1000);
+  assert.equal(await subscriptions.settlePendingCharges(later), 1);
+
+  assert.equal(db.subscriptions.length, 0);
+  assert.equal(db.subscription_charges[0].status, 'failed');
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('a charged card keeps the subscription when the purchase journal fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.paymentIntents, 'create', async () => ({ id: 'pi_1', status: 'succeeded' }));
+  rpc.handler = () => ({ data: null, error: { message: 'connection reset' } });
+
+  const result = await subscribeByCard();
+
+  assert.equal(result.subscription.status, 'active');
+  assert.equal(db.subscriptions.length, 1);
+  const [charge] = db.subscription_charges;
+  assert.equal(charge.status, 'succeeded');
+  assert.equal(charge.stripe_payment_intent_id, 'pi_1');
+  assert.equal(charge.journal_id, null);
+});
+
+test('a charged card keeps the subscription when the profile update fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(stripe.paymentIntents, 'create', async () => ({ id: 'pi_1', status: 'succeeded' }));
+  failingTables.add('profiles');
+
+  const result = await subscribeByCard();
+
+  assert.equal(result.subscription.tier, 'pro');
+  assert.equal(db.subscriptions.length, 1);
+});
+
+test('an empty wallet removes the new subscription', async () => {
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-1' } });
+
+  await assert.rejects(subscribeByWallet(), (err) => err.status === 402);
+  assert.equal(db.subscriptions.length, 0);
+});
+
+test('a wallet charge whose reply was lost keeps the subscription', async () => {
+  rpc.handler = (name, args) => {
+    // The journal commits, then the connection drops before the reply
+    db.ledger_journals = [{ id: 'journal-lost', idempotency_key: args.p_idempotency_key }];
+    return { data: null, error: { message: 'fetch failed' } };
+  };
+
+  const result = await subscribeByWallet();
+
+  assert.equal(result.subscription.status, 'active');
+  assert.equal(db.subscriptions.length, 1);
+  assert.equal(db.subscription_charges[0].journal_id, 'journal-lost');
+});
+
+test('a wallet charge that never committed removes the subscription', async () => {
+  rpc.handler = () => ({ data: null, error: { message: 'fetch failed' } });
+
+  await assert.rejects(subscribeByWallet(), (err) => !ledger.isInsufficientFunds(err));
+  assert.equal(db.subscriptions.length, 0);
+  assert.equal(rpcCalls.length, 1);
+});
+
+function seedSubscription(fields = {}) {
+  const subscription = {
+    id: 'sub-1',
+    user_id: USER,
+    tier: 'pro',
+    interval: 'month',
+    price: 17.99,
+    status: 'active',
+    payment_method: 'wallet',
+    pay_currency: 'USD',
+    current_period_start: '2026-10-01T00:00:00.000Z',
+    current_period_end: '2026-11-01T00:00:00.000Z',
+    renewal_attempts: 0,
+    ...fields,
+  };
+  db.subscriptions = [subscription];
+  return subscription;
+}
+
+test('a full promo makes the first period free and records it', async () => {
+  db.promo_codes = [{
+    id: 'promo-1', code: 'TRYPLUS', discount_type: 'percent', discount_value: 100, currency: 'USD', applies_to: ['subscription'], is_active: true,
+  }];
+
+  const result = await subscriptions.subscribe({ userId: USER, tier: 'plus', payCurrency: 'USD', promoCode: 'tryplus' });
+
+  assert.equal(result.subscription.status, 'active');
+  assert.deepEqual([db.subscriptions[0].price, db.subscriptions[0].promo_code], [0, 'TRYPLUS']);
+  assert.deepEqual(rpcCalls.map((c) => c.name), ['redeem_promo_code']);
+  assert.deepEqual([db.subscription_charges[0].amount, db.subscription_charges[0].status], [0, 'succeeded']);
+});
+
+test('a yearly plan costs ten months', () => {
+  assert.equal(subscriptions.getPrice('plus', 'year'), 69.9);
+  assert.equal(subscriptions.getPrice('gold'), null);
+  assert.equal(subscriptions.listPlans().length, 6);
+});
+
+test('a mid-period upgrade credits the unused part of the current plan', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-25T00:00:00Z') });
+  seedSubscription();
+
+  const quote = await subscriptions.previewChange({ userId: USER, tier: 'business' });
+
+  assert.equal(quote.credit, 4.06); // 7 of 31 days
+  assert.equal(quote.amount_due, 40.93);
+  assert.equal(quote.period_end, '2026-11-25T00:00:00.000Z');
+});
+
+test('a failed renewal is past due through the grace period, then expires', async () => {
+  seedSubscription();
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-1' } });
+
+  const first = await subscriptions.processDue(new Date('2026-11-01T01:00:00Z'));
+  assert.equal(first.past_due, 1);
+  assert.equal(db.subscriptions[0].status, 'past_due');
+  assert.equal(db.subscriptions[0].grace_until, '2026-11-04T00:00:00.000Z');
+
+  await subscriptions.processDue(new Date('2026-11-02T01:00:00Z'));
+  assert.equal(db.notifications.filter((n) => n.type === 'subscription_past_due').length, 1);
+
+  const last = await subscriptions.processDue(new Date('2026-11-04T01:00:00Z'));
+  assert.equal(last.expired, 1);
+  assert.equal(db.subscriptions[0].status, 'expired');
+});
+
+test('a renewal that goes through starts the next period with any scheduled change', async () => {
+  seedSubscription({ pending_tier: 'plus' });
+  db.profiles = [{ id: USER, subscription_tier: 'pro' }];
+
+  const results = await subscriptions.processDue(new Date('2026-11-01T01:00:00Z'));
+
+  assert.equal(results.renewed, 1);
+  assert.deepEqual(
+    [db.subscriptions[0].tier, db.subscriptions[0].price, db.subscriptions[0].current_period_end],
+    ['plus', 6.99, '2026-12-01T00:00:00.000Z']
+  );
+  assert.equal(db.profiles[0].subscription_tier, 'plus');
+});
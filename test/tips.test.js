@@ -0,0 +1,113 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, rpc, rpcCalls, reset } = require('./helpers/fakes');
+const tips = require('../src/utils/tips');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const tip = (params = {}) => tips.tipBooking({ bookingId: 'booking-1', clientId: 'client-1', amount: 5, ...params });
+
+const refusedWith = (status, pattern) => (err) => tips.isTipError(err) && err.status === status && pattern.test(err.message);
+
+function seedBooking(fields = {}, completedDaysAgo = 1) {
+  db.bookings = [{
+    id: 'booking-1',
+    client_id: 'client-1',
+    provider_id: 'provider-1',
+    status: 'completed',
+    total_price: 40,
+    currency: 'usd',
+    services: { title: 'Guitar lesson' },
+    ...fields,
+  }];
+  db.booking_events = [{
+    booking_id: 'booking-1',
+    to_status: 'completed',
+    created_at: new Date(Date.now() - completedDaysAgo * DAY).toISOString(),
+  }];
+}
+
+beforeEach(() => {
+  reset();
+  delete process.env.TIP_WINDOW_DAYS;
+  db.wallets = [
+    { id: 'wallet-client', user_id: 'client-1', balance: 50, currency: 'USD' },
+    { id: 'wallet-client-gel', user_id: 'client-1', balance: 50, currency: 'GEL' },
+    { id: 'wallet-provider', user_id: 'provider-1', balance: 0, currency: 'USD' },
+  ];
+  seedBooking();
+});
+
+test('a tip goes to the provider in full and is recorded once', async () => {
+  const result = await tip({ message: '  Thanks!  ' });
+
+  const [call] = rpcCalls;
+  assert.equal(call.args.p_kind, 'tip');
+  assert.equal(call.args.p_idempotency_key, 'tip:booking-1');
+  assert.deepEqual(call.args.p_entries, [
+    { wallet_id: 'wallet-client', amount: -5 },
+    { wallet_id: 'wallet-provider', amount: 5 },
+  ]);
+  assert.deepEqual([result.tip.amount, result.tip.message], [5, 'Thanks!']);
+  assert.match(db.notifications[0].message, /tipped 5\.00 USD for "Guitar lesson"\. "Thanks!"/);
+
+  await assert.rejects(tip(), refusedWith(409, /already been tipped/));
+});
+
+test('a booking paid in another currency is tipped from that wallet', async () => {
+  seedBooking({ payment_currency: 'GEL' });
+
+  const result = await tip();
+
+  assert.deepEqual([result.tip.paid_amount, result.tip.paid_currency], [13.5, 'GEL']);
+  assert.deepEqual(rpcCalls[0].args.p_transactions.map((t) => [t.wallet_id, t.type, t.amount]), [
+    ['wallet-client-gel', 'tip_sent', -13.5],
+    ['wallet-provider', 'tip_received', 5],
+  ]);
+});
+
+test('only the client may tip, and only up to the undiscounted price', async () => {
+  await assert.rejects(tip({ clientId: 'provider-1' }), refusedWith(403, /Only the client/));
+  await assert.rejects(tip({ amount: 0 }), refusedWith(400, /greater than 0/));
+  await assert.rejects(tip({ amount: 50 }), refusedWith(400, /more than the booking price/));
+
+  seedBooking({ total_price: 36, discount_amount: 4 });
+  await tip({ amount: 40 });
+  assert.equal(rpcCalls.length, 1);
+});
+
+test('bookings that are not completed, free or past the window cannot be tipped', async () => {
+  seedBooking({ status: 'confirmed' });
+  await assert.rejects(tip(), refusedWith(409, /Only completed bookings/));
+
+  seedBooking({ total_price: 0 });
+  await assert.rejects(tip(), refusedWith(409, /Skill swap/));
+
+  seedBooking({}, 8);
+  await assert.rejects(tip(), refusedWith(409, /window .* has closed/));
+  assert.equal(rpcCalls.length, 0);
+});
+
+test('an empty wallet and a racing tip are refused', async () => {
+  rpc.handler = () => ({ data: null, error: { message: 'LEDGER_INSUFFICIENT_FUNDS: wallet wallet-client' } });
+  await assert.rejects(tip(), refusedWith(402, /Insufficient wallet balance/));
+
+  rpc.handler = () => ({ data: { journal_id: 'journal-1', duplicate: true, balances: {} }, error: null });
+  await assert.rejects(tip(), refusedWith(409, /already tipped/));
+  assert.equal(db.booking_tips.length, 0);
+});
+
+test('summarizeTips totals a provider\'s tips per currency', async () => {
+  db.booking_tips = [
+    { provider_id: 'provider-1', booking_id: 'b1', amount: 5, currency: 'USD' },
+    { provider_id: 'provider-1', booking_id: 'b2', amount: 2.5, currency: 'USD' },
+    { provider_id: 'provider-1', booking_id: 'b3', amount: 10, currency: 'GEL' },
+    { provider_id: 'provider-2', booking_id: 'b4', amount: 7, currency: 'USD' },
+  ];
+
+  const summary = await tips.summarizeTips('provider-1', { recent: 2 });
+
+  assert.equal(summary.count, 3);
+  assert.deepEqual(summary.by_currency, { USD: 7.5, GEL: 10 });
+  assert.equal(summary.recent.length, 2);
+});
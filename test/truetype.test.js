@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const truetype = require('../src/utils/truetype');
+
+const fontFile = (pkg, file) => fs.readFileSync(path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file));
+
+const GEORGIAN = truetype.parseFont(fontFile('@expo-google-fonts/noto-sans-georgian', '400Regular/NotoSansGeorgian_400Regular.ttf'));
+const MONO = truetype.parseFont(fontFile('@expo-google-fonts/noto-sans-mono', '400Regular/NotoSansMono_400Regular.ttf'));
+
+// Table directory of a font file: tag → { offset, length }
+function tablesOf(data) {
+  const tables = {};
+  for (let i = 0; i < data.readUInt16BE(4); i += 1) {
+    const entry = 12 + 16 * i;
+    tables[data.toString('latin1', entry, entry + 4)] = { offset: data.readUInt32BE(entry + 8), length: data.readUInt32BE(entry + 12) };
+  }
+  return tables;
+}
+
+test('a font maps characters to glyphs and reports widths in thousandths of an em', () => {
+  assert.equal(MONO.postScriptName, 'NotoSansMono-Regular');
+  assert.equal(MONO.widthOf(MONO.glyphFor('Ж'.codePointAt(0))), 600);
+  assert.equal(MONO.glyphFor('ა'.codePointAt(0)), 0);
+
+  assert.ok(GEORGIAN.glyphFor('ა'.codePointAt(0)) > 0);
+  assert.ok(GEORGIAN.glyphFor('Ა'.codePointAt(0)) > 0);
+});
+
+test('a subset keeps glyph ids and only the outlines it was asked for', () => {
+  const glyph = GEORGIAN.glyphFor('ფ'.codePointAt(0));
+  const other = GEORGIAN.glyphFor('ა'.codePointAt(0));
+
+  const subset = truetype.subsetFont(GEORGIAN, [glyph]);
+  const tables = tablesOf(subset);
+
+  assert.deepEqual(Object.keys(tables).sort(), ['glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep']);
+  assert.ok(subset.length < GEORGIAN.data.length / 4);
+  const outlineLength = (gid) => subset.readUInt32BE(tables.loca.offset + 4 * (gid + 1)) - subset.readUInt32BE(tables.loca.offset + 4 * gid);
+  assert.ok(outlineLength(glyph) > 0);
+  assert.equal(outlineLength(other), 0);
+  assert.equal(subset.readUInt16BE(tables.maxp.offset + 4), GEORGIAN.glyphCount);
+
+  // The whole file sums to 0xB1B0AFBA once head's checksum adjustment is in
+  let sum = 0;
+  for (let i = 0; i < subset.length; i += 4) sum = (sum + subset.readUInt32BE(i)) >>> 0;
+  assert.equal(sum, 0xb1b0afba);
+});
+
+test('only TrueType outlines can be embedded', () => {
+  assert.throws(() => truetype.parseFont(Buffer.from('OTTO\0\0\0\0\0\0\0\0')), /Only TrueType/);
+});